@@ -0,0 +1,338 @@
+/**
+ * Provider adapters for the chat proxy.
+ *
+ * Every adapter translates an OpenAI-style chat completion body into the
+ * upstream provider's request, and translates the provider's response back
+ * into the OpenAI chat completion shape:
+ *
+ *   { choices: [{ message: { role, content }, finish_reason }], usage }
+ *
+ * so the client (`callLLM`, web search tool) only ever parses one format.
+ * Finish reasons are normalized to 'stop' | 'length' | 'tool_calls'.
+ *
+ * For `stream: true` requests, `createStreamParser()` returns a function that
+ * maps each upstream SSE event to zero or more OpenAI-style
+ * `chat.completion.chunk` objects (content deltas, finish reason, and a
+ * final usage-only chunk).
+ *
+ * `checkBaseUrl` keeps the proxy from being pointed at arbitrary hosts: the
+ * hosted providers only accept their own https endpoints, and Ollama /
+ * OpenAI-compatible servers (any host, including localhost) only when the
+ * deployment sets `ALLOW_CUSTOM_BASE_URLS=1`.
+ *
+ * The leading underscore keeps Vercel from deploying this file as a route.
+ */
+
+const ZERO_USAGE = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+
+function trimSlash(url) {
+  return String(url || '').replace(/\/+$/, '');
+}
+
+/** Ask OpenAI-style APIs to append a usage chunk at the end of a stream. */
+function withStreamUsage(body) {
+  return body.stream ? { ...body, stream_options: { include_usage: true } } : body;
+}
+
+/** OpenAI-style streams are already in the target chunk format. */
+function passthroughStreamParser() {
+  return (event) => [event];
+}
+
+// ── OpenAI-compatible (OpenAI, Ollama, vLLM, LM Studio, …) ──────
+
+function openAICompatible({ defaultBaseUrl, requiresKey, hosts = null }) {
+  return {
+    requiresKey,
+    defaultBaseUrl,
+    hosts,
+    buildRequest({ apiKey, baseUrl, body }) {
+      const headers = { 'Content-Type': 'application/json' };
+      if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+      return {
+        url: `${trimSlash(baseUrl || defaultBaseUrl)}/chat/completions`,
+        headers,
+        body: withStreamUsage(body),
+      };
+    },
+    parseResponse(data) {
+      return { ...data, usage: data.usage || ZERO_USAGE };
+    },
+    createStreamParser: passthroughStreamParser,
+  };
+}
+
+// ── Azure OpenAI (deployment name is passed as the model) ───────
+
+const AZURE_API_VERSION = '2024-06-01';
+
+const azure = {
+  requiresKey: true,
+  hosts: [/^[a-z0-9-]+\.openai\.azure\.com$/, /^[a-z0-9-]+\.cognitiveservices\.azure\.com$/],
+  buildRequest({ apiKey, baseUrl, body }) {
+    if (!baseUrl) throw new Error('Azure requires a base URL (https://<resource>.openai.azure.com)');
+    const { model, ...rest } = body;
+    return {
+      url: `${trimSlash(baseUrl)}/openai/deployments/${encodeURIComponent(model)}/chat/completions?api-version=${AZURE_API_VERSION}`,
+      headers: { 'Content-Type': 'application/json', 'api-key': apiKey },
+      body: withStreamUsage(rest),
+    };
+  },
+  parseResponse(data) {
+    return { ...data, usage: data.usage || ZERO_USAGE };
+  },
+  createStreamParser: passthroughStreamParser,
+};
+
+// ── Anthropic Messages API ──────────────────────────────────────
+
+const ANTHROPIC_VERSION = '2023-06-01';
+
+const ANTHROPIC_STOP_REASONS = {
+  end_turn: 'stop',
+  stop_sequence: 'stop',
+  max_tokens: 'length',
+  tool_use: 'tool_calls',
+};
+
+function parseJSONObject(str) {
+  try {
+    return JSON.parse(str || '{}');
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Convert OpenAI chat messages to Anthropic messages.
+ * Assistant `tool_calls` become `tool_use` blocks; `tool` role messages become
+ * `tool_result` blocks in a user turn (consecutive results share one turn).
+ */
+function toAnthropicMessages(messages) {
+  const out = [];
+  for (const m of messages) {
+    if (m.role === 'system') continue;
+    if (m.role === 'tool') {
+      const block = { type: 'tool_result', tool_use_id: m.tool_call_id, content: String(m.content ?? '') };
+      const prev = out[out.length - 1];
+      if (prev?.role === 'user' && Array.isArray(prev.content) && prev.content[0]?.type === 'tool_result') {
+        prev.content.push(block);
+      } else {
+        out.push({ role: 'user', content: [block] });
+      }
+      continue;
+    }
+    if (m.role === 'assistant' && m.tool_calls?.length) {
+      const blocks = m.content ? [{ type: 'text', text: m.content }] : [];
+      for (const call of m.tool_calls) {
+        blocks.push({ type: 'tool_use', id: call.id, name: call.function.name, input: parseJSONObject(call.function.arguments) });
+      }
+      out.push({ role: 'assistant', content: blocks });
+      continue;
+    }
+    out.push({ role: m.role, content: m.content });
+  }
+  return out;
+}
+
+const anthropic = {
+  requiresKey: true,
+  defaultBaseUrl: 'https://api.anthropic.com/v1',
+  hosts: ['api.anthropic.com'],
+  buildRequest({ apiKey, baseUrl, body }) {
+    const { model, messages = [], temperature, max_tokens: maxTokens, stream, tools } = body;
+    // Anthropic takes system prompts as a top-level field, not a message role
+    const system = messages
+      .filter((m) => m.role === 'system')
+      .map((m) => m.content)
+      .join('\n\n');
+
+    const upstreamBody = { model, messages: toAnthropicMessages(messages), max_tokens: maxTokens || 1024 };
+    if (system) upstreamBody.system = system;
+    if (temperature != null) upstreamBody.temperature = temperature;
+    if (stream) upstreamBody.stream = true;
+    if (tools?.length) {
+      upstreamBody.tools = tools.map((t) => ({
+        name: t.function.name,
+        description: t.function.description,
+        input_schema: t.function.parameters,
+      }));
+    }
+
+    return {
+      url: `${trimSlash(baseUrl || anthropic.defaultBaseUrl)}/messages`,
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': apiKey,
+        'anthropic-version': ANTHROPIC_VERSION,
+      },
+      body: upstreamBody,
+    };
+  },
+  parseResponse(data) {
+    const blocks = data.content || [];
+    const content = blocks
+      .filter((block) => block.type === 'text')
+      .map((block) => block.text)
+      .join('');
+    const toolCalls = blocks
+      .filter((block) => block.type === 'tool_use')
+      .map((block) => ({
+        id: block.id,
+        type: 'function',
+        function: { name: block.name, arguments: JSON.stringify(block.input || {}) },
+      }));
+    const message = { role: 'assistant', content };
+    if (toolCalls.length) message.tool_calls = toolCalls;
+    const promptTokens = data.usage?.input_tokens || 0;
+    const completionTokens = data.usage?.output_tokens || 0;
+    return {
+      id: data.id,
+      model: data.model,
+      choices: [{
+        index: 0,
+        message,
+        finish_reason: ANTHROPIC_STOP_REASONS[data.stop_reason] || data.stop_reason || 'stop',
+      }],
+      usage: {
+        prompt_tokens: promptTokens,
+        completion_tokens: completionTokens,
+        total_tokens: promptTokens + completionTokens,
+      },
+    };
+  },
+  createStreamParser() {
+    // Input tokens arrive in message_start, output tokens in message_delta.
+    // Tool use blocks are renumbered into OpenAI's tool_calls[].index.
+    let promptTokens = 0;
+    const toolIndexByBlock = {};
+    const delta = (d) => [{ choices: [{ index: 0, delta: d, finish_reason: null }] }];
+    return (event) => {
+      switch (event.type) {
+        case 'message_start':
+          promptTokens = event.message?.usage?.input_tokens || 0;
+          return [];
+        case 'content_block_start': {
+          const block = event.content_block;
+          if (block?.type !== 'tool_use') return [];
+          const index = Object.keys(toolIndexByBlock).length;
+          toolIndexByBlock[event.index] = index;
+          return delta({ tool_calls: [{ index, id: block.id, type: 'function', function: { name: block.name, arguments: '' } }] });
+        }
+        case 'content_block_delta':
+          if (event.delta?.type === 'input_json_delta') {
+            return delta({ tool_calls: [{ index: toolIndexByBlock[event.index], function: { arguments: event.delta.partial_json } }] });
+          }
+          if (event.delta?.type !== 'text_delta') return [];
+          return delta({ content: event.delta.text });
+        case 'message_delta': {
+          const completionTokens = event.usage?.output_tokens || 0;
+          const stopReason = event.delta?.stop_reason;
+          return [
+            { choices: [{ index: 0, delta: {}, finish_reason: ANTHROPIC_STOP_REASONS[stopReason] || stopReason || 'stop' }] },
+            {
+              choices: [],
+              usage: {
+                prompt_tokens: promptTokens,
+                completion_tokens: completionTokens,
+                total_tokens: promptTokens + completionTokens,
+              },
+            },
+          ];
+        }
+        case 'error':
+          return [normalizeError(event, 500)];
+        default:
+          return [];
+      }
+    };
+  },
+};
+
+// ── Registry ────────────────────────────────────────────────────
+
+const PROVIDERS = {
+  openai: openAICompatible({ defaultBaseUrl: 'https://api.openai.com/v1', requiresKey: true, hosts: ['api.openai.com'] }),
+  anthropic,
+  azure,
+  ollama: openAICompatible({ defaultBaseUrl: 'http://localhost:11434/v1', requiresKey: false }),
+  'openai-compatible': openAICompatible({ defaultBaseUrl: 'http://localhost:8000/v1', requiresKey: false }),
+};
+
+// ── Base URL checks ─────────────────────────────────────────────
+
+/**
+ * Check the base URL a client asked the proxy to call.
+ * Adapters with `hosts` accept https URLs on those hosts (strings match
+ * exactly, RegExps test the hostname); adapters without (Ollama,
+ * OpenAI-compatible) accept any http(s) host, but only when the deployment
+ * opts in with `ALLOW_CUSTOM_BASE_URLS=1`.
+ *
+ * @param {string} provider - Key of PROVIDERS
+ * @param {string} [baseUrl] - Client-supplied base URL; empty for the default
+ * @param {object} [env] - Environment (default: process.env)
+ * @returns {string|null} Why the URL is refused, or null if it may be called
+ */
+function checkBaseUrl(provider, baseUrl, env = process.env) {
+  const adapter = PROVIDERS[provider];
+  const raw = baseUrl || adapter.defaultBaseUrl;
+  if (!raw) return null; // buildRequest reports the missing URL
+
+  let url;
+  try {
+    url = new URL(raw);
+  } catch {
+    return `Invalid base URL "${raw}"`;
+  }
+  if (url.username || url.password) return 'Base URLs must not contain credentials';
+
+  if (!adapter.hosts) {
+    if (!['1', 'true'].includes(String(env.ALLOW_CUSTOM_BASE_URLS || '').toLowerCase())) {
+      return `The ${provider} provider is disabled on this server; set ALLOW_CUSTOM_BASE_URLS=1 to allow custom base URLs`;
+    }
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') return 'Base URLs must use http or https';
+    return null;
+  }
+
+  if (url.protocol !== 'https:') return 'Base URLs must use https';
+  const host = url.hostname.toLowerCase();
+  const allowed = adapter.hosts.some((h) => (typeof h === 'string' ? host === h : h.test(host)));
+  return allowed ? null : `Host "${host}" is not allowed for the ${provider} provider`;
+}
+
+/**
+ * Normalize an upstream error payload into `{ error: { message } }`.
+ * OpenAI and Anthropic both use `error.message`; Ollama uses a bare string.
+ */
+function normalizeError(data, status) {
+  const message = data?.error?.message
+    || (typeof data?.error === 'string' ? data.error : null)
+    || `Upstream error: ${status}`;
+  return { error: { message } };
+}
+
+/**
+ * Iterate the `data:` payloads of a server-sent events stream.
+ * @param {ReadableStream<Uint8Array>} stream - Upstream response body
+ * @returns {AsyncGenerator<string>}
+ */
+async function* readSSE(stream) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for await (const bytes of stream) {
+    buffer += decoder.decode(bytes, { stream: true }).replace(/\r\n/g, '\n');
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const rawEvent = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+      const data = rawEvent
+        .split('\n')
+        .filter((line) => line.startsWith('data:'))
+        .map((line) => line.slice(5).trimStart())
+        .join('\n');
+      if (data) yield data;
+    }
+  }
+}
+
+module.exports = { PROVIDERS, checkBaseUrl, normalizeError, readSSE };
@@ -1,3 +1,31 @@
+const { PROVIDERS, checkBaseUrl, normalizeError, readSSE } = require('./_providers');
+
+/**
+ * Pipe an upstream SSE stream to the client as OpenAI-style chunks,
+ * terminated by `data: [DONE]`.
+ */
+async function pipeStream(upstreamBody, parseEvent, res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+  });
+  for await (const data of readSSE(upstreamBody)) {
+    if (data === '[DONE]') break;
+    let event;
+    try {
+      event = JSON.parse(data);
+    } catch {
+      continue;
+    }
+    for (const chunk of parseEvent(event)) {
+      res.write(`data: ${JSON.stringify(chunk)}\n\n`);
+    }
+  }
+  res.write('data: [DONE]\n\n');
+  res.end();
+}
+
 module.exports = async function handler(req, res) {
   // Only allow POST
   if (req.method !== 'POST') {
@@ -18,25 +46,54 @@ module.exports = async function handler(req, res) {
     return res.status(400).json({ error: { message: 'Missing request body' } });
   }
 
-  const { apiKey, ...completionBody } = body;
+  const { apiKey, provider = 'openai', baseUrl, ...completionBody } = body;
+
+  const adapter = PROVIDERS[provider];
+  if (!adapter) {
+    return res.status(400).json({ error: { message: `Unknown provider "${provider}"` } });
+  }
+
+  // Never call hosts the deployment has not allowed (open proxy / SSRF)
+  const urlError = checkBaseUrl(provider, baseUrl);
+  if (urlError) {
+    return res.status(403).json({ error: { message: urlError } });
+  }
 
-  if (!apiKey) {
+  if (adapter.requiresKey && !apiKey) {
     return res.status(400).json({ error: { message: 'API key is required' } });
   }
 
+  // Stop the upstream request if the client goes away mid-stream
+  const upstreamController = new AbortController();
+  res.on('close', () => upstreamController.abort());
+
   try {
-    const response = await fetch('https://api.openai.com/v1/chat/completions', {
+    const upstream = adapter.buildRequest({ apiKey, baseUrl, body: completionBody });
+    const response = await fetch(upstream.url, {
       method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${apiKey}`,
-      },
-      body: JSON.stringify(completionBody),
+      headers: upstream.headers,
+      body: JSON.stringify(upstream.body),
+      // A checked host must not bounce the request somewhere else
+      redirect: 'error',
+      signal: upstreamController.signal,
     });
 
-    const data = await response.json();
-    return res.status(response.status).json(data);
+    if (response.ok && completionBody.stream) {
+      return await pipeStream(response.body, adapter.createStreamParser(), res);
+    }
+
+    const data = await response.json().catch(() => null);
+    if (!response.ok) {
+      return res.status(response.status).json(normalizeError(data, response.status));
+    }
+    return res.status(200).json(adapter.parseResponse(data));
   } catch (err) {
+    if (err.name === 'AbortError') return res.end();
+    // Headers already sent means we failed mid-stream: report in-band
+    if (res.headersSent) {
+      res.write(`data: ${JSON.stringify({ error: { message: err.message } })}\n\n`);
+      return res.end();
+    }
     return res.status(500).json({ error: { message: err.message } });
   }
 };
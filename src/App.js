@@ -3,37 +3,97 @@
  *
  * Manages global state (settings, selected frameworks, question input)
  * and orchestrates the top-level layout: header, settings modal,
- * question bar, framework runner, and history overlay.
+ * question bar, framework runner, history, knowledge-base and prompt modals.
+ * Runs start from the question bar, a replayed cassette, or a saved run
+ * re-run from history; saved and imported runs can also be viewed read-only.
+ * Extra models switched on in the question bar turn a run into a
+ * framework × model matrix. Benchmark and Experiment modes run datasets and
+ * repeated A/B trials instead of a single question.
  */
 import React, { useState, useEffect, useCallback, useRef } from 'react';
 import './App.css';
 import SettingsModal from './components/SettingsModal';
 import QuestionBar from './components/QuestionBar';
 import FrameworkRunner from './components/FrameworkRunner';
-import { FRAMEWORK_IDS, STORAGE_KEYS } from './utils/constants';
+import BenchmarkRunner from './components/benchmark/BenchmarkRunner';
+import ExperimentRunner from './components/experiment/ExperimentRunner';
+import DocsModal from './components/docs/DocsModal';
+import HistoryModal from './components/history/HistoryModal';
+import PromptsModal from './components/prompts/PromptsModal';
+import { createReplayTransport } from './frameworks/transport';
+import { persistableConfig, listPastQuestions } from './utils/runHistory';
+import { parseRunExport } from './utils/runExport';
+import { loadModelTargets, saveModelTargets } from './utils/modelMatrix';
+import { loadCotExemplars } from './utils/cotExemplars';
+import { loadPromptLibrary, savePromptLibrary, selectedPrompts } from './utils/promptLibrary';
+import { FRAMEWORK_IDS, DEFAULT_FRAMEWORK_IDS, PROVIDERS, STORAGE_KEYS, apiKeyStorageKey, isConnectionReady } from './utils/constants';
+
+const NO_BUDGET = { maxTokens: null, maxUsd: null, maxCalls: null };
+
+/** Run-wide and per-framework budget limits saved from Settings. */
+function loadBudgets() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEYS.budgets) || '{}') || {};
+    return { run: { ...NO_BUDGET, ...saved.run }, framework: { ...NO_BUDGET, ...saved.framework } };
+  } catch {
+    return { run: { ...NO_BUDGET }, framework: { ...NO_BUDGET } };
+  }
+}
 
 function App() {
-  // Settings state (API key persisted in sessionStorage)
-  const [settings, setSettings] = useState({
+  // Settings state (API key persisted in sessionStorage, provider in localStorage)
+  const [settings, setSettings] = useState(() => ({
     apiKey: '',
+    provider: 'openai',
+    baseUrl: '',
     model: 'gpt-4o-mini',
     nSamples: 5,
+    cotMode: 'few-shot',
+    cotTemperature: 0.7,
+    cotExemplars: loadCotExemplars(),
+    cotAggregation: 'auto',
+    cotAdaptive: false,
+    cotConfidence: 0.9,
+    cotVoteWeighting: 'none',
+    streamTokens: true,
+    rewooConcurrency: 4,
+    totSearch: 'bfs',
+    totBreadth: 3,
+    totBeamWidth: 2,
+    totMaxDepth: 3,
+    reflexionMaxTrials: 3,
+    debateAgents: 3,
+    debateRounds: 2,
+    debateSettle: 'majority',
+    debateMixModels: false,
+    routerLLM: true,
+    verifyFrameworks: [],
+    verifyTool: '',
     showCostEstimate: false,
-  });
+    recordCassette: false,
+    budgets: loadBudgets(),
+    modelTargets: loadModelTargets(),
+  }));
   const [settingsOpen, setSettingsOpen] = useState(false);
   const [historyOpen, setHistoryOpen] = useState(false);
+  const [docsOpen, setDocsOpen] = useState(false);
+  const [promptsOpen, setPromptsOpen] = useState(false);
+  // Saved prompt template versions and the ones selected for runs
+  const [promptLibrary, setPromptLibrary] = useState(loadPromptLibrary);
+  // 'ask' — one typed question; 'benchmark' — a labeled dataset
+  const [mode, setMode] = useState('ask');
 
   // Question + framework selection (persisted in localStorage)
   const loadSelected = () => {
     try {
       const raw = localStorage.getItem(STORAGE_KEYS.frameworks);
-      if (!raw) return new Set(FRAMEWORK_IDS);
+      if (!raw) return new Set(DEFAULT_FRAMEWORK_IDS);
       const arr = JSON.parse(raw);
-      if (!Array.isArray(arr)) return new Set(FRAMEWORK_IDS);
+      if (!Array.isArray(arr)) return new Set(DEFAULT_FRAMEWORK_IDS);
       const set = new Set(arr.filter((id) => FRAMEWORK_IDS.includes(id)));
-      return set.size > 0 ? set : new Set(FRAMEWORK_IDS);
+      return set.size > 0 ? set : new Set(DEFAULT_FRAMEWORK_IDS);
     } catch {
-      return new Set(FRAMEWORK_IDS);
+      return new Set(DEFAULT_FRAMEWORK_IDS);
     }
   };
   const [selected, setSelected] = useState(loadSelected);
@@ -45,18 +105,48 @@ function App() {
   // Key to force re-mount FrameworkRunner on new runs
   const [runKey, setRunKey] = useState(0);
   const stopRef = useRef(null);
+  const cassetteInputRef = useRef(null);
+  const importInputRef = useRef(null);
+  // Replay / re-run failures shown above the question bar
+  const [launchError, setLaunchError] = useState(null);
+  // A run reopened from history or imported from a file: { timestamp, results, fileName? }, shown read-only
+  const [savedRun, setSavedRun] = useState(null);
+  // Questions of past runs, loaded for CoT's Auto-CoT mode
+  const [pastQuestions, setPastQuestions] = useState([]);
 
   const handleStop = useCallback(() => {
     if (stopRef.current) stopRef.current();
     setIsRunning(false);
   }, []);
 
-  // Restore API key from sessionStorage
+  // Restore provider connection from localStorage and its API key from sessionStorage
   useEffect(() => {
-    const saved = sessionStorage.getItem(STORAGE_KEYS.apiKey);
-    if (saved) setSettings((s) => ({ ...s, apiKey: saved }));
+    let connection = {};
+    try {
+      const raw = localStorage.getItem(STORAGE_KEYS.provider);
+      if (raw) connection = JSON.parse(raw) || {};
+    } catch { /* ignore malformed connection */ }
+    const provider = connection.provider || 'openai';
+    const saved = sessionStorage.getItem(apiKeyStorageKey(provider));
+    setSettings((s) => ({
+      ...s,
+      provider,
+      baseUrl: connection.baseUrl || '',
+      model: connection.model || s.model,
+      apiKey: saved || '',
+    }));
   }, []);
 
+  // Reload between runs so the pool includes the latest questions
+  useEffect(() => {
+    if (settings.cotMode !== 'auto' || isRunning) return;
+    listPastQuestions()
+      .then(setPastQuestions)
+      .catch((err) => console.warn('Could not load past questions:', err.message));
+  }, [settings.cotMode, isRunning]);
+
+  const connectionReady = isConnectionReady(settings);
+
   const toggleFramework = useCallback((id) => {
     setSelected((prev) => {
       const next = new Set(prev);
@@ -67,34 +157,204 @@ function App() {
     });
   }, []);
 
+  const selectFrameworks = useCallback((ids) => {
+    localStorage.setItem(STORAGE_KEYS.frameworks, JSON.stringify(ids));
+    setSelected(new Set(ids));
+  }, []);
+
+  const toggleModelTarget = useCallback((id) => {
+    setSettings((s) => {
+      const modelTargets = s.modelTargets.map((t) => (t.id === id ? { ...t, enabled: !t.enabled } : t));
+      saveModelTargets(modelTargets);
+      return { ...s, modelTargets };
+    });
+  }, []);
+
+  /** A model target with the API key saved for its provider this session. */
+  const withApiKey = ({ provider, baseUrl, model }) => ({
+    provider,
+    baseUrl: baseUrl || '',
+    model,
+    apiKey: provider === settings.provider ? settings.apiKey : sessionStorage.getItem(apiKeyStorageKey(provider)) || '',
+  });
+
+  /**
+   * The user's own base URL for a provider (from Settings or an extra model).
+   * A saved or imported run's base URL is never used: the user's key would
+   * be sent to whatever host the file names.
+   */
+  const ownBaseUrl = (provider) => (provider === settings.provider
+    ? settings.baseUrl
+    : settings.modelTargets.find((t) => t.provider === provider && t.baseUrl)?.baseUrl || '');
+
+  /** Launch error for the first matrix model that cannot connect, or null. */
+  const matrixConnectionError = (models) => {
+    const target = models?.find((t) => !isConnectionReady(t));
+    if (!target) return null;
+    const label = PROVIDERS.find((p) => p.id === target.provider)?.label || target.provider;
+    return `Set up your ${label} connection in Settings to run ${target.model || 'every model'}.`;
+  };
+
+  // Per-run options shared by single-question runs and benchmarks
+  const runConfig = {
+    apiKey: settings.apiKey,
+    provider: settings.provider,
+    baseUrl: settings.baseUrl,
+    model: settings.model,
+    nSamples: settings.nSamples,
+    cotMode: settings.cotMode,
+    cotTemperature: settings.cotTemperature,
+    ...(settings.cotMode === 'custom' && { cotExemplars: settings.cotExemplars }),
+    ...(settings.cotMode === 'auto' && { cotAutoPool: pastQuestions }),
+    cotAggregation: settings.cotAggregation,
+    cotAdaptive: settings.cotAdaptive,
+    cotConfidence: settings.cotConfidence,
+    cotVoteWeighting: settings.cotVoteWeighting,
+    stream: settings.streamTokens,
+    rewooConcurrency: settings.rewooConcurrency,
+    totSearch: settings.totSearch,
+    totBreadth: settings.totBreadth,
+    totBeamWidth: settings.totBeamWidth,
+    totMaxDepth: settings.totMaxDepth,
+    reflexionMaxTrials: settings.reflexionMaxTrials,
+    debateAgents: settings.debateAgents,
+    debateRounds: settings.debateRounds,
+    debateSettle: settings.debateSettle,
+    // Debate agents take turns through the primary model and every saved extra model
+    debateModels: settings.debateMixModels
+      ? settings.modelTargets.filter((t) => t.model.trim()).map(withApiKey)
+      : [],
+    routerLLM: settings.routerLLM,
+    verify: settings.verifyFrameworks,
+    verifyTool: settings.verifyTool,
+    showCostEstimate: settings.showCostEstimate,
+    record: settings.recordCassette,
+    budgets: settings.budgets,
+    prompts: selectedPrompts(promptLibrary),
+  };
+
+  // Models an experiment arm can use: the primary connection, then every saved extra model
+  const experimentModels = [
+    { id: 'primary', ...withApiKey(settings) },
+    ...settings.modelTargets.filter((t) => t.model.trim()).map((t) => ({ id: t.id, ...withApiKey(t) })),
+  ];
+
+  const startRun = (nextConfig) => {
+    setLaunchError(null);
+    setSavedRun(null);
+    setConfig(nextConfig);
+    setIsRunning(true);
+    setRunKey((k) => k + 1);
+  };
+
   const handleSubmit = () => {
-    if (!question.trim() || !settings.apiKey.trim() || selected.size === 0) return;
-    setConfig({
+    if (!question.trim() || !connectionReady || selected.size === 0) return;
+    // Primary connection first, then every enabled extra model
+    const extras = settings.modelTargets.filter((t) => t.enabled);
+    const models = extras.length > 0 ? [withApiKey(settings), ...extras.map(withApiKey)] : null;
+    const connectionError = matrixConnectionError(models)
+      || (selected.has('debate') && matrixConnectionError(runConfig.debateModels));
+    if (connectionError) {
+      setLaunchError(connectionError);
+      return;
+    }
+    startRun({
+      ...runConfig,
       question: question.trim(),
-      apiKey: settings.apiKey,
-      model: settings.model,
       frameworks: [...selected],
-      nSamples: settings.nSamples,
-      showCostEstimate: settings.showCostEstimate,
+      ...(models && { models }),
     });
-    setIsRunning(true);
+  };
+
+  // Show a saved run's panels read-only
+  const handleOpenRun = (summary, trace) => {
+    setHistoryOpen(false);
+    setMode('ask');
+    setLaunchError(null);
+    setQuestion(summary.question);
+    setConfig({ ...trace.config, question: summary.question, frameworks: summary.frameworks });
+    setSavedRun({ timestamp: summary.timestamp, results: trace.results });
+    setIsRunning(false);
     setRunKey((k) => k + 1);
   };
 
+  // Show an exported run file read-only (no API key needed)
+  const handleImportFile = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    file.text().then((text) => {
+      try {
+        const imported = parseRunExport(text);
+        setMode('ask');
+        setLaunchError(null);
+        setQuestion(imported.config.question);
+        setConfig({ ...runConfig, apiKey: '', record: false, ...imported.config });
+        setSavedRun({ timestamp: imported.timestamp, results: imported.results, fileName: file.name });
+        setIsRunning(false);
+        setRunKey((k) => k + 1);
+      } catch (err) {
+        setLaunchError(`Could not import ${file.name}: ${err.message}`);
+      }
+    });
+  };
+
+  // Run a saved configuration again, with the current key and base URL for its provider
+  const handleRerun = (saved) => {
+    setHistoryOpen(false);
+    setMode('ask');
+    const provider = saved.provider || settings.provider;
+    const apiKey = provider === settings.provider
+      ? settings.apiKey
+      : sessionStorage.getItem(apiKeyStorageKey(provider)) || '';
+    const next = { ...runConfig, ...persistableConfig(saved), baseUrl: ownBaseUrl(provider), apiKey, record: settings.recordCassette };
+    const ownTarget = (t) => withApiKey({ ...t, baseUrl: ownBaseUrl(t.provider) });
+    if (next.models) next.models = next.models.map(ownTarget);
+    if (next.debateModels) next.debateModels = next.debateModels.map(ownTarget);
+    setQuestion(saved.question);
+    if (!isConnectionReady(next)) {
+      const label = PROVIDERS.find((p) => p.id === provider)?.label || provider;
+      setLaunchError(`Set up your ${label} connection in Settings to re-run this configuration.`);
+      return;
+    }
+    const connectionError = matrixConnectionError(next.models)
+      || (next.frameworks?.includes('debate') && matrixConnectionError(next.debateModels));
+    if (connectionError) {
+      setLaunchError(connectionError);
+      return;
+    }
+    startRun(next);
+  };
+
+  // Replay a recorded cassette: same question, frameworks and options, no network
+  const handleCassetteFile = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    file.text().then((text) => {
+      try {
+        const cassette = JSON.parse(text);
+        createReplayTransport(cassette); // validates version/shape
+        const meta = cassette.meta || {};
+        if (!meta.question || !Array.isArray(meta.frameworks)) throw new Error('cassette has no recorded run configuration');
+        setMode('ask');
+        setQuestion(meta.question);
+        startRun({ ...runConfig, ...meta, apiKey: '', record: false, cassette });
+      } catch (err) {
+        setLaunchError(`Could not replay ${file.name}: ${err.message}`);
+      }
+    });
+  };
+
   const handleCloseSettings = useCallback(() => setSettingsOpen(false), []);
   const handleCloseHistory = useCallback(() => setHistoryOpen(false), []);
+  const handleCloseDocs = useCallback(() => setDocsOpen(false), []);
+  const handleClosePrompts = useCallback(() => setPromptsOpen(false), []);
 
-  const runHistory = historyOpen
-    ? (() => {
-        try {
-          const raw = localStorage.getItem(STORAGE_KEYS.runHistory);
-          const list = raw ? JSON.parse(raw) : [];
-          return Array.isArray(list) ? list : [];
-        } catch {
-          return [];
-        }
-      })()
-    : [];
+  const handlePromptLibraryChange = (library) => {
+    setPromptLibrary(library);
+    savePromptLibrary(library);
+  };
 
   const handleDone = () => {
     setIsRunning(false);
@@ -102,6 +362,7 @@ function App() {
 
   const handleNewQuestion = () => {
     setConfig(null);
+    setSavedRun(null);
     setIsRunning(false);
     setQuestion('');
   };
@@ -130,6 +391,60 @@ function App() {
           <span className="header-tag">Research</span>
         </div>
         <div className="header-actions">
+          <button
+            type="button"
+            className={`header-btn${mode === 'benchmark' ? ' header-btn-active' : ''}`}
+            onClick={() => setMode((m) => (m === 'benchmark' ? 'ask' : 'benchmark'))}
+            title="Run a labeled dataset through the selected frameworks"
+            aria-pressed={mode === 'benchmark'}
+          >
+            Benchmark
+          </button>
+          <button
+            type="button"
+            className={`header-btn${mode === 'experiment' ? ' header-btn-active' : ''}`}
+            onClick={() => setMode((m) => (m === 'experiment' ? 'ask' : 'experiment'))}
+            title="Repeat runs of two or more configurations and compare them statistically"
+            aria-pressed={mode === 'experiment'}
+          >
+            Experiment
+          </button>
+          <button
+            type="button"
+            className="header-btn"
+            onClick={() => cassetteInputRef.current?.click()}
+            disabled={isRunning}
+            title="Replay a recorded cassette offline"
+          >
+            Replay
+          </button>
+          <input ref={cassetteInputRef} type="file" accept=".json,application/json" onChange={handleCassetteFile} hidden />
+          <button
+            type="button"
+            className="header-btn"
+            onClick={() => importInputRef.current?.click()}
+            disabled={isRunning}
+            title="Open an exported run (JSON) read-only"
+          >
+            Import run
+          </button>
+          <input ref={importInputRef} type="file" accept=".json,application/json" onChange={handleImportFile} hidden />
+          <button
+            type="button"
+            className="header-btn"
+            onClick={() => setPromptsOpen(true)}
+            title="Edit and version the frameworks' prompt templates"
+          >
+            Prompts
+          </button>
+          <button
+            type="button"
+            className="header-btn"
+            onClick={() => setDocsOpen(true)}
+            title="Documents searched by the docs tool"
+          >
+            Docs
+          </button>
           <button
             type="button"
             className="header-btn"
@@ -154,50 +469,25 @@ function App() {
         </div>
       </header>
 
-      {/* ── History overlay ───────────────────────────── */}
-      {historyOpen && (
-        <div
-          className="history-overlay"
-          role="dialog"
-          aria-modal="true"
-          aria-labelledby="history-title"
-          onClick={(e) => e.target === e.currentTarget && setHistoryOpen(false)}
-        >
-          <div className="history-modal" onClick={(e) => e.stopPropagation()}>
-            <div className="history-header">
-              <h3 id="history-title">Run history</h3>
-              <button type="button" className="settings-close" onClick={handleCloseHistory} aria-label="Close history">&times;</button>
-            </div>
-            <div className="history-body">
-              {runHistory.length === 0 ? (
-                <p className="history-empty">No runs yet. Complete a run to see it here.</p>
-              ) : (
-                <ul className="history-list">
-                  {runHistory.map((run) => (
-                    <li key={run.id} className="history-item">
-                      <div className="history-item-question" title={run.question}>
-                        {run.question.length > 70 ? run.question.slice(0, 70) + '…' : run.question}
-                      </div>
-                      <div className="history-item-meta">
-                        {new Date(run.timestamp).toLocaleString()} · {run.model}
-                      </div>
-                      <div className="history-item-answers">
-                        {Object.entries(run.results || {}).map(([fw, r]) => (
-                          r?.answer != null ? (
-                            <span key={fw} className="history-fw-answer"><strong>{r.framework}:</strong> {(String(r.answer).length > 40 ? String(r.answer).slice(0, 40) + '…' : r.answer)}</span>
-                          ) : r?.error ? (
-                            <span key={fw} className="history-fw-error"><strong>{fw}:</strong> error</span>
-                          ) : null
-                        ))}
-                      </div>
-                    </li>
-                  ))}
-                </ul>
-              )}
-            </div>
-          </div>
-        </div>
-      )}
+      {/* ── History ───────────────────────────────────── */}
+      <HistoryModal
+        isOpen={historyOpen}
+        onClose={handleCloseHistory}
+        onOpen={handleOpenRun}
+        onRerun={(summary, trace) => handleRerun(trace?.config || summary)}
+        disabled={isRunning}
+      />
+
+      {/* ── Knowledge base ──────────────────────────── */}
+      <DocsModal isOpen={docsOpen} onClose={handleCloseDocs} />
+
+      {/* ── Prompt templates ────────────────────────── */}
+      <PromptsModal
+        isOpen={promptsOpen}
+        onClose={handleClosePrompts}
+        library={promptLibrary}
+        onChange={handlePromptLibraryChange}
+      />
 
       {/* ── Settings Modal ──────────────────────────── */}
       <SettingsModal
@@ -209,54 +499,84 @@ function App() {
 
       {/* ── Main Content ────────────────────────────── */}
       <main className="app-main">
-        <QuestionBar
-          question={question}
-          onQuestionChange={setQuestion}
-          selected={selected}
-          onToggleFramework={toggleFramework}
-          onSubmit={handleSubmit}
-          isRunning={isRunning}
-          apiKeySet={!!settings.apiKey.trim()}
-        />
-
-        {/* Results area */}
-        {config && (
-          <div className="results-area">
-            <div className="results-toolbar">
-              <span className="results-question">{config.question}</span>
-              {isRunning && (
-                <button className="stop-btn" onClick={handleStop} title="Stop all running frameworks">
-                  <span className="stop-icon">■</span> Stop
-                </button>
-              )}
-              {!isRunning && (
-                <button className="new-question-btn" onClick={handleNewQuestion}>
-                  New Question
+        {/* Every mode stays mounted so switching keeps its results */}
+        <div hidden={mode !== 'benchmark'}>
+          <BenchmarkRunner
+            runConfig={runConfig}
+            selected={selected}
+            onToggleFramework={toggleFramework}
+            apiKeySet={connectionReady}
+          />
+        </div>
+        <div hidden={mode !== 'experiment'}>
+          <ExperimentRunner
+            runConfig={runConfig}
+            models={experimentModels}
+            promptLibrary={promptLibrary}
+          />
+        </div>
+        <div hidden={mode !== 'ask'}>
+          {launchError && <div className="error-banner">{launchError}</div>}
+          <QuestionBar
+            question={question}
+            onQuestionChange={setQuestion}
+            selected={selected}
+            onToggleFramework={toggleFramework}
+            onSelectFrameworks={selectFrameworks}
+            onSubmit={handleSubmit}
+            isRunning={isRunning}
+            apiKeySet={connectionReady}
+            model={settings.model}
+            modelTargets={settings.modelTargets}
+            onToggleModel={toggleModelTarget}
+          />
+
+          {/* Results area */}
+          {config && (
+            <div className="results-area">
+              <div className="results-toolbar">
+                <span className="results-question">{config.question}</span>
+                {isRunning && (
+                  <button className="stop-btn" onClick={handleStop} title="Stop all running frameworks">
+                    <span className="stop-icon">■</span> Stop
+                  </button>
+                )}
+                {!isRunning && (
+                  <button className="new-question-btn" onClick={handleNewQuestion}>
+                    New Question
+                  </button>
+                )}
+              </div>
+              <FrameworkRunner
+                key={runKey}
+                config={config}
+                onDone={handleDone}
+                stopRef={stopRef}
+                savedRun={savedRun}
+                onRerun={handleRerun}
+              />
+            </div>
+          )}
+
+          {/* Empty state */}
+          {!config && (
+            <div className="empty-state">
+              <div className="empty-icon">
+                <svg width="48" height="48" viewBox="0 0 24 24" fill="none" stroke="var(--accent)" strokeWidth="1" strokeLinecap="round" strokeLinejoin="round" opacity="0.5">
+                  <circle cx="12" cy="12" r="10" />
+                  <path d="M9.09 9a3 3 0 0 1 5.83 1c0 2-3 3-3 3" />
+                  <line x1="12" y1="17" x2="12.01" y2="17" />
+                </svg>
+              </div>
+              <p>Enter a question and run to compare reasoning frameworks side-by-side</p>
+              {!connectionReady && (
+                <button className="empty-settings-btn" onClick={() => setSettingsOpen(true)}>
+                  Set API Key
                 </button>
               )}
             </div>
-            <FrameworkRunner key={runKey} config={config} onDone={handleDone} stopRef={stopRef} />
-          </div>
-        )}
-
-        {/* Empty state */}
-        {!config && (
-          <div className="empty-state">
-            <div className="empty-icon">
-              <svg width="48" height="48" viewBox="0 0 24 24" fill="none" stroke="var(--accent)" strokeWidth="1" strokeLinecap="round" strokeLinejoin="round" opacity="0.5">
-                <circle cx="12" cy="12" r="10" />
-                <path d="M9.09 9a3 3 0 0 1 5.83 1c0 2-3 3-3 3" />
-                <line x1="12" y1="17" x2="12.01" y2="17" />
-              </svg>
-            </div>
-            <p>Enter a question and run to compare reasoning frameworks side-by-side</p>
-            {!settings.apiKey && (
-              <button className="empty-settings-btn" onClick={() => setSettingsOpen(true)}>
-                Set API Key
-              </button>
-            )}
-          </div>
-        )}
+          )}
+        </div>
       </main>
     </div>
   );
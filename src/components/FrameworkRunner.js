@@ -3,38 +3,90 @@
  *
  * Responsibilities:
  * - Launches selected frameworks concurrently with a shared AbortController
- * - Tracks per-framework progress (streaming steps) and final results
- * - Persists run history to localStorage (last N runs)
+ * - Tracks per-framework progress (streaming steps) and final results;
+ *   events with a `streamKey` replace the earlier event with the same key,
+ *   so token-by-token partial text updates in place
+ * - Saves every finished run (full results) to the IndexedDB run history
+ * - Shows a saved or imported run read-only (`savedRun`), with a re-run button
+ * - Records every LLM/tool call to a downloadable cassette (`config.record`),
+ *   or replays a cassette offline (`config.cassette`)
+ * - Enforces run-wide and per-framework token / cost / call budgets
+ *   (`config.budgets`) and shows their live meters
+ * - Fact-checks the answers of the frameworks listed in `config.verify` with
+ *   Chain-of-Verification before showing their results
+ * - Runs every framework once per model when `config.models` lists several
+ *   (a framework × model matrix), with one tab of panels per model
  * - Exposes a stop handle to parent via `stopRef`
  * - Renders framework panels + comparison table when complete
  *
  * @param {object}  props
- * @param {object}  props.config  - { question, apiKey, model, frameworks, nSamples, showCostEstimate }
+ * @param {object}  props.config  - { question, apiKey, provider, baseUrl, model, frameworks, nSamples, stream,
+ *                                   cotMode, cotTemperature, cotExemplars, cotAutoPool,
+ *                                   cotAggregation, cotAdaptive, cotConfidence, cotVoteWeighting,
+ *                                   rewooConcurrency, totSearch, totBreadth, totBeamWidth, totMaxDepth, reflexionMaxTrials,
+ *                                   debateAgents, debateRounds, debateSettle, debateModels, routerLLM, verify, verifyTool,
+ *                                   showCostEstimate, record, cassette, budgets: { run, framework }, prompts, models? }
  * @param {function} props.onDone - Called when all frameworks finish (or are stopped)
  * @param {object}  props.stopRef - React ref; `.current` is set to a stop callback
+ * @param {object}  [props.savedRun] - { timestamp, results, fileName? } of a saved (history) or
+ *                                     imported (`fileName`) run to display instead of running
+ * @param {function} [props.onRerun] - Called with `config` to run a saved run's configuration again
  */
-import React, { useState, useCallback, useEffect, useRef } from 'react';
+import React, { useState, useCallback, useEffect, useMemo, useRef } from 'react';
 import { runCoT } from '../frameworks/cot';
 import { runReAct } from '../frameworks/react';
 import { runReWOO } from '../frameworks/rewoo';
 import { runPlanExecute } from '../frameworks/planExecute';
+import { runToT } from '../frameworks/tot';
+import { runReflexion } from '../frameworks/reflexion';
+import { runPoT } from '../frameworks/pot';
+import { runSelfAsk } from '../frameworks/selfAsk';
+import { runDebate } from '../frameworks/debate';
+import { runAuto, ROUTABLE_FRAMEWORKS } from '../frameworks/router';
+import { shouldVerify, verifyResult } from '../frameworks/verification';
 import CotPanel from './cot/CotPanel';
 import ReactPanel from './react-agent/ReactPanel';
 import RewooPanel from './rewoo/RewooPanel';
 import PlanExecPanel from './plan-execute/PlanExecPanel';
+import TotPanel from './tot/TotPanel';
+import ReflexionPanel from './reflexion/ReflexionPanel';
+import PotPanel from './pot/PotPanel';
+import SelfAskPanel from './self-ask/SelfAskPanel';
+import DebatePanel from './debate/DebatePanel';
+import AutoPanel from './auto/AutoPanel';
 import ResultsComparison from './ResultsComparison';
-import { STORAGE_KEYS, RUN_HISTORY_MAX } from '../utils/constants';
+import MatrixComparison from './MatrixComparison';
+import { createRecordTransport, createReplayTransport } from '../frameworks/transport';
+import { createBudget, hasLimits, isBudgetExceeded } from '../frameworks/budget';
+import BudgetMeter from './shared/BudgetMeter';
+import { saveRun, persistableConfig } from '../utils/runHistory';
+import { buildRunExport } from '../utils/runExport';
+import { isMatrixConfig, runCells, modelLabel } from '../utils/modelMatrix';
 
 // ── Framework registry ───────────────────────────────────────────
 // Maps framework IDs to their runner functions, extra options builders,
 // display names, progress adapters, and panel components.
+// Progress adapters tag streamed events with a `streamKey` so partial
+// text and the final event for the same LLM turn share one progress slot.
+// Also used by BenchmarkRunner to run frameworks headlessly.
 
-const REGISTRY = {
+export const REGISTRY = {
   cot: {
     run: runCoT,
-    extraOpts: (cfg) => ({ nSamples: cfg.nSamples }),
-    onProgress: (updateProgress, fw) => (i, path) => {
-      updateProgress(fw, { type: 'path', index: i, content: path });
+    extraOpts: (cfg) => ({
+      nSamples: cfg.nSamples,
+      mode: cfg.cotMode,
+      temperature: cfg.cotTemperature,
+      exemplars: cfg.cotExemplars,
+      autoPool: cfg.cotAutoPool,
+      aggregation: cfg.cotAggregation,
+      adaptive: !!cfg.cotAdaptive,
+      confidenceThreshold: cfg.cotConfidence,
+      voteWeighting: cfg.cotVoteWeighting,
+    }),
+    onProgress: (updateProgress, fw) => (i, path, partial = false, check) => {
+      if (check) updateProgress(fw, { type: 'consensus', ...check });
+      else updateProgress(fw, { type: 'path', index: i, content: path, partial, streamKey: `path-${i}` });
     },
     name: 'CoT',
     Panel: CotPanel,
@@ -42,42 +94,160 @@ const REGISTRY = {
   react: {
     run: runReAct,
     extraOpts: () => ({}),
-    onProgress: (updateProgress, fw) => (step) => updateProgress(fw, step),
+    onProgress: (updateProgress, fw) => (step) => updateProgress(fw, step.type === 'llm'
+      ? { ...step, streamKey: `llm-${step.turn}` }
+      : step),
     name: 'ReAct',
     Panel: ReactPanel,
   },
   rewoo: {
     run: runReWOO,
-    extraOpts: () => ({}),
-    onProgress: (updateProgress, fw) => (step) => updateProgress(fw, step),
+    extraOpts: (cfg) => ({ maxConcurrency: cfg.rewooConcurrency }),
+    // 'graph' events are full DAG snapshots, so they replace each other too
+    onProgress: (updateProgress, fw) => (step) => updateProgress(fw, ['plan', 'graph', 'solve'].includes(step.phase)
+      ? { ...step, streamKey: step.phase }
+      : step),
     name: 'ReWOO',
     Panel: RewooPanel,
   },
   'plan-execute': {
     run: runPlanExecute,
     extraOpts: () => ({}),
-    onProgress: (updateProgress, fw) => (step) => updateProgress(fw, step),
+    onProgress: (updateProgress, fw) => (step) => {
+      if (step.phase === 'plan') return updateProgress(fw, { ...step, streamKey: 'plan' });
+      if (step.phase === 'execute-partial') return updateProgress(fw, { ...step, streamKey: `exec-${step.data.stepIndex}` });
+      return updateProgress(fw, step);
+    },
     name: 'Plan-Execute',
     Panel: PlanExecPanel,
   },
+  tot: {
+    run: runToT,
+    extraOpts: (cfg) => ({
+      search: cfg.totSearch,
+      breadth: cfg.totBreadth,
+      beamWidth: cfg.totBeamWidth,
+      maxDepth: cfg.totMaxDepth,
+    }),
+    // Each 'tree' event is a full snapshot, so it replaces the previous one
+    onProgress: (updateProgress, fw) => (step) => updateProgress(fw, step.phase === 'tree'
+      ? { ...step, streamKey: 'tree' }
+      : step),
+    name: 'ToT',
+    Panel: TotPanel,
+  },
+  reflexion: {
+    run: runReflexion,
+    extraOpts: (cfg) => ({ maxTrials: cfg.reflexionMaxTrials }),
+    onProgress: (updateProgress, fw) => (step) => updateProgress(fw, step.type === 'llm'
+      ? { ...step, streamKey: `t${step.trial}-llm-${step.turn}` }
+      : step),
+    name: 'Reflexion',
+    Panel: ReflexionPanel,
+  },
+  pot: {
+    run: runPoT,
+    extraOpts: () => ({}),
+    onProgress: (updateProgress, fw) => (step) => updateProgress(fw, step.phase === 'program'
+      ? { ...step, streamKey: `program-${step.data.attempt}` }
+      : step),
+    name: 'PoT',
+    Panel: PotPanel,
+  },
+  'self-ask': {
+    run: runSelfAsk,
+    extraOpts: () => ({}),
+    onProgress: (updateProgress, fw) => (step) => updateProgress(fw, step.phase === 'reason'
+      ? { ...step, streamKey: `reason-${step.data.turn}` }
+      : step),
+    name: 'Self-Ask',
+    Panel: SelfAskPanel,
+  },
+  debate: {
+    run: runDebate,
+    extraOpts: (cfg) => ({
+      agents: cfg.debateAgents,
+      rounds: cfg.debateRounds,
+      settle: cfg.debateSettle,
+      agentModels: cfg.debateModels,
+    }),
+    onProgress: (updateProgress, fw) => (step) => updateProgress(fw, step.phase === 'response'
+      ? { ...step, streamKey: `r${step.data.round}-a${step.data.agent}` }
+      : step),
+    name: 'Debate',
+    Panel: DebatePanel,
+  },
 };
 
-export default function FrameworkRunner({ config, onDone, stopRef }) {
-  const { question, apiKey, model, frameworks, nSamples } = config;
+// Native function-calling variants share the runner and panel of their
+// text-protocol counterpart, so both can be compared in the same run.
+REGISTRY['react-fc'] = {
+  ...REGISTRY.react,
+  extraOpts: () => ({ toolMode: 'native' }),
+  name: 'ReAct (FC)',
+};
+REGISTRY['plan-execute-fc'] = {
+  ...REGISTRY['plan-execute'],
+  extraOpts: () => ({ toolMode: 'native' }),
+  name: 'Plan-Execute (FC)',
+};
+
+function RoutedPanel(props) {
+  return <AutoPanel {...props} registry={REGISTRY} />;
+}
 
-  const [results, setResults] = useState({});
+// The Auto framework routes the question to one of the frameworks above
+// (see frameworks/router) and runs it with that framework's own options and
+// progress adapter; its events land in the Auto cell.
+REGISTRY.auto = {
+  run: runAuto,
+  extraOpts: (cfg) => ({
+    useLLM: cfg.routerLLM !== false,
+    runners: Object.fromEntries(ROUTABLE_FRAMEWORKS.map((id) => [id, (question, opts, onProgress) => {
+      const entry = REGISTRY[id];
+      return entry.run(question, { ...opts, ...entry.extraOpts(cfg) }, onProgress && entry.onProgress((_key, data) => onProgress(data), id));
+    }])),
+  }),
+  onProgress: (updateProgress, fw) => (event) => updateProgress(fw, event),
+  name: 'Auto',
+  Panel: RoutedPanel,
+};
+
+export default function FrameworkRunner({ config, onDone, stopRef, savedRun, onRerun }) {
+  const { question } = config;
+  // One cell per framework, or per framework × model in a matrix run;
+  // results, progress and budgets are keyed by cell
+  const matrix = isMatrixConfig(config);
+  const cells = useMemo(() => runCells(config), [config]);
+
+  const [results, setResults] = useState(() => savedRun?.results || {});
   const [progress, setProgress] = useState({});
-  const [running, setRunning] = useState(true);
+  const [running, setRunning] = useState(!savedRun);
   const [error, setError] = useState(null);
   const [stopped, setStopped] = useState(false);
   const persistedRef = useRef(false);
   const controllerRef = useRef(null);
+  const transportRef = useRef(null);
+  const [unusedReplays, setUnusedReplays] = useState(0);
+  // Live budget snapshots: run-wide, and per cell
+  const [runBudget, setRunBudget] = useState(null);
+  const [budgets, setBudgets] = useState({});
+  // Live Chain-of-Verification snapshots, per cell, until the result arrives
+  const [verifying, setVerifying] = useState({});
+  // Matrix runs: index of the model whose panels are shown
+  const [modelTab, setModelTab] = useState(0);
 
   const updateProgress = useCallback((fw, data) => {
-    setProgress((prev) => ({
-      ...prev,
-      [fw]: [...(prev[fw] || []), data],
-    }));
+    setProgress((prev) => {
+      const events = prev[fw] || [];
+      const existing = data.streamKey != null
+        ? events.findIndex((e) => e.streamKey === data.streamKey)
+        : -1;
+      if (existing === -1) return { ...prev, [fw]: [...events, data] };
+      const next = [...events];
+      next[existing] = data;
+      return { ...prev, [fw]: next };
+    });
   }, []);
 
   // Expose stop function to parent via stopRef
@@ -100,39 +270,84 @@ export default function FrameworkRunner({ config, onDone, stopRef }) {
 
   // ── Launch all selected frameworks in parallel ───────────────
   useEffect(() => {
+    if (savedRun) return undefined;
     let cancelled = false;
     const controller = new AbortController();
     controllerRef.current = controller;
     const signal = controller.signal;
+    const transport = config.cassette
+      ? createReplayTransport(config.cassette)
+      : config.record ? createRecordTransport() : undefined;
+    transportRef.current = transport;
+    // Run-wide budget, charged by every framework's own budget
+    const runLimits = config.budgets?.run;
+    const frameworkLimits = config.budgets?.framework;
+    const sharedBudget = hasLimits(runLimits)
+      ? createBudget(runLimits, { onChange: (snap) => { if (!cancelled) setRunBudget(snap); } })
+      : null;
 
     function isAbort(e) {
       return e.name === 'AbortError' || e.message?.includes('aborted');
     }
 
     async function run() {
-      const promises = frameworks
-        .filter((fw) => REGISTRY[fw])
-        .map((fw) => {
-          const entry = REGISTRY[fw];
-          const opts = { apiKey, model, signal, ...entry.extraOpts(config) };
+      const promises = cells
+        .filter((cell) => REGISTRY[cell.frameworkId])
+        .map(({ key, frameworkId, target }) => {
+          const entry = REGISTRY[frameworkId];
+          const budget = sharedBudget || hasLimits(frameworkLimits)
+            ? createBudget(frameworkLimits || {}, {
+              scope: matrix ? `${entry.name} · ${modelLabel(target, config.models)}` : entry.name,
+              parent: sharedBudget,
+              onChange: (snap) => { if (!cancelled) setBudgets((p) => ({ ...p, [key]: snap })); },
+            })
+            : undefined;
+          // Keep the final meter with the result (history, export); flag results
+          // a budget cut short even where the framework recovered on its own
+          const withBudget = (r) => {
+            if (!budget) return r;
+            const snap = budget.snapshot();
+            return snap.exceeded && !r.budgetExceeded
+              ? { ...r, budget: snap, budgetExceeded: true, error: r.error || snap.exceeded }
+              : { ...r, budget: snap };
+          };
+          const opts = {
+            apiKey: target.apiKey,
+            model: target.model,
+            provider: target.provider,
+            baseUrl: target.baseUrl,
+            stream: !!config.stream,
+            signal,
+            transport,
+            budget,
+            prompts: config.prompts,
+            ...entry.extraOpts(config),
+          };
           const progressCb = entry.onProgress(
-            (fwId, data) => { if (!cancelled) updateProgress(fwId, data); },
-            fw
+            (cellKey, data) => { if (!cancelled) updateProgress(cellKey, data); },
+            key
           );
 
           return entry.run(question, opts, progressCb)
+            .then((r) => (shouldVerify(config, frameworkId)
+              ? verifyResult(question, r, { ...opts, tool: config.verifyTool }, ({ data }) => {
+                if (!cancelled) setVerifying((p) => ({ ...p, [key]: data }));
+              })
+              : r))
             .then((r) => {
-              if (!cancelled) setResults((p) => ({ ...p, [fw]: r }));
+              if (!cancelled) setResults((p) => ({ ...p, [key]: withBudget(r) }));
             })
             .catch((e) => {
               if (cancelled) return;
               if (isAbort(e)) {
                 setResults((p) => ({
                   ...p,
-                  [fw]: p[fw] || { error: 'Stopped by user', stopped: true, framework: entry.name },
+                  [key]: p[key] || { error: 'Stopped by user', stopped: true, framework: entry.name },
                 }));
+              } else if (isBudgetExceeded(e)) {
+                setResults((p) => ({ ...p, [key]: withBudget({ error: e.message, budgetExceeded: true, framework: entry.name }) }));
               } else {
-                setResults((p) => ({ ...p, [fw]: { error: e.message, framework: entry.name } }));
+                setResults((p) => ({ ...p, [key]: { error: e.message, framework: entry.name } }));
               }
             });
         });
@@ -143,6 +358,7 @@ export default function FrameworkRunner({ config, onDone, stopRef }) {
         if (!cancelled && !isAbort(e)) setError(e.message);
       }
       if (!cancelled) {
+        if (transport?.mode === 'replay') setUnusedReplays(transport.unused());
         setRunning(false);
         if (onDone) onDone();
       }
@@ -160,44 +376,15 @@ export default function FrameworkRunner({ config, onDone, stopRef }) {
   const completedResults = Object.values(results).filter((r) => r && !r.error);
 
   useEffect(() => {
-    const allDone = frameworks.every((fw) => results[fw] !== undefined);
-    if (running || completedResults.length === 0 || !allDone || persistedRef.current) return;
+    const allDone = cells.every((cell) => results[cell.key] !== undefined);
+    if (savedRun || running || completedResults.length === 0 || !allDone || persistedRef.current) return;
     persistedRef.current = true;
-
-    const runRecord = {
-      id: Date.now(),
-      question,
-      model,
-      timestamp: new Date().toISOString(),
-      frameworks: [...frameworks],
-      results: Object.fromEntries(
-        Object.entries(results).map(([k, r]) => [
-          k,
-          r && !r.error
-            ? { framework: r.framework, answer: r.answer ?? r.finalAnswer, total_tokens: r.usage?.total_tokens, timeMs: r.timeMs }
-            : { error: r?.error },
-        ])
-      ),
-    };
-
-    try {
-      const raw = localStorage.getItem(STORAGE_KEYS.runHistory);
-      const list = raw ? JSON.parse(raw) : [];
-      const next = [runRecord, ...list].slice(0, RUN_HISTORY_MAX);
-      localStorage.setItem(STORAGE_KEYS.runHistory, JSON.stringify(next));
-    } catch (_) { /* localStorage may be full or disabled */ }
-  }, [running, question, model, frameworks, results, completedResults.length]);
+    saveRun(config, results).catch((err) => console.warn('Could not save run history:', err.message));
+  }, [savedRun, running, config, cells, results, completedResults.length]);
 
   // ── Export handler ───────────────────────────────────────────
   const handleExportRun = useCallback(() => {
-    const payload = {
-      question,
-      model,
-      nSamples,
-      frameworks: [...frameworks],
-      timestamp: new Date().toISOString(),
-      results,
-    };
+    const payload = buildRunExport(config, results, savedRun?.timestamp || undefined);
     const blob = new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
@@ -205,25 +392,91 @@ export default function FrameworkRunner({ config, onDone, stopRef }) {
     a.download = `thinking-frameworks-run-${Date.now()}.json`;
     a.click();
     URL.revokeObjectURL(url);
-  }, [question, model, nSamples, frameworks, results]);
+  }, [config, results, savedRun]);
+
+  // ── Cassette download (record mode) ──────────────────────────
+  const handleDownloadCassette = useCallback(() => {
+    const transport = transportRef.current;
+    if (transport?.mode !== 'record') return;
+    // Everything needed to re-run the same configuration, minus credentials;
+    // replaying Auto-CoT clusters the same question pool again
+    const cassette = transport.toCassette({
+      ...persistableConfig(config),
+      ...(config.cotAutoPool && { cotAutoPool: config.cotAutoPool }),
+    });
+    const blob = new Blob([JSON.stringify(cassette, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `thinking-frameworks-cassette-${Date.now()}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+  }, [config]);
 
   const showResults = !running && (completedResults.length > 0 || stopped);
+  const visibleCells = matrix ? cells.filter((cell) => cell.modelIndex === modelTab) : cells;
 
   // ── Render ───────────────────────────────────────────────────
   return (
     <div className="framework-runner">
       {error && <div className="error-banner">{error}</div>}
+      {savedRun && (
+        <div className="replay-banner saved-run-banner">
+          <span>
+            {savedRun.fileName ? `Imported run ${savedRun.fileName}` : 'Saved run'}
+            {savedRun.timestamp && ` from ${new Date(savedRun.timestamp).toLocaleString()}`} · read-only
+          </span>
+          {onRerun && (
+            <button type="button" className="export-run-btn" onClick={() => onRerun(config)}>
+              Re-run with same config
+            </button>
+          )}
+        </div>
+      )}
+      {config.cassette && (
+        <div className="replay-banner">
+          Replaying recorded run ({config.cassette.interactions.length} interactions, recorded {new Date(config.cassette.createdAt).toLocaleString()})
+          {!running && unusedReplays > 0 && ` · ${unusedReplays} recorded interaction${unusedReplays !== 1 ? 's were' : ' was'} not replayed`}
+        </div>
+      )}
+
+      {runBudget && <BudgetMeter budget={runBudget} label="Run budget" />}
+
+      {matrix && (
+        <div className="model-tabs" role="tablist" aria-label="Model">
+          {config.models.map((target, i) => {
+            const modelCells = cells.filter((cell) => cell.modelIndex === i);
+            const done = modelCells.filter((cell) => results[cell.key] !== undefined).length;
+            return (
+              <button
+                key={i}
+                type="button"
+                role="tab"
+                aria-selected={modelTab === i}
+                className={`model-tab${modelTab === i ? ' model-tab-active' : ''}`}
+                onClick={() => setModelTab(i)}
+              >
+                {modelLabel(target, config.models)}
+                <span className="model-tab-count">{done}/{modelCells.length}</span>
+              </button>
+            );
+          })}
+        </div>
+      )}
 
-      <div className={`panels-grid panels-grid-${frameworks.length}`}>
-        {frameworks.map((fw) => {
-          const entry = REGISTRY[fw];
+      <div className={`panels-grid panels-grid-${visibleCells.length}`}>
+        {visibleCells.map(({ key, frameworkId }) => {
+          const entry = REGISTRY[frameworkId];
           if (!entry) return null;
           const Panel = entry.Panel;
           return (
             <Panel
-              key={fw}
-              result={results[fw]}
-              progress={progress[fw] || []}
+              key={key}
+              frameworkId={frameworkId}
+              result={results[key]}
+              progress={progress[key] || []}
+              budget={budgets[key]}
+              verification={results[key] ? results[key].verification : verifying[key]}
             />
           );
         })}
@@ -235,8 +488,15 @@ export default function FrameworkRunner({ config, onDone, stopRef }) {
             <button type="button" className="export-run-btn" onClick={handleExportRun}>
               Export run (JSON)
             </button>
+            {config.record && !config.cassette && (
+              <button type="button" className="export-run-btn" onClick={handleDownloadCassette}>
+                Download cassette
+              </button>
+            )}
           </div>
-          <ResultsComparison results={results} config={config} />
+          {matrix
+            ? <MatrixComparison results={results} config={config} />
+            : <ResultsComparison results={results} config={config} live={!savedRun} />}
         </>
       )}
     </div>
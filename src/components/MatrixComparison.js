@@ -0,0 +1,160 @@
+/**
+ * MatrixComparison — framework × model table shown after a multi-model run.
+ *
+ * Rows are frameworks and columns are models. Each cell shows the model's
+ * answer with its tokens, estimated cost and time, and whether it agrees
+ * with the majority answer of the models for that framework. A totals row
+ * and an "Insights" section (cheapest model that agreed with the majority,
+ * fastest model, frameworks the models disagree on) follow.
+ *
+ * @param {object} props
+ * @param {object} props.results - Map of cell key (see modelMatrix) → result object
+ * @param {object} props.config  - Matrix run configuration (`frameworks`, `models`)
+ */
+import React from 'react';
+import { FRAMEWORKS, PROVIDERS } from '../utils/constants';
+import { analyzeMatrix, cellKey, targetCost } from '../utils/modelMatrix';
+
+function formatCost(usd, target) {
+  if (PROVIDERS.find((p) => p.id === target.provider)?.local) return 'local';
+  return `$${usd.toFixed(4)}`;
+}
+
+function formatTime(ms) {
+  return ms ? `${(ms / 1000).toFixed(1)}s` : '—';
+}
+
+function truncate(text, max) {
+  return text.length > max ? `${text.slice(0, max)}…` : text;
+}
+
+/** One framework × model cell: answer, agreement mark and stats. */
+function MatrixCell({ result, answer, target, agreement }) {
+  if (!result) return <td className="matrix-cell answer-cell-null">—</td>;
+  return (
+    <td className={`matrix-cell${agreement ? ` matrix-cell-${agreement}` : ''}`}>
+      <div className={`matrix-answer${answer == null ? ' answer-cell-null' : ''}`} title={answer ?? result.error ?? undefined}>
+        {answer != null ? truncate(answer, 80) : result.error ? 'Error' : 'No answer'}
+      </div>
+      {agreement && (
+        <div className="matrix-agreement">{agreement === 'agree' ? '✓ majority' : '≠ majority'}</div>
+      )}
+      <div className="matrix-stats">
+        {(result.usage?.total_tokens || 0).toLocaleString()} tok · {formatCost(targetCost(result.usage, target), target)} · {formatTime(result.timeMs)}
+      </div>
+    </td>
+  );
+}
+
+export default function MatrixComparison({ results, config }) {
+  const { frameworks, models: targets } = config;
+  const { majorities, models } = analyzeMatrix(results, config);
+  const frameworkLabel = (fw) => FRAMEWORKS.find((f) => f.id === fw)?.label || fw;
+
+  const insights = [];
+
+  // Cheapest model that agreed with the majority wherever there was one
+  const consistent = models
+    .map((m, i) => ({ ...m, target: targets[i] }))
+    .filter((m) => m.compared > 0 && m.agreed === m.compared)
+    .sort((a, b) => a.cost - b.cost || a.tokens - b.tokens);
+  if (consistent.length > 0) {
+    const best = consistent[0];
+    insights.push(
+      <li key="cheapest-agreeing">
+        <strong>{best.label}</strong> was the cheapest model that agreed with the majority on every framework it
+        answered ({formatCost(best.cost, best.target)}, {best.tokens.toLocaleString()} tokens).
+      </li>
+    );
+  } else if (models.some((m) => m.compared > 0)) {
+    insights.push(<li key="cheapest-agreeing">No model agreed with the majority on every framework.</li>);
+  }
+
+  // Fastest model, by total framework time
+  const timed = models.filter((m) => m.answered > 0 && m.timeMs > 0);
+  if (timed.length > 1) {
+    const fastest = [...timed].sort((a, b) => a.timeMs - b.timeMs)[0];
+    insights.push(
+      <li key="fastest">
+        <strong>{fastest.label}</strong> was fastest ({formatTime(fastest.timeMs)} summed over frameworks).
+      </li>
+    );
+  }
+
+  // Frameworks where the models' answers differ
+  const contested = frameworks.filter((fw) => {
+    const { majority, agrees, answers } = majorities[fw];
+    const answered = answers.filter((a) => a != null).length;
+    return answered > 1 && (majority == null || answers.some((a, i) => a != null && !agrees[i]));
+  });
+  const answeredByAll = frameworks.filter((fw) => majorities[fw].answers.every((a) => a != null));
+  if (contested.length > 0) {
+    insights.push(
+      <li key="contested">
+        Models disagreed on <strong>{contested.map(frameworkLabel).join(', ')}</strong> — worth investigating!
+      </li>
+    );
+  } else if (answeredByAll.length > 0) {
+    insights.push(<li key="contested">Every model agreed on each framework&apos;s answer.</li>);
+  }
+
+  const failed = Object.values(results).filter((r) => r?.error).length;
+  if (failed > 0) {
+    insights.push(
+      <li key="failed">
+        {failed} framework × model run{failed > 1 ? 's' : ''} failed to produce an answer.
+      </li>
+    );
+  }
+
+  return (
+    <div className="results-comparison">
+      <h3>Comparison across models</h3>
+      <div className="matrix-scroll">
+        <table className="comparison-table matrix-table">
+          <thead>
+            <tr>
+              <th>Framework</th>
+              {models.map((m, i) => <th key={i}>{m.label}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {frameworks.map((fw) => {
+              const { majority, agrees, answers } = majorities[fw];
+              return (
+                <tr key={fw}>
+                  <td className="fw-cell">{frameworkLabel(fw)}</td>
+                  {targets.map((target, i) => (
+                    <MatrixCell
+                      key={i}
+                      result={results[cellKey(fw, i)]}
+                      answer={answers[i]}
+                      target={target}
+                      agreement={majority != null && answers[i] != null ? (agrees[i] ? 'agree' : 'differ') : null}
+                    />
+                  ))}
+                </tr>
+              );
+            })}
+            <tr className="matrix-totals">
+              <td className="fw-cell">Total</td>
+              {models.map((m, i) => (
+                <td key={i} className="matrix-stats">
+                  {m.tokens.toLocaleString()} tok · {formatCost(m.cost, targets[i])} · {formatTime(m.timeMs)}
+                  <div>{m.compared > 0 ? `${m.agreed}/${m.compared} with majority` : `${m.answered}/${frameworks.length} answered`}</div>
+                </td>
+              ))}
+            </tr>
+          </tbody>
+        </table>
+      </div>
+
+      {insights.length > 0 && (
+        <div className="comparison-insights">
+          <h4>Insights</h4>
+          <ul>{insights}</ul>
+        </div>
+      )}
+    </div>
+  );
+}
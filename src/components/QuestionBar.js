@@ -1,26 +1,49 @@
 /**
- * QuestionBar — input area with framework selection pills and sample questions.
+ * QuestionBar — input area with framework selection pills, model pills for
+ * matrix runs, and sample questions.
+ *
+ * As a question is typed, the router (see frameworks/router) classifies it
+ * with its free heuristics and suggests frameworks, with the reason and a
+ * button that selects them; it also shows how often the router's pick has
+ * matched the best-scoring framework so far (see utils/routerStats).
  *
  * @param {object}  props
  * @param {string}  props.question          - Current question text
  * @param {function} props.onQuestionChange - Sets question text
  * @param {Set}     props.selected          - Selected framework IDs
  * @param {function} props.onToggleFramework - Toggles a framework on/off
+ * @param {function} props.onSelectFrameworks - Replaces the selection with the given framework IDs
  * @param {function} props.onSubmit         - Fires when user submits
  * @param {boolean} props.isRunning         - Disables input while running
  * @param {boolean} props.apiKeySet         - Whether API key is configured
+ * @param {string}  props.model             - Primary model ID
+ * @param {Array}   props.modelTargets      - Extra models saved in Settings
+ * @param {function} props.onToggleModel    - Toggles an extra model on/off
  */
-import React, { useRef, useEffect } from 'react';
+import React, { useRef, useEffect, useMemo } from 'react';
+import FrameworkPills from './shared/FrameworkPills';
+import ModelPills from './shared/ModelPills';
+import { suggestRoute } from '../frameworks/router';
+import { QUESTION_TYPES } from '../utils/questionClassifier';
+import { loadRouterStats } from '../utils/routerStats';
 import { FRAMEWORKS, SAMPLE_QUESTIONS } from '../utils/constants';
 
+/** Frameworks the router suggests selecting. */
+const SUGGESTED_COUNT = 2;
+const MIN_ROUTED_LENGTH = 10;
+
 export default function QuestionBar({
   question,
   onQuestionChange,
   selected,
   onToggleFramework,
+  onSelectFrameworks,
   onSubmit,
   isRunning,
   apiKeySet,
+  model,
+  modelTargets,
+  onToggleModel,
 }) {
   const textareaRef = useRef(null);
 
@@ -33,6 +56,16 @@ export default function QuestionBar({
     }
   }, [question]);
 
+  // Only confident (rule-matched) suggestions are shown
+  const route = useMemo(() => {
+    if (question.trim().length < MIN_ROUTED_LENGTH) return null;
+    const r = suggestRoute(question);
+    return r.source === 'heuristic' ? r : null;
+  }, [question]);
+  const routerStats = useMemo(() => (route ? loadRouterStats() : null), [route]);
+  const suggested = route ? route.frameworks.slice(0, SUGGESTED_COUNT) : [];
+  const alreadySelected = suggested.length === selected.size && suggested.every((id) => selected.has(id));
+
   const handleSubmit = (e) => {
     e.preventDefault();
     if (!question.trim() || !apiKeySet || selected.size === 0 || isRunning) return;
@@ -74,18 +107,30 @@ export default function QuestionBar({
         </div>
       </form>
 
-      <div className="framework-pills">
-        {FRAMEWORKS.map((fw) => (
+      <FrameworkPills selected={selected} onToggleFramework={onToggleFramework} />
+      {route && (
+        <div className="router-hint">
+          <span className="router-hint-type">{QUESTION_TYPES.find((t) => t.id === route.type)?.label}</span>
+          <span>
+            Looks like it {route.reason} — suggested: <strong>{suggested.map((id) => FRAMEWORKS.find((f) => f.id === id)?.label).join(', ')}</strong>.
+            {' '}<span className="router-hint-why">{route.why}</span>
+            {routerStats.total > 0 && (
+              <span className="router-hint-stats">
+                {' '}The router's pick matched the best-scoring framework on {routerStats.matched}/{routerStats.total} scored questions.
+              </span>
+            )}
+          </span>
           <button
-            key={fw.id}
             type="button"
-            className={`fw-pill ${selected.has(fw.id) ? 'fw-pill-active' : ''}`}
-            onClick={() => onToggleFramework(fw.id)}
+            className="router-hint-apply"
+            onClick={() => onSelectFrameworks(suggested)}
+            disabled={isRunning || alreadySelected}
           >
-            {fw.label}
+            {alreadySelected ? 'Selected' : 'Select these'}
           </button>
-        ))}
-      </div>
+        </div>
+      )}
+      <ModelPills model={model} targets={modelTargets} onToggleModel={onToggleModel} disabled={isRunning} />
 
       {!question && (
         <div className="sample-questions">
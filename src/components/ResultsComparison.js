@@ -5,12 +5,31 @@
  * and timing. Includes an "Insights" section highlighting agreement,
  * speed, and cost differences.
  *
- * @param {object} props
- * @param {object} props.results - Map of framework ID → result object
- * @param {object} props.config  - Run configuration (model, showCostEstimate, etc.)
+ * An optional LLM judge (see frameworks/judge) grades each answer on a
+ * rubric and compares answers pairwise; its scores, rationales and wins
+ * become extra columns, and its token cost is reported on its own. Once
+ * judged, the question router's pick (see frameworks/router) is compared
+ * with the judge's best, and the first judging of a live run is added to the
+ * saved router tally (see utils/routerStats). Saved and imported runs are not
+ * counted: they were live once already.
+ *
+ * @param {object}  props
+ * @param {object}  props.results - Map of framework ID → result object
+ * @param {object}  props.config  - Run configuration (model, showCostEstimate, etc.)
+ * @param {boolean} [props.live]  - True for a run just made (not a saved or imported one)
  */
-import React, { useState, useCallback } from 'react';
-import { MODEL_PRICING } from '../utils/constants';
+import React, { useState, useCallback, useEffect, useRef } from 'react';
+import { targetCost } from '../utils/modelMatrix';
+import { isConnectionReady } from '../utils/constants';
+import { runJudge } from '../frameworks/judge';
+import { customPromptLabels } from '../frameworks/prompts';
+import { suggestRoute } from '../frameworks/router';
+import { routerOutcome, recordRouterOutcomes } from '../utils/routerStats';
+import { QUESTION_TYPES } from '../utils/questionClassifier';
+
+function formatScore(score) {
+  return score == null ? '—' : Number.isInteger(score) ? String(score) : score.toFixed(1);
+}
 
 /** Expandable/copyable answer cell within the comparison table. */
 const AnswerCell = React.memo(function AnswerCell({ text, hasError }) {
@@ -52,27 +71,134 @@ const AnswerCell = React.memo(function AnswerCell({ text, hasError }) {
   );
 });
 
-/** Estimate cost in USD based on token usage and model pricing. */
-function estimateCost(usage, model) {
-  const pricing = MODEL_PRICING[model] || MODEL_PRICING['gpt-4o-mini'];
-  const inTokens = usage?.prompt_tokens ?? 0;
-  const outTokens = usage?.completion_tokens ?? 0;
-  return (inTokens * pricing.input + outTokens * pricing.output) / 1e6;
+/** Judge score cell: overall score with the rubric breakdown and rationale. */
+function JudgeCell({ grade }) {
+  const [expanded, setExpanded] = useState(false);
+  if (!grade) return <td className="judge-cell answer-cell-null">—</td>;
+  if (grade.error) return <td className="judge-cell judge-cell-error" title={grade.error}>failed</td>;
+  return (
+    <td className="judge-cell">
+      <div className="judge-score">{formatScore(grade.overall)}<span>/10</span></div>
+      <div className="judge-breakdown">
+        Correct {formatScore(grade.correctness)} · Complete {formatScore(grade.completeness)} · Grounded {formatScore(grade.groundedness)}
+      </div>
+      {grade.rationale && (
+        <button
+          type="button"
+          className={`judge-rationale ${expanded ? 'judge-rationale-expanded' : ''}`}
+          onClick={() => setExpanded((e) => !e)}
+          title={expanded ? 'Collapse' : grade.rationale}
+        >
+          {grade.rationale}
+        </button>
+      )}
+    </td>
+  );
 }
 
-export default function ResultsComparison({ results, config }) {
+export default function ResultsComparison({ results, config, live = false }) {
+  const [reference, setReference] = useState('');
+  const [judgeModel, setJudgeModel] = useState(config?.model || '');
+  const [judging, setJudging] = useState(null);
+  const [judgement, setJudgement] = useState(null);
+  const [judgeError, setJudgeError] = useState(null);
+  const controllerRef = useRef(null);
+  const routerRecordedRef = useRef(false);
+
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
   // Include results that have answers OR have data (even with errors)
   const entries = Object.entries(results).filter(
     ([, r]) => r && (r.answer != null || r.finalAnswer != null || r.error)
   );
   const showCost = !!config?.showCostEstimate;
   const model = config?.model || 'gpt-4o-mini';
+  const answeredCount = entries.filter(([, r]) => !r.error && (r.answer || r.finalAnswer)).length;
+  const connected = !!config && isConnectionReady(config);
+  const canJudge = connected && answeredCount > 0;
+
+  // The Auto framework's route if it ran, else the heuristic one
+  const outcomeFor = (judged) => routerOutcome(
+    results.auto?.route || suggestRoute(config.question),
+    Object.fromEntries(Object.entries(judged.grades).map(([id, g]) => [id, g.overall]))
+  );
+
+  const handleJudge = async () => {
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setJudgeError(null);
+    setJudging('Grading answers…');
+    try {
+      const judged = await runJudge(config.question, results, {
+        apiKey: config.apiKey,
+        model: judgeModel.trim() || model,
+        provider: config.provider,
+        baseUrl: config.baseUrl,
+        reference,
+        signal: controller.signal,
+      }, (step) => {
+        setJudging(step.type === 'grade'
+          ? `Grading answers… ${step.done}/${step.total}`
+          : `Comparing pairs… ${step.done}/${step.total}`);
+      });
+      setJudgement(judged);
+      const outcome = outcomeFor(judged);
+      if (live && outcome && !routerRecordedRef.current) {
+        routerRecordedRef.current = true;
+        recordRouterOutcomes([outcome]);
+      }
+    } catch (err) {
+      if (err.name !== 'AbortError') setJudgeError(err.message);
+    } finally {
+      controllerRef.current = null;
+      setJudging(null);
+    }
+  };
 
   if (entries.length === 0) return null;
 
+  const grades = judgement?.grades || {};
+  const showPairwise = (judgement?.pairwise.length || 0) > 0;
+
   return (
     <div className="results-comparison">
       <h3>Comparison</h3>
+      <div className="judge-controls">
+        <input
+          type="text"
+          value={reference}
+          onChange={(e) => setReference(e.target.value)}
+          placeholder="Reference answer (optional)"
+          aria-label="Reference answer for the judge"
+          disabled={!!judging}
+        />
+        <input
+          type="text"
+          className="judge-model"
+          value={judgeModel}
+          onChange={(e) => setJudgeModel(e.target.value)}
+          placeholder={model}
+          aria-label="Judge model"
+          disabled={!!judging}
+        />
+        {judging ? (
+          <button type="button" className="export-run-btn" onClick={() => controllerRef.current?.abort()}>
+            Stop
+          </button>
+        ) : (
+          <button
+            type="button"
+            className="export-run-btn"
+            onClick={handleJudge}
+            disabled={!canJudge}
+            title={connected ? 'Grade each answer and compare them pairwise with an LLM judge' : 'Judging needs an API key — re-run or start a new run'}
+          >
+            {judgement ? 'Judge again' : 'Judge answers'}
+          </button>
+        )}
+        {judging && <span className="judge-status">{judging}</span>}
+      </div>
+      {judgeError && <div className="error-banner">Judge failed: {judgeError}</div>}
       <table className="comparison-table">
         <thead>
           <tr>
@@ -82,6 +208,8 @@ export default function ResultsComparison({ results, config }) {
             <th>Total Tokens</th>
             {showCost && <th>Est. cost</th>}
             <th>Time</th>
+            {judgement && <th>Judge</th>}
+            {showPairwise && <th>Pref. wins</th>}
           </tr>
         </thead>
         <tbody>
@@ -90,23 +218,28 @@ export default function ResultsComparison({ results, config }) {
             const hasError = !!r.error;
             return (
               <tr key={key}>
-                <td className="fw-cell">{r.framework || key}</td>
+                <td className="fw-cell">
+                  {r.framework || key}
+                  {customPromptLabels(r.prompts).map((label) => <div key={label} className="fw-cell-prompt">{label}</div>)}
+                </td>
                 <AnswerCell text={answer} hasError={hasError} />
                 <td>{r.llmCalls ?? '—'}</td>
                 <td>{r.usage?.total_tokens || '—'}</td>
                 {showCost && (
                   <td>
-                    {r.usage ? `$${estimateCost(r.usage, model).toFixed(4)}` : '—'}
+                    {r.usage ? `$${targetCost(r.usage, config).toFixed(4)}` : '—'}
                   </td>
                 )}
                 <td>{r.timeMs ? (r.timeMs / 1000).toFixed(1) + 's' : '—'}</td>
+                {judgement && <JudgeCell grade={grades[key]} />}
+                {showPairwise && <td>{key in judgement.wins ? `${judgement.wins[key]}/${answeredCount - 1}` : '—'}</td>}
               </tr>
             );
           })}
         </tbody>
       </table>
 
-      {entries.length > 1 && (
+      {(entries.length > 1 || judgement) && (
         <div className="comparison-insights">
           <h4>Insights</h4>
           <ul>
@@ -152,12 +285,56 @@ export default function ResultsComparison({ results, config }) {
                     {allSame
                       ? 'All frameworks agreed on the answer.'
                       : answers.length > 1
-                        ? 'Frameworks produced different answers — worth investigating!'
+                        ? judgement
+                          ? 'Frameworks produced different answers — see the judge scores for which hold up.'
+                          : 'Frameworks produced different answers — worth investigating!'
                         : 'Only one framework produced an answer.'}
                   </li>
                 );
               }
 
+              // Judge verdicts
+              if (judgement) {
+                const ranked = entries
+                  .filter(([key]) => grades[key]?.overall != null)
+                  .sort((a, b) => grades[b[0]].overall - grades[a[0]].overall);
+                if (ranked.length > 0) {
+                  const [topKey, top] = ranked[0];
+                  insights.push(
+                    <li key="judge-top">
+                      The judge scored <strong>{top.framework || topKey}</strong> highest
+                      ({formatScore(grades[topKey].overall)}/10){judgement.reference ? ' against the reference answer' : ''}.
+                    </li>
+                  );
+                }
+                const outcome = outcomeFor(judgement);
+                if (outcome) {
+                  insights.push(
+                    <li key="judge-router">
+                      The router would pick <strong>{results[outcome.pick]?.framework || outcome.pick}</strong> for this {QUESTION_TYPES.find((t) => t.id === outcome.type)?.label.toLowerCase()} question
+                      {outcome.matched ? ', one of the judge\'s top-scored frameworks.' : ', which the judge did not score highest.'}
+                    </li>
+                  );
+                }
+                if (showPairwise) {
+                  const maxWins = Math.max(...Object.values(judgement.wins));
+                  const leaders = Object.keys(judgement.wins).filter((k) => judgement.wins[k] === maxWins);
+                  insights.push(
+                    <li key="judge-pairwise">
+                      {maxWins === 0
+                        ? 'Every pairwise comparison was a tie.'
+                        : <>Pairwise, <strong>{leaders.map((k) => results[k]?.framework || k).join(', ')}</strong> won the most comparisons ({maxWins} of {answeredCount - 1}).</>}
+                    </li>
+                  );
+                }
+                insights.push(
+                  <li key="judge-cost">
+                    The judge ({judgement.model}) used {judgement.usage.total_tokens} tokens in {judgement.llmCalls} call{judgement.llmCalls !== 1 ? 's' : ''}
+                    {showCost && ` (≈$${targetCost(judgement.usage, judgement).toFixed(4)})`}, not counted in the framework totals above.
+                  </li>
+                );
+              }
+
               if (failedEntries.length > 0) {
                 insights.push(
                   <li key="failed">
@@ -1,8 +1,14 @@
 /**
- * SettingsModal — modal dialog for configuring API key, model, and CoT samples.
+ * SettingsModal — modal dialog for configuring provider, API key, model, extra
+ * models for matrix runs, framework options (CoT prompting and samples, ToT
+ * search), custom CoT exemplars, the
+ * frameworks whose answers Chain-of-Verification fact-checks, and token /
+ * cost / call budgets.
  *
  * Features focus trapping (Tab/Shift+Tab), Escape-to-close, and
- * outside-click-to-close. API key is persisted in sessionStorage.
+ * outside-click-to-close. API keys are persisted in sessionStorage (one per
+ * provider); provider, base URL, model, extra models, CoT exemplars and
+ * budgets are persisted in localStorage.
  *
  * @param {object}   props
  * @param {boolean}  props.isOpen           - Whether the modal is visible
@@ -11,10 +17,20 @@
  * @param {function} props.onSettingsChange - Updates settings
  */
 import React, { useEffect, useRef } from 'react';
-import { STORAGE_KEYS } from '../utils/constants';
+import { FRAMEWORKS, PROVIDERS, STORAGE_KEYS, apiKeyStorageKey } from '../utils/constants';
+import { VERIFIABLE_FRAMEWORKS, VERIFICATION_TOOLS } from '../frameworks/verification';
+import { COT_MODES } from '../frameworks/cot';
+import { saveModelTargets } from '../utils/modelMatrix';
+import { saveCotExemplars } from '../utils/cotExemplars';
 
 const FOCUSABLE = 'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])';
 
+const BUDGET_FIELDS = [
+  { key: 'maxTokens', label: 'Max tokens', step: 1000 },
+  { key: 'maxUsd', label: 'Max USD', step: 0.01 },
+  { key: 'maxCalls', label: 'Max calls', step: 1 },
+];
+
 export default function SettingsModal({ isOpen, onClose, settings, onSettingsChange }) {
   const modalRef = useRef(null);
 
@@ -55,10 +71,70 @@ export default function SettingsModal({ isOpen, onClose, settings, onSettingsCha
 
   if (!isOpen) return null;
 
+  const providerMeta = PROVIDERS.find((p) => p.id === settings.provider) || PROVIDERS[0];
+
+  const persistConnection = ({ provider, baseUrl, model }) => {
+    localStorage.setItem(STORAGE_KEYS.provider, JSON.stringify({ provider, baseUrl, model }));
+  };
+
   const update = (key, value) => {
     const next = { ...settings, [key]: value };
     onSettingsChange(next);
-    if (key === 'apiKey') sessionStorage.setItem(STORAGE_KEYS.apiKey, value);
+    if (key === 'apiKey') sessionStorage.setItem(apiKeyStorageKey(settings.provider), value);
+    if (key === 'baseUrl' || key === 'model') persistConnection(next);
+  };
+
+  // Blank or zero means no limit
+  const updateBudget = (scope, key, raw) => {
+    const value = raw === '' ? null : Math.max(0, Number(raw));
+    const budgets = { ...settings.budgets, [scope]: { ...settings.budgets[scope], [key]: value } };
+    onSettingsChange({ ...settings, budgets });
+    localStorage.setItem(STORAGE_KEYS.budgets, JSON.stringify(budgets));
+  };
+
+  // Extra models for matrix runs; their keys live in sessionStorage per provider
+  const updateTargets = (modelTargets) => {
+    onSettingsChange({ ...settings, modelTargets });
+    saveModelTargets(modelTargets);
+  };
+  const updateTarget = (id, changes) => {
+    updateTargets(settings.modelTargets.map((t) => (t.id === id ? { ...t, ...changes } : t)));
+  };
+  const addTarget = () => {
+    updateTargets([
+      ...settings.modelTargets,
+      { id: String(Date.now()), provider: settings.provider, baseUrl: settings.baseUrl, model: '', enabled: true },
+    ]);
+  };
+  const changeTargetProvider = (id, providerId) => {
+    const meta = PROVIDERS.find((p) => p.id === providerId) || PROVIDERS[0];
+    updateTarget(id, { provider: meta.id, baseUrl: '', model: meta.models[0] || '' });
+  };
+
+  // Worked examples for CoT's custom prompting mode
+  const updateExemplars = (cotExemplars) => {
+    onSettingsChange({ ...settings, cotExemplars });
+    saveCotExemplars(cotExemplars);
+  };
+  const updateExemplar = (id, changes) => {
+    updateExemplars(settings.cotExemplars.map((e) => (e.id === id ? { ...e, ...changes } : e)));
+  };
+  const addExemplar = () => {
+    updateExemplars([...settings.cotExemplars, { id: String(Date.now()), question: '', rationale: '' }]);
+  };
+
+  // Switching provider swaps in that provider's saved key and a default model
+  const changeProvider = (providerId) => {
+    const meta = PROVIDERS.find((p) => p.id === providerId) || PROVIDERS[0];
+    const next = {
+      ...settings,
+      provider: meta.id,
+      baseUrl: '',
+      model: meta.models[0] || '',
+      apiKey: sessionStorage.getItem(apiKeyStorageKey(meta.id)) || '',
+    };
+    onSettingsChange(next);
+    persistConnection(next);
   };
 
   return (
@@ -70,25 +146,162 @@ export default function SettingsModal({ isOpen, onClose, settings, onSettingsCha
         </div>
         <div className="settings-body">
           <div className="input-group">
-            <label>OpenAI API Key</label>
+            <label>Provider</label>
+            <select value={providerMeta.id} onChange={(e) => changeProvider(e.target.value)}>
+              {PROVIDERS.map((p) => (
+                <option key={p.id} value={p.id}>{p.label}</option>
+              ))}
+            </select>
+          </div>
+          {providerMeta.baseUrlPlaceholder && (
+            <div className="input-group">
+              <label>Base URL{providerMeta.requiresBaseUrl ? '' : ' (optional)'}</label>
+              <input
+                type="text"
+                value={settings.baseUrl}
+                onChange={(e) => update('baseUrl', e.target.value)}
+                placeholder={providerMeta.baseUrlPlaceholder}
+              />
+            </div>
+          )}
+          <div className="input-group">
+            <label>{providerMeta.keyLabel}</label>
             <input
               type="password"
               value={settings.apiKey}
               onChange={(e) => update('apiKey', e.target.value)}
-              placeholder="sk-..."
+              placeholder={providerMeta.keyPlaceholder}
             />
           </div>
           <div className="input-group">
-            <label>Model</label>
-            <select value={settings.model} onChange={(e) => update('model', e.target.value)}>
-              <option value="gpt-4o-mini">gpt-4o-mini (fast, cheap)</option>
-              <option value="gpt-4o">gpt-4o (powerful)</option>
-              <option value="gpt-4-turbo">gpt-4-turbo</option>
-              <option value="gpt-3.5-turbo">gpt-3.5-turbo</option>
+            <label>{providerMeta.modelLabel || 'Model'}</label>
+            {providerMeta.freeformModel ? (
+              <>
+                <input
+                  type="text"
+                  list="settings-model-options"
+                  value={settings.model}
+                  onChange={(e) => update('model', e.target.value)}
+                  placeholder="model ID"
+                />
+                <datalist id="settings-model-options">
+                  {providerMeta.models.map((m) => <option key={m} value={m} />)}
+                </datalist>
+              </>
+            ) : (
+              <select value={settings.model} onChange={(e) => update('model', e.target.value)}>
+                {providerMeta.models.map((m) => (
+                  <option key={m} value={m}>{m}</option>
+                ))}
+              </select>
+            )}
+          </div>
+          <div className="input-group">
+            <label>Compare with other models</label>
+            {settings.modelTargets.map((t) => {
+              const meta = PROVIDERS.find((p) => p.id === t.provider) || PROVIDERS[0];
+              return (
+                <div key={t.id} className="model-target-row">
+                  <select value={meta.id} onChange={(e) => changeTargetProvider(t.id, e.target.value)} aria-label="Provider">
+                    {PROVIDERS.map((p) => (
+                      <option key={p.id} value={p.id}>{p.label}</option>
+                    ))}
+                  </select>
+                  <input
+                    type="text"
+                    list={`model-target-options-${t.id}`}
+                    value={t.model}
+                    onChange={(e) => updateTarget(t.id, { model: e.target.value })}
+                    placeholder="model ID"
+                    aria-label="Model"
+                  />
+                  <datalist id={`model-target-options-${t.id}`}>
+                    {meta.models.map((m) => <option key={m} value={m} />)}
+                  </datalist>
+                  {meta.baseUrlPlaceholder && (
+                    <input
+                      type="text"
+                      value={t.baseUrl}
+                      onChange={(e) => updateTarget(t.id, { baseUrl: e.target.value })}
+                      placeholder={meta.baseUrlPlaceholder}
+                      aria-label="Base URL"
+                    />
+                  )}
+                  {meta.requiresKey && meta.id !== settings.provider && (
+                    <input
+                      key={meta.id}
+                      type="password"
+                      defaultValue={sessionStorage.getItem(apiKeyStorageKey(meta.id)) || ''}
+                      onChange={(e) => sessionStorage.setItem(apiKeyStorageKey(meta.id), e.target.value)}
+                      placeholder={meta.keyPlaceholder}
+                      aria-label={meta.keyLabel}
+                    />
+                  )}
+                  <button type="button" className="model-target-remove" onClick={() => updateTargets(settings.modelTargets.filter((x) => x.id !== t.id))} aria-label={`Remove ${t.model || 'model'}`}>
+                    &times;
+                  </button>
+                </div>
+              );
+            })}
+            <button type="button" className="model-target-add" onClick={addTarget}>+ Add model</button>
+          </div>
+          <div className="input-group">
+            <label>CoT Prompting</label>
+            <select value={settings.cotMode} onChange={(e) => update('cotMode', e.target.value)}>
+              {COT_MODES.map((m) => (
+                <option key={m.id} value={m.id}>{m.label}</option>
+              ))}
             </select>
           </div>
+          {settings.cotMode === 'custom' && (
+            <div className="input-group cot-exemplars">
+              <label>CoT Exemplars</label>
+              <p className="settings-hint">End each answer with "The answer is …" — CoT reads the answer from that line.</p>
+              {settings.cotExemplars.map((e, i) => (
+                <div key={e.id} className="cot-exemplar">
+                  <div className="cot-exemplar-head">
+                    <span>Example {i + 1}</span>
+                    <button type="button" className="model-target-remove" onClick={() => updateExemplars(settings.cotExemplars.filter((x) => x.id !== e.id))} aria-label={`Remove example ${i + 1}`}>
+                      &times;
+                    </button>
+                  </div>
+                  <textarea
+                    rows={2}
+                    value={e.question}
+                    onChange={(ev) => updateExemplar(e.id, { question: ev.target.value })}
+                    placeholder="Question"
+                    aria-label={`Example ${i + 1} question`}
+                  />
+                  <textarea
+                    rows={3}
+                    value={e.rationale}
+                    onChange={(ev) => updateExemplar(e.id, { rationale: ev.target.value })}
+                    placeholder="Step-by-step answer ending with: The answer is …"
+                    aria-label={`Example ${i + 1} answer`}
+                  />
+                </div>
+              ))}
+              <button type="button" className="model-target-add" onClick={addExemplar}>+ Add example</button>
+            </div>
+          )}
+          {settings.cotMode === 'auto' && (
+            <p className="settings-hint">
+              Auto-CoT clusters the questions of past runs and writes a zero-shot demonstration for a typical question of each cluster. This costs up to 4 extra calls per CoT run.
+            </p>
+          )}
+          <div className="input-group">
+            <label>CoT Temperature: {settings.cotTemperature.toFixed(1)}</label>
+            <input
+              type="range"
+              min={0}
+              max={1.5}
+              step={0.1}
+              value={settings.cotTemperature}
+              onChange={(e) => update('cotTemperature', Number(e.target.value))}
+            />
+          </div>
           <div className="input-group">
-            <label>CoT Samples (Self-Consistency): {settings.nSamples}</label>
+            <label>CoT Samples (Self-Consistency){settings.cotAdaptive ? ', at most' : ''}: {settings.nSamples}</label>
             <input
               type="range"
               min={1}
@@ -97,6 +310,205 @@ export default function SettingsModal({ isOpen, onClose, settings, onSettingsCha
               onChange={(e) => update('nSamples', Number(e.target.value))}
             />
           </div>
+          <div className="input-group">
+            <label>CoT Aggregation</label>
+            <select value={settings.cotAggregation} onChange={(e) => update('cotAggregation', e.target.value)}>
+              <option value="auto">Auto (vote on factual, synthesize open-ended)</option>
+              <option value="vote">Majority vote</option>
+              <option value="synthesis">Synthesis</option>
+              <option value="usc">Universal self-consistency (select the most consistent path)</option>
+            </select>
+          </div>
+          <div className="input-group">
+            <label>CoT Vote weighting</label>
+            <select value={settings.cotVoteWeighting} onChange={(e) => update('cotVoteWeighting', e.target.value)}>
+              <option value="none">Equal votes</option>
+              <option value="logprobs">Path likelihood (logprobs; OpenAI-style providers)</option>
+              <option value="confidence">Self-rated confidence</option>
+            </select>
+          </div>
+          <div className="input-group input-group-checkbox">
+            <label>
+              <input
+                type="checkbox"
+                checked={!!settings.cotAdaptive}
+                onChange={(e) => update('cotAdaptive', e.target.checked)}
+              />
+              CoT adaptive sampling: stop once the vote is confident
+            </label>
+          </div>
+          {settings.cotAdaptive && (
+            <div className="input-group">
+              <label>CoT Stopping confidence: {Math.round(settings.cotConfidence * 100)}%</label>
+              <input
+                type="range"
+                min={0.8}
+                max={0.99}
+                step={0.01}
+                value={settings.cotConfidence}
+                onChange={(e) => update('cotConfidence', Number(e.target.value))}
+              />
+            </div>
+          )}
+          <div className="input-group">
+            <label>ReWOO Parallel workers: {settings.rewooConcurrency}</label>
+            <input
+              type="range"
+              min={1}
+              max={8}
+              value={settings.rewooConcurrency}
+              onChange={(e) => update('rewooConcurrency', Number(e.target.value))}
+            />
+          </div>
+          <div className="input-group">
+            <label>ToT Search</label>
+            <select value={settings.totSearch} onChange={(e) => update('totSearch', e.target.value)}>
+              <option value="bfs">Breadth-first (beam search)</option>
+              <option value="dfs">Depth-first (backtracking)</option>
+            </select>
+          </div>
+          <div className="input-group">
+            <label>ToT Candidates per step: {settings.totBreadth}</label>
+            <input
+              type="range"
+              min={2}
+              max={5}
+              value={settings.totBreadth}
+              onChange={(e) => update('totBreadth', Number(e.target.value))}
+            />
+          </div>
+          <div className="input-group">
+            <label>ToT Beam width: {settings.totBeamWidth}</label>
+            <input
+              type="range"
+              min={1}
+              max={5}
+              value={settings.totBeamWidth}
+              onChange={(e) => update('totBeamWidth', Number(e.target.value))}
+            />
+          </div>
+          <div className="input-group">
+            <label>ToT Max depth: {settings.totMaxDepth}</label>
+            <input
+              type="range"
+              min={1}
+              max={6}
+              value={settings.totMaxDepth}
+              onChange={(e) => update('totMaxDepth', Number(e.target.value))}
+            />
+          </div>
+          <div className="input-group">
+            <label>Reflexion Max trials: {settings.reflexionMaxTrials}</label>
+            <input
+              type="range"
+              min={1}
+              max={5}
+              value={settings.reflexionMaxTrials}
+              onChange={(e) => update('reflexionMaxTrials', Number(e.target.value))}
+            />
+          </div>
+          <div className="input-group">
+            <label>Debate Agents: {settings.debateAgents}</label>
+            <input
+              type="range"
+              min={2}
+              max={5}
+              value={settings.debateAgents}
+              onChange={(e) => update('debateAgents', Number(e.target.value))}
+            />
+          </div>
+          <div className="input-group">
+            <label>Debate Rounds: {settings.debateRounds}</label>
+            <input
+              type="range"
+              min={1}
+              max={4}
+              value={settings.debateRounds}
+              onChange={(e) => update('debateRounds', Number(e.target.value))}
+            />
+          </div>
+          <div className="input-group">
+            <label>Debate Settled by</label>
+            <select value={settings.debateSettle} onChange={(e) => update('debateSettle', e.target.value)}>
+              <option value="majority">Majority vote (judge breaks ties)</option>
+              <option value="judge">Judge</option>
+            </select>
+          </div>
+          <div className="input-group input-group-checkbox">
+            <label>
+              <input
+                type="checkbox"
+                checked={!!settings.debateMixModels}
+                onChange={(e) => update('debateMixModels', e.target.checked)}
+              />
+              Debate agents take turns through the extra models
+            </label>
+          </div>
+          <div className="input-group input-group-checkbox">
+            <label>
+              <input
+                type="checkbox"
+                checked={!!settings.routerLLM}
+                onChange={(e) => update('routerLLM', e.target.checked)}
+              />
+              Auto: ask the model for the question type when no heuristic matches
+            </label>
+          </div>
+          <div className="input-group">
+            <label>Verify answers (Chain-of-Verification)</label>
+            <div className="verify-frameworks">
+              {VERIFIABLE_FRAMEWORKS.map((id) => (
+                <label key={id}>
+                  <input
+                    type="checkbox"
+                    checked={settings.verifyFrameworks.includes(id)}
+                    onChange={(e) => update('verifyFrameworks', e.target.checked
+                      ? [...settings.verifyFrameworks, id]
+                      : settings.verifyFrameworks.filter((x) => x !== id))}
+                  />
+                  {FRAMEWORKS.find((f) => f.id === id).label}
+                </label>
+              ))}
+            </div>
+            <select value={settings.verifyTool} onChange={(e) => update('verifyTool', e.target.value)} aria-label="Verification tool">
+              {VERIFICATION_TOOLS.map((t) => (
+                <option key={t.id} value={t.id}>{t.label}</option>
+              ))}
+            </select>
+          </div>
+          <div className="input-group">
+            <label>Budgets (blank = no limit)</label>
+            <div className="budget-grid">
+              <span />
+              {BUDGET_FIELDS.map((f) => <span key={f.key} className="budget-grid-head">{f.label}</span>)}
+              {[['run', 'Whole run'], ['framework', 'Per framework']].map(([scope, scopeLabel]) => (
+                <React.Fragment key={scope}>
+                  <span className="budget-grid-scope">{scopeLabel}</span>
+                  {BUDGET_FIELDS.map((f) => (
+                    <input
+                      key={f.key}
+                      type="number"
+                      min={0}
+                      step={f.step}
+                      value={settings.budgets[scope][f.key] ?? ''}
+                      onChange={(e) => updateBudget(scope, f.key, e.target.value)}
+                      aria-label={`${scopeLabel} ${f.label.toLowerCase()}`}
+                    />
+                  ))}
+                </React.Fragment>
+              ))}
+            </div>
+          </div>
+          <div className="input-group input-group-checkbox">
+            <label>
+              <input
+                type="checkbox"
+                checked={!!settings.streamTokens}
+                onChange={(e) => update('streamTokens', e.target.checked)}
+              />
+              Stream tokens as they are generated
+            </label>
+          </div>
           <div className="input-group input-group-checkbox">
             <label>
               <input
@@ -107,9 +519,24 @@ export default function SettingsModal({ isOpen, onClose, settings, onSettingsCha
               Show cost estimate in comparison
             </label>
           </div>
-          {!settings.apiKey && (
+          <div className="input-group input-group-checkbox">
+            <label>
+              <input
+                type="checkbox"
+                checked={!!settings.recordCassette}
+                onChange={(e) => update('recordCassette', e.target.checked)}
+              />
+              Record runs to a replayable cassette
+            </label>
+          </div>
+          {providerMeta.requiresKey && !settings.apiKey && (
+            <p className="settings-hint">
+              Enter your {providerMeta.keyLabel} to start running frameworks.
+            </p>
+          )}
+          {providerMeta.id !== 'openai' && (
             <p className="settings-hint">
-              Enter your OpenAI API key to start running frameworks.
+              Web search falls back to Wikipedia when not using OpenAI.
             </p>
           )}
         </div>
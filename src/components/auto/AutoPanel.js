@@ -0,0 +1,84 @@
+/**
+ * AutoPanel — displays the Auto framework's routing decision and the panel
+ * of the framework it ran.
+ *
+ * The routing box says which question type was detected and how (heuristic
+ * rule, LLM call, or default), which framework was picked and why, and the
+ * other recommended frameworks. The picked framework's own panel follows,
+ * fed with its progress events and result.
+ *
+ * @param {object}  props
+ * @param {object}  [props.result]   - AutoResult object (null while running)
+ * @param {Array}   props.progress   - A route event, then the picked framework's events
+ * @param {object}  [props.budget]   - Live budget snapshot (see BudgetMeter)
+ * @param {object}  props.registry   - Framework registry, for the picked framework's panel
+ */
+import React from 'react';
+import PanelShell from '../shared/PanelShell';
+import { FRAMEWORKS } from '../../utils/constants';
+import { QUESTION_TYPES } from '../../utils/questionClassifier';
+
+const META = FRAMEWORKS.find((f) => f.id === 'auto');
+
+const SOURCE_LABELS = { heuristic: 'heuristic', llm: 'LLM', default: 'default' };
+
+function frameworkLabel(id) {
+  return FRAMEWORKS.find((f) => f.id === id)?.label || id;
+}
+
+export default function AutoPanel({ result, progress = [], budget, registry }) {
+  const route = result?.route || progress.find((p) => p.type === 'route')?.route;
+  const isRunning = !result && progress.length > 0;
+  const delegate = result?.delegate || route?.pick;
+  const DelegatePanel = delegate && registry[delegate]?.Panel;
+  const typeLabel = route && (QUESTION_TYPES.find((t) => t.id === route.type)?.label || route.type);
+
+  const stats = result ? [
+    { label: 'LLM calls', value: result.llmCalls },
+    { label: 'Tokens', value: result.usage?.total_tokens ?? '—' },
+    { label: 'Type', value: typeLabel || '—' },
+    { label: 'Ran', value: delegate ? frameworkLabel(delegate) : '—' },
+  ] : null;
+
+  return (
+    <PanelShell
+      id="auto"
+      title={META.label}
+      badge={delegate ? `→ ${frameworkLabel(delegate)}` : META.badge}
+      result={result}
+      isRunning={isRunning || progress.length > 0}
+      errorKey="delegateResult"
+      stats={stats}
+      budget={budget}
+    >
+      {route ? (
+        <div className="auto-route">
+          <div>
+            <span className="auto-route-type">{typeLabel}</span>
+            <span className="auto-route-source">{SOURCE_LABELS[route.source]}: {route.reason}</span>
+          </div>
+          <div className="auto-route-pick">
+            Routed to <strong>{frameworkLabel(route.pick)}</strong>. {route.why}
+          </div>
+          {route.frameworks.length > 1 && (
+            <div className="auto-route-alternatives">
+              Also recommended: {route.frameworks.filter((id) => id !== route.pick).map(frameworkLabel).join(', ')}
+            </div>
+          )}
+        </div>
+      ) : (
+        isRunning && <div className="auto-route auto-route-pending">Classifying the question…</div>
+      )}
+
+      {DelegatePanel && (
+        <div className="auto-delegate">
+          <DelegatePanel
+            frameworkId={delegate}
+            result={result ? result.delegateResult : null}
+            progress={progress.filter((p) => p.type !== 'route')}
+          />
+        </div>
+      )}
+    </PanelShell>
+  );
+}
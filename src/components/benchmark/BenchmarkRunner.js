@@ -0,0 +1,295 @@
+/**
+ * BenchmarkRunner — runs a labeled dataset through the selected frameworks.
+ *
+ * Responsibilities:
+ * - Loads a JSONL/CSV dataset of { question, gold_answer } from a file
+ * - Runs every (question × framework) pair headlessly through the
+ *   FrameworkRunner registry, with a concurrency limit and a shared stop
+ * - Scores each answer (exact, normalized, token F1) against the gold answer
+ * - Renders a leaderboard (accuracy, tokens, cost, latency) and a
+ *   per-question breakdown; results can be exported as JSON
+ * - Checks the question router's pick for each question against the
+ *   frameworks that answered it correctly, and adds finished runs to the
+ *   saved router tally (see utils/routerStats)
+ *
+ * @param {object}   props
+ * @param {object}   props.runConfig        - Same shape as FrameworkRunner's config, minus question/frameworks
+ * @param {Set}      props.selected         - Selected framework IDs
+ * @param {function} props.onToggleFramework - Toggles a framework on/off
+ * @param {boolean}  props.apiKeySet        - Whether the provider connection is configured
+ */
+import React, { useState, useRef, useEffect, useCallback } from 'react';
+import FrameworkPills from '../shared/FrameworkPills';
+import { REGISTRY } from '../FrameworkRunner';
+import { parseDataset, summarizeBenchmark } from '../../utils/benchmark';
+import { scoreAnswer } from '../../utils/answerScoring';
+import { runWithConcurrency } from '../../utils/concurrency';
+import { shouldVerify, verifyResult } from '../../frameworks/verification';
+import { suggestRoute } from '../../frameworks/router';
+import { routerOutcome, recordRouterOutcomes } from '../../utils/routerStats';
+import { FRAMEWORK_IDS } from '../../utils/constants';
+
+const MAX_CONCURRENCY = 8;
+
+function percent(x) {
+  return `${(x * 100).toFixed(1)}%`;
+}
+
+/**
+ * Router outcome per question that every selected framework has answered:
+ * the Auto framework's route if it ran, else the heuristic one.
+ */
+function routerOutcomes(items, rows, frameworks) {
+  return items.flatMap((item, i) => {
+    const row = rows[i] || {};
+    if (!frameworks.every((fw) => row[fw])) return [];
+    const scores = Object.fromEntries(frameworks.map((fw) => [fw, row[fw].scores.normalized ? 1 : 0]));
+    const outcome = routerOutcome(row.auto?.route || suggestRoute(item.question), scores);
+    return outcome ? [outcome] : [];
+  });
+}
+
+export default function BenchmarkRunner({ runConfig, selected, onToggleFramework, apiKeySet }) {
+  const [dataset, setDataset] = useState(null);
+  const [parseError, setParseError] = useState(null);
+  const [concurrency, setConcurrency] = useState(3);
+  const [frameworks, setFrameworks] = useState([]);
+  const [rows, setRows] = useState([]);
+  const [completed, setCompleted] = useState(0);
+  const [running, setRunning] = useState(false);
+  const [stopped, setStopped] = useState(false);
+  const controllerRef = useRef(null);
+
+  // Abort in-flight requests if the benchmark view is closed mid-run
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  const handleFile = useCallback((e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    file.text().then((text) => {
+      try {
+        setDataset({ fileName: file.name, items: parseDataset(text, file.name) });
+        setParseError(null);
+        setRows([]);
+        setCompleted(0);
+      } catch (err) {
+        setDataset(null);
+        setParseError(`${file.name}: ${err.message}`);
+      }
+    });
+  }, []);
+
+  const handleRun = async () => {
+    if (!dataset || running) return;
+    const fwIds = FRAMEWORK_IDS.filter((id) => selected.has(id) && REGISTRY[id]);
+    if (fwIds.length === 0) return;
+
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    const signal = controller.signal;
+    const { apiKey, model, provider, baseUrl } = runConfig;
+
+    setFrameworks(fwIds);
+    setRows(dataset.items.map(() => ({})));
+    setCompleted(0);
+    setStopped(false);
+    setRunning(true);
+
+    const finished = dataset.items.map(() => ({}));
+    const tasks = dataset.items.flatMap((item, itemIndex) => fwIds.map((fw) => ({ item, itemIndex, fw })));
+
+    await runWithConcurrency(tasks, concurrency, async ({ item, itemIndex, fw }) => {
+      const entry = REGISTRY[fw];
+      const opts = { apiKey, model, provider, baseUrl, stream: false, signal, prompts: runConfig.prompts, ...entry.extraOpts(runConfig) };
+      let r;
+      try {
+        r = await entry.run(item.question, opts);
+        if (shouldVerify(runConfig, fw)) r = await verifyResult(item.question, r, { ...opts, tool: runConfig.verifyTool });
+      } catch (err) {
+        if (signal.aborted) return;
+        r = { error: err.message, framework: entry.name };
+      }
+      const answer = r.answer ?? r.finalAnswer ?? null;
+      const record = {
+        framework: r.framework || entry.name,
+        answer,
+        scores: scoreAnswer(answer, item.gold),
+        usage: r.usage,
+        llmCalls: r.llmCalls,
+        timeMs: r.timeMs,
+        error: r.error,
+        ...(r.route && { route: r.route }),
+      };
+      finished[itemIndex][fw] = record;
+      setRows((prev) => prev.map((row, i) => (i === itemIndex ? { ...row, [fw]: record } : row)));
+      setCompleted((n) => n + 1);
+    }, signal);
+
+    if (!signal.aborted) recordRouterOutcomes(routerOutcomes(dataset.items, finished, fwIds));
+    setRunning(false);
+  };
+
+  const handleStop = () => {
+    controllerRef.current?.abort();
+    setStopped(true);
+    setRunning(false);
+  };
+
+  const handleExport = () => {
+    const outcomes = routerOutcomes(dataset.items, rows, frameworks);
+    const payload = {
+      dataset: dataset?.fileName,
+      provider: runConfig.provider,
+      model: runConfig.model,
+      frameworks,
+      timestamp: new Date().toISOString(),
+      leaderboard: summarizeBenchmark(rows, frameworks, runConfig),
+      router: { total: outcomes.length, matched: outcomes.filter((o) => o.matched).length },
+      items: dataset.items.map((item, i) => ({ ...item, results: rows[i] || {} })),
+    };
+    const blob = new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `thinking-frameworks-benchmark-${Date.now()}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const total = (dataset?.items.length || 0) * frameworks.length;
+  const leaderboard = frameworks.length > 0 ? summarizeBenchmark(rows, frameworks, runConfig) : [];
+  const canRun = !!dataset && apiKeySet && selected.size > 0 && !running;
+  const router = dataset && frameworks.length > 1 ? routerOutcomes(dataset.items, rows, frameworks) : null;
+
+  return (
+    <div className="benchmark">
+      <div className="question-bar-container">
+        <div className="benchmark-controls">
+          <label className="benchmark-file">
+            <input type="file" accept=".jsonl,.ndjson,.csv,.txt" onChange={handleFile} disabled={running} />
+            {dataset ? 'Change dataset' : 'Upload dataset (JSONL / CSV)'}
+          </label>
+          <label className="benchmark-concurrency">
+            Concurrency
+            <input
+              type="number"
+              min={1}
+              max={MAX_CONCURRENCY}
+              value={concurrency}
+              disabled={running}
+              onChange={(e) => setConcurrency(Math.max(1, Math.min(MAX_CONCURRENCY, Number(e.target.value) || 1)))}
+            />
+          </label>
+          {running ? (
+            <button type="button" className="stop-btn" onClick={handleStop}>
+              <span className="stop-icon">■</span> Stop
+            </button>
+          ) : (
+            <button type="button" className="run-btn-compact" onClick={handleRun} disabled={!canRun}>
+              Run benchmark
+            </button>
+          )}
+        </div>
+        <div className="benchmark-hint">
+          {dataset
+            ? `${dataset.fileName} · ${dataset.items.length} question${dataset.items.length !== 1 ? 's' : ''}`
+            : 'One {"question", "gold_answer"} object per line, or a CSV with question,gold_answer columns.'}
+          {!apiKeySet && ' · Set your API key in Settings first.'}
+        </div>
+        {parseError && <div className="error-banner">{parseError}</div>}
+        <FrameworkPills selected={selected} onToggleFramework={onToggleFramework} disabled={running} />
+      </div>
+
+      {total > 0 && (
+        <div className="results-comparison">
+          <h3>
+            Leaderboard
+            <span className="benchmark-progress">
+              {completed}/{total} runs{running ? '…' : stopped ? ' · stopped' : ''}
+            </span>
+          </h3>
+          <div className="benchmark-progress-bar"><div style={{ width: `${(completed / total) * 100}%` }} /></div>
+          <table className="comparison-table">
+            <thead>
+              <tr>
+                <th>#</th>
+                <th>Framework</th>
+                <th>Accuracy</th>
+                <th>Exact</th>
+                <th>F1</th>
+                <th>Avg tokens</th>
+                <th>Est. cost</th>
+                <th>Avg time</th>
+                <th>Errors</th>
+              </tr>
+            </thead>
+            <tbody>
+              {leaderboard.map((row, i) => (
+                <tr key={row.fw}>
+                  <td>{i + 1}</td>
+                  <td className="fw-cell">{row.framework}</td>
+                  <td>{row.completed ? percent(row.accuracy) : '—'}</td>
+                  <td>{row.completed ? percent(row.exact) : '—'}</td>
+                  <td>{row.completed ? row.f1.toFixed(2) : '—'}</td>
+                  <td>{row.completed ? Math.round(row.avgTokens) : '—'}</td>
+                  <td>${row.costUsd.toFixed(4)}</td>
+                  <td>{row.completed ? `${(row.avgTimeMs / 1000).toFixed(1)}s` : '—'}</td>
+                  <td>{row.errors}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {router?.length > 0 && (
+            <div className="router-summary">
+              Router pick matched the best-scoring framework on {router.filter((o) => o.matched).length} of {router.length} questions
+              {' '}(questions every framework got equally right or wrong are skipped).
+            </div>
+          )}
+
+          <details className="benchmark-details">
+            <summary>Per-question results</summary>
+            <table className="comparison-table">
+              <thead>
+                <tr>
+                  <th>Question</th>
+                  <th>Gold</th>
+                  {frameworks.map((fw) => <th key={fw}>{REGISTRY[fw].name}</th>)}
+                </tr>
+              </thead>
+              <tbody>
+                {dataset.items.map((item, i) => (
+                  <tr key={item.id}>
+                    <td className="benchmark-question" title={item.question}>{item.question}</td>
+                    <td>{item.gold}</td>
+                    {frameworks.map((fw) => {
+                      const r = rows[i]?.[fw];
+                      if (!r) return <td key={fw} className="answer-cell-null">—</td>;
+                      return (
+                        <td
+                          key={fw}
+                          className={r.scores.normalized ? 'benchmark-correct' : 'benchmark-wrong'}
+                          title={r.error || `F1 ${r.scores.f1.toFixed(2)}`}
+                        >
+                          {r.error ? 'error' : (r.answer ?? 'No answer')}
+                        </td>
+                      );
+                    })}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </details>
+
+          {!running && completed > 0 && (
+            <div className="results-comparison-toolbar benchmark-export">
+              <button type="button" className="export-run-btn" onClick={handleExport}>
+                Export benchmark (JSON)
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,88 +1,202 @@
 /**
  * CotPanel — displays Chain-of-Thought (Self-Consistency) results.
  *
- * Renders differently based on question type:
- * - **Factual**: majority vote bars with confidence percentage
- * - **Open-ended**: synthesized answer from multiple reasoning paths
+ * Renders differently based on how the paths were aggregated (by default,
+ * by question type):
+ * - **Vote** (factual): majority vote bars with confidence percentage
+ * - **Synthesis** (open-ended): synthesized answer from multiple reasoning paths
+ * - **Universal self-consistency**: the selected path and the paths that
+ *   support it are highlighted, with the selection's reasoning
+ *
+ * The header names the prompting mode; custom and Auto-CoT runs list the
+ * demonstrations the prompt used. In adaptive mode it also shows the running vote's confidence after each
+ * batch of paths, and how many samples stopping early saved. With weighted
+ * voting, each vote bar shows the weighted share next to the count, and a
+ * notice flags when the weighted and unweighted winners differ.
  *
  * @param {object}  props
  * @param {object}  [props.result]   - CoTResult object (null while running)
- * @param {Array}   props.progress   - Streaming path completions
+ * @param {Array}   props.progress   - Streaming path events ({ index, content, partial }) and,
+ *                                     in adaptive mode, consensus checks after each batch
+ * @param {object}  [props.budget]   - Live budget snapshot (see BudgetMeter)
+ * @param {object}  [props.verification] - Chain-of-Verification results, if enabled (see VerificationSection)
  */
 import React, { useState } from 'react';
 import PanelShell from '../shared/PanelShell';
+import VerificationSection from '../shared/VerificationSection';
 import MarkdownContent from '../MarkdownContent';
 import { FRAMEWORKS } from '../../utils/constants';
 
 const META = FRAMEWORKS.find((f) => f.id === 'cot');
 
-export default function CotPanel({ result, progress = [] }) {
+const MODE_LABELS = { 'zero-shot': 'zero-shot', 'few-shot': 'few-shot', custom: 'custom exemplars', auto: 'Auto-CoT' };
+
+const AGGREGATION_BADGES = { synthesis: 'Synthesis', usc: 'USC' };
+const AGGREGATION_LABELS = { vote: 'majority vote', synthesis: 'synthesized', usc: 'most consistent path' };
+
+const WEIGHTING_LABELS = { logprobs: 'path likelihood', confidence: 'self-rated confidence' };
+
+export default function CotPanel({ result, progress = [], budget, verification }) {
   const [expandedPath, setExpandedPath] = useState(null);
 
   const isRunning = !result && progress.length > 0;
-  const pathCount = result ? (result.paths?.length || 0) : progress.length;
-  const isOpenEnded = result?.questionType === 'open-ended';
+  // Paths stream in parallel; keep them in sample order while they arrive
+  const livePaths = progress.filter((p) => p.type === 'path').sort((a, b) => a.index - b.index);
+  const adaptive = result?.adaptive;
+  const checks = result ? adaptive?.trajectory || [] : progress.filter((p) => p.type === 'consensus');
+  const pathCount = result ? (result.paths?.length || 0) : livePaths.filter((p) => !p.partial).length;
+  const streamingCount = result ? 0 : livePaths.length - pathCount;
+  // Results from before `aggregation` was recorded were aggregated by question type
+  const aggregation = result && (result.aggregation || (result.questionType === 'open-ended' ? 'synthesis' : 'vote'));
+  const isOpenEnded = aggregation === 'synthesis';
+  const supporting = result?.supportingPaths || [];
+  const weighted = result?.weightedVoteCounts;
+  const totalWeight = weighted ? Object.values(weighted).reduce((a, b) => a + b, 0) : 0;
 
   const stats = result ? [
     { label: 'LLM calls', value: result.llmCalls },
     { label: 'Tokens', value: result.usage?.total_tokens ?? '—' },
-    { label: isOpenEnded ? 'Mode' : 'Confidence', value: isOpenEnded ? 'Synthesis' : `${(result.confidence * 100).toFixed(0)}%` },
-  ] : null;
+    aggregation === 'vote' && { label: 'Confidence', value: `${((weighted ? result.weightedConfidence : result.confidence) * 100).toFixed(0)}%` },
+    aggregation === 'synthesis' && { label: 'Mode', value: 'Synthesis' },
+    aggregation === 'usc' && { label: 'Support', value: result.selectedPath != null ? `${supporting.length}/${result.paths.length}` : '—' },
+    ...(adaptive ? [{ label: 'Samples saved', value: `${adaptive.samplesSaved}/${adaptive.maxSamples}` }] : []),
+  ].filter(Boolean) : null;
 
   return (
     <PanelShell
       id="cot"
       title={META.label}
-      badge={isOpenEnded ? 'Synthesis' : META.badge}
+      badge={AGGREGATION_BADGES[aggregation] || META.badge}
       result={result}
       isRunning={isRunning || progress.length > 0}
       errorKey="paths"
       stats={stats}
+      budget={budget}
     >
       {/* Reasoning paths (expandable) */}
       <div className="cot-paths">
         <div className="paths-header">
           {pathCount} reasoning path{pathCount !== 1 ? 's' : ''} sampled
-          {isOpenEnded && <span className="paths-header-mode"> · open-ended → synthesized</span>}
-          {result?.questionType === 'factual' && <span className="paths-header-mode"> · factual → majority vote</span>}
+          {result?.mode && <span className="paths-header-mode"> · {MODE_LABELS[result.mode]}</span>}
+          {streamingCount > 0 && <span className="paths-header-mode"> · {streamingCount} generating</span>}
+          {result && (
+            <span className="paths-header-mode">
+              {' · '}{result.questionType && `${result.questionType} → `}{AGGREGATION_LABELS[aggregation]}
+            </span>
+          )}
+          {adaptive && aggregation === 'vote' && (
+            <span className="paths-header-mode">
+              {' · '}{adaptive.stoppedEarly
+                ? `adaptive: confident after ${pathCount} of ${adaptive.maxSamples}`
+                : `adaptive: no early stop (${Math.round(adaptive.threshold * 100)}% not reached)`}
+            </span>
+          )}
         </div>
-        {(result ? (result.paths || []) : progress.map((p) => p.content)).map((path, i) => (
-          <div key={i} className="cot-path-item" onClick={() => setExpandedPath(expandedPath === i ? null : i)}>
+        {result?.modeNote && <div className="vote-weighting-note cot-mode-note">{result.modeNote}</div>}
+        {result?.demonstrations?.length > 0 && (
+          <details className="cot-demos">
+            <summary>{result.demonstrations.length} demonstration{result.demonstrations.length !== 1 ? 's' : ''} in the prompt</summary>
+            {result.demonstrations.map((d, i) => (
+              <div key={i} className="cot-demo">
+                <div className="cot-demo-question">
+                  Q: {d.question}
+                  {d.cluster != null && <span className="cot-path-tag">cluster {d.cluster + 1}</span>}
+                </div>
+                <pre className="path-content">{d.rationale}</pre>
+              </div>
+            ))}
+          </details>
+        )}
+        {(result
+          ? (result.paths || []).map((content) => ({ content, partial: false }))
+          : livePaths
+        ).map(({ content: path, partial }, i) => (
+          <div
+            key={i}
+            className={`cot-path-item${result?.selectedPath === i ? ' cot-path-selected' : supporting.includes(i) ? ' cot-path-supporting' : ''}`}
+            onClick={() => setExpandedPath(expandedPath === i ? null : i)}
+          >
             <div className="path-label">
               Path {i + 1}
+              {result?.selectedPath === i && <span className="cot-path-tag">most consistent</span>}
+              {result?.selectedPath !== i && supporting.includes(i) && <span className="cot-path-tag">supports</span>}
+              {partial && <span className="path-answer path-answer-streaming">generating…</span>}
               {result && !isOpenEnded && (
                 result.answers[i] != null
-                  ? <span className="path-answer">= {result.answers[i]}</span>
+                  ? (
+                    <span className="path-answer">
+                      = {result.answers[i]}
+                      {result.pathWeights && <span className="path-weight" title={`Weight (${WEIGHTING_LABELS[result.voteWeighting]})`}>w {result.pathWeights[i].toFixed(2)}</span>}
+                    </span>
+                  )
                   : <span className="path-answer path-answer-null">no answer extracted</span>
               )}
             </div>
-            {expandedPath === i && (
-              <pre className="path-content">{path}</pre>
+            {(expandedPath === i || partial) && (
+              <pre className={`path-content${partial ? ' streaming' : ''}`}>{path}</pre>
             )}
           </div>
         ))}
+
+        {/* ADAPTIVE: running vote confidence after each batch */}
+        {checks.length > 0 && (
+          <div className="cot-trajectory">
+            <div className="vote-title">Confidence trajectory</div>
+            {checks.map((c) => (
+              <div key={c.samples} className="cot-trajectory-row">
+                <span className="cot-trajectory-samples">{c.samples} path{c.samples !== 1 ? 's' : ''}</span>
+                <div className="cot-trajectory-track">
+                  <div
+                    className={`cot-trajectory-fill${adaptive && c.confidence >= adaptive.threshold ? ' cot-trajectory-fill-confident' : ''}`}
+                    style={{ width: `${c.confidence * 100}%` }}
+                  />
+                  {adaptive && <div className="cot-trajectory-threshold" style={{ left: `${adaptive.threshold * 100}%` }} />}
+                </div>
+                <span className="cot-trajectory-value">{(c.confidence * 100).toFixed(0)}%</span>
+                <span className="cot-trajectory-leader" title={`${c.votes} vs ${c.runnerUp} votes`}>
+                  {c.leader ?? 'no answer'} ({c.votes}–{c.runnerUp})
+                </span>
+              </div>
+            ))}
+          </div>
+        )}
       </div>
 
       {/* Results — different rendering based on question type */}
       {result && (
         <div className="cot-results">
-          {/* FACTUAL: Majority vote */}
-          {!isOpenEnded && (
+          {/* VOTE: Majority vote */}
+          {aggregation === 'vote' && (
             <>
               <div className="vote-section">
-                <div className="vote-title">Majority Vote</div>
+                <div className="vote-title">
+                  Majority Vote{weighted && ` · count and weighted by ${WEIGHTING_LABELS[result.voteWeighting]}`}
+                </div>
                 <div className="vote-bars">
                   {Object.entries(result.voteCounts || {})
-                    .sort((a, b) => b[1] - a[1])
+                    .sort((a, b) => b[1] - a[1] || (weighted ? weighted[b[0]] - weighted[a[0]] : 0))
                     .map(([answer, count]) => (
                       <div key={answer} className="vote-bar-row">
                         <span className="vote-answer">{answer}</span>
-                        <div className="vote-bar" style={{ width: `${(count / result.paths.length) * 100}%` }}>
-                          {count}
+                        <div className="vote-bar-stack">
+                          <div className="vote-bar" style={{ width: `${(count / result.paths.length) * 100}%` }}>
+                            {count}
+                          </div>
+                          {weighted && (
+                            <div className="vote-bar vote-bar-weighted" style={{ width: `${(weighted[answer] / totalWeight) * 100}%` }}>
+                              {((weighted[answer] / totalWeight) * 100).toFixed(0)}%
+                            </div>
+                          )}
                         </div>
                       </div>
                     ))}
                 </div>
+                {result.votesDisagree && (
+                  <div className="vote-disagree">
+                    Weighted and unweighted votes disagree: weighted picks <strong>{result.answer}</strong>, unweighted picks <strong>{result.unweightedAnswer}</strong>.
+                  </div>
+                )}
+                {result.weightingUnavailable && <div className="vote-weighting-note">{result.weightingUnavailable}</div>}
               </div>
 
               {result.extractionFailures > 0 && (
@@ -93,14 +207,45 @@ export default function CotPanel({ result, progress = [] }) {
 
               <div className="final-answer">
                 <span className="answer-label">Final Answer:</span>
-                <span className="confidence">({(result.confidence * 100).toFixed(0)}% confidence)</span>
+                <span className="confidence">
+                  ({((weighted ? result.weightedConfidence : result.confidence) * 100).toFixed(0)}% {weighted ? 'weighted ' : ''}confidence)
+                </span>
                 <MarkdownContent content={result.finalAnswer || result.answer} />
               </div>
             </>
           )}
 
-          {/* OPEN-ENDED: Synthesized answer */}
-          {isOpenEnded && (
+          {/* USC: the most consistent path */}
+          {aggregation === 'usc' && (
+            result.selectedPath != null ? (
+              <>
+                <div className="usc-section">
+                  <div className="vote-title">Universal Self-Consistency</div>
+                  <div className="usc-selection">
+                    Path {result.selectedPath + 1} is the most consistent, supported by {supporting.length} of {result.paths.length} paths
+                    {supporting.length > 1 && ` (${supporting.map((i) => i + 1).join(', ')})`}
+                  </div>
+                  {result.selectionNote && <div className="vote-weighting-note">{result.selectionNote}</div>}
+                  <details className="usc-rationale">
+                    <summary>Selection reasoning</summary>
+                    <MarkdownContent content={result.selectionRationale} />
+                  </details>
+                </div>
+                <div className="final-answer">
+                  <span className="answer-label">Final Answer:</span>
+                  <span className="confidence">(from path {result.selectedPath + 1})</span>
+                  <MarkdownContent content={result.answer} />
+                </div>
+              </>
+            ) : (
+              <div className="error-info">
+                <span className="answer-label">Error:</span> {result.error || 'No path was selected'}
+              </div>
+            )
+          )}
+
+          {/* SYNTHESIS: Synthesized answer */}
+          {isOpenEnded && result.answer != null && (
             <div className="synthesis-section">
               <div className="synthesis-title">
                 <span className="synthesis-icon">✦</span> Synthesized from {result.paths.length} reasoning paths
@@ -112,6 +257,8 @@ export default function CotPanel({ result, progress = [] }) {
           )}
         </div>
       )}
+
+      <VerificationSection verification={verification} />
     </PanelShell>
   );
 }
@@ -0,0 +1,169 @@
+/**
+ * DebatePanel — displays multi-agent Debate results.
+ *
+ * A rounds × agents grid: each cell is an agent's answer in that round,
+ * highlighted when the agent changed its answer and marked when it is in the
+ * majority. The last column shows how far the agents agree after each round,
+ * and a header badge says whether they converged. Click a cell to read the
+ * full response. The judge's verdict (if any) and the settled answer follow.
+ *
+ * @param {object}  props
+ * @param {object}  [props.result]   - DebateResult object (null while running)
+ * @param {Array}   props.progress   - Streaming agents / response / round / judge events
+ * @param {object}  [props.budget]   - Live budget snapshot (see BudgetMeter)
+ */
+import React, { useState } from 'react';
+import PanelShell from '../shared/PanelShell';
+import MarkdownContent from '../MarkdownContent';
+import { groupAnswers } from '../../frameworks/debate';
+import { FRAMEWORKS } from '../../utils/constants';
+
+const META = FRAMEWORKS.find((f) => f.id === 'debate');
+
+/** Rebuild agents and rounds from streaming events. */
+function groupProgress(progress) {
+  let agents = [];
+  const rounds = [];
+  let judge = null;
+  for (const { phase, data, partial } of progress) {
+    if (phase === 'agents') agents = data.agents;
+    else if (phase === 'response') {
+      const round = rounds[data.round] || (rounds[data.round] = { round: data.round, turns: [] });
+      round.turns[data.agent] = { ...data, partial };
+    } else if (phase === 'round') Object.assign(rounds[data.round], data);
+    else if (phase === 'judge') judge = data.text;
+  }
+  return { agents, rounds, judge };
+}
+
+function truncate(text, max) {
+  return text.length > max ? `${text.slice(0, max)}…` : text;
+}
+
+export default function DebatePanel({ result, progress = [], budget }) {
+  const [open, setOpen] = useState(null);
+  const { agents, rounds, judge } = result
+    ? { agents: result.agents || [], rounds: result.rounds || [], judge: result.judgeText }
+    : groupProgress(progress);
+  const isRunning = !result && progress.length > 0;
+  const openTurn = open && rounds[open.round]?.turns[open.agent];
+
+  const last = rounds[rounds.length - 1];
+  const stats = result ? [
+    { label: 'LLM calls', value: result.llmCalls },
+    { label: 'Tokens', value: result.usage?.total_tokens ?? '—' },
+    { label: 'Rounds', value: rounds.length },
+    { label: 'Changes', value: rounds.reduce((n, r) => n + r.turns.filter((t) => t.changed).length, 0) },
+    { label: 'Agreement', value: last ? `${Math.round(last.agreement * 100)}%` : '—' },
+  ] : null;
+
+  return (
+    <PanelShell
+      id="debate"
+      title={META.label}
+      badge={META.badge}
+      result={result}
+      isRunning={isRunning || progress.length > 0}
+      errorKey="rounds"
+      stats={stats}
+      budget={budget}
+    >
+      {agents.length > 0 && (
+        <div className="debate-section">
+          <div className="paths-header">
+            {agents.length} agents · {rounds.length} round{rounds.length !== 1 ? 's' : ''}
+            {result && (
+              <span className={`debate-convergence${result.converged ? ' debate-converged' : ''}`}>
+                {result.converged
+                  ? `Converged after ${rounds.length === 1 ? 'the initial answers' : `round ${rounds.length - 1}`}`
+                  : `No consensus · settled by ${result.settledBy}`}
+              </span>
+            )}
+          </div>
+          <div className="matrix-scroll">
+            <table className="debate-grid">
+              <thead>
+                <tr>
+                  <th>Round</th>
+                  {agents.map((a) => (
+                    <th key={a.index} title={a.model}>
+                      Agent {a.index + 1}
+                      <div className="debate-agent-meta">{a.persona} · {a.model}</div>
+                    </th>
+                  ))}
+                  <th>Agreement</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rounds.map((r) => {
+                  const { groupOf } = groupAnswers(agents.map((a) => r.turns[a.index]?.answer ?? null));
+                  const majorityGroup = r.majority != null ? groupOf[r.turns.findIndex((t) => t?.answer === r.majority)] : -1;
+                  return (
+                    <tr key={r.round}>
+                      <td className="debate-round">{r.round === 0 ? 'Initial' : `Round ${r.round}`}</td>
+                      {agents.map((a) => {
+                        const t = r.turns[a.index];
+                        if (!t) return <td key={a.index} className="answer-cell-null">…</td>;
+                        const classes = ['debate-cell'];
+                        if (t.changed) classes.push('debate-cell-changed');
+                        if (majorityGroup !== -1 && groupOf[a.index] === majorityGroup) classes.push('debate-cell-majority');
+                        if (open?.round === r.round && open?.agent === a.index) classes.push('debate-cell-open');
+                        return (
+                          <td key={a.index} className={classes.join(' ')}>
+                            <button
+                              type="button"
+                              onClick={() => setOpen(open?.round === r.round && open?.agent === a.index ? null : { round: r.round, agent: a.index })}
+                              title={t.changed ? 'Changed its answer this round' : 'Show the full response'}
+                            >
+                              {t.partial ? <span className="streaming">{truncate(t.text, 60)}</span> : (t.answer ?? 'No answer')}
+                            </button>
+                          </td>
+                        );
+                      })}
+                      <td className="debate-agreement">
+                        {r.agreement != null && (
+                          <>
+                            <div className="debate-meter"><div style={{ width: `${r.agreement * 100}%` }} /></div>
+                            {Math.round(r.agreement * agents.length)}/{agents.length}
+                          </>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+          {openTurn && (
+            <div className="debate-response">
+              <div className="phase-label">
+                Agent {open.agent + 1} · {open.round === 0 ? 'initial answer' : `round ${open.round}`}
+              </div>
+              <MarkdownContent content={openTurn.text} />
+            </div>
+          )}
+        </div>
+      )}
+
+      {judge && (
+        <div className="debate-section">
+          <div className="phase-label">Judge</div>
+          <MarkdownContent content={judge} />
+        </div>
+      )}
+
+      {result && (
+        result.answer != null ? (
+          <div className="final-answer">
+            <span className="answer-label">Final Answer:</span>
+            <MarkdownContent content={result.answer} />
+          </div>
+        ) : (
+          <div className="error-info">
+            <span className="answer-label">Error:</span> {result.error || 'No answer produced'}
+          </div>
+        )
+      )}
+    </PanelShell>
+  );
+}
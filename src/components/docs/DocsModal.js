@@ -0,0 +1,165 @@
+/**
+ * DocsModal — manages the local document knowledge base behind the `docs` tool.
+ *
+ * - Uploads PDF / Markdown / text files; each is chunked and BM25-indexed
+ *   in IndexedDB (nothing leaves the browser)
+ * - Lists indexed documents with page / passage counts; remove one or all
+ * - A test search shows which passages the `docs` tool would return
+ *
+ * @param {object}   props
+ * @param {boolean}  props.isOpen  - Whether the modal is visible
+ * @param {function} props.onClose - Closes the modal
+ */
+import React, { useState, useEffect, useCallback } from 'react';
+import { listDocuments, addDocument, removeDocument, clearDocuments, searchDocuments } from '../../utils/knowledgeBase';
+import { DOCUMENT_ACCEPT } from '../../utils/documents';
+
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(0)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+export default function DocsModal({ isOpen, onClose }) {
+  const [docs, setDocs] = useState([]);
+  const [busy, setBusy] = useState(null);
+  const [errors, setErrors] = useState([]);
+  const [query, setQuery] = useState('');
+  const [hits, setHits] = useState(null);
+
+  const refresh = useCallback(() => {
+    listDocuments()
+      .then(setDocs)
+      .catch((err) => setErrors([err.message]));
+  }, []);
+
+  useEffect(() => {
+    if (isOpen) refresh();
+  }, [isOpen, refresh]);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    const handleKey = (e) => e.key === 'Escape' && onClose();
+    document.addEventListener('keydown', handleKey);
+    return () => document.removeEventListener('keydown', handleKey);
+  }, [isOpen, onClose]);
+
+  if (!isOpen) return null;
+
+  const handleFiles = async (e) => {
+    const files = [...(e.target.files || [])];
+    e.target.value = '';
+    const failed = [];
+    for (const file of files) {
+      setBusy(`Indexing ${file.name}…`);
+      try {
+        await addDocument(file);
+      } catch (err) {
+        failed.push(`${file.name}: ${err.message}`);
+      }
+    }
+    setBusy(null);
+    setErrors(failed);
+    setHits(null);
+    refresh();
+  };
+
+  const handleRemove = async (id) => {
+    await removeDocument(id).catch((err) => setErrors([err.message]));
+    setHits(null);
+    refresh();
+  };
+
+  const handleClear = async () => {
+    if (!window.confirm('Remove all documents from the knowledge base?')) return;
+    await clearDocuments().catch((err) => setErrors([err.message]));
+    setHits(null);
+    refresh();
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    if (!query.trim()) return;
+    searchDocuments(query)
+      .then((result) => setHits(result || []))
+      .catch((err) => setErrors([err.message]));
+  };
+
+  return (
+    <div
+      className="history-overlay"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="docs-title"
+      onClick={(e) => e.target === e.currentTarget && onClose()}
+    >
+      <div className="history-modal docs-modal">
+        <div className="history-header">
+          <h3 id="docs-title">Knowledge base</h3>
+          <button type="button" className="settings-close" onClick={onClose} aria-label="Close knowledge base">&times;</button>
+        </div>
+        <div className="history-body">
+          <p className="docs-hint">
+            Documents are indexed in your browser and searched by the <code>docs</code> tool
+            (ReAct, ReWOO, Plan-Execute). Nothing is uploaded to a server.
+          </p>
+          <label className="benchmark-file">
+            <input type="file" accept={DOCUMENT_ACCEPT} multiple onChange={handleFiles} disabled={!!busy} />
+            {busy || 'Add documents (PDF, Markdown, text)'}
+          </label>
+          {errors.map((msg) => <div key={msg} className="error-banner">{msg}</div>)}
+
+          {docs.length === 0 ? (
+            <p className="history-empty">No documents yet.</p>
+          ) : (
+            <>
+              <ul className="history-list docs-list">
+                {docs.map((doc) => (
+                  <li key={doc.id} className="history-item docs-item">
+                    <div>
+                      <div className="history-item-question">{doc.name}</div>
+                      <div className="history-item-meta">
+                        {doc.pages > 0 && `${doc.pages} page${doc.pages !== 1 ? 's' : ''} · `}
+                        {doc.chunkCount} passage{doc.chunkCount !== 1 ? 's' : ''} · {formatSize(doc.size)}
+                      </div>
+                    </div>
+                    <button type="button" className="history-action history-action-delete" onClick={() => handleRemove(doc.id)} aria-label={`Remove ${doc.name}`}>
+                      Remove
+                    </button>
+                  </li>
+                ))}
+              </ul>
+              <div className="docs-actions">
+                <button type="button" className="history-action history-action-delete" onClick={handleClear}>Remove all</button>
+              </div>
+
+              <form className="docs-search" onSubmit={handleSearch}>
+                <input
+                  type="text"
+                  value={query}
+                  onChange={(e) => setQuery(e.target.value)}
+                  placeholder="Test a search…"
+                />
+                <button type="submit" className="run-btn-compact" disabled={!query.trim()}>Search</button>
+              </form>
+              {hits && (
+                hits.length === 0 ? (
+                  <p className="history-empty">No matching passages.</p>
+                ) : (
+                  <ol className="docs-hits">
+                    {hits.map((hit, i) => (
+                      <li key={i}>
+                        <div className="history-item-meta">{hit.citation} · score {hit.score.toFixed(2)}</div>
+                        <div className="docs-hit-text">{hit.text}</div>
+                      </li>
+                    ))}
+                  </ol>
+                )
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,492 @@
+/**
+ * ExperimentRunner — A/B experiments: repeated trials of two or more
+ * configurations with bootstrap statistics (see utils/experiment).
+ *
+ * Responsibilities:
+ * - Edits the arms: framework, model, prompt version of each template the
+ *   framework uses, and CoT samples
+ * - Runs every arm `repeats` times over one question (with an optional
+ *   reference answer) or an uploaded JSONL/CSV dataset, headlessly through
+ *   the FrameworkRunner registry, with a concurrency limit and a shared stop
+ * - Shows each arm's mean, variance and confidence interval of accuracy,
+ *   tokens and latency, and each arm against the baseline (arm A) with a
+ *   significance verdict; the report can be exported as JSON
+ *
+ * @param {object} props
+ * @param {object} props.runConfig - Same shape as FrameworkRunner's config, minus question/frameworks
+ * @param {Array<{id: string}>} props.models - Models an arm can use, each a
+ *   ModelTarget with its API key and an `id` ('primary' for the Settings connection)
+ * @param {import('../../utils/promptLibrary').PromptLibrary} props.promptLibrary - Saved prompt versions
+ */
+import React, { useState, useRef, useEffect, useCallback, useMemo } from 'react';
+import { REGISTRY } from '../FrameworkRunner';
+import { parseDataset } from '../../utils/benchmark';
+import { scoreAnswer } from '../../utils/answerScoring';
+import { runWithConcurrency } from '../../utils/concurrency';
+import { targetCost } from '../../utils/modelMatrix';
+import { resolvePrompts } from '../../utils/promptLibrary';
+import { PROMPT_TEMPLATES, promptVersions, customPromptLabels } from '../../frameworks/prompts';
+import { shouldVerify, verifyResult } from '../../frameworks/verification';
+import { analyzeExperiment, buildExperimentReport, METRICS } from '../../utils/experiment';
+import { FRAMEWORKS, PROVIDERS, isConnectionReady } from '../../utils/constants';
+
+const MAX_ARMS = 6;
+const MAX_REPEATS = 50;
+const MAX_CONCURRENCY = 8;
+
+const ARM_FRAMEWORKS = FRAMEWORKS.filter((f) => REGISTRY[f.id]);
+
+const VERDICTS = {
+  better: 'Significantly better',
+  worse: 'Significantly worse',
+  'no-difference': 'No significant difference',
+  insufficient: 'Too few trials',
+};
+
+/** Arm letter by position: A is the baseline. */
+function armId(index) {
+  return String.fromCharCode(65 + index);
+}
+
+/** Templates a framework renders. */
+function frameworkTemplates(frameworkId) {
+  return Object.keys(PROMPT_TEMPLATES).filter((id) => PROMPT_TEMPLATES[id].frameworks.includes(frameworkId));
+}
+
+function providerLabel(providerId) {
+  return PROVIDERS.find((p) => p.id === providerId)?.label || providerId;
+}
+
+// ── Formatting ───────────────────────────────────────────────────
+
+const FORMATS = {
+  accuracy: (x) => `${(x * 100).toFixed(1)}%`,
+  tokens: (x) => Math.round(x).toLocaleString(),
+  latency: (x) => `${(x / 1000).toFixed(2)}s`,
+};
+
+function formatDiff(metric, x) {
+  return `${x > 0 ? '+' : x < 0 ? '−' : '±'}${FORMATS[metric](Math.abs(x))}`;
+}
+
+function formatCi(metric, ci, format = FORMATS[metric]) {
+  return ci ? `${format(ci[0])} – ${format(ci[1])}` : '—';
+}
+
+function formatP(p) {
+  if (p == null) return '—';
+  return p < 0.001 ? '< 0.001' : p.toFixed(3);
+}
+
+// ── Component ────────────────────────────────────────────────────
+
+export default function ExperimentRunner({ runConfig, models, promptLibrary }) {
+  const nextKey = useRef(2);
+  const [arms, setArms] = useState(() => [
+    { key: 0, frameworkId: 'cot', modelId: 'primary', prompts: {}, nSamples: runConfig.nSamples },
+    { key: 1, frameworkId: 'react', modelId: 'primary', prompts: {}, nSamples: runConfig.nSamples },
+  ]);
+  const [question, setQuestion] = useState('');
+  const [gold, setGold] = useState('');
+  const [dataset, setDataset] = useState(null);
+  const [parseError, setParseError] = useState(null);
+  const [repeats, setRepeats] = useState(5);
+  const [concurrency, setConcurrency] = useState(3);
+  const [launchError, setLaunchError] = useState(null);
+  const [setup, setSetup] = useState(null);
+  const [trials, setTrials] = useState([]);
+  const [running, setRunning] = useState(false);
+  const [stopped, setStopped] = useState(false);
+  const controllerRef = useRef(null);
+
+  // Abort in-flight requests if the experiment view is closed mid-run
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  const modelOf = (arm) => models.find((m) => m.id === arm.modelId) || models[0];
+
+  const updateArm = (key, changes) => {
+    setArms((prev) => prev.map((arm) => (arm.key === key ? { ...arm, ...changes } : arm)));
+  };
+
+  const addArm = () => {
+    setArms((prev) => [...prev, { ...prev[prev.length - 1], key: nextKey.current++ }]);
+  };
+
+  const removeArm = (key) => setArms((prev) => prev.filter((arm) => arm.key !== key));
+
+  const handleFile = useCallback((e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    file.text().then((text) => {
+      try {
+        setDataset({ fileName: file.name, items: parseDataset(text, file.name) });
+        setParseError(null);
+      } catch (err) {
+        setDataset(null);
+        setParseError(`${file.name}: ${err.message}`);
+      }
+    });
+  }, []);
+
+  /** Arm as recorded in the report: its configuration, without the API key. */
+  const describeArm = (arm, index) => {
+    const target = modelOf(arm);
+    const prompts = resolvePrompts(promptLibrary, arm.prompts);
+    const versions = promptVersions(prompts, frameworkTemplates(arm.frameworkId));
+    const framework = FRAMEWORKS.find((f) => f.id === arm.frameworkId);
+    const parts = [framework?.label || arm.frameworkId, target.model];
+    if (arm.frameworkId === 'cot') parts.push(`${arm.nSamples} samples`);
+    parts.push(...customPromptLabels(versions));
+    return {
+      id: armId(index),
+      label: parts.join(' · '),
+      framework: arm.frameworkId,
+      provider: target.provider,
+      baseUrl: target.baseUrl,
+      model: target.model,
+      ...(arm.frameworkId === 'cot' && { nSamples: arm.nSamples }),
+      prompts: versions,
+    };
+  };
+
+  const handleRun = async () => {
+    if (running) return;
+    const items = dataset
+      ? dataset.items
+      : [{ id: 1, question: question.trim(), gold: gold.trim() || null }];
+    const unready = arms.find((arm) => !isConnectionReady(modelOf(arm)));
+    if (unready) {
+      const target = modelOf(unready);
+      setLaunchError(`Set up your ${providerLabel(target.provider)} connection in Settings to run ${target.model || 'this model'}.`);
+      return;
+    }
+    setLaunchError(null);
+
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    const signal = controller.signal;
+    const described = arms.map(describeArm);
+
+    setSetup({ arms: described, items, repeats, dataset: dataset?.fileName });
+    setTrials([]);
+    setStopped(false);
+    setRunning(true);
+
+    // Repetition outermost, so a stopped experiment still has balanced arms
+    const tasks = [];
+    for (let repeat = 0; repeat < repeats; repeat++) {
+      for (const item of items) {
+        arms.forEach((arm, index) => tasks.push({ arm, id: described[index].id, item, repeat }));
+      }
+    }
+
+    await runWithConcurrency(tasks, concurrency, async ({ arm, id, item, repeat }) => {
+      const entry = REGISTRY[arm.frameworkId];
+      const target = modelOf(arm);
+      const opts = {
+        apiKey: target.apiKey,
+        model: target.model,
+        provider: target.provider,
+        baseUrl: target.baseUrl,
+        stream: false,
+        signal,
+        prompts: resolvePrompts(promptLibrary, arm.prompts),
+        ...entry.extraOpts({ ...runConfig, nSamples: arm.nSamples }),
+      };
+      const started = Date.now();
+      let r;
+      try {
+        r = await entry.run(item.question, opts);
+        if (shouldVerify(runConfig, arm.frameworkId)) r = await verifyResult(item.question, r, { ...opts, tool: runConfig.verifyTool });
+      } catch (err) {
+        if (signal.aborted) return;
+        r = { error: err.message };
+      }
+      const answer = r.answer ?? r.finalAnswer ?? null;
+      const trial = {
+        arm: id,
+        item: item.id,
+        repeat,
+        answer,
+        correct: item.gold != null ? scoreAnswer(answer, item.gold).normalized : null,
+        tokens: r.usage?.total_tokens || 0,
+        timeMs: r.timeMs ?? Date.now() - started,
+        costUsd: targetCost(r.usage, target),
+        ...(r.error && { error: r.error }),
+      };
+      setTrials((prev) => [...prev, trial]);
+    }, signal);
+
+    setRunning(false);
+  };
+
+  const handleStop = () => {
+    controllerRef.current?.abort();
+    setStopped(true);
+    setRunning(false);
+  };
+
+  // Bootstrapping every arm is not free, so only analyze once the run ends
+  const analysis = useMemo(
+    () => (!running && setup && trials.length > 0 ? analyzeExperiment(setup.arms, trials) : null),
+    [running, setup, trials]
+  );
+
+  const handleExport = () => {
+    const report = buildExperimentReport(setup, trials, analysis);
+    const blob = new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `thinking-frameworks-experiment-${Date.now()}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const total = setup ? setup.arms.length * setup.items.length * setup.repeats : 0;
+  const canRun = !running && arms.length >= 2 && (!!dataset || question.trim() !== '');
+  const armLabel = (id) => setup?.arms.find((a) => a.id === id)?.label || id;
+
+  return (
+    <div className="benchmark experiment">
+      <div className="question-bar-container">
+        <div className="experiment-arms">
+          {arms.map((arm, index) => {
+            const templates = frameworkTemplates(arm.frameworkId);
+            return (
+              <div key={arm.key} className="experiment-arm">
+                <span className="experiment-arm-id" title={index === 0 ? 'Baseline' : undefined}>{armId(index)}</span>
+                <select
+                  value={arm.frameworkId}
+                  onChange={(e) => updateArm(arm.key, { frameworkId: e.target.value })}
+                  disabled={running}
+                  aria-label={`Arm ${armId(index)} framework`}
+                >
+                  {ARM_FRAMEWORKS.map((f) => <option key={f.id} value={f.id}>{f.label}</option>)}
+                </select>
+                <select
+                  value={modelOf(arm).id}
+                  onChange={(e) => updateArm(arm.key, { modelId: e.target.value })}
+                  disabled={running}
+                  aria-label={`Arm ${armId(index)} model`}
+                >
+                  {models.map((m) => (
+                    <option key={m.id} value={m.id}>{m.model || '(no model)'} · {providerLabel(m.provider)}</option>
+                  ))}
+                </select>
+                {arm.frameworkId === 'cot' && (
+                  <label className="benchmark-concurrency">
+                    Samples
+                    <input
+                      type="number"
+                      min={1}
+                      max={15}
+                      value={arm.nSamples}
+                      disabled={running}
+                      onChange={(e) => updateArm(arm.key, { nSamples: Math.max(1, Math.min(15, Number(e.target.value) || 1)) })}
+                    />
+                  </label>
+                )}
+                {templates.map((id) => (
+                  <select
+                    key={id}
+                    value={promptLibrary.versions[id]?.some((v) => v.version === arm.prompts[id]) ? arm.prompts[id] : 'default'}
+                    onChange={(e) => updateArm(arm.key, { prompts: { ...arm.prompts, [id]: e.target.value } })}
+                    disabled={running}
+                    title={PROMPT_TEMPLATES[id].label}
+                    aria-label={`Arm ${armId(index)} ${PROMPT_TEMPLATES[id].label}`}
+                  >
+                    <option value="default">{id}: default</option>
+                    {(promptLibrary.versions[id] || []).map((v) => (
+                      <option key={v.version} value={v.version}>{id}: {v.version} · {v.name}</option>
+                    ))}
+                  </select>
+                ))}
+                {arms.length > 2 && (
+                  <button
+                    type="button"
+                    className="model-target-remove"
+                    onClick={() => removeArm(arm.key)}
+                    disabled={running}
+                    aria-label={`Remove arm ${armId(index)}`}
+                  >
+                    &times;
+                  </button>
+                )}
+              </div>
+            );
+          })}
+          {arms.length < MAX_ARMS && (
+            <button type="button" className="model-target-add" onClick={addArm} disabled={running}>
+              + Add configuration
+            </button>
+          )}
+        </div>
+
+        {dataset ? (
+          <div className="benchmark-hint">
+            {dataset.fileName} · {dataset.items.length} question{dataset.items.length !== 1 ? 's' : ''}{' '}
+            <button type="button" className="history-action" onClick={() => setDataset(null)} disabled={running}>
+              Use one question instead
+            </button>
+          </div>
+        ) : (
+          <div className="experiment-question">
+            <input
+              type="text"
+              className="question-input"
+              value={question}
+              onChange={(e) => setQuestion(e.target.value)}
+              placeholder="Question to repeat"
+              disabled={running}
+              aria-label="Question"
+            />
+            <input
+              type="text"
+              className="question-input experiment-gold"
+              value={gold}
+              onChange={(e) => setGold(e.target.value)}
+              placeholder="Reference answer (optional)"
+              disabled={running}
+              aria-label="Reference answer"
+            />
+          </div>
+        )}
+
+        <div className="benchmark-controls">
+          <label className="benchmark-file">
+            <input type="file" accept=".jsonl,.ndjson,.csv,.txt" onChange={handleFile} disabled={running} />
+            {dataset ? 'Change dataset' : 'Or upload a question set (JSONL / CSV)'}
+          </label>
+          <label className="benchmark-concurrency">
+            Repeats
+            <input
+              type="number"
+              min={1}
+              max={MAX_REPEATS}
+              value={repeats}
+              disabled={running}
+              onChange={(e) => setRepeats(Math.max(1, Math.min(MAX_REPEATS, Number(e.target.value) || 1)))}
+            />
+          </label>
+          <label className="benchmark-concurrency">
+            Concurrency
+            <input
+              type="number"
+              min={1}
+              max={MAX_CONCURRENCY}
+              value={concurrency}
+              disabled={running}
+              onChange={(e) => setConcurrency(Math.max(1, Math.min(MAX_CONCURRENCY, Number(e.target.value) || 1)))}
+            />
+          </label>
+          {running ? (
+            <button type="button" className="stop-btn" onClick={handleStop}>
+              <span className="stop-icon">■</span> Stop
+            </button>
+          ) : (
+            <button type="button" className="run-btn-compact" onClick={handleRun} disabled={!canRun}>
+              Run experiment
+            </button>
+          )}
+        </div>
+        <div className="benchmark-hint">
+          Arm A is the baseline. Without a reference answer only tokens and latency are compared.
+        </div>
+        {parseError && <div className="error-banner">{parseError}</div>}
+        {launchError && <div className="error-banner">{launchError}</div>}
+      </div>
+
+      {total > 0 && (
+        <div className="results-comparison">
+          <h3>
+            Experiment
+            <span className="benchmark-progress">
+              {trials.length}/{total} trials{running ? '…' : stopped ? ' · stopped' : ''}
+            </span>
+          </h3>
+          <div className="benchmark-progress-bar"><div style={{ width: `${(trials.length / total) * 100}%` }} /></div>
+
+          {analysis && (
+            <>
+              <table className="comparison-table">
+                <thead>
+                  <tr>
+                    <th>Arm</th>
+                    <th>Trials</th>
+                    {analysis.metrics.map((m) => <th key={m}>{METRICS[m].label}</th>)}
+                    <th>Errors</th>
+                    <th>Est. cost</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {analysis.arms.map((arm) => (
+                    <tr key={arm.id}>
+                      <td className="fw-cell">
+                        {arm.id}
+                        <div className="fw-cell-prompt">{arm.label}</div>
+                      </td>
+                      <td>{arm.trials}</td>
+                      {analysis.metrics.map((m) => {
+                        const s = arm.metrics[m];
+                        return (
+                          <td key={m}>
+                            {s.n ? FORMATS[m](s.mean) : '—'}
+                            <div className="experiment-ci">
+                              CI {formatCi(m, s.ci)} · sd {FORMATS[m](s.sd)}
+                            </div>
+                          </td>
+                        );
+                      })}
+                      <td>{arm.errors}</td>
+                      <td>${arm.costUsd.toFixed(4)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+
+              {analysis.comparisons.length > 0 && (
+                <table className="comparison-table experiment-comparisons">
+                  <thead>
+                    <tr>
+                      <th>Versus A</th>
+                      <th>Metric</th>
+                      <th>Difference</th>
+                      <th>{Math.round(analysis.confidence * 100)}% CI</th>
+                      <th>p</th>
+                      <th>Verdict</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {analysis.comparisons.map((c) => (
+                      <tr key={`${c.arm}-${c.metric}`}>
+                        <td className="fw-cell" title={armLabel(c.arm)}>{c.arm}</td>
+                        <td>{METRICS[c.metric].label}</td>
+                        <td>{formatDiff(c.metric, c.diff)}</td>
+                        <td>{formatCi(c.metric, c.ci, (x) => formatDiff(c.metric, x))}</td>
+                        <td>{formatP(c.pValue)}</td>
+                        <td className={`experiment-verdict-${c.verdict}`}>{VERDICTS[c.verdict]}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+
+              <div className="benchmark-hint">
+                {Math.round(analysis.confidence * 100)}% percentile bootstrap, {analysis.resamples.toLocaleString()} resamples of
+                {setup.items.length > 1 ? ' questions (paired across arms)' : ' trials'}, seed {analysis.seed}.
+              </div>
+
+              <div className="results-comparison-toolbar benchmark-export">
+                <button type="button" className="export-run-btn" onClick={handleExport}>
+                  Export report (JSON)
+                </button>
+              </div>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
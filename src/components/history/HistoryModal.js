@@ -0,0 +1,154 @@
+/**
+ * HistoryModal — searchable list of saved runs (see utils/runHistory).
+ *
+ * - Text search over questions and answers
+ * - Filters by model, framework and date range
+ * - Open a run (read-only panels) or re-run it with the same configuration
+ * - Delete one run or clear the history
+ *
+ * @param {object}   props
+ * @param {boolean}  props.isOpen  - Whether the modal is visible
+ * @param {function} props.onClose - Closes the modal
+ * @param {function} props.onOpen  - Called with (summary, trace) to view a run read-only
+ * @param {function} props.onRerun - Called with (summary, trace|null) to run the same configuration again
+ * @param {boolean}  props.disabled - Disables open/re-run while a run is in progress
+ */
+import React, { useState, useEffect, useCallback } from 'react';
+import { listRuns, getRunTrace, deleteRun, clearRuns, filterRuns } from '../../utils/runHistory';
+import { FRAMEWORKS } from '../../utils/constants';
+
+const EMPTY_FILTERS = { text: '', model: '', framework: '', from: '', to: '' };
+
+function truncate(text, max) {
+  const str = String(text);
+  return str.length > max ? `${str.slice(0, max)}…` : str;
+}
+
+export default function HistoryModal({ isOpen, onClose, onOpen, onRerun, disabled }) {
+  const [runs, setRuns] = useState([]);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [error, setError] = useState(null);
+
+  const refresh = useCallback(() => {
+    listRuns()
+      .then((list) => { setRuns(list); setError(null); })
+      .catch((err) => setError(`Could not load history: ${err.message}`));
+  }, []);
+
+  useEffect(() => {
+    if (isOpen) refresh();
+  }, [isOpen, refresh]);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    const handleKey = (e) => e.key === 'Escape' && onClose();
+    document.addEventListener('keydown', handleKey);
+    return () => document.removeEventListener('keydown', handleKey);
+  }, [isOpen, onClose]);
+
+  if (!isOpen) return null;
+
+  const models = [...new Set(runs.flatMap((r) => r.models || [r.model]).filter(Boolean))].sort();
+  const frameworkIds = new Set(runs.flatMap((r) => r.frameworks || []));
+  const frameworkOptions = FRAMEWORKS.filter((f) => frameworkIds.has(f.id));
+  const visible = filterRuns(runs, filters);
+  const setFilter = (key, value) => setFilters((f) => ({ ...f, [key]: value }));
+
+  const withTrace = (run, callback) => {
+    getRunTrace(run.id)
+      .then((trace) => callback(run, trace))
+      .catch((err) => setError(`Could not load run: ${err.message}`));
+  };
+
+  const handleDelete = (id) => {
+    deleteRun(id).then(refresh).catch((err) => setError(err.message));
+  };
+
+  const handleClear = () => {
+    if (!window.confirm('Delete all saved runs?')) return;
+    clearRuns().then(refresh).catch((err) => setError(err.message));
+  };
+
+  return (
+    <div
+      className="history-overlay"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="history-title"
+      onClick={(e) => e.target === e.currentTarget && onClose()}
+    >
+      <div className="history-modal history-modal-wide">
+        <div className="history-header">
+          <h3 id="history-title">Run history</h3>
+          <button type="button" className="settings-close" onClick={onClose} aria-label="Close history">&times;</button>
+        </div>
+        <div className="history-filters">
+          <input
+            type="search"
+            value={filters.text}
+            onChange={(e) => setFilter('text', e.target.value)}
+            placeholder="Search questions and answers…"
+            aria-label="Search history"
+          />
+          <select value={filters.model} onChange={(e) => setFilter('model', e.target.value)} aria-label="Filter by model">
+            <option value="">All models</option>
+            {models.map((m) => <option key={m} value={m}>{m}</option>)}
+          </select>
+          <select value={filters.framework} onChange={(e) => setFilter('framework', e.target.value)} aria-label="Filter by framework">
+            <option value="">All frameworks</option>
+            {frameworkOptions.map((f) => <option key={f.id} value={f.id}>{f.label}</option>)}
+          </select>
+          <input type="date" value={filters.from} onChange={(e) => setFilter('from', e.target.value)} aria-label="From date" />
+          <input type="date" value={filters.to} onChange={(e) => setFilter('to', e.target.value)} aria-label="To date" />
+        </div>
+        <div className="history-body">
+          {error && <div className="error-banner">{error}</div>}
+          {runs.length === 0 ? (
+            <p className="history-empty">No runs yet. Complete a run to see it here.</p>
+          ) : visible.length === 0 ? (
+            <p className="history-empty">No runs match these filters.</p>
+          ) : (
+            <ul className="history-list">
+              {visible.map((run) => (
+                <li key={run.id} className="history-item">
+                  <div className="history-item-question" title={run.question}>{truncate(run.question, 90)}</div>
+                  <div className="history-item-meta">
+                    {new Date(run.timestamp).toLocaleString()} · {run.models ? run.models.join(' vs ') : run.model}
+                  </div>
+                  <div className="history-item-answers">
+                    {Object.entries(run.results || {}).map(([fw, r]) => (
+                      r?.answer != null ? (
+                        <span key={fw} className="history-fw-answer"><strong>{r.framework || fw}{r.model && ` (${r.model})`}:</strong> {truncate(r.answer, 40)}</span>
+                      ) : r?.error ? (
+                        <span key={fw} className="history-fw-error"><strong>{r.framework || fw}{r.model && ` (${r.model})`}:</strong> error</span>
+                      ) : null
+                    ))}
+                  </div>
+                  <div className="history-item-actions">
+                    {!run.summaryOnly && (
+                      <button type="button" className="history-action" onClick={() => withTrace(run, onOpen)} disabled={disabled}>
+                        Open
+                      </button>
+                    )}
+                    <button type="button" className="history-action" onClick={() => withTrace(run, onRerun)} disabled={disabled}>
+                      Re-run
+                    </button>
+                    <button type="button" className="history-action history-action-delete" onClick={() => handleDelete(run.id)}>
+                      Delete
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+        {runs.length > 0 && (
+          <div className="history-footer">
+            <span>{visible.length} of {runs.length} run{runs.length !== 1 ? 's' : ''}</span>
+            <button type="button" className="history-action history-action-delete" onClick={handleClear}>Clear history</button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -10,20 +10,26 @@
  * @param {object}  props
  * @param {object}  [props.result]   - PlanExecuteResult object (null while running)
  * @param {Array}   props.progress   - Streaming phase events
+ * @param {object}  [props.budget]   - Live budget snapshot (see BudgetMeter)
+ * @param {object}  [props.verification] - Chain-of-Verification results, if enabled (see VerificationSection)
+ * @param {string}  [props.frameworkId] - 'plan-execute' or 'plan-execute-fc' (native function calling)
  */
 import React from 'react';
 import PanelShell from '../shared/PanelShell';
+import VerificationSection from '../shared/VerificationSection';
 import MarkdownContent from '../MarkdownContent';
 import { FRAMEWORKS } from '../../utils/constants';
 
-const META = FRAMEWORKS.find((f) => f.id === 'plan-execute');
-
-export default function PlanExecPanel({ result, progress = [] }) {
+export default function PlanExecPanel({ result, progress = [], budget, frameworkId = 'plan-execute', verification }) {
+  const meta = FRAMEWORKS.find((f) => f.id === frameworkId);
   const planEvent = progress.find((p) => p.phase === 'plan');
   const execEvents = progress.filter((p) => p.phase === 'execute-done');
   const replanEvents = progress.filter((p) => p.phase === 'replan');
   const doneEvent = progress.find((p) => p.phase === 'done');
   const isRunning = !result && progress.length > 0;
+  // Executor output for the step currently running (token stream)
+  const streamingStep = !result
+    && progress.find((p) => p.phase === 'execute-partial' && p.data.stepIndex === execEvents.length);
 
   const stats = result ? [
     { label: 'LLM calls', value: result.llmCalls },
@@ -34,12 +40,13 @@ export default function PlanExecPanel({ result, progress = [] }) {
   return (
     <PanelShell
       id="planexec"
-      title={META.fullName}
-      badge={META.badge}
+      title={meta.fullName}
+      badge={meta.badge}
       result={result}
       isRunning={isRunning || progress.length > 0}
       errorKey="pastSteps"
       stats={stats}
+      budget={budget}
     >
       {/* Initial Plan */}
       {(planEvent || result) && (
@@ -74,6 +81,16 @@ export default function PlanExecPanel({ result, progress = [] }) {
               );
             }
           )}
+          {streamingStep && (
+            <div className="pe-step">
+              <div className="pe-step-label">
+                Step {streamingStep.data.stepIndex + 1}: {streamingStep.data.step}
+              </div>
+              <div className="pe-step-result streaming">
+                <MarkdownContent content={streamingStep.data.text} />
+              </div>
+            </div>
+          )}
         </div>
       </div>
 
@@ -101,6 +118,8 @@ export default function PlanExecPanel({ result, progress = [] }) {
           </div>
         )
       )}
+
+      <VerificationSection verification={verification} />
     </PanelShell>
   );
 }
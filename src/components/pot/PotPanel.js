@@ -0,0 +1,85 @@
+/**
+ * PotPanel — displays Program-of-Thought results.
+ *
+ * One section per attempt: the generated program followed by its sandboxed
+ * execution output. Failed runs are flagged and followed by the repair.
+ *
+ * @param {object}  props
+ * @param {object}  [props.result]   - PoTResult object (null while running)
+ * @param {Array}   props.progress   - Streaming program / execution events
+ * @param {object}  [props.budget]   - Live budget snapshot (see BudgetMeter)
+ */
+import React from 'react';
+import PanelShell from '../shared/PanelShell';
+import MarkdownContent from '../MarkdownContent';
+import { FRAMEWORKS } from '../../utils/constants';
+
+const META = FRAMEWORKS.find((f) => f.id === 'pot');
+
+/** Merge streaming events into per-attempt { attempt, code, output, isError, execMs }. */
+function groupProgress(progress) {
+  const byAttempt = {};
+  for (const { phase, data } of progress) {
+    const a = byAttempt[data.attempt] || (byAttempt[data.attempt] = { attempt: data.attempt });
+    if (phase === 'program') {
+      a.code = data.code ?? data.text;
+    } else if (phase === 'execution') {
+      Object.assign(a, { output: data.output, isError: data.isError, execMs: data.execMs });
+    }
+  }
+  return Object.values(byAttempt).sort((x, y) => x.attempt - y.attempt);
+}
+
+export default function PotPanel({ result, progress = [], budget }) {
+  const attempts = result ? (result.attempts || []) : groupProgress(progress);
+  const isRunning = !result && progress.length > 0;
+  const execMs = attempts.reduce((ms, a) => ms + (a.execMs || 0), 0);
+
+  const stats = result ? [
+    { label: 'LLM calls', value: result.llmCalls },
+    { label: 'Tokens', value: result.usage?.total_tokens ?? '—' },
+    { label: 'Attempts', value: attempts.length },
+    { label: 'Exec', value: `${execMs}ms` },
+  ] : null;
+
+  return (
+    <PanelShell
+      id="pot"
+      title={META.label}
+      badge={META.badge}
+      result={result}
+      isRunning={isRunning || progress.length > 0}
+      errorKey="attempts"
+      stats={stats}
+      budget={budget}
+    >
+      {attempts.map((a) => (
+        <div key={a.attempt} className="pot-attempt">
+          <div className="phase-label">{a.attempt === 1 ? 'Program' : `Repair ${a.attempt - 1}`}</div>
+          <pre className="pot-code">{a.code}</pre>
+          {a.output != null && (
+            <div className={`pot-output${a.isError ? ' pot-output-error' : ''}`}>
+              <span className="pot-output-label">
+                {a.isError ? 'Execution failed' : 'Execution'} · {a.execMs}ms
+              </span>
+              <pre>{a.output}</pre>
+            </div>
+          )}
+        </div>
+      ))}
+
+      {result && (
+        result.answer != null ? (
+          <div className="final-answer">
+            <span className="answer-label">Final Answer:</span>
+            <MarkdownContent content={result.answer} />
+          </div>
+        ) : (
+          <div className="error-info">
+            <span className="answer-label">Error:</span> {result.error || 'No answer produced'}
+          </div>
+        )
+      )}
+    </PanelShell>
+  );
+}
@@ -0,0 +1,186 @@
+/**
+ * PromptsModal — edit the frameworks' prompt templates (see frameworks/prompts).
+ *
+ * - Lists every template with the version selected for runs
+ * - Shows the built-in default or any saved version; edits start a draft
+ * - Validates the draft live: unknown or missing `{placeholders}` block
+ *   saving, a missing reply marker the framework parses only warns
+ * - Saves a draft as a new named version, selects the version used for
+ *   runs, or deletes a saved version
+ *
+ * @param {object}   props
+ * @param {boolean}  props.isOpen   - Whether the modal is visible
+ * @param {function} props.onClose  - Closes the modal
+ * @param {import('../../utils/promptLibrary').PromptLibrary} props.library - Saved versions and selection
+ * @param {function} props.onChange - Called with the updated library (the caller persists it)
+ */
+import React, { useState, useEffect } from 'react';
+import { PROMPT_TEMPLATES, PROMPT_VARIABLES, validateTemplate } from '../../frameworks/prompts';
+import { addPromptVersion, deletePromptVersion, selectPromptVersion } from '../../utils/promptLibrary';
+import { FRAMEWORKS } from '../../utils/constants';
+
+const TEMPLATE_IDS = Object.keys(PROMPT_TEMPLATES);
+
+function versionLabel(entry) {
+  return entry ? `${entry.version} · ${entry.name}` : 'Default';
+}
+
+export default function PromptsModal({ isOpen, onClose, library, onChange }) {
+  const [templateId, setTemplateId] = useState(TEMPLATE_IDS[0]);
+  // Version shown in the editor: 'default' or a saved version ID
+  const [viewing, setViewing] = useState(() => library.selected[TEMPLATE_IDS[0]] || 'default');
+  const [draft, setDraft] = useState(null);
+  const [name, setName] = useState('');
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    const handleKey = (e) => e.key === 'Escape' && onClose();
+    document.addEventListener('keydown', handleKey);
+    return () => document.removeEventListener('keydown', handleKey);
+  }, [isOpen, onClose]);
+
+  if (!isOpen) return null;
+
+  const template = PROMPT_TEMPLATES[templateId];
+  const saved = library.versions[templateId] || [];
+  const viewed = saved.find((v) => v.version === viewing) || null;
+  const baseText = viewed ? viewed.text : template.text;
+  const text = draft ?? baseText;
+  const edited = draft != null && draft !== baseText;
+  const { errors, warnings } = validateTemplate(templateId, text);
+  const selectedVersion = library.selected[templateId] || 'default';
+
+  const openTemplate = (id) => {
+    setTemplateId(id);
+    setViewing(library.selected[id] || 'default');
+    setDraft(null);
+    setName('');
+    setError(null);
+  };
+
+  const openVersion = (version) => {
+    setViewing(version);
+    setDraft(null);
+    setError(null);
+  };
+
+  const handleSave = () => {
+    try {
+      const { library: next, version } = addPromptVersion(library, templateId, name, text);
+      onChange(next);
+      setViewing(version);
+      setDraft(null);
+      setName('');
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleDelete = () => {
+    if (!viewed || !window.confirm(`Delete version ${versionLabel(viewed)}?`)) return;
+    onChange(deletePromptVersion(library, templateId, viewed.version));
+    openVersion('default');
+  };
+
+  return (
+    <div
+      className="history-overlay"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="prompts-title"
+      onClick={(e) => e.target === e.currentTarget && onClose()}
+    >
+      <div className="history-modal prompts-modal">
+        <div className="history-header">
+          <h3 id="prompts-title">Prompt templates</h3>
+          <button type="button" className="settings-close" onClick={onClose} aria-label="Close prompt templates">&times;</button>
+        </div>
+        <div className="prompts-layout">
+          <ul className="prompts-list">
+            {TEMPLATE_IDS.map((id) => {
+              const selected = library.selected[id];
+              const entry = (library.versions[id] || []).find((v) => v.version === selected);
+              return (
+                <li key={id}>
+                  <button
+                    type="button"
+                    className={`prompts-list-item${id === templateId ? ' prompts-list-item-active' : ''}`}
+                    onClick={() => openTemplate(id)}
+                  >
+                    <span>{PROMPT_TEMPLATES[id].label}</span>
+                    <span className="history-item-meta">{versionLabel(entry)}</span>
+                  </button>
+                </li>
+              );
+            })}
+          </ul>
+
+          <div className="prompts-editor">
+            <p className="docs-hint">
+              {template.description} Used by {template.frameworks.map((id) => FRAMEWORKS.find((f) => f.id === id)?.label || id).join(', ')}.
+            </p>
+            <div className="prompts-toolbar">
+              <select value={viewing} onChange={(e) => openVersion(e.target.value)} aria-label="Version">
+                <option value="default">Default (built-in)</option>
+                {saved.map((v) => <option key={v.version} value={v.version}>{versionLabel(v)}</option>)}
+              </select>
+              {selectedVersion === viewing ? (
+                <span className="prompts-in-use">Used for runs</span>
+              ) : (
+                <button type="button" className="history-action" onClick={() => onChange(selectPromptVersion(library, templateId, viewing))}>
+                  Use for runs
+                </button>
+              )}
+              {viewed && (
+                <button type="button" className="history-action history-action-delete" onClick={handleDelete}>
+                  Delete
+                </button>
+              )}
+            </div>
+
+            <textarea
+              className="prompts-textarea"
+              value={text}
+              onChange={(e) => setDraft(e.target.value)}
+              spellCheck={false}
+              aria-label={`${template.label} template`}
+            />
+
+            <div className="prompts-variables">
+              {template.variables.length === 0
+                ? <span className="history-item-meta">No placeholders — the question is sent as its own message.</span>
+                : template.variables.map((v) => (
+                  <code key={v} title={PROMPT_VARIABLES[v]}>
+                    {`{${v}}`}{template.required.includes(v) ? '' : ' (optional)'}
+                  </code>
+                ))}
+            </div>
+            {errors.map((msg) => <div key={msg} className="prompts-error">{msg}</div>)}
+            {warnings.map((msg) => <div key={msg} className="prompts-warning">{msg}</div>)}
+            {error && <div className="error-banner">{error}</div>}
+
+            {edited && (
+              <div className="prompts-save">
+                <input
+                  type="text"
+                  value={name}
+                  onChange={(e) => setName(e.target.value)}
+                  placeholder="Version name, e.g. terse planner"
+                  aria-label="Version name"
+                />
+                <button type="button" className="history-action" onClick={handleSave} disabled={errors.length > 0 || !name.trim()}>
+                  Save as new version
+                </button>
+                <button type="button" className="history-action" onClick={() => setDraft(null)}>
+                  Discard
+                </button>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
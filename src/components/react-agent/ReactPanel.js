@@ -7,54 +7,19 @@
  * @param {object}  props
  * @param {object}  [props.result]   - ReActResult object (null while running)
  * @param {Array}   props.progress   - Streaming step events
+ * @param {object}  [props.budget]   - Live budget snapshot (see BudgetMeter)
+ * @param {object}  [props.verification] - Chain-of-Verification results, if enabled (see VerificationSection)
+ * @param {string}  [props.frameworkId] - 'react' or 'react-fc' (native function calling)
  */
 import React from 'react';
 import PanelShell from '../shared/PanelShell';
+import VerificationSection from '../shared/VerificationSection';
 import MarkdownContent from '../MarkdownContent';
+import ReactTimeline from './ReactTimeline';
 import { FRAMEWORKS } from '../../utils/constants';
 
-const META = FRAMEWORKS.find((f) => f.id === 'react');
-
-/**
- * Classify LLM response text into labeled segments (thought, action, answer, text).
- * Groups consecutive continuation lines into the same block to preserve
- * multi-line markdown formatting.
- *
- * @param {string} text - Raw LLM response
- * @returns {Array<{type: string, text: string}>}
- */
-function classifyContent(text) {
-  if (!text) return [];
-  const segments = [];
-  const lines = text.split('\n');
-  let current = null;
-
-  for (const line of lines) {
-    if (line.match(/^Thought:/i)) {
-      if (current) segments.push(current);
-      current = { type: 'thought', text: line };
-    } else if (line.match(/^Action:/i)) {
-      if (current) segments.push(current);
-      current = { type: 'action', text: line };
-    } else if (line.match(/^Answer:/i)) {
-      if (current) segments.push(current);
-      current = { type: 'answer', text: line };
-    } else if (line.match(/^PAUSE/i)) {
-      if (current) segments.push(current);
-      current = null;
-    } else {
-      if (current) {
-        current.text += '\n' + line;
-      } else if (line.trim()) {
-        current = { type: 'text', text: line };
-      }
-    }
-  }
-  if (current) segments.push(current);
-  return segments;
-}
-
-export default function ReactPanel({ result, progress = [] }) {
+export default function ReactPanel({ result, progress = [], budget, frameworkId = 'react', verification }) {
+  const meta = FRAMEWORKS.find((f) => f.id === frameworkId);
   const steps = result ? (result.trajectory || []) : progress;
   const isRunning = !result && progress.length > 0;
 
@@ -67,12 +32,13 @@ export default function ReactPanel({ result, progress = [] }) {
   return (
     <PanelShell
       id="react"
-      title={META.label}
-      badge={META.badge}
+      title={meta.label}
+      badge={meta.badge}
       result={result}
       isRunning={isRunning || progress.length > 0}
       errorKey="trajectory"
       stats={stats}
+      budget={budget}
     >
       {/* Truncation warning */}
       {result?.truncated && (
@@ -81,36 +47,7 @@ export default function ReactPanel({ result, progress = [] }) {
         </div>
       )}
 
-      <div className="react-timeline">
-        {steps.map((step, i) => {
-          if (step.role === 'assistant' || step.type === 'llm') {
-            const segments = classifyContent(step.content);
-            return (
-              <div key={i} className="timeline-step">
-                <div className="step-turn">Turn {step.turn || Math.ceil((i + 1) / 2)}</div>
-                {segments.map((seg, j) => (
-                  <div key={j} className={`segment segment-${seg.type}`}>
-                    <MarkdownContent content={seg.text} />
-                  </div>
-                ))}
-              </div>
-            );
-          }
-          if (step.role === 'observation' || step.type === 'observation') {
-            const obsContent = step.content.length > 500
-              ? step.content.slice(0, 500) + '...'
-              : step.content;
-            return (
-              <div key={i} className="timeline-step observation-step">
-                <div className="segment segment-observation">
-                  <MarkdownContent content={obsContent} />
-                </div>
-              </div>
-            );
-          }
-          return null;
-        })}
-      </div>
+      <ReactTimeline steps={steps} />
 
       {result && (
         <div className="react-results">
@@ -130,6 +67,8 @@ export default function ReactPanel({ result, progress = [] }) {
           )}
         </div>
       )}
+
+      <VerificationSection verification={verification} />
     </PanelShell>
   );
 }
@@ -0,0 +1,85 @@
+/**
+ * ReactTimeline — Thought → Action → Observation timeline for a ReAct trajectory.
+ *
+ * Shared by ReactPanel and ReflexionPanel (one timeline per trial).
+ *
+ * @param {object} props
+ * @param {Array}  props.steps - Trajectory entries ({ role, content, turn }) or
+ *                               streaming step events ({ type, content, turn, partial })
+ */
+import React from 'react';
+import MarkdownContent from '../MarkdownContent';
+
+/**
+ * Classify LLM response text into labeled segments (thought, action, answer, text).
+ * Groups consecutive continuation lines into the same block to preserve
+ * multi-line markdown formatting.
+ *
+ * @param {string} text - Raw LLM response
+ * @returns {Array<{type: string, text: string}>}
+ */
+function classifyContent(text) {
+  if (!text) return [];
+  const segments = [];
+  const lines = text.split('\n');
+  let current = null;
+
+  for (const line of lines) {
+    if (line.match(/^Thought:/i)) {
+      if (current) segments.push(current);
+      current = { type: 'thought', text: line };
+    } else if (line.match(/^Action:/i)) {
+      if (current) segments.push(current);
+      current = { type: 'action', text: line };
+    } else if (line.match(/^Answer:/i)) {
+      if (current) segments.push(current);
+      current = { type: 'answer', text: line };
+    } else if (line.match(/^PAUSE/i)) {
+      if (current) segments.push(current);
+      current = null;
+    } else {
+      if (current) {
+        current.text += '\n' + line;
+      } else if (line.trim()) {
+        current = { type: 'text', text: line };
+      }
+    }
+  }
+  if (current) segments.push(current);
+  return segments;
+}
+
+export default function ReactTimeline({ steps }) {
+  return (
+    <div className="react-timeline">
+      {steps.map((step, i) => {
+        if (step.role === 'assistant' || step.type === 'llm') {
+          const segments = classifyContent(step.content);
+          return (
+            <div key={i} className={`timeline-step${step.partial ? ' streaming' : ''}`}>
+              <div className="step-turn">Turn {step.turn || Math.ceil((i + 1) / 2)}</div>
+              {segments.map((seg, j) => (
+                <div key={j} className={`segment segment-${seg.type}`}>
+                  <MarkdownContent content={seg.text} />
+                </div>
+              ))}
+            </div>
+          );
+        }
+        if (step.role === 'observation' || step.type === 'observation') {
+          const obsContent = step.content.length > 500
+            ? step.content.slice(0, 500) + '...'
+            : step.content;
+          return (
+            <div key={i} className="timeline-step observation-step">
+              <div className="segment segment-observation">
+                <MarkdownContent content={obsContent} />
+              </div>
+            </div>
+          );
+        }
+        return null;
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,112 @@
+/**
+ * ReflexionPanel — displays Reflexion trials (ReAct + self-reflection).
+ *
+ * Each trial gets its own section:
+ * - The ReAct trajectory (shared ReactTimeline)
+ * - The self-evaluation verdict and confidence
+ * - The reflection carried into the next trial, if any
+ *
+ * The stats bar shows the trial count and the estimated cost of each trial.
+ *
+ * @param {object}  props
+ * @param {object}  [props.result]   - ReflexionResult object (null while running)
+ * @param {Array}   props.progress   - Streaming events (ReAct steps tagged with `trial`,
+ *                                     plus trial-start / evaluation / reflection)
+ * @param {object}  [props.budget]   - Live budget snapshot (see BudgetMeter)
+ */
+import React from 'react';
+import PanelShell from '../shared/PanelShell';
+import MarkdownContent from '../MarkdownContent';
+import ReactTimeline from '../react-agent/ReactTimeline';
+import { FRAMEWORKS } from '../../utils/constants';
+
+const META = FRAMEWORKS.find((f) => f.id === 'reflexion');
+
+/** Group streaming events into per-trial { trial, steps, evaluation, reflection }. */
+function groupProgress(progress) {
+  const trials = [];
+  for (const event of progress) {
+    let trial = trials.find((t) => t.trial === event.trial);
+    if (!trial) {
+      trial = { trial: event.trial, steps: [], evaluation: null, reflection: null };
+      trials.push(trial);
+    }
+    if (event.type === 'evaluation') {
+      trial.evaluation = event.content;
+      trial.confidence = event.confidence;
+      trial.passed = event.passed;
+    } else if (event.type === 'reflection') {
+      trial.reflection = event.content;
+    } else if (event.type !== 'trial-start') {
+      trial.steps.push(event);
+    }
+  }
+  return trials;
+}
+
+export default function ReflexionPanel({ result, progress = [], budget }) {
+  const trials = result
+    ? (result.trials || []).map((t) => ({ ...t, steps: t.trajectory || [] }))
+    : groupProgress(progress);
+  const isRunning = !result && progress.length > 0;
+
+  const stats = result ? [
+    { label: 'Trials', value: trials.length },
+    { label: 'LLM calls', value: result.llmCalls },
+    { label: 'Tokens', value: result.usage?.total_tokens ?? '—' },
+    ...trials.map((t) => ({ label: `T${t.trial} cost`, value: `$${t.costUsd.toFixed(4)}` })),
+  ] : null;
+
+  return (
+    <PanelShell
+      id="reflexion"
+      title={META.label}
+      badge={META.badge}
+      result={result}
+      isRunning={isRunning || progress.length > 0}
+      errorKey="trials"
+      stats={stats}
+      budget={budget}
+    >
+      {trials.map((t) => (
+        <div key={t.trial} className="reflexion-trial">
+          <div className="phase-label">
+            Trial {t.trial}
+            {t.passed === true && <span className="reflexion-verdict reflexion-pass"> · accepted</span>}
+            {t.passed === false && <span className="reflexion-verdict reflexion-fail"> · rejected</span>}
+            {t.confidence != null && <span className="confidence">({(t.confidence * 100).toFixed(0)}% self-rated)</span>}
+          </div>
+
+          <ReactTimeline steps={t.steps} />
+
+          {t.evaluation && (
+            <div className="reflexion-note">
+              <span className="answer-label">Evaluation:</span>
+              <MarkdownContent content={t.evaluation} />
+            </div>
+          )}
+          {t.reflection && (
+            <div className="reflexion-note reflexion-reflection">
+              <span className="answer-label">Reflection:</span>
+              <MarkdownContent content={t.reflection} />
+            </div>
+          )}
+        </div>
+      ))}
+
+      {result && (
+        result.answer != null ? (
+          <div className="final-answer">
+            <span className="answer-label">Final Answer:</span>
+            {result.bestTrial && <span className="confidence">(from trial {result.bestTrial})</span>}
+            <MarkdownContent content={result.answer} />
+          </div>
+        ) : (
+          <div className="error-info">
+            <span className="answer-label">Error:</span> {result.error || 'No answer produced'}
+          </div>
+        )
+      )}
+    </PanelShell>
+  );
+}
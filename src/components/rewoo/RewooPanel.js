@@ -3,24 +3,81 @@
  *
  * Shows the 3-phase pipeline:
  * 1. Planner — step variables and tool calls
- * 2. Worker — evidence gathered per variable
+ * 2. Worker — the step DAG (dependencies, parallel timing) and evidence per variable
  * 3. Solver — final answer synthesized from evidence
  *
  * @param {object}  props
  * @param {object}  [props.result]   - ReWOOResult object (null while running)
  * @param {Array}   props.progress   - Streaming phase events
+ * @param {object}  [props.budget]   - Live budget snapshot (see BudgetMeter)
+ * @param {object}  [props.verification] - Chain-of-Verification results, if enabled (see VerificationSection)
  */
 import React from 'react';
 import PanelShell from '../shared/PanelShell';
+import VerificationSection from '../shared/VerificationSection';
 import MarkdownContent from '../MarkdownContent';
 import { FRAMEWORKS } from '../../utils/constants';
 
 const META = FRAMEWORKS.find((f) => f.id === 'rewoo');
 
-export default function RewooPanel({ result, progress = [] }) {
-  const planData = progress.find((p) => p.phase === 'plan')?.data
+/**
+ * Worker DAG as a timeline: one row per step with its dependencies and a bar
+ * spanning its start/end offset, so parallel steps visibly overlap.
+ */
+function WorkerDag({ nodes, errors, workerTimeMs, sequentialTimeMs }) {
+  const span = Math.max(1, workerTimeMs || 0, ...nodes.map((n) => n.endMs || n.startMs || 0));
+  const levels = nodes.reduce((max, n) => Math.max(max, n.level + 1), 0);
+
+  return (
+    <div className="rewoo-dag">
+      <div className="paths-header">
+        {nodes.length} step{nodes.length !== 1 ? 's' : ''} · {levels} level{levels !== 1 ? 's' : ''}
+        {workerTimeMs != null && sequentialTimeMs > 0 && (
+          <span className="paths-header-mode">
+            {' '}· {(workerTimeMs / 1000).toFixed(1)}s wall vs {(sequentialTimeMs / 1000).toFixed(1)}s sequential
+          </span>
+        )}
+      </div>
+      {errors.length > 0 && (
+        <div className="truncation-warning">⚠ Plan issues: {errors.join('; ')}</div>
+      )}
+      {nodes.map((node) => (
+        <div key={node.variable} className={`dag-node dag-node-${node.status}`}>
+          <div className="dag-node-label" title={node.error}>
+            <span className="ev-var">{node.variable}</span>
+            <span className="plan-tool">{node.tool}</span>
+            {node.deps.length > 0 && <span className="dag-deps">← {node.deps.join(', ')}</span>}
+          </div>
+          <div className="dag-track">
+            {node.startMs != null && (
+              <div
+                className="dag-bar"
+                style={{
+                  left: `${(node.startMs / span) * 100}%`,
+                  width: `${Math.max(1, (((node.endMs ?? span) - node.startMs) / span) * 100)}%`,
+                }}
+              />
+            )}
+          </div>
+          <span className="dag-time">
+            {node.status === 'invalid' ? 'skipped'
+              : node.endMs != null ? `${((node.endMs - node.startMs) / 1000).toFixed(2)}s`
+                : node.status === 'running' ? 'running…' : 'waiting'}
+          </span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default function RewooPanel({ result, progress = [], budget, verification }) {
+  const planEvent = progress.find((p) => p.phase === 'plan');
+  const planData = (planEvent && { ...planEvent.data, partial: planEvent.partial })
     || (result ? { steps: result.steps, planText: result.planText } : null);
   const evidenceItems = progress.filter((p) => p.phase === 'evidence').map((p) => p.data);
+  const graphData = result?.graph
+    ? { nodes: result.graph, errors: result.graphErrors || [] }
+    : progress.find((p) => p.phase === 'graph')?.data;
   const solveData = progress.find((p) => p.phase === 'solve')?.data;
   const isRunning = !result && progress.length > 0;
 
@@ -28,6 +85,13 @@ export default function RewooPanel({ result, progress = [] }) {
     { label: 'LLM calls', value: result.llmCalls },
     { label: 'Tokens', value: result.usage?.total_tokens ?? '—' },
     { label: 'Steps', value: result.steps?.length ?? '—' },
+    { label: 'Worker', value: result.workerTimeMs != null ? `${(result.workerTimeMs / 1000).toFixed(1)}s` : '—' },
+    {
+      label: 'Speedup',
+      value: result.workerTimeMs > 0 && result.sequentialTimeMs > 0
+        ? `${(result.sequentialTimeMs / result.workerTimeMs).toFixed(1)}×`
+        : '—',
+    },
   ] : null;
 
   return (
@@ -39,11 +103,15 @@ export default function RewooPanel({ result, progress = [] }) {
       isRunning={isRunning || progress.length > 0}
       errorKey="steps"
       stats={stats}
+      budget={budget}
     >
       {/* Phase 1: Plan */}
       {planData && (
         <div className="rewoo-phase">
           <div className="phase-label">Phase 1: Planner (1 LLM call)</div>
+          {planData.partial && (planData.steps || []).length === 0 && (
+            <pre className="path-content streaming">{planData.planText}</pre>
+          )}
           <div className="rewoo-plan">
             {(planData.steps || []).map((step, i) => (
               <div key={i} className="plan-step">
@@ -57,9 +125,17 @@ export default function RewooPanel({ result, progress = [] }) {
       )}
 
       {/* Phase 2: Worker */}
-      {(evidenceItems.length > 0 || result?.evidence) && (
+      {(evidenceItems.length > 0 || graphData || result?.evidence) && (
         <div className="rewoo-phase">
           <div className="phase-label">Phase 2: Worker (0 LLM calls)</div>
+          {graphData && graphData.nodes.length > 0 && (
+            <WorkerDag
+              nodes={graphData.nodes}
+              errors={graphData.errors}
+              workerTimeMs={result?.workerTimeMs}
+              sequentialTimeMs={result?.sequentialTimeMs}
+            />
+          )}
           <div className="rewoo-evidence">
             {(result ? Object.entries(result.evidence || {}) : evidenceItems.map((e) => [e.variable, e.result])).map(
               ([varName, value], i) => {
@@ -81,7 +157,7 @@ export default function RewooPanel({ result, progress = [] }) {
       )}
 
       {/* Phase 3: Solver */}
-      {(solveData || result) && (
+      {(solveData || result?.answer != null) && (
         <div className="rewoo-phase">
           <div className="phase-label">Phase 3: Solver (1 LLM call)</div>
           <div className="final-answer">
@@ -90,6 +166,8 @@ export default function RewooPanel({ result, progress = [] }) {
           </div>
         </div>
       )}
+
+      <VerificationSection verification={verification} />
     </PanelShell>
   );
 }
@@ -0,0 +1,100 @@
+/**
+ * SelfAskPanel — displays Self-Ask results.
+ *
+ * Shows the follow-up chain: each follow-up question the model asked, the
+ * search results it was answered from, and the intermediate answer added to
+ * the transcript, followed by the final answer. While running, the model's
+ * current turn streams below the chain.
+ *
+ * @param {object}  props
+ * @param {object}  [props.result]   - SelfAskResult object (null while running)
+ * @param {Array}   props.progress   - Streaming reason / follow-up / intermediate events
+ * @param {object}  [props.budget]   - Live budget snapshot (see BudgetMeter)
+ */
+import React from 'react';
+import PanelShell from '../shared/PanelShell';
+import MarkdownContent from '../MarkdownContent';
+import { FRAMEWORKS } from '../../utils/constants';
+
+const META = FRAMEWORKS.find((f) => f.id === 'self-ask');
+
+/** Merge streaming events into the follow-up chain and the turn still being written. */
+function groupProgress(progress) {
+  const chain = [];
+  let streaming = null;
+  for (const { phase, data, partial } of progress) {
+    if (phase === 'follow-up') chain[data.index] = { question: data.question };
+    else if (phase === 'intermediate') chain[data.index] = data;
+    else if (phase === 'reason') streaming = partial ? data.text : null;
+  }
+  return { chain, streaming };
+}
+
+export default function SelfAskPanel({ result, progress = [], budget }) {
+  const { chain, streaming } = result ? { chain: result.followUps || [], streaming: null } : groupProgress(progress);
+  const isRunning = !result && progress.length > 0;
+
+  const stats = result ? [
+    { label: 'LLM calls', value: result.llmCalls },
+    { label: 'Tokens', value: result.usage?.total_tokens ?? '—' },
+    { label: 'Follow-ups', value: chain.length },
+    { label: 'Search errors', value: chain.filter((f) => f.isError).length },
+  ] : null;
+
+  return (
+    <PanelShell
+      id="self-ask"
+      title={META.label}
+      badge={META.badge}
+      result={result}
+      isRunning={isRunning || progress.length > 0}
+      errorKey="followUps"
+      stats={stats}
+      budget={budget}
+    >
+      {(chain.length > 0 || result) && (
+        <div className="self-ask-chain">
+          <div className="phase-label">
+            Follow-up questions needed: {chain.length > 0 ? 'Yes' : 'No'}
+          </div>
+          {chain.map((f, i) => (
+            <div key={i} className={`self-ask-step${f.isError ? ' self-ask-step-error' : ''}`}>
+              <div className="self-ask-question">
+                <span className="ev-var">Follow up {i + 1}</span>
+                {f.question}
+              </div>
+              {f.answer != null ? (
+                <>
+                  <div className="self-ask-answer">
+                    <span className="self-ask-answer-label">Intermediate answer:</span> {f.answer}
+                  </div>
+                  <details className="self-ask-results">
+                    <summary>{f.isError ? `${f.tool} failed` : `${f.tool} results`}</summary>
+                    <MarkdownContent content={f.results.length > 1200 ? `${f.results.slice(0, 1200)}…` : f.results} />
+                  </details>
+                </>
+              ) : (
+                <div className="self-ask-answer self-ask-pending">Searching…</div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {streaming && <pre className="path-content streaming self-ask-streaming">{streaming}</pre>}
+
+      {result && (
+        result.answer != null ? (
+          <div className="final-answer">
+            <span className="answer-label">Final Answer:</span>
+            <MarkdownContent content={result.answer} />
+          </div>
+        ) : (
+          <div className="error-info">
+            <span className="answer-label">Error:</span> {result.error || 'No answer produced'}
+          </div>
+        )
+      )}
+    </PanelShell>
+  );
+}
@@ -0,0 +1,42 @@
+/**
+ * BudgetMeter — live usage bars for a token / cost / call budget.
+ *
+ * One bar per limit that is set; bars turn amber past 80% and red for the
+ * limit that refused a call. Renders nothing for an unlimited budget.
+ *
+ * @param {object} props
+ * @param {import('../../frameworks/budget').BudgetSnapshot} [props.budget] - Budget snapshot
+ * @param {string} [props.label] - Prefix, e.g. "Run budget"
+ */
+import React from 'react';
+import { hasLimits } from '../../frameworks/budget';
+
+const METERS = [
+  { limit: 'maxTokens', spent: 'tokens', label: 'Tokens', format: (n) => Math.round(n).toLocaleString() },
+  { limit: 'maxUsd', spent: 'usd', label: 'Cost', format: (n) => `$${n.toFixed(n < 1 ? 4 : 2)}` },
+  { limit: 'maxCalls', spent: 'calls', label: 'Calls', format: (n) => String(n) },
+];
+
+export default React.memo(function BudgetMeter({ budget, label }) {
+  if (!budget || !hasLimits(budget.limits)) return null;
+  return (
+    <div className={`budget-meter${budget.exceeded ? ' budget-meter-exceeded' : ''}`} title={budget.exceeded || undefined}>
+      {label && <span className="budget-meter-label">{label}</span>}
+      {METERS.filter((m) => budget.limits[m.limit] > 0).map((m) => {
+        const max = budget.limits[m.limit];
+        const used = budget.spent[m.spent];
+        const ratio = Math.min(1, used / max);
+        const level = budget.exceededLimit === m.limit ? 'over' : ratio >= 0.8 ? 'warn' : 'ok';
+        return (
+          <div key={m.limit} className="budget-meter-item">
+            <span className="budget-meter-name">{m.label}</span>
+            <div className="budget-meter-track" role="meter" aria-valuemin={0} aria-valuemax={max} aria-valuenow={used} aria-label={`${m.label} budget`}>
+              <div className={`budget-meter-fill budget-meter-${level}`} style={{ width: `${ratio * 100}%` }} />
+            </div>
+            <span className="budget-meter-value">{m.format(used)} / {m.format(max)}</span>
+          </div>
+        );
+      })}
+    </div>
+  );
+});
@@ -0,0 +1,28 @@
+/**
+ * FrameworkPills — toggle buttons for choosing which frameworks to run.
+ *
+ * @param {object}   props
+ * @param {Set}      props.selected          - Selected framework IDs
+ * @param {function} props.onToggleFramework - Toggles a framework on/off
+ * @param {boolean}  [props.disabled]        - Locks the selection (e.g. while running)
+ */
+import React from 'react';
+import { FRAMEWORKS } from '../../utils/constants';
+
+export default function FrameworkPills({ selected, onToggleFramework, disabled = false }) {
+  return (
+    <div className="framework-pills">
+      {FRAMEWORKS.map((fw) => (
+        <button
+          key={fw.id}
+          type="button"
+          className={`fw-pill ${selected.has(fw.id) ? 'fw-pill-active' : ''}`}
+          onClick={() => onToggleFramework(fw.id)}
+          disabled={disabled}
+        >
+          {fw.label}
+        </button>
+      ))}
+    </div>
+  );
+}
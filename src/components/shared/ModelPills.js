@@ -0,0 +1,43 @@
+/**
+ * ModelPills — toggle buttons for the extra models of a matrix run.
+ *
+ * The primary model (Settings connection) always runs; each extra model
+ * target saved in Settings can be switched on or off. With any extra model
+ * on, the selected frameworks run once per model.
+ *
+ * @param {object}   props
+ * @param {string}   props.model         - Primary model ID
+ * @param {import('../../utils/modelMatrix').SavedModelTarget[]} props.targets - Extra models
+ * @param {function} props.onToggleModel - Called with a target ID
+ * @param {boolean}  [props.disabled]    - Locks the selection (e.g. while running)
+ */
+import React from 'react';
+import { PROVIDERS } from '../../utils/constants';
+
+export default function ModelPills({ model, targets, onToggleModel, disabled = false }) {
+  if (targets.length === 0) return null;
+  return (
+    <div className="framework-pills model-pills" aria-label="Models to run">
+      <span className="model-pills-label">Models</span>
+      <span className="fw-pill fw-pill-active model-pill-primary" title="Primary model from Settings — always runs">
+        {model}
+      </span>
+      {targets.map((t) => {
+        const provider = PROVIDERS.find((p) => p.id === t.provider);
+        return (
+          <button
+            key={t.id}
+            type="button"
+            className={`fw-pill ${t.enabled ? 'fw-pill-active' : ''}`}
+            onClick={() => onToggleModel(t.id)}
+            disabled={disabled || !t.model.trim()}
+            title={`${provider?.label || t.provider}${t.baseUrl ? ` · ${t.baseUrl}` : ''}`}
+            aria-pressed={t.enabled}
+          >
+            {t.model || '(no model)'}
+          </button>
+        );
+      })}
+    </div>
+  );
+}
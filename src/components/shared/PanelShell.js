@@ -5,6 +5,9 @@
  * - Loading skeleton (when no data yet)
  * - Error state (when framework fails entirely)
  * - Header with title, badge, running indicator, and elapsed time
+ * - Budget meter (live while running, final from `result.budget`) and a
+ *   notice when a budget stopped the framework early
+ * - The edited prompt template versions the result was produced with
  * - Scrollable body slot for framework-specific content
  * - Stats bar at the bottom
  *
@@ -16,9 +19,12 @@
  * @param {boolean}  props.isRunning   - Whether the framework is currently executing
  * @param {string}   [props.errorKey]  - Key to check for "error-only" state (e.g. "paths", "trajectory")
  * @param {Array<{label:string, value:string|number}>} [props.stats] - Stats for the footer bar
+ * @param {object}   [props.budget]    - Live budget snapshot for this framework (see BudgetMeter)
  * @param {React.ReactNode} props.children - Framework-specific body content
  */
 import React from 'react';
+import BudgetMeter from './BudgetMeter';
+import { customPromptLabels } from '../../frameworks/prompts';
 
 export default React.memo(function PanelShell({
   id,
@@ -28,8 +34,12 @@ export default React.memo(function PanelShell({
   isRunning,
   errorKey,
   stats,
+  budget,
   children,
 }) {
+  const meter = <BudgetMeter budget={result?.budget || budget} />;
+  const customPrompts = customPromptLabels(result?.prompts);
+
   // Loading skeleton — no result and not running yet (initial state)
   if (!result && !isRunning) {
     return (
@@ -52,6 +62,7 @@ export default React.memo(function PanelShell({
     return (
       <div className={`panel ${id}-panel`}>
         <div className="panel-header"><h3>{title}</h3></div>
+        {meter}
         <div className="panel-error">{result.error}</div>
       </div>
     );
@@ -66,8 +77,17 @@ export default React.memo(function PanelShell({
           {result && <span className="panel-time">{(result.timeMs / 1000).toFixed(1)}s</span>}
         </span>
       </div>
+      {meter}
+      {customPrompts.length > 0 && (
+        <div className="panel-prompts" title="Prompt template versions used">Prompts: {customPrompts.join(', ')}</div>
+      )}
 
       <div className="panel-body">
+        {result?.budgetExceeded && (
+          <div className="truncation-warning">
+            ⚠ Stopped early by a budget limit — the result below is partial.
+          </div>
+        )}
         {children}
       </div>
 
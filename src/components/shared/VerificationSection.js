@@ -0,0 +1,79 @@
+/**
+ * VerificationSection — collapsible Chain-of-Verification results for a
+ * framework panel (see frameworks/verification).
+ *
+ * The summary line says how many claims were checked and whether the answer
+ * was revised; expanded, it lists the verification questions with their
+ * independent answers, the confirmed and corrected claims, and the draft
+ * answer next to the revised one when they differ. Renders nothing when the
+ * framework was not verified.
+ *
+ * @param {object} props
+ * @param {object} [props.verification] - Verification object, or the latest snapshot while running
+ */
+import React from 'react';
+import MarkdownContent from '../MarkdownContent';
+
+function summarize(v) {
+  if (v.running) return `Verifying… ${v.questions.filter((q) => q.answer != null).length}/${v.questions.length || '?'} questions answered`;
+  if (v.error) return `Verification stopped: ${v.error}`;
+  const corrected = v.claims.filter((c) => c.status === 'corrected').length;
+  const claims = `${v.claims.length} claim${v.claims.length !== 1 ? 's' : ''} checked`;
+  return `${claims}${corrected > 0 ? `, ${corrected} corrected` : ''} · ${v.changed ? 'answer revised' : 'answer unchanged'}`;
+}
+
+export default function VerificationSection({ verification }) {
+  if (!verification) return null;
+  const v = verification;
+
+  return (
+    <details className={`verification${v.changed ? ' verification-changed' : ''}${v.error ? ' verification-error' : ''}`}>
+      <summary>
+        <span className="verification-title">Verification</span>
+        <span className="verification-summary">{summarize(v)}</span>
+      </summary>
+
+      {v.questions.length > 0 && (
+        <ol className="verification-questions">
+          {v.questions.map((q, i) => (
+            <li key={i}>
+              <div className="verification-question">{q.question}</div>
+              {q.answer != null
+                ? <div className="verification-answer">{q.answer}</div>
+                : <div className="verification-answer verification-pending">Answering…</div>}
+              {q.results != null && (
+                <details className="verification-results">
+                  <summary>{q.isError ? `${q.tool} failed` : `${q.tool} results`}</summary>
+                  <MarkdownContent content={q.results.length > 1200 ? `${q.results.slice(0, 1200)}…` : q.results} />
+                </details>
+              )}
+            </li>
+          ))}
+        </ol>
+      )}
+
+      {v.claims.length > 0 && (
+        <ul className="verification-claims">
+          {v.claims.map((c, i) => (
+            <li key={i} className={`verification-claim verification-claim-${c.status}`}>
+              <span className="verification-claim-status">{c.status === 'confirmed' ? '✓ Confirmed' : '✗ Corrected'}</span>
+              {c.claim}
+              {c.correction && <div className="verification-correction">→ {c.correction}</div>}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {!v.running && v.changed && (
+        <div className="verification-revision">
+          <div className="verification-draft">
+            <span className="verification-label">Draft answer:</span> {v.draftAnswer}
+          </div>
+          <div>
+            <span className="answer-label">Revised answer:</span> {v.revisedAnswer}
+          </div>
+        </div>
+      )}
+    </details>
+  );
+}
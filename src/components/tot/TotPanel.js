@@ -0,0 +1,103 @@
+/**
+ * TotPanel — displays Tree-of-Thoughts search results.
+ *
+ * Renders the explored thought tree as nested branches:
+ * - Each node shows its reasoning step and value score
+ * - Pruned branches are dimmed and struck through
+ * - The chosen path (root → best leaf) is highlighted
+ *
+ * @param {object}  props
+ * @param {object}  [props.result]   - ToTResult object (null while running)
+ * @param {Array}   props.progress   - Streaming tree snapshots and solve event
+ * @param {object}  [props.budget]   - Live budget snapshot (see BudgetMeter)
+ */
+import React from 'react';
+import PanelShell from '../shared/PanelShell';
+import MarkdownContent from '../MarkdownContent';
+import { FRAMEWORKS } from '../../utils/constants';
+
+const META = FRAMEWORKS.find((f) => f.id === 'tot');
+
+/** Recursive branch renderer for one node and its children. */
+function ThoughtBranch({ node, childrenOf, bestIds }) {
+  const children = childrenOf[node.id] || [];
+  const classes = ['tot-node'];
+  if (node.pruned) classes.push('tot-node-pruned');
+  if (bestIds.has(node.id)) classes.push('tot-node-best');
+  if (node.terminal) classes.push('tot-node-terminal');
+
+  return (
+    <li>
+      <div className={classes.join(' ')}>
+        <span className="tot-score">{node.score != null ? node.score.toFixed(1) : '—'}</span>
+        <span className="tot-thought">{node.thought}</span>
+      </div>
+      {children.length > 0 && (
+        <ul className="tot-children">
+          {children.map((child) => (
+            <ThoughtBranch key={child.id} node={child} childrenOf={childrenOf} bestIds={bestIds} />
+          ))}
+        </ul>
+      )}
+    </li>
+  );
+}
+
+export default function TotPanel({ result, progress = [], budget }) {
+  const treeEvent = progress.find((p) => p.phase === 'tree');
+  const solveData = progress.find((p) => p.phase === 'solve')?.data;
+  const nodes = result ? (result.nodes || []) : (treeEvent?.data.nodes || []);
+  const bestIds = new Set(result?.bestPath || []);
+  const isRunning = !result && progress.length > 0;
+
+  const childrenOf = {};
+  for (const n of nodes) {
+    if (n.parentId == null) continue;
+    (childrenOf[n.parentId] = childrenOf[n.parentId] || []).push(n);
+  }
+  const explored = nodes.filter((n) => n.parentId != null);
+  const prunedCount = explored.filter((n) => n.pruned).length;
+  const maxDepth = explored.reduce((d, n) => Math.max(d, n.depth), 0);
+
+  const stats = result ? [
+    { label: 'LLM calls', value: result.llmCalls },
+    { label: 'Tokens', value: result.usage?.total_tokens ?? '—' },
+    { label: 'Nodes', value: explored.length },
+    { label: 'Pruned', value: prunedCount },
+    { label: 'Depth', value: maxDepth },
+  ] : null;
+
+  return (
+    <PanelShell
+      id="tot"
+      title={META.label}
+      badge={result?.search ? `${META.badge} · ${result.search.toUpperCase()}` : META.badge}
+      result={result}
+      isRunning={isRunning || progress.length > 0}
+      errorKey="nodes"
+      stats={stats}
+      budget={budget}
+    >
+      <div className="tot-tree">
+        <div className="paths-header">
+          {explored.length} thought{explored.length !== 1 ? 's' : ''} explored
+          {prunedCount > 0 && <span className="paths-header-mode"> · {prunedCount} pruned</span>}
+        </div>
+        {(childrenOf.root || []).length > 0 && (
+          <ul className="tot-children tot-root">
+            {childrenOf.root.map((child) => (
+              <ThoughtBranch key={child.id} node={child} childrenOf={childrenOf} bestIds={bestIds} />
+            ))}
+          </ul>
+        )}
+      </div>
+
+      {(solveData || result?.answer != null) && (
+        <div className="final-answer">
+          <span className="answer-label">Final Answer:</span>
+          <MarkdownContent content={result?.answer || solveData?.answer} />
+        </div>
+      )}
+    </PanelShell>
+  );
+}
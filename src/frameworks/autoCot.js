@@ -0,0 +1,206 @@
+/**
+ * Auto-CoT: few-shot demonstrations built automatically from a pool of
+ * questions instead of written by hand.
+ *
+ * 1. **Cluster** — the pool is clustered by TF-IDF similarity (k-means,
+ *    k = number of demonstrations), so the demonstrations cover different
+ *    kinds of question
+ * 2. **Sample**  — each cluster's question closest to its centre, among the
+ *    short ones, gets a zero-shot "Let's think step by step" rationale
+ *    (1 LLM call per cluster)
+ * 3. **Filter**  — rationales without an answer or with too many steps are
+ *    dropped, since long demonstrations are more likely to be wrong
+ *
+ * Based on Zhang et al., "Automatic Chain of Thought Prompting in Large
+ * Language Models" (2022).
+ *
+ * @module autoCot
+ */
+
+/**
+ * @typedef {object} Demonstration
+ * @property {string} question
+ * @property {string} rationale - Reasoning that ends with "The answer is …"
+ * @property {number} [cluster] - Cluster the question was picked from (Auto-CoT only)
+ */
+
+import { callLLM } from './llm';
+import { isBudgetExceeded } from './budget';
+import { extractAnswer } from '../utils/parser';
+import { tokenize, termFrequencies } from '../utils/bm25';
+import { basicNormalize } from '../utils/answerScoring';
+import { sumUsage } from '../utils/tokenCounter';
+import { runWithConcurrency } from '../utils/concurrency';
+
+/** Questions longer than this (in words) are not used as demonstrations. */
+const MAX_QUESTION_WORDS = 60;
+/** Rationales with more reasoning steps (lines or sentences) than this are dropped. */
+const MAX_RATIONALE_STEPS = 5;
+const KMEANS_ITERATIONS = 10;
+const RATIONALE_CONCURRENCY = 3;
+
+// ── Clustering ───────────────────────────────────────────────────
+
+// Vectors have no prototype, so terms like "constructor" are ordinary keys
+
+/** Unit-length TF-IDF vectors ({ term → weight }) of the questions. */
+function tfidfVectors(questions) {
+  const tfs = questions.map((q) => termFrequencies(tokenize(q)));
+  const df = Object.create(null);
+  for (const tf of tfs) for (const term of Object.keys(tf)) df[term] = (df[term] || 0) + 1;
+  return tfs.map((tf) => {
+    const vec = Object.create(null);
+    for (const [term, count] of Object.entries(tf)) vec[term] = count * Math.log(1 + questions.length / df[term]);
+    return normalize(vec);
+  });
+}
+
+function normalize(vec) {
+  const norm = Math.sqrt(Object.values(vec).reduce((s, v) => s + v * v, 0));
+  if (norm === 0) return vec;
+  const unit = Object.create(null);
+  for (const [t, v] of Object.entries(vec)) unit[t] = v / norm;
+  return unit;
+}
+
+function cosine(a, b) {
+  let dot = 0;
+  for (const [term, v] of Object.entries(a)) if (b[term]) dot += v * b[term];
+  return dot;
+}
+
+function centroid(vectors) {
+  const sum = Object.create(null);
+  for (const vec of vectors) for (const [t, v] of Object.entries(vec)) sum[t] = (sum[t] || 0) + v;
+  return normalize(sum);
+}
+
+/** Index of the nearest centre of each vector. */
+function assign(vectors, centres) {
+  return vectors.map((v) => {
+    let best = 0;
+    centres.forEach((c, j) => { if (cosine(v, c) > cosine(v, centres[best])) best = j; });
+    return best;
+  });
+}
+
+/** Centroid of each cluster's members; a cluster that lost its members keeps its centre. */
+function recentre(vectors, assignment, centres) {
+  return centres.map((c, j) => {
+    const members = vectors.filter((_, i) => assignment[i] === j);
+    return members.length > 0 ? centroid(members) : c;
+  });
+}
+
+/**
+ * Cluster questions with k-means on TF-IDF vectors (cosine similarity).
+ * Seeds are picked farthest-first from the question nearest the pool's
+ * centre, so the result is deterministic.
+ * @param {string[]} questions
+ * @param {number} k
+ * @returns {Array<Array<{ index: number, similarity: number }>>} Per cluster, its questions
+ *   ordered by similarity to the cluster centre (most central first); empty clusters are dropped
+ */
+export function clusterQuestions(questions, k) {
+  if (questions.length === 0 || k < 1) return [];
+  const vectors = tfidfVectors(questions);
+  const centre = centroid(vectors);
+
+  const byCentrality = vectors.map((v, i) => [i, cosine(v, centre)]).sort((a, b) => b[1] - a[1]);
+  const seeds = [byCentrality[0][0]];
+  while (seeds.length < Math.min(k, questions.length)) {
+    let farthest = -1;
+    let farthestSim = Infinity;
+    vectors.forEach((v, i) => {
+      if (seeds.includes(i)) return;
+      const sim = Math.max(...seeds.map((s) => cosine(v, vectors[s])));
+      if (sim < farthestSim) {
+        farthestSim = sim;
+        farthest = i;
+      }
+    });
+    seeds.push(farthest);
+  }
+
+  let centres = seeds.map((s) => vectors[s]);
+  let assignment = assign(vectors, centres);
+  for (let iter = 1; iter < KMEANS_ITERATIONS; iter++) {
+    centres = recentre(vectors, assignment, centres);
+    const next = assign(vectors, centres);
+    if (next.join() === assignment.join()) break;
+    assignment = next;
+  }
+
+  return centres
+    .map((c, j) => vectors
+      .map((v, index) => ({ index, similarity: cosine(v, c) }))
+      .filter(({ index }) => assignment[index] === j)
+      .sort((a, b) => b.similarity - a.similarity))
+    .filter((members) => members.length > 0);
+}
+
+// ── Demonstrations ───────────────────────────────────────────────
+
+/** Reasoning steps of a rationale: its non-empty lines, or its sentences if it is one paragraph. */
+function countSteps(rationale) {
+  const lines = rationale.split('\n').filter((l) => l.trim());
+  if (lines.length > 1) return lines.length;
+  return (rationale.match(/[^.!?]+[.!?]+/g) || [rationale]).length;
+}
+
+/**
+ * Build Auto-CoT demonstrations from a pool of questions.
+ * @param {string[]} pool - Past questions; duplicates and the question being answered are skipped
+ * @param {string} question - The question being answered
+ * @param {object} llm - LLM options ({ apiKey, model, provider, baseUrl, signal, transport, budget })
+ * @param {number} [count] - Demonstrations wanted (one per cluster, default: 4)
+ * @returns {Promise<{ demonstrations: Demonstration[], usage: object, llmCalls: number, budgetError?: Error }>}
+ *   Rationales a budget refused are skipped; the first such error is returned
+ */
+export async function buildAutoDemonstrations(pool, question, llm, count = 4) {
+  const seen = new Set([basicNormalize(question)]);
+  const questions = [];
+  for (const q of pool) {
+    const norm = basicNormalize(q || '');
+    if (!norm || seen.has(norm)) continue;
+    seen.add(norm);
+    questions.push(q.trim());
+  }
+
+  // The most central short question of each cluster
+  const picks = clusterQuestions(questions, count)
+    .map((members, cluster) => {
+      const pick = members.find(({ index }) => questions[index].split(/\s+/).length <= MAX_QUESTION_WORDS);
+      return pick && { cluster, question: questions[pick.index] };
+    })
+    .filter(Boolean);
+
+  const usages = [];
+  const demonstrations = [];
+  let budgetError = null;
+  await runWithConcurrency(picks, RATIONALE_CONCURRENCY, async ({ cluster, question: q }) => {
+    let reply;
+    try {
+      reply = await callLLM([
+        { role: 'system', content: 'You are a helpful assistant that solves problems step by step. Always end your reasoning with "The answer is <your answer>."' },
+        { role: 'user', content: `Q: ${q}\nA: Let's think step by step.` },
+      ], { ...llm, temperature: 0, maxTokens: 400 });
+    } catch (err) {
+      if (!isBudgetExceeded(err)) throw err;
+      budgetError = budgetError || err;
+      return;
+    }
+    usages.push(reply.usage);
+    const rationale = reply.content.trim();
+    if (extractAnswer(rationale) && countSteps(rationale) <= MAX_RATIONALE_STEPS) {
+      demonstrations.push({ question: q, rationale, cluster });
+    }
+  }, llm.signal);
+
+  return {
+    demonstrations: demonstrations.sort((a, b) => a.cluster - b.cluster),
+    usage: sumUsage(usages),
+    llmCalls: usages.length,
+    ...(budgetError && { budgetError }),
+  };
+}
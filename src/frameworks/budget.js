@@ -0,0 +1,163 @@
+/**
+ * Token / cost / call budgets, enforced by `callLLM`.
+ *
+ * Pass a budget in the `llm` options bundle (like `transport`). Before each
+ * call, `callLLM` reserves room for the prompt plus the call's full
+ * `maxTokens`; if that could take the budget over any limit the call is
+ * refused with a `BudgetExceededError` and never sent. When the call returns,
+ * the reservation is replaced by the usage the provider reported. Because
+ * in-flight calls hold their reservation, parallel calls (CoT samples,
+ * ReWOO workers) cannot overshoot a limit together.
+ *
+ * Budgets nest: a per-framework budget with a `parent` run-wide budget
+ * charges both, and a call must fit in each.
+ *
+ * Frameworks catch `BudgetExceededError` where they can stop cleanly and
+ * return what they have so far with `budgetExceeded: true`.
+ *
+ * @module budget
+ */
+
+import { targetCost } from '../utils/modelMatrix';
+
+/**
+ * @typedef {object} BudgetLimits
+ * @property {number|null} [maxTokens] - Total tokens (prompt + completion)
+ * @property {number|null} [maxUsd]    - Estimated cost in USD (see MODEL_PRICING); calls to local
+ *   providers cost nothing (see targetCost)
+ * @property {number|null} [maxCalls]  - LLM calls
+ */
+
+/**
+ * @typedef {object} BudgetSnapshot
+ * @property {BudgetLimits} limits
+ * @property {{tokens: number, usd: number, calls: number}} spent
+ * @property {string|null} exceeded - Message of the first refused call, if any
+ * @property {string|null} exceededLimit - Limit of this budget that refused it ('maxTokens', …);
+ *   null if nothing was refused or the parent budget refused it
+ */
+
+/** Thrown by `callLLM` when a call does not fit in its budget. */
+export class BudgetExceededError extends Error {
+  /**
+   * @param {string} message
+   * @param {object} details
+   * @param {string} details.scope - Budget label, e.g. 'Run' or 'ReAct'
+   * @param {'maxTokens'|'maxUsd'|'maxCalls'} details.limit - The limit that would be exceeded
+   */
+  constructor(message, { scope, limit }) {
+    super(message);
+    this.name = 'BudgetExceededError';
+    this.scope = scope;
+    this.limit = limit;
+  }
+}
+
+/** True for errors raised because a budget refused a call. */
+export function isBudgetExceeded(err) {
+  return err?.name === 'BudgetExceededError';
+}
+
+/** True if any limit is set (a positive number). */
+export function hasLimits(limits) {
+  return !!limits && ['maxTokens', 'maxUsd', 'maxCalls'].some((key) => limits[key] > 0);
+}
+
+const LIMIT_FIELDS = {
+  maxTokens: { spent: 'tokens', format: (n) => `${Math.round(n).toLocaleString()} tokens` },
+  maxUsd: { spent: 'usd', format: (n) => `$${n.toFixed(n < 1 ? 4 : 2)}` },
+  maxCalls: { spent: 'calls', format: (n) => `${n} LLM call${n !== 1 ? 's' : ''}` },
+};
+
+/**
+ * Create a budget.
+ *
+ * @param {BudgetLimits} limits - Unset, zero or negative limits are unlimited
+ * @param {object} [options]
+ * @param {string} [options.scope]    - Label used in error messages (default: 'Run')
+ * @param {object} [options.parent]   - Enclosing budget charged for every call as well
+ * @param {function} [options.onChange] - callback(BudgetSnapshot) after every reservation change
+ * @returns {object} Budget with `reserve`, `settle`, `release` and `snapshot`
+ */
+export function createBudget(limits = {}, { scope = 'Run', parent = null, onChange } = {}) {
+  const spent = { tokens: 0, usd: 0, calls: 0 };
+  const reserved = { tokens: 0, usd: 0, calls: 0 };
+  let exceeded = null;
+  let exceededLimit = null;
+  const label = scope === 'Run' ? 'run-wide' : scope;
+
+  const snapshot = () => ({ limits, spent: { ...spent }, exceeded, exceededLimit });
+  const notify = () => { if (onChange) onChange(snapshot()); };
+
+  const refuse = (message, limit) => {
+    if (!exceeded) {
+      exceeded = message;
+      exceededLimit = limit;
+    }
+    notify();
+    throw new BudgetExceededError(message, { scope, limit });
+  };
+
+  return {
+    scope,
+
+    /**
+     * Reserve room for one call, or throw BudgetExceededError.
+     * @param {{promptTokens: number, maxTokens: number, model: string, provider?: string}} call
+     * @returns {{tokens: number, usd: number, calls: number}} Reservation to settle or release
+     */
+    reserve({ promptTokens, maxTokens, model, provider = 'openai' }) {
+      const need = {
+        tokens: promptTokens + maxTokens,
+        usd: targetCost({ prompt_tokens: promptTokens, completion_tokens: maxTokens }, { model, provider }),
+        calls: 1,
+      };
+      for (const [limit, { spent: key, format }] of Object.entries(LIMIT_FIELDS)) {
+        const max = limits[limit];
+        if (!(max > 0)) continue;
+        if (spent[key] + reserved[key] + need[key] > max) {
+          const inFlight = reserved[key] > 0 ? `, ${format(reserved[key])} reserved by calls in flight` : '';
+          refuse(`Budget exceeded: the next call could go over the ${label} limit of ${format(max)} (${format(spent[key])} used${inFlight}).`, limit);
+        }
+      }
+      if (parent) {
+        try {
+          parent.reserve({ promptTokens, maxTokens, model, provider });
+        } catch (err) {
+          if (isBudgetExceeded(err)) exceeded = exceeded || err.message;
+          notify();
+          throw err;
+        }
+      }
+      for (const key of Object.keys(need)) reserved[key] += need[key];
+      need.model = model;
+      need.provider = provider;
+      notify();
+      return need;
+    },
+
+    /**
+     * Replace a reservation with the usage the call reported.
+     * @param {object} reservation - Returned by `reserve`
+     * @param {{prompt_tokens?: number, completion_tokens?: number, total_tokens?: number}} usage
+     */
+    settle(reservation, usage) {
+      for (const key of Object.keys(reserved)) reserved[key] -= reservation[key];
+      spent.tokens += usage?.total_tokens || 0;
+      spent.usd += targetCost(usage, reservation);
+      spent.calls += 1;
+      if (parent) parent.settle(reservation, usage);
+      notify();
+    },
+
+    /** Drop a reservation whose call failed before reporting usage. */
+    release(reservation) {
+      for (const key of Object.keys(reserved)) reserved[key] -= reservation[key];
+      if (parent) parent.release(reservation);
+      notify();
+    },
+
+    /** @returns {BudgetSnapshot} */
+    snapshot,
+  };
+}
@@ -2,65 +2,114 @@
  * Chain-of-Thought (CoT) with Self-Consistency.
  *
  * Pipeline:
- * 1. Few-shot or zero-shot CoT prompt
+ * 1. CoT prompt: zero-shot, few-shot (the prompt template), custom exemplars,
+ *    or Auto-CoT demonstrations built from past questions (see autoCot.js)
  * 2. Sample N reasoning paths at temperature > 0 (parallel)
  * 3. Classify question as factual or open-ended
  * 4a. Factual → extract answer from each path → smart majority vote
  * 4b. Open-ended → synthesize all paths into one comprehensive answer
  *
+ * `aggregation` can also fix the strategy instead of classifying: 'vote',
+ * 'synthesis', or 'usc' (universal self-consistency), where one LLM call
+ * selects the most consistent path and cites the paths that support it.
+ * Unlike synthesis, the answer is then one of the sampled paths. Based on
+ * Chen et al., "Universal Self-Consistency for Large Language Model
+ * Generation" (2023).
+ *
+ * With `voteWeighting`, factual votes are also weighted by each path's
+ * likelihood (from token logprobs) or by its self-rated confidence; the
+ * weighted winner becomes the answer and the unweighted one is kept for
+ * comparison.
+ *
+ * Adaptive mode (`adaptive: true`) classifies first and, for factual
+ * questions, samples in small batches with a running vote instead. It stops
+ * once a Beta stopping rule is confident the leading answer is the majority
+ * answer, and otherwise continues up to N paths. Based on Aggarwal et al.,
+ * "Let's Sample Step by Step: Adaptive-Consistency for Efficient Reasoning
+ * and Coding with LLMs" (2023).
+ *
  * @module cot
  */
 
 /**
  * @typedef {object} CoTResult
  * @property {string}  framework          - Always 'CoT'
- * @property {string}  questionType       - 'factual' | 'open-ended'
+ * @property {'vote'|'synthesis'|'usc'} aggregation - How the paths were combined
+ * @property {string}  [questionType]     - 'factual' | 'open-ended' (set when the question was classified)
  * @property {string[]} paths             - All reasoning paths
- * @property {(string|null)[]} answers    - Extracted answers (null for open-ended)
- * @property {object}  [voteCounts]       - { answer → count } (factual only)
- * @property {string}  [synthesizedAnswer] - Merged answer (open-ended only)
+ * @property {(string|null)[]} answers    - Extracted answers (null for synthesis)
+ * @property {object}  [voteCounts]       - { answer → count } (vote only)
+ * @property {string}  [synthesizedAnswer] - Merged answer (synthesis only)
+ * @property {number}  [selectedPath]     - Index of the most consistent path (usc only)
+ * @property {number[]} [supportingPaths] - Indices of the paths that agree with it, itself included (usc only)
+ * @property {string}  [selectionRationale] - The selection call's reply (usc only)
+ * @property {string}  [selectionNote]    - Set if the selection could not be parsed and the first path was used
  * @property {string}  finalAnswer        - Display answer
  * @property {string}  answer             - Same as finalAnswer (for uniform access)
- * @property {number|null} confidence     - vote.count / nSamples (null for open-ended)
+ * @property {number|null} confidence     - Share of paths agreeing with the answer; with weighting, its share of the weight (null for synthesis)
  * @property {number}  extractionFailures - Paths where answer extraction failed
  * @property {object}  usage              - Aggregated token usage
  * @property {number}  llmCalls           - Total LLM API calls made
  * @property {number}  timeMs             - Wall-clock time in milliseconds
+ * @property {string}  [error]            - Set if a budget refused some of the calls (see budget.js)
+ * @property {boolean} [budgetExceeded]   - True if a budget refused some of the calls
+ * @property {'zero-shot'|'few-shot'|'custom'|'auto'} mode - Prompting mode used
+ * @property {import('./autoCot').Demonstration[]} [demonstrations] - Exemplars in the prompt (custom and auto modes)
+ * @property {string}  [modeNote]         - Why a different mode than requested was used
+ * @property {object}  prompts            - Prompt template versions used (few-shot mode, see prompts.js)
+ * @property {AdaptiveSampling} [adaptive] - How adaptive sampling went (adaptive mode only)
+ * @property {'logprobs'|'confidence'} [voteWeighting] - Vote weighting requested (factual only)
+ * @property {number[]} [pathWeights]     - Weight of each path: likelihood or self-rated confidence (0–1)
+ * @property {object}  [weightedVoteCounts] - { answer → summed weight }; its winner is the final answer
+ * @property {number}  [weightedConfidence] - Winner's share of the total weight
+ * @property {string}  [unweightedAnswer] - Winner of the unweighted vote (`voteCounts`)
+ * @property {boolean} [votesDisagree]    - True if the weighted and unweighted winners differ
+ * @property {string}  [weightingUnavailable] - Why votes were counted equally despite `voteWeighting`
+ */
+
+/**
+ * @typedef {object} ConsensusCheck
+ * @property {number} samples    - Paths sampled so far
+ * @property {string|null} leader - Leading answer of the running vote
+ * @property {number} votes      - Votes for the leader
+ * @property {number} runnerUp   - Votes for the second answer
+ * @property {number} confidence - Probability that the leader is the majority answer (0–1)
+ */
+
+/**
+ * @typedef {object} AdaptiveSampling
+ * @property {number}  batchSize    - Paths sampled per batch
+ * @property {number}  threshold    - Confidence that stops sampling
+ * @property {number}  maxSamples   - Paths sampled at most (`nSamples`)
+ * @property {boolean} stoppedEarly - True if the threshold was reached before the max
+ * @property {number}  samplesSaved - maxSamples minus paths sampled
+ * @property {ConsensusCheck[]} trajectory - Running vote after each batch (empty for open-ended questions)
  */
 
 import { callLLM } from './llm';
+import { isBudgetExceeded } from './budget';
 import { extractAnswer } from '../utils/parser';
 import { sumUsage } from '../utils/tokenCounter';
 import { classifyQuestionSmart } from '../utils/questionClassifier';
+import { basicNormalize, areSimilar } from '../utils/answerScoring';
+import { renderPrompt, promptVersions } from './prompts';
+import { buildAutoDemonstrations } from './autoCot';
+
+/** Prompting modes. */
+export const COT_MODES = [
+  { id: 'zero-shot', label: 'Zero-shot ("Let\'s think step by step")' },
+  { id: 'few-shot', label: 'Few-shot (prompt template exemplars)' },
+  { id: 'custom', label: 'Custom exemplars' },
+  { id: 'auto', label: 'Auto-CoT (demonstrations from past questions)' },
+];
 
 // ── Answer normalization helpers ─────────────────────────────────
 
-function basicNormalize(raw) {
-  let s = String(raw).trim().toLowerCase();
-  s = s.replace(/\.?\s*the answer is\b.*$/gi, '');
-  s = s.replace(/^(the|a|an)\s+/i, '');
-  s = s.replace(/^[\s.,;:!?"'()]+|[\s.,;:!?"'()]+$/g, '');
-  s = s.replace(/\s+/g, ' ');
-  return s.trim();
-}
-
-function escapeRegex(str) {
-  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-}
-
-function areSimilar(a, b) {
-  if (a === b) return true;
-  if (a.length < 2 || b.length < 2) return false;
-  const shorter = a.length <= b.length ? a : b;
-  const longer = a.length <= b.length ? b : a;
-  return new RegExp(`(?:^|\\b)${escapeRegex(shorter)}(?:\\b|$)`).test(longer);
-}
-
 /**
  * Use one cheap LLM call to canonicalize semantically equivalent answers.
  * Returns a map: original_lowercase -> canonical_form
  */
-async function canonicalizeWithLLM(uniqueAnswers, { apiKey, model, signal }) {
+async function canonicalizeWithLLM(uniqueAnswers, llm) {
   const prompt = `I have these answers to the same question from multiple reasoning paths. Group answers that mean the same thing (even if worded differently, or one is more detailed) and assign each the same short canonical form.
 
 Answers:
@@ -78,7 +127,7 @@ Rules:
 
   const result = await callLLM(
     [{ role: 'user', content: prompt }],
-    { apiKey, model, temperature: 0, maxTokens: 300, signal }
+    { ...llm, temperature: 0, maxTokens: 300 }
   );
 
   const mapping = {};
@@ -95,27 +144,24 @@ Rules:
 }
 
 /**
- * Smart majority vote: basic normalization + substring matching + optional LLM canonicalization.
+ * Group answers by basic normalization, then merge groups via substring
+ * similarity. Returns { entries, groups }: `groups` maps a normalized key to
+ * { count, weight, originals: { original_lowercase → count } }, where
+ * `weight` sums the answers' weights (1 each unless `weights` is given).
  */
-async function smartMajorityVote(answers, { apiKey, model, signal } = {}) {
-  if (answers.length === 0) return { answer: null, count: 0, distribution: {}, extraUsage: null };
-
-  const validAnswers = answers.filter(a => a !== null);
-  if (validAnswers.length === 0) return { answer: null, count: 0, distribution: {}, extraUsage: null };
-
+function groupAnswers(validAnswers, weights) {
   // Step 1: Basic normalization
-  const entries = validAnswers.map(a => ({
+  const entries = validAnswers.map((a, i) => ({
     original: String(a).trim().toLowerCase(),
     normalized: basicNormalize(a),
+    weight: weights ? weights[i] : 1,
   }));
 
   // Step 2: Group by normalized form
   const normGroups = {};
-  for (const { original, normalized } of entries) {
-    const key = normalized || original;
-    if (!normGroups[key]) normGroups[key] = { count: 0, originals: {} };
-    normGroups[key].count++;
-    normGroups[key].originals[original] = (normGroups[key].originals[original] || 0) + 1;
+  for (const entry of entries) {
+    const key = entry.normalized || entry.original;
+    addToGroup(normGroups, key, entry);
   }
 
   // Step 3: Merge groups via substring similarity
@@ -132,47 +178,77 @@ async function smartMajorityVote(answers, { apiKey, model, signal } = {}) {
     }
     if (mergedInto) {
       merged[mergedInto].count += normGroups[key].count;
+      merged[mergedInto].weight += normGroups[key].weight;
       for (const [orig, cnt] of Object.entries(normGroups[key].originals)) {
         merged[mergedInto].originals[orig] = (merged[mergedInto].originals[orig] || 0) + cnt;
       }
     } else {
-      merged[key] = { count: normGroups[key].count, originals: { ...normGroups[key].originals } };
+      merged[key] = { count: normGroups[key].count, weight: normGroups[key].weight, originals: { ...normGroups[key].originals } };
     }
   }
 
+  return { entries, groups: merged };
+}
+
+function addToGroup(groups, key, { original, weight }) {
+  if (!groups[key]) groups[key] = { count: 0, weight: 0, originals: {} };
+  groups[key].count++;
+  groups[key].weight += weight;
+  groups[key].originals[original] = (groups[key].originals[original] || 0) + 1;
+}
+
+/**
+ * Smart majority vote: basic normalization + substring matching + optional LLM canonicalization.
+ * Pass `llm` connection options ({ apiKey, model, provider, baseUrl, signal }) to enable canonicalization.
+ * Pass `weights` (one per answer) to also run a weighted vote over the same groups.
+ */
+async function smartMajorityVote(answers, llm, weights) {
+  if (answers.length === 0) return { answer: null, count: 0, distribution: {}, extraUsage: null };
+
+  const valid = answers.map((a, i) => i).filter((i) => answers[i] !== null);
+  if (valid.length === 0) return { answer: null, count: 0, distribution: {}, extraUsage: null };
+
+  const validAnswers = valid.map((i) => answers[i]);
+  const validWeights = weights ? valid.map((i) => weights[i]) : null;
+  const { entries, groups: merged } = groupAnswers(validAnswers, validWeights);
+
   // Step 4: If still multiple groups, try LLM canonicalization
   let extraUsage = null;
   const groupKeys = Object.keys(merged);
 
-  if (groupKeys.length > 1 && apiKey) {
+  if (groupKeys.length > 1 && llm) {
     try {
       const uniqueOriginals = [...new Set(entries.map(e => e.original))];
-      const { mapping, usage } = await canonicalizeWithLLM(uniqueOriginals, { apiKey, model, signal });
+      const { mapping, usage } = await canonicalizeWithLLM(uniqueOriginals, llm);
       extraUsage = usage;
 
       // Rebuild groups using LLM canonical forms
       const llmGroups = {};
-      for (const { original } of entries) {
-        const canonical = mapping[original] || original;
-        if (!llmGroups[canonical]) llmGroups[canonical] = { count: 0, originals: {} };
-        llmGroups[canonical].count++;
-        llmGroups[canonical].originals[original] = (llmGroups[canonical].originals[original] || 0) + 1;
+      for (const entry of entries) {
+        addToGroup(llmGroups, mapping[entry.original] || entry.original, entry);
       }
 
       // Use LLM groups instead
-      return buildVoteResult(llmGroups, validAnswers.length, extraUsage);
+      return buildVoteResult(llmGroups, extraUsage, !!weights);
     } catch (err) {
       console.warn('LLM canonicalization failed, using basic grouping:', err.message);
     }
   }
 
-  return buildVoteResult(merged, validAnswers.length, extraUsage);
+  return buildVoteResult(merged, extraUsage, !!weights);
 }
 
-function buildVoteResult(groups, totalAnswers, extraUsage) {
+/**
+ * Winner and per-answer counts of grouped votes; with `weighted`, also the
+ * winner and per-answer weights of the weighted vote.
+ */
+function buildVoteResult(groups, extraUsage, weighted = false) {
   let bestKey = null;
   let bestCount = 0;
+  let weightedKey = null;
+  let bestWeight = -1;
   const distribution = {};
+  const weightedDistribution = {};
 
   for (const [, group] of Object.entries(groups)) {
     // Pick the most frequent original form as display label
@@ -185,21 +261,69 @@ function buildVoteResult(groups, totalAnswers, extraUsage) {
       }
     }
     distribution[displayKey] = group.count;
+    weightedDistribution[displayKey] = group.weight;
 
     if (group.count > bestCount) {
       bestCount = group.count;
       bestKey = displayKey;
     }
+    if (group.weight > bestWeight) {
+      bestWeight = group.weight;
+      weightedKey = displayKey;
+    }
+  }
+
+  return {
+    answer: bestKey,
+    count: bestCount,
+    distribution,
+    extraUsage,
+    ...(weighted && { weightedAnswer: weightedKey, weightedDistribution }),
+  };
+}
+
+// ── Adaptive stopping ────────────────────────────────────────────
+
+/**
+ * Beta stopping rule: with a uniform prior on the leader's share p of the
+ * votes between the top two answers, the posterior is Beta(votes + 1,
+ * runnerUp + 1) and this returns P(p > 0.5). For integer parameters that is
+ * a binomial tail: the sum of C(n, j) / 2^n for j ≤ votes, n = votes + runnerUp + 1.
+ */
+function consensusProbability(votes, runnerUp) {
+  const n = votes + runnerUp + 1;
+  let term = 0.5 ** n; // C(n, 0) / 2^n
+  let sum = term;
+  for (let j = 1; j <= votes; j++) {
+    term *= (n - j + 1) / j;
+    sum += term;
   }
+  return Math.min(1, sum);
+}
 
-  return { answer: bestKey, count: bestCount, distribution, extraUsage };
+/** Running vote over the answers of the paths sampled so far (no LLM canonicalization). */
+function checkConsensus(answers) {
+  const validAnswers = answers.filter((a) => a !== null);
+  if (validAnswers.length === 0) {
+    return { samples: answers.length, leader: null, votes: 0, runnerUp: 0, confidence: 0 };
+  }
+  const { groups } = groupAnswers(validAnswers);
+  const vote = buildVoteResult(groups, null);
+  const runnerUp = Object.values(vote.distribution).sort((a, b) => b - a)[1] || 0;
+  return {
+    samples: answers.length,
+    leader: vote.answer,
+    votes: vote.count,
+    runnerUp,
+    confidence: consensusProbability(vote.count, runnerUp),
+  };
 }
 
 /**
  * For open-ended questions: synthesize all reasoning paths into one comprehensive answer.
  * Takes the best ideas from each path and merges them.
  */
-async function synthesizePaths(question, paths, { apiKey, model, signal }) {
+async function synthesizePaths(question, paths, llm) {
   const pathSummaries = paths
     .map((p, i) => `--- Path ${i + 1} ---\n${p}`)
     .join('\n\n');
@@ -220,73 +344,297 @@ Write ONE clear, well-structured final answer using markdown formatting (heading
 
   const result = await callLLM(
     [{ role: 'user', content: prompt }],
-    { apiKey, model, temperature: 0, maxTokens: 1500, signal }
+    { ...llm, temperature: 0, maxTokens: 1500 }
   );
 
   return { answer: result.content, usage: result.usage };
 }
 
-const FEW_SHOT_EXEMPLARS = `Q: Roger has 5 tennis balls. He buys 2 more cans of tennis balls. Each can has 3 tennis balls. How many tennis balls does he have now?
-A: Roger started with 5 balls. 2 cans of 3 tennis balls each is 2 * 3 = 6 tennis balls. 5 + 6 = 11. The answer is 11.
+/**
+ * Universal self-consistency: one call picks the path most consistent with
+ * the others and cites the paths that support it.
+ */
+async function selectConsistentPath(question, paths, llm) {
+  const responses = paths
+    .map((p, i) => `--- Response ${i + 1} ---\n${p}`)
+    .join('\n\n');
 
-Q: The cafeteria had 23 apples. If they used 20 to make lunch and bought 6 more, how many apples do they have?
-A: The cafeteria had 23 apples originally. They used 20 to make lunch. So they had 23 - 20 = 3. They bought 6 more apples, so they have 3 + 6 = 9. The answer is 9.
+  const prompt = `I have generated the following responses to the question: "${question}"
 
-Q: Shawn has five toys. For Christmas, he got two toys each from his mom and dad. How many toys does he have now?
-A: Shawn started with 5 toys. He got 2 from mom and 2 from dad, that is 2 + 2 = 4 more toys. 5 + 4 = 9. The answer is 9.
+${responses}
 
-Q: There were nine computers in the server room. Five more computers were installed each day, from monday to thursday. How many computers are now in the server room?
-A: There are 4 days from monday to thursday. 5 computers were added each day, so 5 * 4 = 20 computers were added. 9 + 20 = 29. The answer is 29.`;
+Evaluate these responses and select the most consistent one, based on majority consensus among them. Reply in exactly this format:
+Reason: <one or two sentences on what the responses agree on>
+The most consistent response is Response <number>.
+Supporting responses: <numbers of every response that agrees with it, comma-separated>`;
 
-function buildPrompt(question, mode = 'few-shot') {
+  const result = await callLLM(
+    [{ role: 'user', content: prompt }],
+    { ...llm, temperature: 0, maxTokens: 300 }
+  );
+
+  return { ...parseSelection(result.content, paths.length), rationale: result.content, usage: result.usage };
+}
+
+/** Selected and supporting path indices (0-based) of a selection reply; `selected` is null if none was named. */
+export function parseSelection(text, pathCount) {
+  const inRange = (n) => n >= 0 && n < pathCount;
+  const picked = text.match(/most consistent response is\W*(?:response|path)?\s*#?(\d+)/i);
+  const selected = picked && inRange(Number(picked[1]) - 1) ? Number(picked[1]) - 1 : null;
+  const cited = text.match(/supporting responses?\W*:?\W*([^\n]*)/i);
+  const supporting = cited
+    ? [...cited[1].matchAll(/\d+/g)].map((m) => Number(m[0]) - 1).filter(inRange)
+    : [];
+  if (selected !== null && !supporting.includes(selected)) supporting.unshift(selected);
+  return { selected, supporting: [...new Set(supporting)].sort((a, b) => a - b) };
+}
+
+// ── Vote weighting ───────────────────────────────────────────────
+
+const CONFIDENCE_INSTRUCTION = ' Then, on a last line, rate how likely your answer is to be correct as "Confidence: <0-100>%".';
+const CONFIDENCE_RATING = /\**confidence\**:\**\s*(\d+(?:\.\d+)?)\s*%?/gi;
+
+/** Self-rated confidence (0–1) of a path (its last rating), or null if it gave none. */
+function parseSelfConfidence(path) {
+  const m = [...path.matchAll(CONFIDENCE_RATING)].pop();
+  return m ? Math.min(1, parseFloat(m[1]) / 100) : null;
+}
+
+/** Path likelihood: exp of the mean token log probability (length-normalized), or null. */
+function pathLikelihood(logprobs) {
+  if (!logprobs?.length) return null;
+  return Math.exp(logprobs.reduce((a, b) => a + b, 0) / logprobs.length);
+}
+
+/**
+ * Fill paths without a weight with the mean of the others, so they still
+ * count without swaying the vote. Null if no path has a weight.
+ */
+function fillWeights(raw) {
+  const known = raw.filter((w) => w != null);
+  if (known.length === 0) return null;
+  const mean = known.reduce((a, b) => a + b, 0) / known.length;
+  return raw.map((w) => w ?? mean);
+}
+
+function buildPrompt(question, mode = 'few-shot', prompts, demonstrations) {
   if (mode === 'zero-shot') {
     return `Q: ${question}\nA: Let's think step by step.`;
   }
-  return `${FEW_SHOT_EXEMPLARS}\n\nQ: ${question}\nA: Let's think step by step.`;
+  if (mode === 'custom' || mode === 'auto') {
+    // Auto-CoT rationales continue "Let's think step by step." like the question's will
+    const lead = mode === 'auto' ? "Let's think step by step. " : '';
+    const demos = demonstrations.map((d) => `Q: ${d.question}\nA: ${lead}${d.rationale}`).join('\n\n');
+    return `${demos}\n\nQ: ${question}\nA: Let's think step by step.`;
+  }
+  return renderPrompt(prompts, 'cot.few-shot', { question });
 }
 
 /**
  * Run CoT with Self-Consistency.
  * @param {string} question
  * @param {object} options
- * @param {function} onProgress - callback(index, path) called as each path completes
- * @returns {Promise<object>} { paths, answers, voteCounts, finalAnswer, confidence, extractionFailures, usage, timeMs }
+ * @param {number} [options.nSamples] - Paths to sample; the maximum in adaptive mode (default: 5)
+ * @param {number} [options.temperature] - Sampling temperature (default: 0.7)
+ * @param {'zero-shot'|'few-shot'|'custom'|'auto'} [options.mode] - Prompting mode (default: 'few-shot');
+ *   'custom' without `exemplars` falls back to few-shot, 'auto' without demonstrations to zero-shot
+ * @param {import('./autoCot').Demonstration[]} [options.exemplars] - Worked examples for custom mode
+ * @param {string[]} [options.autoPool] - Past questions Auto-CoT builds demonstrations from
+ * @param {number} [options.autoDemos] - Auto-CoT demonstrations (clusters), default 4
+ * @param {boolean} [options.adaptive] - Sample in batches and stop once the vote is confident (default: false)
+ * @param {number} [options.batchSize] - Paths per batch in adaptive mode (default: 3)
+ * @param {number} [options.confidenceThreshold] - Stopping confidence in adaptive mode (default: 0.9)
+ * @param {'auto'|'vote'|'synthesis'|'usc'} [options.aggregation] - How paths are combined; 'auto' votes on
+ *   factual questions and synthesizes open-ended ones (default: 'auto')
+ * @param {'none'|'logprobs'|'confidence'} [options.voteWeighting] - Also weight factual votes by path
+ *   likelihood (requests logprobs) or by each path's self-rated confidence (default: 'none')
+ * @param {boolean} [options.stream] - Stream tokens; onProgress then also receives partial paths
+ * @param {object} [options.prompts] - Prompt template versions to use instead of the defaults (see prompts.js)
+ * @param {function} onProgress - callback(index, path, partial) called as each path streams/completes;
+ *   in adaptive mode also callback(null, null, false, check) with the ConsensusCheck after each batch
+ * @returns {Promise<CoTResult>}
  */
-export async function runCoT(question, { apiKey, model = 'gpt-4o-mini', nSamples = 5, temperature = 0.7, mode = 'few-shot', signal } = {}, onProgress) {
+export async function runCoT(question, { apiKey, model = 'gpt-4o-mini', provider, baseUrl, nSamples = 5, temperature = 0.7, mode: requestedMode = 'few-shot', exemplars = [], autoPool = [], autoDemos = 4, aggregation = 'auto', adaptive = false, batchSize = 3, confidenceThreshold = 0.9, voteWeighting = 'none', stream = false, prompts, signal, transport, budget } = {}, onProgress) {
   const startTime = Date.now();
-  const prompt = buildPrompt(question, mode);
+  const llm = { apiKey, model, provider, baseUrl, signal, transport, budget };
+
+  // Samples the budget refuses are dropped
+  let budgetError = null;
+  const usages = [];
+
+  // ── DEMONSTRATIONS ──
+  let mode = requestedMode;
+  let demonstrations = null;
+  let modeNote = null;
+  let demoCalls = 0;
+  let demoBudgetError = null;
+  if (mode === 'custom') {
+    demonstrations = (exemplars || []).filter((d) => d.question?.trim() && d.rationale?.trim());
+    if (demonstrations.length === 0) {
+      mode = 'few-shot';
+      modeNote = 'No custom exemplars are saved; the few-shot prompt was used.';
+    }
+  } else if (mode === 'auto') {
+    const auto = await buildAutoDemonstrations(autoPool || [], question, llm, autoDemos);
+    usages.push(auto.usage);
+    demoCalls = auto.llmCalls;
+    // A refused rationale only costs a demonstration; sampling still runs
+    demoBudgetError = auto.budgetError || null;
+    demonstrations = auto.demonstrations;
+    if (demonstrations.length === 0) {
+      mode = 'zero-shot';
+      modeNote = (autoPool || []).length === 0
+        ? 'Auto-CoT has no past questions to build demonstrations from; the zero-shot prompt was used.'
+        : demoBudgetError
+          ? 'The budget refused the Auto-CoT demonstrations; the zero-shot prompt was used.'
+          : 'Auto-CoT found no usable demonstrations; the zero-shot prompt was used.';
+    }
+  }
+  const prompt = buildPrompt(question, mode, prompts, demonstrations);
 
   const messages = [
-    { role: 'system', content: 'You are a helpful assistant that solves problems step by step. Always end your reasoning with "The answer is <your answer>."' },
+    { role: 'system', content: `You are a helpful assistant that solves problems step by step. Always end your reasoning with "The answer is <your answer>."${voteWeighting === 'confidence' ? CONFIDENCE_INSTRUCTION : ''}` },
     { role: 'user', content: prompt },
   ];
 
-  // Fire all N samples in parallel
-  const promises = Array.from({ length: nSamples }, (_, i) =>
-    callLLM(messages, { apiKey, model, temperature, maxTokens: 512, signal }).then((result) => {
+  const sample = (i) =>
+    callLLM(messages, {
+      ...llm,
+      temperature,
+      maxTokens: 512,
+      logprobs: voteWeighting === 'logprobs',
+      onToken: stream && onProgress ? (_delta, text) => onProgress(i, text, true) : undefined,
+    }).then((result) => {
       if (onProgress) onProgress(i, result.content);
       return result;
-    })
-  );
-
-  const results = await Promise.all(promises);
+    }, (err) => {
+      if (!isBudgetExceeded(err)) throw err;
+      budgetError = budgetError || err;
+      return null;
+    });
+  // The confidence line is not part of the answer
+  const answerOf = (path) => extractAnswer(voteWeighting === 'confidence' ? path.replace(CONFIDENCE_RATING, '') : path);
+  const sampleRange = async (start, count) =>
+    (await Promise.all(Array.from({ length: count }, (_, k) => sample(start + k)))).filter(Boolean);
+
+  // Classify question type (heuristic + LLM fallback) unless the strategy is
+  // fixed; adaptive mode needs it up front, since only factual answers can be
+  // voted on while sampling
+  const autoAggregation = aggregation === 'auto';
+  const classification = adaptive && autoAggregation ? await classifyQuestionSmart(question, llm) : null;
+  const voting = autoAggregation ? classification?.type === 'factual' : aggregation === 'vote';
+
+  let results;
+  let adaptiveFields = adaptive
+    ? { batchSize, threshold: confidenceThreshold, maxSamples: nSamples, stoppedEarly: false, samplesSaved: 0, trajectory: [] }
+    : null;
+  if (adaptive && voting) {
+    // ── ADAPTIVE: batches with a running vote until it is confident ──
+    results = [];
+    const trajectory = [];
+    let attempted = 0;
+    let confident = false;
+    while (attempted < nSamples && !confident && !budgetError) {
+      const count = Math.min(batchSize, nSamples - attempted);
+      results.push(...await sampleRange(attempted, count));
+      attempted += count;
+      const check = checkConsensus(results.map((r) => answerOf(r.content)));
+      trajectory.push(check);
+      if (onProgress) onProgress(null, null, false, check);
+      confident = check.confidence >= confidenceThreshold;
+    }
+    adaptiveFields = { ...adaptiveFields, stoppedEarly: confident && attempted < nSamples, samplesSaved: nSamples - attempted, trajectory };
+  } else {
+    // Fire all N samples in parallel (in adaptive mode too, unless voting)
+    results = await sampleRange(0, nSamples);
+  }
+  const sampled = results.length;
 
   const paths = results.map((r) => r.content);
-  const usages = results.map((r) => r.usage);
+  usages.push(...results.map((r) => r.usage));
+  const promptFields = promptVersions(prompts, mode === 'few-shot' ? ['cot.few-shot'] : []);
+  const modeFields = {
+    mode,
+    ...(mode === 'custom' || mode === 'auto' ? { demonstrations } : {}),
+    ...(modeNote && { modeNote }),
+  };
+  const budgetFields = () => {
+    const err = budgetError || demoBudgetError;
+    return err ? { error: err.message, budgetExceeded: true } : {};
+  };
+  const adaptiveField = adaptiveFields ? { adaptive: adaptiveFields } : {};
+
+  if (sampled === 0) throw budgetError;
+
+  let questionType;
+  let classificationUsage;
+  if (autoAggregation) {
+    ({ type: questionType, usage: classificationUsage } = classification || await classifyQuestionSmart(question, llm));
+    if (classificationUsage) usages.push(classificationUsage);
+  }
+  const strategy = autoAggregation ? (questionType === 'factual' ? 'vote' : 'synthesis') : aggregation;
+  const typeField = questionType ? { questionType } : {};
+
+  if (strategy === 'usc') {
+    // ── USC: the LLM selects the most consistent path ──
+    let selection;
+    try {
+      selection = await selectConsistentPath(question, paths, llm);
+      usages.push(selection.usage);
+    } catch (err) {
+      if (!isBudgetExceeded(err)) throw err;
+      budgetError = err;
+      selection = null;
+    }
+    const answers = paths.map(answerOf);
+    const selectedPath = selection ? selection.selected ?? 0 : null;
+    const supportingPaths = selection?.selected != null ? selection.supporting : [0];
+    const answer = selectedPath === null ? null : answers[selectedPath] ?? paths[selectedPath];
 
-  // Classify question type (heuristic + LLM fallback)
-  const classification = await classifyQuestionSmart(question, { apiKey, model, signal });
-  if (classification.usage) usages.push(classification.usage);
-  const questionType = classification.type;
+    return {
+      framework: 'CoT',
+      prompts: promptFields,
+      ...modeFields,
+      aggregation: 'usc',
+      ...typeField,
+      paths,
+      answers,
+      ...(selection && {
+        selectedPath,
+        supportingPaths,
+        selectionRationale: selection.rationale,
+        ...(selection.selected === null && { selectionNote: 'The selection named no valid path; the first path was used.' }),
+      }),
+      finalAnswer: answer,
+      answer,
+      confidence: selection ? supportingPaths.length / sampled : null,
+      extractionFailures: answers.filter((a) => a === null).length,
+      ...adaptiveField,
+      ...budgetFields(),
+      usage: sumUsage(usages),
+      llmCalls: demoCalls + sampled + (selection ? 1 : 0) + (classificationUsage ? 1 : 0),
+      timeMs: Date.now() - startTime,
+    };
+  }
 
-  if (questionType === 'open-ended') {
-    // ── OPEN-ENDED: Synthesize all paths into one best answer ──
-    const synthesis = await synthesizePaths(question, paths, { apiKey, model, signal });
-    usages.push(synthesis.usage);
+  if (strategy === 'synthesis') {
+    // ── SYNTHESIS: Merge all paths into one best answer ──
+    let synthesis;
+    try {
+      synthesis = await synthesizePaths(question, paths, llm);
+      usages.push(synthesis.usage);
+    } catch (err) {
+      if (!isBudgetExceeded(err)) throw err;
+      budgetError = err;
+      synthesis = { answer: null };
+    }
 
     return {
       framework: 'CoT',
-      questionType: 'open-ended',
+      prompts: promptFields,
+      ...modeFields,
+      aggregation: 'synthesis',
+      ...typeField,
       paths,
       answers: paths.map(() => null), // no extraction needed
       synthesizedAnswer: synthesis.answer,
@@ -294,38 +642,74 @@ export async function runCoT(question, { apiKey, model = 'gpt-4o-mini', nSamples
       answer: synthesis.answer,
       confidence: null,
       extractionFailures: 0,
+      ...adaptiveField,
+      ...budgetFields(),
       usage: sumUsage(usages),
-      llmCalls: nSamples + 1 + (classification.usage ? 1 : 0),
+      llmCalls: demoCalls + sampled + (synthesis.usage ? 1 : 0) + (classificationUsage ? 1 : 0),
       timeMs: Date.now() - startTime,
     };
   }
 
-  // ── FACTUAL: Majority vote with smart grouping ──
-  const answers = paths.map((p) => extractAnswer(p));
+  // ── VOTE: Majority vote with smart grouping ──
+  const answers = paths.map(answerOf);
   const extractionFailures = answers.filter((a) => a === null).length;
-  const vote = await smartMajorityVote(answers, { apiKey, model, signal });
+  const pathWeights = voteWeighting === 'none' ? null : fillWeights(voteWeighting === 'logprobs'
+    ? results.map((r) => pathLikelihood(r.logprobs))
+    : paths.map(parseSelfConfidence));
+  const vote = await smartMajorityVote(answers, llm, pathWeights);
 
   if (vote.extraUsage) {
     usages.push(vote.extraUsage);
   }
 
   const validCount = answers.filter((a) => a !== null).length;
+  const winner = vote.weightedAnswer ?? vote.answer;
   const finalAnswer = validCount > 0
-    ? vote.answer
+    ? winner
     : '[Extraction failed — see reasoning paths]';
 
+  // Weighted vote: the weighted winner is the answer; the unweighted one is kept for comparison
+  let weightingFields = {};
+  let weightedConfidence = null;
+  if (voteWeighting !== 'none') {
+    const totalWeight = Object.values(vote.weightedDistribution || {}).reduce((a, b) => a + b, 0);
+    weightedConfidence = totalWeight > 0 ? vote.weightedDistribution[vote.weightedAnswer] / totalWeight : 0;
+    weightingFields = pathWeights
+      ? {
+        voteWeighting,
+        pathWeights,
+        weightedVoteCounts: vote.weightedDistribution,
+        weightedConfidence,
+        unweightedAnswer: vote.answer,
+        votesDisagree: validCount > 0 && vote.weightedAnswer !== vote.answer,
+      }
+      : {
+        voteWeighting,
+        weightingUnavailable: voteWeighting === 'logprobs'
+          ? 'The provider returned no logprobs; votes were counted equally.'
+          : 'No path rated its confidence; votes were counted equally.',
+      };
+  }
+
   return {
     framework: 'CoT',
-    questionType: 'factual',
+    prompts: promptFields,
+    ...modeFields,
+    aggregation: 'vote',
+    ...typeField,
     paths,
     answers,
     voteCounts: vote.distribution,
     finalAnswer,
     answer: finalAnswer,
-    confidence: validCount > 0 ? vote.count / nSamples : 0,
+    // The share of whichever winner is the answer
+    confidence: validCount > 0 ? (pathWeights ? weightedConfidence : vote.count / sampled) : 0,
     extractionFailures,
+    ...weightingFields,
+    ...adaptiveField,
+    ...budgetFields(),
     usage: sumUsage(usages),
-    llmCalls: nSamples + (vote.extraUsage ? 1 : 0) + (classification.usage ? 1 : 0),
+    llmCalls: demoCalls + sampled + (vote.extraUsage ? 1 : 0) + (classificationUsage ? 1 : 0),
     timeMs: Date.now() - startTime,
   };
 }
@@ -0,0 +1,70 @@
+import { runCoT } from './cot';
+
+const usage = { prompt_tokens: 50, completion_tokens: 20, total_tokens: 70 };
+
+/**
+ * Transport whose samples reply with `paths` in turn; canonicalization maps
+ * every answer starting with "paris" to "paris".
+ */
+function scripted(paths) {
+  let next = 0;
+  return {
+    llm: async (messages) => {
+      const prompt = messages[messages.length - 1].content;
+      if (prompt.startsWith('I have these answers')) {
+        const lines = [...prompt.matchAll(/^(\d+)\. "(.*)"$/gm)]
+          .map(([, n, answer]) => `${n} -> ${answer.startsWith('paris') ? 'paris' : answer}`);
+        return { content: lines.join('\n'), usage };
+      }
+      return { content: paths[next++ % paths.length], usage };
+    },
+  };
+}
+
+const run = (paths, options) => runCoT('What is the capital of France?', {
+  apiKey: 'k', mode: 'zero-shot', aggregation: 'vote', transport: scripted(paths), ...options,
+});
+
+test('the vote groups equivalent answers and reports the winner\'s share', async () => {
+  const result = await run([
+    'France is in Europe. The answer is Paris.',
+    'The answer is London.',
+    'Its capital city is Paris. The answer is Paris, France.',
+    'The answer is London.',
+    'The answer is Paris.',
+  ], { nSamples: 5 });
+  expect(result.answer).toBe('paris');
+  expect(result.voteCounts).toEqual({ paris: 3, london: 2 });
+  expect(result.confidence).toBeCloseTo(0.6);
+  expect(result.llmCalls).toBe(6);
+});
+
+test('a weighted vote answers with the weighted winner and its share of the weight', async () => {
+  const result = await run([
+    'The answer is Paris.\nConfidence: 90%',
+    'The answer is Paris.\nConfidence: 90%',
+    'The answer is London.\nConfidence: 10%',
+    'The answer is London.\nConfidence: 10%',
+    'The answer is London.\nConfidence: 10%',
+  ], { nSamples: 5, voteWeighting: 'confidence' });
+  expect(result.answer).toBe('paris');
+  expect(result.unweightedAnswer).toBe('london');
+  expect(result.votesDisagree).toBe(true);
+  expect(result.confidence).toBeCloseTo(1.8 / 2.1);
+  expect(result.weightedConfidence).toBe(result.confidence);
+});
+
+test('adaptive sampling stops once the Beta rule is confident', async () => {
+  const result = await run(['The answer is Paris.'], { nSamples: 15, adaptive: true, batchSize: 3, confidenceThreshold: 0.9 });
+  // 3 votes to 0: P(leader's share > 0.5) = 1 - 0.5^4
+  expect(result.adaptive.trajectory).toEqual([{ samples: 3, leader: 'paris', votes: 3, runnerUp: 0, confidence: 0.9375 }]);
+  expect(result.adaptive).toMatchObject({ stoppedEarly: true, samplesSaved: 12 });
+  expect(result.paths).toHaveLength(3);
+});
+
+test('adaptive sampling draws every sample while the vote stays split', async () => {
+  const result = await run(['The answer is Paris.', 'The answer is London.'], { nSamples: 6, adaptive: true, batchSize: 3, confidenceThreshold: 0.9 });
+  expect(result.adaptive.trajectory.map((check) => check.samples)).toEqual([3, 6]);
+  expect(result.adaptive).toMatchObject({ stoppedEarly: false, samplesSaved: 0 });
+  expect(result.paths).toHaveLength(6);
+});
@@ -0,0 +1,269 @@
+/**
+ * Multi-agent Debate Framework.
+ *
+ * Several agents answer the same question and then argue it out:
+ * 1. **Answer** — K agents answer independently (K parallel LLM calls)
+ * 2. **Debate** — for R rounds, every agent reads the others' latest answers
+ *    and revises its own (K parallel LLM calls per round). Rounds stop early
+ *    once every agent agrees
+ * 3. **Settle** — the majority answer of the last round wins; with
+ *    `settle: 'judge'`, or when the vote is tied, a judge call decides
+ *
+ * Agents take turns through a set of personas, and can take turns through
+ * several models (`agentModels`).
+ *
+ * Based on Du et al., "Improving Factuality and Reasoning in Language Models
+ * through Multiagent Debate" (2023).
+ *
+ * @module debate
+ */
+
+/**
+ * @typedef {object} DebateAgent
+ * @property {number} index   - 0-based agent number
+ * @property {string} persona - Persona name
+ * @property {string} model   - Model the agent runs on
+ */
+
+/**
+ * @typedef {object} DebateTurn
+ * @property {number}  agent   - Agent index
+ * @property {string}  text    - Full response
+ * @property {string|null} answer - Parsed final answer
+ * @property {boolean} changed - True if the answer differs from the agent's previous round
+ */
+
+/**
+ * @typedef {object} DebateRound
+ * @property {number} round     - 0 for the independent answers
+ * @property {DebateTurn[]} turns - One per agent, in agent order
+ * @property {number} agreement - Share of agents in the largest answer group (0–1)
+ * @property {string|null} majority - Answer of a strictly largest group, else null
+ */
+
+/**
+ * @typedef {object} DebateResult
+ * @property {string}  framework - Always 'Debate'
+ * @property {DebateAgent[]} agents
+ * @property {DebateRound[]} rounds - Completed rounds, in order
+ * @property {boolean} converged - True if every agent gave the same answer in the last round
+ * @property {'majority'|'judge'} settledBy
+ * @property {string}  [judgeText] - Judge's response, if a judge settled the debate
+ * @property {string}  answer    - Settled answer
+ * @property {object}  usage     - Aggregated token usage
+ * @property {number}  llmCalls  - Total LLM API calls
+ * @property {number}  timeMs    - Wall-clock time in milliseconds
+ * @property {string}  [error]   - Set if a budget stopped the debate (see budget.js)
+ * @property {boolean} [budgetExceeded] - True if a budget stopped the debate early
+ */
+
+import { callLLM } from './llm';
+import { isBudgetExceeded } from './budget';
+import { extractAnswer } from '../utils/parser';
+import { basicNormalize, areSimilar } from '../utils/answerScoring';
+import { sumUsage } from '../utils/tokenCounter';
+
+/** Personas assigned to agents in turn. */
+export const DEBATE_PERSONAS = [
+  { name: 'Analyst', prompt: 'You are a careful analyst. Reason step by step and double-check every fact and calculation.' },
+  { name: 'Skeptic', prompt: 'You are a skeptic. Look for flaws, hidden assumptions and other readings of the question before you commit to an answer.' },
+  { name: 'Expert', prompt: 'You are a domain expert. Bring in the background knowledge that matters most and state the key facts precisely.' },
+  { name: 'Pragmatist', prompt: 'You are a pragmatist. Prefer the simplest explanation that fits everything the question says.' },
+  { name: 'Generalist', prompt: 'You are a well-read generalist. Answer plainly and concisely.' },
+];
+
+const ANSWER_FORMAT = 'Reason briefly, then end with a final line of the form "Answer: <short final answer>".';
+
+function initialPrompt(question) {
+  return `${question}
+
+${ANSWER_FORMAT}`;
+}
+
+function revisePrompt(others) {
+  const answers = others.map(({ label, text }) => `${label}:\n${text}`).join('\n\n');
+  return `These are the latest answers of the other agents:
+
+${answers}
+
+Use their reasoning as additional evidence. Point out any mistakes, then give your updated answer — change it only if you are convinced. ${ANSWER_FORMAT}`;
+}
+
+function judgePrompt(question, turns, agents) {
+  const answers = turns
+    .map((t) => `Agent ${t.agent + 1} (${agents[t.agent].persona}):\n${t.text}`)
+    .join('\n\n');
+  return `Several agents debated the question below. Read their final answers and decide which answer is correct.
+
+Question: ${question}
+
+${answers}
+
+Explain your decision in one or two sentences, then end with a final line of the form "Answer: <short final answer>".`;
+}
+
+/** The last "Answer:" line, else a CoT-style answer, else the last line. */
+export function parseDebateAnswer(text) {
+  const lines = [...text.matchAll(/^[^\S\n]*(?:\*\*)?(?:Final )?Answer(?::\*\*|\*\*:|:)[^\S\n]*(.+)$/gim)];
+  if (lines.length > 0) return lines[lines.length - 1][1].trim();
+  const cot = extractAnswer(text);
+  if (cot) return cot;
+  const last = text.trim().split('\n').filter((l) => l.trim()).pop();
+  return last ? last.trim() : null;
+}
+
+function sameAnswer(a, b) {
+  if (a == null || b == null) return a === b;
+  return areSimilar(basicNormalize(a), basicNormalize(b));
+}
+
+/**
+ * Group answers that mean the same thing.
+ * @param {Array<string|null>} answers
+ * @returns {{ agreement: number, majority: string|null, groupOf: number[] }}
+ *   `groupOf[i]` is the group index of answer i (-1 for no answer)
+ */
+export function groupAnswers(answers) {
+  const groups = [];
+  const groupOf = answers.map((answer) => {
+    if (answer == null) return -1;
+    const norm = basicNormalize(answer);
+    let g = groups.findIndex((group) => areSimilar(group.norm, norm));
+    if (g === -1) {
+      g = groups.length;
+      groups.push({ norm, answer, size: 0 });
+    }
+    groups[g].size++;
+    return g;
+  });
+  const sorted = [...groups].sort((a, b) => b.size - a.size);
+  const top = sorted[0];
+  const tied = sorted.length > 1 && sorted[1].size === top.size;
+  return {
+    agreement: top ? top.size / answers.length : 0,
+    majority: top && !tied ? top.answer : null,
+    groupOf,
+  };
+}
+
+/**
+ * Run a multi-agent debate.
+ * @param {string} question
+ * @param {object} options
+ * @param {number} [options.agents] - Number of agents, 2–5 (default: 3)
+ * @param {number} [options.rounds] - Revision rounds after the independent answers (default: 2)
+ * @param {'majority'|'judge'} [options.settle] - How the final answer is chosen (default: 'majority')
+ * @param {Array<{provider: string, baseUrl: string, model: string, apiKey: string}>} [options.agentModels] -
+ *   Extra models; agents take turns through the run's model and these
+ * @param {boolean} [options.stream] - Stream tokens; 'response' events are then also sent with `partial: true`
+ * @param {function} onStep - callback({ phase, data, partial? }); phase is 'agents' | 'response' | 'round' | 'judge'
+ * @returns {Promise<DebateResult>}
+ */
+export async function runDebate(question, { apiKey, model = 'gpt-4o-mini', provider, baseUrl, agents: agentCount = 3, rounds: maxRounds = 2, settle = 'majority', agentModels = [], stream = false, signal, transport, budget } = {}, onStep) {
+  const startTime = Date.now();
+  const shared = { signal, transport, budget };
+  const pool = [{ apiKey, model, provider, baseUrl }, ...(agentModels || [])];
+  const usages = [];
+
+  const agents = Array.from({ length: Math.max(2, agentCount) }, (_, index) => {
+    const target = pool[index % pool.length];
+    const persona = DEBATE_PERSONAS[index % DEBATE_PERSONAS.length];
+    return {
+      index,
+      persona: persona.name,
+      model: target.model,
+      llm: { apiKey: target.apiKey, model: target.model, provider: target.provider, baseUrl: target.baseUrl, ...shared },
+      messages: [{ role: 'system', content: persona.prompt }],
+    };
+  });
+  const label = (i) => `Agent ${i + 1} (${agents[i].persona})`;
+  const agentInfo = agents.map(({ index, persona, model: agentModel }) => ({ index, persona, model: agentModel }));
+  if (onStep) onStep({ phase: 'agents', data: { agents: agentInfo } });
+
+  const rounds = [];
+  let budgetError = null;
+
+  for (let round = 0; round <= maxRounds; round++) {
+    const previous = rounds[round - 1];
+    const settled = await Promise.allSettled(agents.map(async (agent) => {
+      const content = round === 0
+        ? initialPrompt(question)
+        : revisePrompt(previous.turns
+          .filter((t) => t.agent !== agent.index)
+          .map((t) => ({ label: label(t.agent), text: t.text })));
+      const messages = [...agent.messages, { role: 'user', content }];
+      const reply = await callLLM(messages, {
+        ...agent.llm,
+        temperature: round === 0 ? 0.7 : 0.3,
+        maxTokens: 768,
+        onToken: stream && onStep
+          ? (_delta, text) => onStep({ phase: 'response', data: { round, agent: agent.index, text }, partial: true })
+          : undefined,
+      });
+      usages.push(reply.usage);
+      return { messages: [...messages, { role: 'assistant', content: reply.content }], text: reply.content };
+    }));
+
+    const failure = settled.find((s) => s.status === 'rejected');
+    if (failure) {
+      // Out of budget mid-round: settle on the last complete round
+      if (!isBudgetExceeded(failure.reason) || rounds.length === 0) throw failure.reason;
+      budgetError = failure.reason.message;
+      break;
+    }
+
+    const turns = settled.map(({ value }, i) => {
+      agents[i].messages = value.messages;
+      const answer = parseDebateAnswer(value.text);
+      const changed = previous != null && !sameAnswer(answer, previous.turns[i].answer);
+      const turn = { agent: i, text: value.text, answer, changed };
+      if (onStep) onStep({ phase: 'response', data: { round, ...turn } });
+      return turn;
+    });
+    const { agreement, majority } = groupAnswers(turns.map((t) => t.answer));
+    rounds.push({ round, turns, agreement, majority });
+    if (onStep) onStep({ phase: 'round', data: { round, agreement, majority } });
+
+    if (agreement === 1) break;
+  }
+
+  // ── SETTLE ──
+  const last = rounds[rounds.length - 1];
+  const converged = last.agreement === 1;
+  let answer = last.majority;
+  let settledBy = 'majority';
+  let judgeText;
+
+  if (!budgetError && !converged && (settle === 'judge' || answer == null)) {
+    try {
+      const verdict = await callLLM(
+        [{ role: 'user', content: judgePrompt(question, last.turns, agents) }],
+        { apiKey, model, provider, baseUrl, ...shared, temperature: 0, maxTokens: 512 }
+      );
+      usages.push(verdict.usage);
+      judgeText = verdict.content;
+      answer = parseDebateAnswer(verdict.content);
+      settledBy = 'judge';
+      if (onStep) onStep({ phase: 'judge', data: { text: judgeText, answer } });
+    } catch (err) {
+      if (!isBudgetExceeded(err)) throw err;
+      budgetError = err.message;
+    }
+  }
+  // A tie nobody could judge: take the first agent's answer
+  if (answer == null) answer = last.turns.find((t) => t.answer != null)?.answer ?? null;
+
+  return {
+    framework: 'Debate',
+    ...(budgetError && { error: budgetError, budgetExceeded: true }),
+    agents: agentInfo,
+    rounds,
+    converged,
+    settledBy,
+    ...(judgeText != null && { judgeText }),
+    answer,
+    usage: sumUsage(usages),
+    llmCalls: usages.length,
+    timeMs: Date.now() - startTime,
+  };
+}
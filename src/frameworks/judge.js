@@ -0,0 +1,251 @@
+/**
+ * LLM-as-judge grading of framework answers.
+ *
+ * Runs after a comparison run, on demand:
+ * 1. **Grade**    — each answer is scored 1–10 on a rubric:
+ *    - correctness  — against the reference answer if one is given, else the
+ *      judge's own knowledge
+ *    - completeness — does it answer every part of the question
+ *    - groundedness — are its claims supported by the framework's tool
+ *      evidence (null for frameworks that used no tools)
+ * 2. **Compare**  — every pair of answers is judged head to head; pairs with
+ *    equivalent answers are tied without a call
+ *
+ * Judge calls are metered separately from the frameworks they grade.
+ * Based on Zheng et al., "Judging LLM-as-a-Judge with MT-Bench and
+ * Chatbot Arena" (2023).
+ *
+ * @module judge
+ */
+
+/**
+ * @typedef {object} JudgeGrade
+ * @property {number|null} correctness  - 1–10
+ * @property {number|null} completeness - 1–10
+ * @property {number|null} groundedness - 1–10, null without tool evidence
+ * @property {number|null} overall      - Mean of the available scores
+ * @property {string} rationale
+ * @property {string} [error] - Why the grade could not be produced
+ */
+
+/**
+ * @typedef {object} PairwiseVerdict
+ * @property {string} a - Framework ID
+ * @property {string} b - Framework ID
+ * @property {string|null} winner - Framework ID, or null for a tie
+ * @property {string} rationale
+ */
+
+/**
+ * @typedef {object} JudgeResult
+ * @property {Object<string, JudgeGrade>} grades - Framework ID → grade
+ * @property {PairwiseVerdict[]} pairwise
+ * @property {Object<string, number>} wins - Framework ID → pairwise wins
+ * @property {string|null} reference - Reference answer used, if any
+ * @property {string}  model    - Judge model
+ * @property {string}  provider - Judge provider
+ * @property {object}  usage    - Judge token usage (not part of any framework's)
+ * @property {number}  llmCalls - Judge LLM calls
+ * @property {number}  timeMs   - Wall-clock time in milliseconds
+ */
+
+import { callLLM } from './llm';
+import { sumUsage } from '../utils/tokenCounter';
+import { basicNormalize } from '../utils/answerScoring';
+import { runWithConcurrency } from '../utils/concurrency';
+
+const MAX_EVIDENCE_CHARS = 3000;
+const JUDGE_CONCURRENCY = 4;
+
+/** Answer text of a result, or null if it produced none. */
+export function resultAnswer(result) {
+  const answer = result?.answer ?? result?.finalAnswer;
+  return answer != null && String(answer).trim() ? String(answer).trim() : null;
+}
+
+/**
+ * Tool observations a framework's answer can be checked against.
+ * @param {object} result - Framework result
+ * @returns {string} Empty if the framework used no tools
+ */
+export function collectEvidence(result) {
+  // The Auto framework's evidence is that of the framework it ran
+  if (result.delegateResult) return collectEvidence(result.delegateResult);
+  const observations = (trajectory = []) =>
+    trajectory.filter((t) => t.role === 'observation').map((t) => t.content);
+
+  let items = [];
+  if (result.trajectory) {
+    items = observations(result.trajectory);
+  } else if (result.trials) {
+    const best = result.trials.find((t) => t.trial === result.bestTrial);
+    items = observations(best?.trajectory);
+  } else if (result.evidence) {
+    items = Object.entries(result.evidence).map(([variable, value]) => `${variable}: ${value}`);
+  } else if (result.pastSteps) {
+    items = result.pastSteps.map(([step, outcome]) => `${step}\n→ ${outcome}`);
+  } else if (result.attempts) {
+    items = result.attempts.map((a) => `Program output${a.isError ? ' (error)' : ''}: ${a.output}`);
+  }
+  const text = items.map((item) => `- ${String(item).trim()}`).join('\n');
+  return text.length > MAX_EVIDENCE_CHARS ? `${text.slice(0, MAX_EVIDENCE_CHARS)}\n…(truncated)` : text;
+}
+
+function buildGradePrompt(question, answer, evidence, reference) {
+  return `You are an impartial judge grading an answer to a question.
+
+Question: ${question}
+${reference ? `\nReference answer: ${reference}\n` : ''}
+Answer to grade: ${answer}
+
+Tool evidence the answer was based on:
+${evidence || '(none — the answer came from reasoning alone)'}
+
+Rate the answer from 1 (worst) to 10 (best) on:
+- Correctness: ${reference ? 'does it agree with the reference answer' : 'is it factually and logically correct'}
+- Completeness: does it address every part of the question
+- Groundedness: are its claims supported by the tool evidence${evidence ? '' : ' (write N/A, there is no evidence)'}
+
+Reply with exactly these lines:
+Correctness: <1-10>
+Completeness: <1-10>
+Groundedness: <1-10${evidence ? '' : ' or N/A'}>
+Rationale: <one or two sentences>`;
+}
+
+function buildPairwisePrompt(question, first, second, reference) {
+  return `You are an impartial judge comparing two answers to the same question. Do not let the order of the answers or their length influence you.
+
+Question: ${question}
+${reference ? `\nReference answer: ${reference}\n` : ''}
+Answer A: ${first}
+
+Answer B: ${second}
+
+Which answer is better overall (correct, complete, and clearly stated)?
+
+Reply with exactly these lines:
+Winner: <A, B, or Tie>
+Rationale: <one sentence>`;
+}
+
+/** Parse a "Name: N" score in [1, 10]; null if absent or N/A. */
+function parseScore(text, name) {
+  const m = text.match(new RegExp(`${name}:\\s*(\\d+(?:\\.\\d+)?)`, 'i'));
+  if (!m) return null;
+  return Math.max(1, Math.min(10, parseFloat(m[1])));
+}
+
+function parseRationale(text) {
+  const m = text.match(/rationale:\s*([\s\S]*)/i);
+  return (m ? m[1] : text).trim();
+}
+
+/**
+ * Grade every answered framework and compare answers pairwise.
+ *
+ * @param {string} question
+ * @param {Object<string, object>} results - Framework ID → result
+ * @param {object} options
+ * @param {string} options.apiKey
+ * @param {string} [options.model]     - Judge model (default: 'gpt-4o-mini')
+ * @param {string} [options.provider]
+ * @param {string} [options.baseUrl]
+ * @param {string} [options.reference] - Reference answer to grade correctness against
+ * @param {boolean} [options.pairwise] - Also compare answers head to head (default: true)
+ * @param {AbortSignal} [options.signal]
+ * @param {function} [onStep] - callback({ type: 'grade' | 'pairwise', done, total })
+ * @returns {Promise<JudgeResult>}
+ */
+export async function runJudge(question, results, { apiKey, model = 'gpt-4o-mini', provider, baseUrl, reference = '', pairwise = true, signal } = {}, onStep) {
+  const startTime = Date.now();
+  const llm = { apiKey, model, provider, baseUrl, signal, maxTokens: 300 };
+  const ref = reference.trim() || null;
+  const answered = Object.entries(results).filter(([, r]) => r && !r.error && resultAnswer(r));
+  const usages = [];
+  let llmCalls = 0;
+
+  const judgeCall = async (prompt) => {
+    const response = await callLLM([{ role: 'user', content: prompt }], llm);
+    usages.push(response.usage);
+    llmCalls++;
+    return response.content;
+  };
+
+  // ── Grade each answer ──
+  let graded = 0;
+  const gradeList = await runWithConcurrency(answered, JUDGE_CONCURRENCY, async ([fw, result]) => {
+    const evidence = collectEvidence(result);
+    let grade;
+    try {
+      const text = await judgeCall(buildGradePrompt(question, resultAnswer(result), evidence, ref));
+      const scores = {
+        correctness: parseScore(text, 'correctness'),
+        completeness: parseScore(text, 'completeness'),
+        groundedness: evidence ? parseScore(text, 'groundedness') : null,
+      };
+      const present = Object.values(scores).filter((s) => s != null);
+      grade = {
+        ...scores,
+        overall: present.length > 0 ? present.reduce((a, b) => a + b, 0) / present.length : null,
+        rationale: parseRationale(text),
+      };
+    } catch (err) {
+      if (err.name === 'AbortError') throw err;
+      grade = { correctness: null, completeness: null, groundedness: null, overall: null, rationale: '', error: err.message };
+    }
+    graded++;
+    if (onStep) onStep({ type: 'grade', done: graded, total: answered.length });
+    return [fw, grade];
+  }, signal);
+
+  // ── Pairwise preference ──
+  const pairs = [];
+  if (pairwise) {
+    for (let i = 0; i < answered.length; i++) {
+      for (let j = i + 1; j < answered.length; j++) pairs.push([answered[i], answered[j]]);
+    }
+  }
+  let compared = 0;
+  const verdicts = await runWithConcurrency(pairs, JUDGE_CONCURRENCY, async ([[a, ra], [b, rb]], index) => {
+    const answerA = resultAnswer(ra);
+    const answerB = resultAnswer(rb);
+    let verdict;
+    if (basicNormalize(answerA) === basicNormalize(answerB)) {
+      verdict = { a, b, winner: null, rationale: 'Equivalent answers.' };
+    } else {
+      // Alternate which answer is shown first to offset position bias
+      const swap = index % 2 === 1;
+      try {
+        const text = await judgeCall(buildPairwisePrompt(question, swap ? answerB : answerA, swap ? answerA : answerB, ref));
+        const pick = text.match(/winner:\s*\**\s*(A|B|tie)\b/i)?.[1].toUpperCase();
+        const first = swap ? b : a;
+        const second = swap ? a : b;
+        verdict = { a, b, winner: pick === 'A' ? first : pick === 'B' ? second : null, rationale: parseRationale(text) };
+      } catch (err) {
+        if (err.name === 'AbortError') throw err;
+        verdict = { a, b, winner: null, rationale: `Comparison failed: ${err.message}` };
+      }
+    }
+    compared++;
+    if (onStep) onStep({ type: 'pairwise', done: compared, total: pairs.length });
+    return verdict;
+  }, signal);
+
+  if (signal?.aborted) throw new DOMException('The operation was aborted.', 'AbortError');
+
+  const wins = Object.fromEntries(answered.map(([fw]) => [fw, 0]));
+  for (const v of verdicts) if (v.winner) wins[v.winner]++;
+
+  return {
+    grades: Object.fromEntries(gradeList),
+    pairwise: verdicts,
+    wins,
+    reference: ref,
+    model,
+    provider: provider || 'openai',
+    usage: sumUsage(usages),
+    llmCalls,
+    timeMs: Date.now() - startTime,
+  };
+}
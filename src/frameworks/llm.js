@@ -1,43 +1,178 @@
 /**
  * Shared LLM API wrapper — OpenAI-compatible chat completions.
  *
+ * Requests go through the `/api/chat` proxy, which adapts them to the
+ * selected provider (OpenAI, Anthropic, Azure, Ollama, any OpenAI-compatible
+ * base URL) and normalizes responses back to the OpenAI shape.
+ *
  * Features:
  * - Exponential backoff retry (3 attempts) for 429/5xx errors
  * - AbortController signal support for cancellation
  * - Warns on truncated responses (finish_reason=length)
+ * - Token streaming (SSE) when an `onToken` callback is given
+ * - Native function calling: pass `tools`, read `toolCalls`
+ * - Token log probabilities: pass `logprobs`, read `logprobs` (OpenAI-style
+ *   providers only; Anthropic returns none)
+ * - Record/replay: pass a `transport` (see transport.js) to record calls
+ *   to a cassette or answer them from one offline
+ * - Budgets: pass a `budget` (see budget.js) to refuse calls that could
+ *   exceed a token / cost / call limit
  *
  * @module llm
  */
 
+import { estimateTokens } from '../utils/tokenCounter';
+
 /**
  * @typedef {object} LLMResult
- * @property {string} content       - The LLM response text
- * @property {string} finishReason  - 'stop', 'length', etc.
+ * @property {string} content       - The LLM response text ('' when the model only called tools)
+ * @property {string} finishReason  - 'stop', 'length', 'tool_calls', etc.
+ * @property {Array<{id: string, type: 'function', function: {name: string, arguments: string}}>} toolCalls
+ *           - Native tool calls requested by the model (empty unless `tools` were sent)
  * @property {object} usage
  * @property {number} usage.prompt_tokens
  * @property {number} usage.completion_tokens
  * @property {number} usage.total_tokens
+ * @property {boolean} [usage.estimated] - True if a stream carried no usage and tokens were estimated
+ * @property {number[]|null} [logprobs] - Log probability of each generated token; only set when
+ *           `logprobs` was requested, and null if the provider returned none
  */
 
 const RETRYABLE_STATUSES = new Set([429, 500, 502, 503, 504]);
 const MAX_RETRIES = 3;
 const BASE_DELAY_MS = 1000;
 
+/** Token log probabilities of an OpenAI-style choice (or stream chunk choice). */
+function choiceLogprobs(choice) {
+  return (choice.logprobs?.content || []).map((t) => t.logprob);
+}
+
+/**
+ * Read an SSE chat completion stream from the proxy.
+ * Calls `onToken(delta, text)` for every content chunk and returns the
+ * accumulated text, finish reason, usage (null if the provider sent none)
+ * and token log probabilities (empty unless requested).
+ */
+async function readCompletionStream(response, onToken) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let content = '';
+  let finishReason = null;
+  let usage = null;
+  const toolCalls = [];
+  const logprobs = [];
+
+  const handleData = (data) => {
+    if (data === '[DONE]') return;
+    const chunk = JSON.parse(data);
+    if (chunk.error) throw new Error(chunk.error.message || 'LLM stream error');
+    if (chunk.usage) usage = chunk.usage;
+    const choice = chunk.choices?.[0];
+    if (!choice) return;
+    if (choice.finish_reason) finishReason = choice.finish_reason;
+    logprobs.push(...choiceLogprobs(choice));
+    // Tool call fragments arrive keyed by index: id/name first, then argument pieces
+    for (const part of choice.delta?.tool_calls || []) {
+      const call = toolCalls[part.index] || (toolCalls[part.index] = { id: '', type: 'function', function: { name: '', arguments: '' } });
+      if (part.id) call.id = part.id;
+      if (part.function?.name) call.function.name += part.function.name;
+      if (part.function?.arguments) call.function.arguments += part.function.arguments;
+    }
+    const delta = choice.delta?.content;
+    if (delta) {
+      content += delta;
+      onToken(delta, content);
+    }
+  };
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true }).replace(/\r\n/g, '\n');
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const rawEvent = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+      const data = rawEvent
+        .split('\n')
+        .filter((line) => line.startsWith('data:'))
+        .map((line) => line.slice(5).trimStart())
+        .join('\n');
+      if (data) handleData(data);
+    }
+  }
+
+  return { content, finishReason, usage, toolCalls: toolCalls.filter(Boolean), logprobs };
+}
+
 /**
- * Call the OpenAI Chat Completions API with retry and abort support.
+ * Fallback when a streaming provider doesn't report usage: estimate from text.
+ * Marked `estimated` so the UI can flag it.
+ */
+function estimateUsage(messages, content) {
+  const promptTokens = messages.reduce((n, m) => n + estimateTokens(m.content), 0);
+  const completionTokens = estimateTokens(content);
+  return {
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: promptTokens + completionTokens,
+    estimated: true,
+  };
+}
+
+/**
+ * Call a chat completions API with retry and abort support.
+ * With a `transport`, the call is recorded or replayed (see transport.js).
+ * With a `budget`, the call is charged to it and refused if it might not fit.
  *
  * @param {Array<{role: string, content: string}>} messages - Chat messages
  * @param {object}  options
- * @param {string}  options.apiKey      - OpenAI API key
+ * @param {string}  options.apiKey      - API key for the selected provider
  * @param {string}  [options.model]     - Model ID (default: 'gpt-4o-mini')
+ * @param {string}  [options.provider]  - Provider ID (default: 'openai'), see PROVIDERS
+ * @param {string}  [options.baseUrl]   - Provider base URL override (Azure, Ollama, vLLM, …)
  * @param {number}  [options.temperature] - Sampling temperature (default: 0)
  * @param {number}  [options.maxTokens] - Max tokens to generate (default: 1024)
  * @param {AbortSignal} [options.signal] - AbortController signal for cancellation
+ * @param {function} [options.onToken] - Streams the response: callback(delta, textSoFar) per chunk
+ * @param {Array<object>} [options.tools] - OpenAI function-calling tool definitions (see getToolSchemas)
+ * @param {boolean} [options.logprobs] - Request token log probabilities (see LLMResult.logprobs)
+ * @param {object} [options.transport] - Record/replay transport (createRecordTransport / createReplayTransport)
+ * @param {object} [options.budget] - Token / cost / call budget (createBudget)
  * @returns {Promise<LLMResult>}
  * @throws {Error} On non-retryable API errors or max retries exceeded
  * @throws {DOMException} AbortError if signal is aborted
+ * @throws {BudgetExceededError} If the budget refused the call (nothing was sent)
  */
-export async function callLLM(messages, { apiKey, model = 'gpt-4o-mini', temperature = 0, maxTokens = 1024, signal } = {}) {
+export async function callLLM(messages, { transport, budget, ...options } = {}) {
+  const { model = 'gpt-4o-mini', provider = 'openai', temperature = 0, maxTokens = 1024 } = options;
+  const reservation = budget?.reserve({
+    promptTokens: messages.reduce((n, m) => n + estimateTokens(m.content), 0),
+    maxTokens,
+    model,
+    provider,
+  });
+
+  let result;
+  try {
+    result = transport
+      ? await transport.llm(
+        messages,
+        { ...options, model, temperature, maxTokens },
+        () => requestCompletion(messages, options)
+      )
+      : await requestCompletion(messages, options);
+  } catch (err) {
+    if (reservation) budget.release(reservation);
+    throw err;
+  }
+  if (reservation) budget.settle(reservation, result.usage);
+  return result;
+}
+
+/** Live request through the `/api/chat` proxy (see callLLM for options). */
+async function requestCompletion(messages, { apiKey, model = 'gpt-4o-mini', provider = 'openai', baseUrl, temperature = 0, maxTokens = 1024, signal, onToken, tools, logprobs = false } = {}) {
   let lastError;
 
   for (let attempt = 0; attempt <= MAX_RETRIES; attempt++) {
@@ -70,10 +205,15 @@ export async function callLLM(messages, { apiKey, model = 'gpt-4o-mini', tempera
         },
         body: JSON.stringify({
           apiKey,
+          provider,
+          baseUrl,
           model,
           messages,
           temperature,
           max_tokens: maxTokens,
+          ...(onToken ? { stream: true } : {}),
+          ...(tools?.length ? { tools } : {}),
+          ...(logprobs ? { logprobs: true } : {}),
         }),
         signal,
       });
@@ -84,6 +224,20 @@ export async function callLLM(messages, { apiKey, model = 'gpt-4o-mini', tempera
       throw lastError;
     }
 
+    if (response.ok && onToken) {
+      const streamed = await readCompletionStream(response, onToken);
+      if (streamed.finishReason === 'length') {
+        console.warn(`LLM response truncated (finish_reason=length) for model ${model}`);
+      }
+      return {
+        content: streamed.content,
+        finishReason: streamed.finishReason || 'stop',
+        usage: streamed.usage || estimateUsage(messages, streamed.content),
+        toolCalls: streamed.toolCalls,
+        ...(logprobs && { logprobs: streamed.logprobs.length > 0 ? streamed.logprobs : null }),
+      };
+    }
+
     if (response.ok) {
       const data = await response.json();
       const choice = data.choices?.[0];
@@ -94,11 +248,14 @@ export async function callLLM(messages, { apiKey, model = 'gpt-4o-mini', tempera
       if (choice.finish_reason === 'length') {
         console.warn(`LLM response truncated (finish_reason=length) for model ${model}`);
       }
+      const tokenLogprobs = choiceLogprobs(choice);
 
       return {
-        content: choice.message.content,
+        content: choice.message.content ?? '',
         finishReason: choice.finish_reason,
         usage: data.usage || { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 },
+        toolCalls: choice.message.tool_calls || [],
+        ...(logprobs && { logprobs: tokenLogprobs.length > 0 ? tokenLogprobs : null }),
       };
     }
 
@@ -7,37 +7,34 @@
  * 3. **Replanner** — after each step, decide if done or update the plan
  *
  * Supports up to 20 replan cycles and 8 executor turns per step.
+ * The executor uses either the text `Action:` protocol or native function
+ * calling (`toolMode: 'native'`), like ReAct.
  *
  * @module planExecute
  */
 
 /**
  * @typedef {object} PlanExecuteResult
- * @property {string}  framework - Always 'Plan-Execute'
+ * @property {string}  framework - 'Plan-Execute' or 'Plan-Execute (FC)' (native function calling)
+ * @property {string}  toolMode  - 'text' | 'native'
  * @property {string}  planText  - Raw initial plan from planner
  * @property {Array<[string, string]>} pastSteps - Completed [step, result] pairs
  * @property {number}  replans   - Number of times the plan was revised
  * @property {string}  answer    - Final answer (null if no answer produced)
- * @property {string}  [error]   - Error message if plan didn't converge
+ * @property {string}  [error]   - Error message if plan didn't converge or a budget stopped it
+ * @property {boolean} [budgetExceeded] - True if a budget stopped the run (see budget.js)
+ * @property {object}  prompts   - Prompt template versions used (see prompts.js)
  * @property {object}  usage     - Aggregated token usage
  * @property {number}  llmCalls  - Total LLM API calls
  * @property {number}  timeMs    - Wall-clock time in milliseconds
  */
 
 import { callLLM } from './llm';
-import { executeTool, getToolDescriptions } from './tools';
+import { isBudgetExceeded } from './budget';
+import { executeTool, getToolDescriptions, getToolSchemas, parseToolArguments } from './tools';
 import { parsePlanSteps, parseReActAction, parseReActAnswer } from '../utils/parser';
 import { sumUsage } from '../utils/tokenCounter';
-
-const PLANNER_SYSTEM = `You are a planning agent. Given an objective, create a simple step-by-step plan.
-This plan should involve individual tasks that, if executed correctly, will yield the correct answer.
-Do not add superfluous steps. The result of the final step should be the final answer.
-Make sure each step has all the information needed. Do not skip steps.
-
-Output a numbered list of steps, one per line. Example:
-1. Search for X
-2. Calculate Y based on the result
-3. Provide the final answer`;
+import { renderPrompt, promptVersions } from './prompts';
 
 /** Lazy-initialized executor system prompt (avoids calling getToolDescriptions at module load). */
 let _executorSystem = null;
@@ -61,45 +58,66 @@ Only execute the specific step you are given. Be concise.`;
   return _executorSystem;
 }
 
-function buildReplannerPrompt(objective, plan, pastSteps) {
-  const stepsStr = pastSteps.map(([step, result]) => `Step: ${step}\nResult: ${result}`).join('\n\n');
-  return `Your objective was:
-${objective}
+/** Executor system prompt for native function calling (tools are sent as schemas). */
+const NATIVE_EXECUTOR_SYSTEM = `You are an execution agent. You execute a single step of a plan using the provided tools.
 
-Your original plan was:
-${plan.map((s, i) => `${i + 1}. ${s}`).join('\n')}
-
-You have completed these steps:
-${stepsStr}
+Call one tool at a time and wait for its result.
+When you have the result for this step, respond with:
+Answer: <result of this step>
 
-Based on the results so far, decide:
-- If the objective is fully achieved, respond with: DONE: <final answer>
-- If more steps are needed, respond with an updated numbered plan (only remaining steps).
+Only execute the specific step you are given. Be concise.`;
 
-Do not repeat completed steps. Be concise.`;
+function buildReplannerPrompt(prompts, objective, plan, pastSteps) {
+  return renderPrompt(prompts, 'plan-execute.replanner', {
+    question: objective,
+    plan: plan.map((s, i) => `${i + 1}. ${s}`).join('\n'),
+    steps: pastSteps.map(([step, result]) => `Step: ${step}\nResult: ${result}`).join('\n\n'),
+  });
 }
 
 /**
  * Execute a single step (mini ReAct loop with up to 8 turns).
+ * `onToken` (optional) streams each executor turn's response text.
+ * With `native`, tools are offered as function-calling schemas and results
+ * are returned as `tool` role messages.
  */
-async function executeStep(stepText, fullPlan, { apiKey, model, signal }) {
+async function executeStep(stepText, fullPlan, llm, { native = false, onToken } = {}) {
   const messages = [
-    { role: 'system', content: getExecutorSystem() },
+    { role: 'system', content: native ? NATIVE_EXECUTOR_SYSTEM : getExecutorSystem() },
     { role: 'user', content: `For the following plan:\n${fullPlan}\n\nExecute this step: ${stepText}` },
   ];
+  const tools = native ? getToolSchemas() : undefined;
   const usages = [];
 
   for (let turn = 0; turn < 8; turn++) {
-    const result = await callLLM(messages, { apiKey, model, temperature: 0, maxTokens: 512, signal });
+    let result;
+    try {
+      result = await callLLM(messages, { ...llm, temperature: 0, maxTokens: 512, onToken, tools });
+    } catch (err) {
+      if (!isBudgetExceeded(err)) throw err;
+      return { result: null, error: err.message, budgetExceeded: true, usages };
+    }
     usages.push(result.usage);
+
+    if (native && result.toolCalls.length > 0) {
+      messages.push({ role: 'assistant', content: result.content || null, tool_calls: result.toolCalls });
+      for (const call of result.toolCalls) {
+        const input = parseToolArguments(call.function.arguments);
+        const observation = await executeTool(call.function.name, input, llm.apiKey, { provider: llm.provider, signal: llm.signal, transport: llm.transport });
+        messages.push({ role: 'tool', tool_call_id: call.id, content: observation });
+      }
+      continue;
+    }
+
     const response = result.content;
 
     const answer = parseReActAnswer(response);
     if (answer) return { result: answer, usages };
 
-    const action = parseReActAction(response);
+    // Native mode acts only on tool calls, never on text Action lines
+    const action = native ? null : parseReActAction(response);
     if (action) {
-      const observation = await executeTool(action.actionName, action.actionInput, apiKey);
+      const observation = await executeTool(action.actionName, action.actionInput, llm.apiKey, { provider: llm.provider, signal: llm.signal, transport: llm.transport });
       messages.push({ role: 'assistant', content: response });
       messages.push({ role: 'user', content: `Observation: ${observation}` });
     } else {
@@ -116,21 +134,33 @@ async function executeStep(stepText, fullPlan, { apiKey, model, signal }) {
  * Run Plan-and-Execute agent.
  * @param {string} question
  * @param {object} options
- * @param {function} onStep - callback({ phase, data })
+ * @param {'text'|'native'} [options.toolMode] - Executor tool calling: text protocol (default) or native
+ * @param {boolean} [options.stream] - Stream tokens; emits partial 'plan' and 'execute-partial' events
+ * @param {object} [options.prompts] - Prompt template versions to use instead of the defaults (see prompts.js)
+ * @param {function} onStep - callback({ phase, data, partial? })
  * @returns {Promise<object>}
  */
-export async function runPlanExecute(question, { apiKey, model = 'gpt-4o-mini', maxReplans = 20, signal } = {}, onStep) {
+export async function runPlanExecute(question, { apiKey, model = 'gpt-4o-mini', provider, baseUrl, maxReplans = 20, toolMode = 'text', stream = false, prompts, signal, transport, budget } = {}, onStep) {
   const startTime = Date.now();
+  const native = toolMode === 'native';
+  const llm = { apiKey, model, provider, baseUrl, signal, transport, budget };
   const usages = [];
   let llmCalls = 0;
 
   // ── PHASE 1: PLAN ────────────────────────────────────
   const planResult = await callLLM(
     [
-      { role: 'system', content: PLANNER_SYSTEM },
+      { role: 'system', content: renderPrompt(prompts, 'plan-execute.planner') },
       { role: 'user', content: question },
     ],
-    { apiKey, model, temperature: 0, maxTokens: 512, signal }
+    {
+      ...llm,
+      temperature: 0,
+      maxTokens: 512,
+      onToken: stream && onStep
+        ? (_delta, text) => onStep({ phase: 'plan', data: { planText: text, steps: parsePlanSteps(text) }, partial: true })
+        : undefined,
+    }
   );
   usages.push(planResult.usage);
   llmCalls++;
@@ -149,6 +179,7 @@ export async function runPlanExecute(question, { apiKey, model = 'gpt-4o-mini',
   const pastSteps = [];
   let replanCount = 0;
   let finalAnswer = null;
+  let budgetError = null;
 
   while (plan.length > 0 && replanCount <= maxReplans) {
     const currentStep = plan.shift();
@@ -156,7 +187,11 @@ export async function runPlanExecute(question, { apiKey, model = 'gpt-4o-mini',
     if (onStep) onStep({ phase: 'execute-start', data: { step: currentStep, stepIndex: pastSteps.length } });
 
     const fullPlanStr = plan.map((s, i) => `${i + 1}. ${s}`).join('\n');
-    const execResult = await executeStep(currentStep, fullPlanStr, { apiKey, model, signal });
+    const stepIndex = pastSteps.length;
+    const onToken = stream && onStep
+      ? (_delta, text) => onStep({ phase: 'execute-partial', data: { step: currentStep, stepIndex, text }, partial: true })
+      : undefined;
+    const execResult = await executeStep(currentStep, fullPlanStr, llm, { native, onToken });
     usages.push(...execResult.usages);
     llmCalls += execResult.usages.length;
 
@@ -167,17 +202,28 @@ export async function runPlanExecute(question, { apiKey, model = 'gpt-4o-mini',
 
     pastSteps.push([currentStep, stepOutput]);
     if (onStep) onStep({ phase: 'execute-done', data: { step: currentStep, result: stepOutput } });
+    if (execResult.budgetExceeded) {
+      budgetError = execResult.error;
+      break;
+    }
 
     // ── REPLAN ──────────────────────────────────────────
     const originalPlan = parsePlanSteps(planText);
-    const replanPrompt = buildReplannerPrompt(question, originalPlan.length > 0 ? originalPlan : [planText.trim()], pastSteps);
-    const replanResult = await callLLM(
-      [
-        { role: 'system', content: 'You are a replanning agent. Evaluate progress and decide if the task is complete or needs more steps.' },
-        { role: 'user', content: replanPrompt },
-      ],
-      { apiKey, model, temperature: 0, maxTokens: 512, signal }
-    );
+    const replanPrompt = buildReplannerPrompt(prompts, question, originalPlan.length > 0 ? originalPlan : [planText.trim()], pastSteps);
+    let replanResult;
+    try {
+      replanResult = await callLLM(
+        [
+          { role: 'system', content: 'You are a replanning agent. Evaluate progress and decide if the task is complete or needs more steps.' },
+          { role: 'user', content: replanPrompt },
+        ],
+        { ...llm, temperature: 0, maxTokens: 512 }
+      );
+    } catch (err) {
+      if (!isBudgetExceeded(err)) throw err;
+      budgetError = err.message;
+      break;
+    }
     usages.push(replanResult.usage);
     llmCalls++;
 
@@ -220,12 +266,15 @@ export async function runPlanExecute(question, { apiKey, model = 'gpt-4o-mini',
   }
 
   return {
-    framework: 'Plan-Execute',
+    framework: native ? 'Plan-Execute (FC)' : 'Plan-Execute',
+    toolMode,
+    prompts: promptVersions(prompts, ['plan-execute.planner', 'plan-execute.replanner']),
     planText,
     pastSteps,
     replans: replanCount,
     answer: finalAnswer,
-    error: finalAnswer ? undefined : 'Plan-Execute did not produce a final answer within the allowed steps.',
+    error: budgetError || (finalAnswer ? undefined : 'Plan-Execute did not produce a final answer within the allowed steps.'),
+    ...(budgetError && { budgetExceeded: true }),
     usage: sumUsage(usages),
     llmCalls,
     timeMs: Date.now() - startTime,
@@ -0,0 +1,151 @@
+/**
+ * Program-of-Thought (PoT) Framework.
+ *
+ * The model reasons by writing code instead of prose:
+ * 1. **Program** — the LLM writes a JavaScript program that computes the answer (1 LLM call)
+ * 2. **Execute** — the program runs in the sandboxed `code` tool; its return
+ *    value (or last printed line) is the answer
+ * 3. **Repair**  — if execution fails, the error is sent back and the model
+ *    fixes the program (up to `maxRepairs` more LLM calls)
+ *
+ * Based on Chen et al., "Program of Thoughts Prompting" (2022).
+ *
+ * @module pot
+ */
+
+/**
+ * @typedef {object} PoTAttempt
+ * @property {number}  attempt - 1-based attempt number
+ * @property {string}  code    - Program that was executed
+ * @property {string}  output  - `code` tool observation
+ * @property {boolean} isError - True if execution failed
+ * @property {number}  execMs  - Execution time
+ */
+
+/**
+ * @typedef {object} PoTResult
+ * @property {string}  framework - Always 'PoT'
+ * @property {PoTAttempt[]} attempts - Every program run, in order
+ * @property {string}  code      - Final program
+ * @property {string}  answer    - Executed result (null if every attempt failed)
+ * @property {object}  usage     - Aggregated token usage
+ * @property {number}  llmCalls  - Total LLM API calls
+ * @property {number}  timeMs    - Wall-clock time in milliseconds
+ * @property {string}  [error]   - Last execution error if no attempt succeeded, or the budget that stopped repairs
+ * @property {boolean} [budgetExceeded] - True if a budget stopped the run (see budget.js)
+ */
+
+import { callLLM } from './llm';
+import { isBudgetExceeded } from './budget';
+import { executeTool } from './tools';
+import { extractCodeBlock } from '../utils/parser';
+import { sumUsage } from '../utils/tokenCounter';
+
+const SYSTEM_PROMPT = `You answer questions by writing a JavaScript program that computes the answer.
+
+Rules:
+- Write the whole program in one \`\`\`javascript code block.
+- Use variables with meaningful names and short comments for each reasoning step.
+- The program runs in a sandbox with no network, DOM, or imports; use only built-ins (Math, Date, Array, BigInt, …).
+- End the program with \`return <final answer>;\` — return just the answer value (a number, string, or short list), not a sentence.
+- You may use console.log for intermediate values.`;
+
+function buildRepairPrompt(output) {
+  return `Running your program failed:
+
+${output}
+
+Fix the program. Reply with the complete corrected program in one \`\`\`javascript code block.`;
+}
+
+/** Pull the answer out of a `code` tool observation: the Result line, else the last printed line. */
+function parseExecutionAnswer(output) {
+  const result = output.match(/(?:^|\n)Result: ([\s\S]*)$/);
+  if (result && result[1].trim() !== 'undefined') return result[1].trim();
+  const printed = output.match(/^Output:\n([\s\S]*?)(?:\nResult: [\s\S]*)?$/);
+  const lines = (printed?.[1] || '').split('\n').map((l) => l.trim()).filter(Boolean);
+  return lines.length > 0 ? lines[lines.length - 1] : null;
+}
+
+/**
+ * Run Program-of-Thought.
+ * @param {string} question
+ * @param {object} options
+ * @param {number} [options.maxRepairs] - Extra attempts after a failed execution (default: 2)
+ * @param {boolean} [options.stream] - Stream tokens; 'program' events are then also sent with `partial: true`
+ * @param {function} onStep - callback({ phase: 'program' | 'execution', data, partial? })
+ * @returns {Promise<PoTResult>}
+ */
+export async function runPoT(question, { apiKey, model = 'gpt-4o-mini', provider, baseUrl, maxRepairs = 2, stream = false, signal, transport, budget } = {}, onStep) {
+  const startTime = Date.now();
+  const llm = { apiKey, model, provider, baseUrl, signal, transport, budget };
+  const usages = [];
+  const attempts = [];
+  const messages = [
+    { role: 'system', content: SYSTEM_PROMPT },
+    { role: 'user', content: question },
+  ];
+
+  let budgetError = null;
+
+  for (let attempt = 1; attempt <= maxRepairs + 1; attempt++) {
+    // ── PROGRAM ──
+    let programResult;
+    try {
+      programResult = await callLLM(messages, {
+        ...llm,
+        temperature: 0,
+        maxTokens: 1024,
+        onToken: stream && onStep
+          ? (_delta, text) => onStep({ phase: 'program', data: { attempt, text }, partial: true })
+          : undefined,
+      });
+    } catch (err) {
+      // Out of budget before a repair: report the failed attempts so far
+      if (!isBudgetExceeded(err) || attempts.length === 0) throw err;
+      budgetError = err.message;
+      break;
+    }
+    usages.push(programResult.usage);
+    const text = programResult.content;
+    const code = extractCodeBlock(text) ?? text.trim();
+    if (onStep) onStep({ phase: 'program', data: { attempt, text, code } });
+
+    // ── EXECUTE ──
+    const execStart = Date.now();
+    const output = await executeTool('code', code, apiKey, { provider, signal, transport });
+    const isError = output.startsWith('Error:');
+    const execMs = Date.now() - execStart;
+    attempts.push({ attempt, code, output, isError, execMs });
+    if (onStep) onStep({ phase: 'execution', data: { attempt, output, isError, execMs } });
+
+    if (!isError) {
+      return {
+        framework: 'PoT',
+        attempts,
+        code,
+        answer: parseExecutionAnswer(output),
+        usage: sumUsage(usages),
+        llmCalls: usages.length,
+        timeMs: Date.now() - startTime,
+      };
+    }
+
+    // ── REPAIR ──
+    messages.push({ role: 'assistant', content: text });
+    messages.push({ role: 'user', content: buildRepairPrompt(output) });
+  }
+
+  const last = attempts[attempts.length - 1];
+  return {
+    framework: 'PoT',
+    attempts,
+    code: last.code,
+    answer: null,
+    error: budgetError || `Program failed after ${attempts.length} attempt${attempts.length !== 1 ? 's' : ''}: ${last.output}`,
+    ...(budgetError && { budgetExceeded: true }),
+    usage: sumUsage(usages),
+    llmCalls: usages.length,
+    timeMs: Date.now() - startTime,
+  };
+}
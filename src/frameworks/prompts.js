@@ -0,0 +1,317 @@
+/**
+ * Editable prompt templates.
+ *
+ * The main prompts of CoT, ReAct, ReWOO, Plan-Execute and Self-Ask are templates with
+ * `{placeholder}` variables, filled in when a framework runs. The defaults
+ * below are the built-in prompts; edited versions are saved in the prompt
+ * library (see utils/promptLibrary) and passed to a run as `prompts`:
+ * template ID → `{ version, name, text }`. Frameworks record the version of
+ * every template they used in their result (`prompts`), so runs with
+ * different prompt versions can be compared.
+ *
+ * Only the variables listed for a template are substituted; they are filled
+ * in one pass, so placeholder-like text inside a question is left alone.
+ *
+ * @module prompts
+ */
+
+/**
+ * @typedef {object} PromptVersion
+ * @property {string} version - 'default', or 'v1', 'v2', … for saved versions
+ * @property {string} name    - Name given when the version was saved
+ * @property {string} text    - Template text
+ */
+
+/** Placeholder variables and what they are filled with. */
+export const PROMPT_VARIABLES = {
+  question: 'The question being answered',
+  tools: 'Descriptions of the available tools',
+  evidence: 'Each ReWOO plan step with the evidence its worker retrieved',
+  plan: 'The original numbered plan',
+  steps: 'Completed steps with their results',
+  results: 'Search results for a Self-Ask follow-up question',
+};
+
+/**
+ * Built-in templates. `variables` may be used, `required` must be used;
+ * `markers` is text the framework parses from the model's reply, so a
+ * template without it only gets a warning.
+ */
+export const PROMPT_TEMPLATES = {
+  'cot.few-shot': {
+    label: 'CoT — few-shot prompt',
+    frameworks: ['cot'],
+    description: 'User message with worked examples; each sampled path continues it.',
+    variables: ['question'],
+    required: ['question'],
+    markers: ['The answer is'],
+    text: `Q: Roger has 5 tennis balls. He buys 2 more cans of tennis balls. Each can has 3 tennis balls. How many tennis balls does he have now?
+A: Roger started with 5 balls. 2 cans of 3 tennis balls each is 2 * 3 = 6 tennis balls. 5 + 6 = 11. The answer is 11.
+
+Q: The cafeteria had 23 apples. If they used 20 to make lunch and bought 6 more, how many apples do they have?
+A: The cafeteria had 23 apples originally. They used 20 to make lunch. So they had 23 - 20 = 3. They bought 6 more apples, so they have 3 + 6 = 9. The answer is 9.
+
+Q: Shawn has five toys. For Christmas, he got two toys each from his mom and dad. How many toys does he have now?
+A: Shawn started with 5 toys. He got 2 from mom and 2 from dad, that is 2 + 2 = 4 more toys. 5 + 4 = 9. The answer is 9.
+
+Q: There were nine computers in the server room. Five more computers were installed each day, from monday to thursday. How many computers are now in the server room?
+A: There are 4 days from monday to thursday. 5 computers were added each day, so 5 * 4 = 20 computers were added. 9 + 20 = 29. The answer is 29.
+
+Q: {question}
+A: Let's think step by step.`,
+  },
+  'react.system': {
+    label: 'ReAct — system prompt',
+    frameworks: ['react', 'reflexion'],
+    description: 'Text tool protocol (not the native function-calling variant). Reflexion trials use it too.',
+    variables: ['tools'],
+    required: ['tools'],
+    markers: ['Action:', 'PAUSE', 'Answer:'],
+    text: `You run in a loop of Thought, Action, PAUSE, Observation.
+At the end of the loop you output an Answer.
+
+Use Thought to describe your reasoning about the question.
+Use Action to run one of the available tools - then return PAUSE.
+Observation will be the result of running that action.
+
+Your available tools are:
+
+{tools}
+
+To use a tool, respond with EXACTLY this format:
+
+Thought: <your reasoning about what to do next>
+Action: <tool_name>: <tool_input>
+PAUSE
+
+You will be called again with:
+Observation: <result of the action>
+
+When you have enough information to answer, respond with:
+
+Thought: <your final reasoning>
+Answer: <your final answer>
+
+Important rules:
+- Always start with a Thought before taking an Action.
+- Only use ONE Action per turn.
+- After Action, write PAUSE and stop.
+- If an action returns an error, reason about it and try differently.
+- Do not make up information. Use tools to find facts.`,
+  },
+  'rewoo.planner': {
+    label: 'ReWOO — planner',
+    frameworks: ['rewoo'],
+    description: 'Asks for the whole plan up front, one tool call (#E variable) per step.',
+    variables: ['question'],
+    required: ['question'],
+    markers: ['#E'],
+    text: `For the following task, make plans that can solve the problem step by step. For each plan, indicate which external tool together with tool input to retrieve evidence. You can store the evidence into a variable #E that can be called by later tools. (Plan, #E1, Plan, #E2, Plan, ...)
+
+Tools can be one of the following:
+(1) wikipedia[input]: Search Wikipedia for information. Useful for finding facts about people, places, events, etc.
+(2) search[input]: Search the web for information. Useful for finding current or specific information.
+(3) docs[input]: Search the user's uploaded documents by keywords. Returns matching passages with their source (file and page/section).
+(4) calculate[input]: Evaluate a math expression. Input should be a numeric expression like "2 * 3 + 4".
+(5) current_datetime[] or datetime[]: Get the current date and time (UTC and local). No input required.
+(6) LLM[input]: A language model like yourself. Useful when you need to reason with general knowledge. Input can be any instruction.
+
+For example,
+Task: What is the population of the capital of France?
+Plan: Search for the capital of France. #E1 = wikipedia[capital of France]
+Plan: Find the population of the capital found. #E2 = search[population of #E1]
+Plan: State the final answer. #E3 = LLM[Based on #E1 and #E2, what is the population of the capital of France?]
+
+Begin! Describe your plans with rich details. Each Plan should be followed by only one #E.
+
+Task: {question}`,
+  },
+  'rewoo.solver': {
+    label: 'ReWOO — solver',
+    frameworks: ['rewoo'],
+    description: 'Answers from the plan and the evidence the workers retrieved.',
+    variables: ['question', 'evidence'],
+    required: ['question', 'evidence'],
+    markers: [],
+    text: `Solve the following task or problem. To solve the problem, we have made step-by-step Plan and retrieved corresponding Evidence to each Plan. Use them with caution since long evidence might contain irrelevant information.
+
+{evidence}
+
+Now solve the question or task according to provided Evidence above. Respond with the answer directly with no extra words.
+
+Task: {question}
+Response:`,
+  },
+  'plan-execute.planner': {
+    label: 'Plan-Execute — planner',
+    frameworks: ['plan-execute', 'plan-execute-fc'],
+    description: 'System prompt for the first plan; the question is sent as the user message.',
+    variables: [],
+    required: [],
+    markers: [],
+    text: `You are a planning agent. Given an objective, create a simple step-by-step plan.
+This plan should involve individual tasks that, if executed correctly, will yield the correct answer.
+Do not add superfluous steps. The result of the final step should be the final answer.
+Make sure each step has all the information needed. Do not skip steps.
+
+Output a numbered list of steps, one per line. Example:
+1. Search for X
+2. Calculate Y based on the result
+3. Provide the final answer`,
+  },
+  'plan-execute.replanner': {
+    label: 'Plan-Execute — replanner',
+    frameworks: ['plan-execute', 'plan-execute-fc'],
+    description: 'After each step: finish with DONE or return the remaining steps.',
+    variables: ['question', 'plan', 'steps'],
+    required: ['question', 'steps'],
+    markers: ['DONE:'],
+    text: `Your objective was:
+{question}
+
+Your original plan was:
+{plan}
+
+You have completed these steps:
+{steps}
+
+Based on the results so far, decide:
+- If the objective is fully achieved, respond with: DONE: <final answer>
+- If more steps are needed, respond with an updated numbered plan (only remaining steps).
+
+Do not repeat completed steps. Be concise.`,
+  },
+  'self-ask.few-shot': {
+    label: 'Self-Ask — few-shot prompt',
+    frameworks: ['self-ask'],
+    description: 'Worked examples the model continues, one follow-up question at a time; the transcript so far is appended.',
+    variables: ['question'],
+    required: ['question'],
+    markers: ['Follow up:', 'Intermediate answer:', 'So the final answer is:'],
+    text: `Question: Who lived longer, Muhammad Ali or Alan Turing?
+Are follow up questions needed here: Yes.
+Follow up: How old was Muhammad Ali when he died?
+Intermediate answer: Muhammad Ali was 74 years old when he died.
+Follow up: How old was Alan Turing when he died?
+Intermediate answer: Alan Turing was 41 years old when he died.
+So the final answer is: Muhammad Ali
+
+Question: When was the founder of craigslist born?
+Are follow up questions needed here: Yes.
+Follow up: Who was the founder of craigslist?
+Intermediate answer: Craigslist was founded by Craig Newmark.
+Follow up: When was Craig Newmark born?
+Intermediate answer: Craig Newmark was born on December 6, 1952.
+So the final answer is: December 6, 1952
+
+Question: Who was the maternal grandfather of George Washington?
+Are follow up questions needed here: Yes.
+Follow up: Who was the mother of George Washington?
+Intermediate answer: The mother of George Washington was Mary Ball Washington.
+Follow up: Who was the father of Mary Ball Washington?
+Intermediate answer: The father of Mary Ball Washington was Joseph Ball.
+So the final answer is: Joseph Ball
+
+Question: Are both the directors of Jaws and Casino Royale from the same country?
+Are follow up questions needed here: Yes.
+Follow up: Who is the director of Jaws?
+Intermediate answer: The director of Jaws is Steven Spielberg.
+Follow up: Where is Steven Spielberg from?
+Intermediate answer: The United States.
+Follow up: Who is the director of Casino Royale?
+Intermediate answer: The director of Casino Royale is Martin Campbell.
+Follow up: Where is Martin Campbell from?
+Intermediate answer: New Zealand.
+So the final answer is: No
+
+Question: {question}
+Are follow up questions needed here:`,
+  },
+  'self-ask.intermediate': {
+    label: 'Self-Ask — intermediate answer',
+    frameworks: ['self-ask'],
+    description: 'Turns the search results for one follow-up question into its short intermediate answer.',
+    variables: ['question', 'results'],
+    required: ['question', 'results'],
+    markers: [],
+    text: `Answer the question using the search results below. Reply with one short sentence that states the answer; if the results do not contain it, say what is known instead.
+
+Search results:
+{results}
+
+Question: {question}
+Answer:`,
+  },
+};
+
+const PLACEHOLDER = /\{([a-z_]+)\}/g;
+
+/**
+ * Check a template's text.
+ * @param {string} templateId
+ * @param {string} text
+ * @returns {{ errors: string[], warnings: string[] }} Errors block saving
+ */
+export function validateTemplate(templateId, text) {
+  const template = PROMPT_TEMPLATES[templateId];
+  if (!template) return { errors: [`Unknown template "${templateId}"`], warnings: [] };
+  const errors = [];
+  const warnings = [];
+  if (!text.trim()) errors.push('The template is empty.');
+  const used = new Set([...text.matchAll(PLACEHOLDER)].map((m) => m[1]));
+  for (const name of used) {
+    if (!template.variables.includes(name)) {
+      errors.push(template.variables.length > 0
+        ? `{${name}} is not available here (use ${template.variables.map((v) => `{${v}}`).join(', ')}).`
+        : `{${name}} is not available here; this template takes no variables.`);
+    }
+  }
+  for (const name of template.required) {
+    if (!used.has(name)) errors.push(`{${name}} is required.`);
+  }
+  for (const marker of template.markers) {
+    if (!text.includes(marker)) warnings.push(`"${marker}" does not appear; the framework looks for it in the model's reply.`);
+  }
+  return { errors, warnings };
+}
+
+/** Fill a template's placeholders in one pass; unknown ones are left as is. */
+export function renderTemplate(text, vars = {}) {
+  return text.replace(PLACEHOLDER, (match, name) => (name in vars ? String(vars[name]) : match));
+}
+
+/**
+ * Render the version of a template selected for this run, or the default.
+ * @param {Object<string, PromptVersion>} [prompts] - Run's selected versions
+ * @param {string} templateId
+ * @param {object} [vars] - Placeholder values
+ * @returns {string}
+ */
+export function renderPrompt(prompts, templateId, vars) {
+  return renderTemplate(prompts?.[templateId]?.text ?? PROMPT_TEMPLATES[templateId].text, vars);
+}
+
+/**
+ * Versions of the given templates used by a run, for its result.
+ * @param {Object<string, PromptVersion>} [prompts]
+ * @param {string[]} templateIds
+ * @returns {Object<string, {version: string, name: string}>}
+ */
+export function promptVersions(prompts, templateIds) {
+  return Object.fromEntries(templateIds.map((id) => {
+    const selected = prompts?.[id];
+    return [id, selected ? { version: selected.version, name: selected.name } : { version: 'default', name: 'Default' }];
+  }));
+}
+
+/**
+ * Short labels for the non-default versions in a result's `prompts`,
+ * e.g. `['rewoo.planner v2 (terse)']`.
+ * @param {Object<string, {version: string, name: string}>} [versions]
+ * @returns {string[]}
+ */
+export function customPromptLabels(versions) {
+  return Object.entries(versions || {})
+    .filter(([, v]) => v.version !== 'default')
+    .map(([id, v]) => `${id} ${v.version} (${v.name})`);
+}
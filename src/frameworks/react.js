@@ -7,12 +7,18 @@
  * 3. Observation is fed back to the LLM
  * 4. Repeats until "Answer:" is emitted or max turns exceeded
  *
+ * Two tool-calling modes:
+ * - **text**   — `Action: tool: input` + `PAUSE`, parsed from the response
+ * - **native** — tools sent as function-calling schemas; the model returns
+ *   `tool_calls` and observations go back as `tool` role messages
+ *
  * @module react
  */
 
 /**
  * @typedef {object} ReActResult
- * @property {string}  framework   - Always 'ReAct'
+ * @property {string}  framework   - 'ReAct' (text protocol) or 'ReAct (FC)' (native function calling)
+ * @property {string}  toolMode    - 'text' | 'native'
  * @property {string}  answer      - Final answer (null if max turns exceeded)
  * @property {Array<{role: string, content: string, turn: number}>} trajectory - Full interaction log
  * @property {number}  turns       - Number of LLM turns taken
@@ -21,61 +27,84 @@
  * @property {number}  timeMs      - Wall-clock time in milliseconds
  * @property {string}  [error]     - Error message if max turns exceeded
  * @property {boolean} [truncated] - True if max turns was hit
+ * @property {boolean} [budgetExceeded] - True if a budget stopped the agent (see budget.js)
+ * @property {object}  [prompts]   - Prompt template versions used (text protocol only, see prompts.js)
  */
 
 import { callLLM } from './llm';
-import { executeTool, getToolDescriptions } from './tools';
+import { isBudgetExceeded } from './budget';
+import { executeTool, getToolDescriptions, getToolSchemas, parseToolArguments } from './tools';
 import { parseReActAction, parseReActAnswer } from '../utils/parser';
 import { sumUsage } from '../utils/tokenCounter';
+import { renderPrompt, promptVersions } from './prompts';
 
-function buildSystemPrompt() {
-  return `You run in a loop of Thought, Action, PAUSE, Observation.
-At the end of the loop you output an Answer.
+function buildSystemPrompt(prompts) {
+  return renderPrompt(prompts, 'react.system', { tools: getToolDescriptions() });
+}
 
-Use Thought to describe your reasoning about the question.
-Use Action to run one of the available tools - then return PAUSE.
-Observation will be the result of running that action.
+function buildNativeSystemPrompt() {
+  return `Answer the question using the provided tools.
 
-Your available tools are:
+Before each tool call, briefly explain your reasoning. Call one tool at a time
+and wait for its result. If a tool returns an error, reason about it and try differently.
+Do not make up information. Use tools to find facts.
 
-${getToolDescriptions()}
+When you have enough information to answer, respond with:
 
-To use a tool, respond with EXACTLY this format:
+Thought: <your final reasoning>
+Answer: <your final answer>`;
+}
 
-Thought: <your reasoning about what to do next>
-Action: <tool_name>: <tool_input>
-PAUSE
+/**
+ * Append Reflexion memory to a system prompt: lessons from earlier failed
+ * attempts at the same question.
+ */
+function withReflections(systemPrompt, reflections) {
+  if (!reflections.length) return systemPrompt;
+  return `${systemPrompt}
 
-You will be called again with:
-Observation: <result of the action>
+You have attempted to answer this question before and failed. The following reflection(s) give a plan to avoid failing in the same way. Use them to improve your strategy.
 
-When you have enough information to answer, respond with:
+${reflections.map((r, i) => `Reflection ${i + 1}: ${r}`).join('\n')}`;
+}
 
-Thought: <your final reasoning>
-Answer: <your final answer>
-
-Important rules:
-- Always start with a Thought before taking an Action.
-- Only use ONE Action per turn.
-- After Action, write PAUSE and stop.
-- If an action returns an error, reason about it and try differently.
-- Do not make up information. Use tools to find facts.`;
+/**
+ * Render a native tool-calling turn in the text protocol, so the trajectory
+ * reads the same (Thought / Action lines) in both modes.
+ */
+function formatToolCallTurn(content, toolCalls) {
+  const lines = [];
+  const thought = (content || '').trim();
+  if (thought) lines.push(/^Thought:/i.test(thought) ? thought : `Thought: ${thought}`);
+  for (const call of toolCalls) {
+    lines.push(`Action: ${call.function.name}: ${parseToolArguments(call.function.arguments)}`);
+  }
+  return lines.join('\n');
 }
 
 /**
  * Run the ReAct agent loop.
  * @param {string} question
  * @param {object} options
- * @param {function} onStep - callback({ type, content }) for each step
+ * @param {'text'|'native'} [options.toolMode] - Text protocol (default) or native function calling
+ * @param {boolean} [options.stream] - Stream tokens; onStep then also receives `partial: true` llm steps
+ * @param {string[]} [options.reflections] - Lessons from earlier failed attempts (used by Reflexion)
+ * @param {object} [options.prompts] - Prompt template versions to use instead of the defaults (see prompts.js)
+ * @param {function} onStep - callback({ type, content, turn, partial? }) for each step
  * @returns {Promise<object>} { answer, trajectory, turns, usage, llmCalls, timeMs }
  */
-export async function runReAct(question, { apiKey, model = 'gpt-4o-mini', maxTurns = 50, signal } = {}, onStep) {
+export async function runReAct(question, { apiKey, model = 'gpt-4o-mini', provider, baseUrl, maxTurns = 50, toolMode = 'text', stream = false, reflections = [], prompts, signal, transport, budget } = {}, onStep) {
   const startTime = Date.now();
-  const systemPrompt = buildSystemPrompt();
+  const llm = { apiKey, model, provider, baseUrl, signal, transport, budget };
+  const native = toolMode === 'native';
+  const framework = native ? 'ReAct (FC)' : 'ReAct';
+  const tools = native ? getToolSchemas() : undefined;
+  const systemPrompt = withReflections(native ? buildNativeSystemPrompt() : buildSystemPrompt(prompts), reflections);
   const messages = [
     { role: 'system', content: systemPrompt },
     { role: 'user', content: question },
   ];
+  const promptFields = native ? {} : { prompts: promptVersions(prompts, ['react.system']) };
   const trajectory = [];
   const usages = [];
   let turn = 0;
@@ -83,18 +112,64 @@ export async function runReAct(question, { apiKey, model = 'gpt-4o-mini', maxTur
   while (turn < maxTurns) {
     turn++;
 
-    const result = await callLLM(messages, { apiKey, model, temperature: 0, maxTokens: 1024, signal });
+    const currentTurn = turn;
+    const onToken = stream && onStep
+      ? (_delta, text) => onStep({ type: 'llm', content: text, turn: currentTurn, partial: true })
+      : undefined;
+    let result;
+    try {
+      result = await callLLM(messages, { ...llm, temperature: 0, maxTokens: 1024, onToken, tools });
+    } catch (err) {
+      if (!isBudgetExceeded(err)) throw err;
+      // Out of budget: stop with the trajectory so far
+      return {
+        framework,
+        toolMode,
+        ...promptFields,
+        answer: null,
+        error: err.message,
+        budgetExceeded: true,
+        trajectory,
+        turns: turn - 1,
+        usage: sumUsage(usages),
+        llmCalls: turn - 1,
+        timeMs: Date.now() - startTime,
+      };
+    }
     usages.push(result.usage);
+
+    // Native mode: run every requested tool call and reply with `tool` messages
+    if (native && result.toolCalls.length > 0) {
+      const display = formatToolCallTurn(result.content, result.toolCalls);
+      trajectory.push({ role: 'assistant', content: display, turn });
+      if (onStep) onStep({ type: 'llm', content: display, turn });
+
+      messages.push({ role: 'assistant', content: result.content || null, tool_calls: result.toolCalls });
+      for (const call of result.toolCalls) {
+        const input = parseToolArguments(call.function.arguments);
+        if (onStep) onStep({ type: 'action', content: `${call.function.name}: ${input}`, turn });
+
+        const observation = await executeTool(call.function.name, input, apiKey, { provider, signal, transport });
+
+        trajectory.push({ role: 'observation', content: observation, turn });
+        if (onStep) onStep({ type: 'observation', content: observation, turn });
+        messages.push({ role: 'tool', tool_call_id: call.id, content: observation });
+      }
+      continue;
+    }
+
     const response = result.content;
 
     trajectory.push({ role: 'assistant', content: response, turn });
     if (onStep) onStep({ type: 'llm', content: response, turn });
 
-    // Check for final answer
-    const answer = parseReActAnswer(response);
+    // Check for final answer (native mode: any reply without tool calls is final)
+    const answer = parseReActAnswer(response) || (native ? response.trim() : null);
     if (answer) {
       return {
-        framework: 'ReAct',
+        framework,
+        toolMode,
+        ...promptFields,
         answer,
         trajectory,
         turns: turn,
@@ -105,11 +180,11 @@ export async function runReAct(question, { apiKey, model = 'gpt-4o-mini', maxTur
     }
 
     // Check for action
-    const action = parseReActAction(response);
+    const action = native ? null : parseReActAction(response);
     if (action) {
       if (onStep) onStep({ type: 'action', content: `${action.actionName}: ${action.actionInput}`, turn });
 
-      const observation = await executeTool(action.actionName, action.actionInput, apiKey);
+      const observation = await executeTool(action.actionName, action.actionInput, apiKey, { provider, signal, transport });
 
       trajectory.push({ role: 'observation', content: observation, turn });
       if (onStep) onStep({ type: 'observation', content: observation, turn });
@@ -121,7 +196,9 @@ export async function runReAct(question, { apiKey, model = 'gpt-4o-mini', maxTur
       messages.push({ role: 'assistant', content: response });
       messages.push({
         role: 'user',
-        content: 'Please respond with either:\nThought: <reasoning>\nAction: <tool>: <input>\nPAUSE\n\nOr:\nAnswer: <final answer>',
+        content: native
+          ? 'Please either call a tool, or respond with:\nAnswer: <final answer>'
+          : 'Please respond with either:\nThought: <reasoning>\nAction: <tool>: <input>\nPAUSE\n\nOr:\nAnswer: <final answer>',
       });
     }
   }
@@ -131,7 +208,9 @@ export async function runReAct(question, { apiKey, model = 'gpt-4o-mini', maxTur
   const partialAnswer = parseReActAnswer(lastContent);
 
   return {
-    framework: 'ReAct',
+    framework,
+    toolMode,
+    ...promptFields,
     answer: partialAnswer || null,
     error: `Exceeded maximum turns (${maxTurns}). The agent did not converge on a final answer.`,
     truncated: true,
@@ -0,0 +1,233 @@
+/**
+ * Reflexion Framework.
+ *
+ * Wraps the ReAct agent in a trial loop with verbal self-critique:
+ * 1. **Act**     — run a ReAct trial, with earlier reflections in the system prompt
+ * 2. **Evaluate** — a trial fails if it errored or hit max turns; otherwise the
+ *    LLM rates its own answer (1–10) against the trajectory
+ * 3. **Reflect** — on failure, the LLM diagnoses what went wrong and writes a
+ *    short plan; the reflection is added to memory for the next trial
+ * 4. Repeats until a trial passes evaluation or `maxTrials` is reached
+ *
+ * Based on Shinn et al., "Reflexion: Language Agents with Verbal
+ * Reinforcement Learning" (2023).
+ *
+ * @module reflexion
+ */
+
+/**
+ * @typedef {object} ReflexionTrial
+ * @property {number}  trial       - 1-based trial number
+ * @property {string|null} answer  - The trial's answer
+ * @property {Array}   trajectory  - ReAct trajectory for this trial
+ * @property {number}  turns       - ReAct turns taken
+ * @property {string}  [error]     - ReAct error (e.g. max turns exceeded)
+ * @property {boolean} [truncated] - True if the trial hit max turns
+ * @property {number|null} confidence - Self-evaluated confidence in [0, 1]
+ * @property {boolean} passed      - True if the trial passed evaluation
+ * @property {string}  evaluation  - Evaluator verdict text
+ * @property {string|null} reflection - Reflection written after this trial (null if none)
+ * @property {object}  usage       - Token usage for this trial (incl. evaluation + reflection)
+ * @property {number}  llmCalls    - LLM calls for this trial
+ * @property {number}  costUsd     - Estimated cost for this trial (0 for local providers)
+ * @property {number}  timeMs      - Wall-clock time for this trial
+ */
+
+/**
+ * @typedef {object} ReflexionResult
+ * @property {string}  framework   - Always 'Reflexion'
+ * @property {string}  answer      - Answer of the accepted (or most confident) trial
+ * @property {ReflexionTrial[]} trials - Every trial, in order
+ * @property {string[]} reflections - Reflection memory accumulated across trials
+ * @property {number}  bestTrial   - Trial number the answer was taken from
+ * @property {string}  model       - Model used (for per-trial cost display)
+ * @property {object}  usage       - Aggregated token usage
+ * @property {number}  llmCalls    - Total LLM API calls
+ * @property {number}  timeMs      - Wall-clock time in milliseconds
+ * @property {string}  [error]     - Set if no trial produced an answer, or a budget stopped the run
+ * @property {boolean} [budgetExceeded] - True if a budget stopped the run (see budget.js)
+ * @property {object}  [prompts]   - Prompt template versions used (text protocol only, see prompts.js)
+ */
+
+import { callLLM } from './llm';
+import { isBudgetExceeded } from './budget';
+import { runReAct } from './react';
+import { promptVersions } from './prompts';
+import { sumUsage } from '../utils/tokenCounter';
+import { targetCost } from '../utils/modelMatrix';
+
+function formatTrajectory(trajectory) {
+  return trajectory
+    .map((t) => (t.role === 'observation' ? `Observation: ${t.content.slice(0, 500)}` : t.content))
+    .join('\n');
+}
+
+function buildEvaluatePrompt(question, trajectory, answer) {
+  return `You are grading an agent's attempt to answer a question.
+
+Question: ${question}
+
+Agent trajectory:
+${formatTrajectory(trajectory)}
+
+Final answer: ${answer}
+
+Is the final answer correct, complete, and supported by the observations? Point out any unsupported claim or reasoning error.
+
+End with exactly this line:
+Confidence: <1-10>`;
+}
+
+function buildReflectPrompt(question, trajectory, outcome) {
+  return `You are an advanced reasoning agent that can improve based on self-reflection. You were given a question and attempted to answer it using tools, but the attempt was unsuccessful.
+
+Question: ${question}
+
+Previous attempt:
+${formatTrajectory(trajectory)}
+
+Outcome: ${outcome}
+
+In a few sentences, diagnose a possible reason for failure and devise a new, concise, high-level plan that aims to avoid the same failure. Do not answer the question itself.`;
+}
+
+/** Parse "Confidence: N/10" into [0, 1]; null if absent. */
+function parseConfidence(text) {
+  const m = text.match(/confidence:\s*(\d+(?:\.\d+)?)/i);
+  if (!m) return null;
+  return Math.max(0, Math.min(1, parseFloat(m[1]) / 10));
+}
+
+/**
+ * Run Reflexion: repeated ReAct trials with self-reflection memory.
+ * @param {string} question
+ * @param {object} options
+ * @param {number} [options.maxTrials]           - Maximum ReAct trials (default: 3)
+ * @param {number} [options.maxTurnsPerTrial]    - ReAct turn limit per trial (default: 10)
+ * @param {number} [options.confidenceThreshold] - Self-evaluated confidence needed to accept (default: 0.7)
+ * @param {'text'|'native'} [options.toolMode]   - Passed through to ReAct
+ * @param {object} [options.prompts]             - Prompt template versions, passed through to ReAct (see prompts.js)
+ * @param {function} onStep - callback(event); ReAct steps are forwarded with a `trial` field,
+ *   plus { type: 'trial-start' | 'evaluation' | 'reflection', trial, ... }
+ * @returns {Promise<ReflexionResult>}
+ */
+export async function runReflexion(question, { apiKey, model = 'gpt-4o-mini', provider, baseUrl, maxTrials = 3, maxTurnsPerTrial = 10, confidenceThreshold = 0.7, toolMode = 'text', stream = false, prompts, signal, transport, budget } = {}, onStep) {
+  const startTime = Date.now();
+  const llm = { apiKey, model, provider, baseUrl, signal, transport, budget };
+  const reflections = [];
+  const trials = [];
+  let budgetError = null;
+
+  for (let trial = 1; trial <= maxTrials; trial++) {
+    const trialStart = Date.now();
+    if (onStep) onStep({ type: 'trial-start', trial, reflections: [...reflections] });
+
+    // ── ACT ──
+    const react = await runReAct(question, {
+      ...llm,
+      maxTurns: maxTurnsPerTrial,
+      toolMode,
+      stream,
+      reflections,
+      prompts,
+    }, onStep ? (step) => onStep({ ...step, trial }) : undefined);
+    const usages = [react.usage];
+    let llmCalls = react.llmCalls;
+    if (react.budgetExceeded) budgetError = react.error;
+
+    // ── EVALUATE ──
+    let confidence = null;
+    let evaluation;
+    let outcome = null;
+    if (react.error || !react.answer) {
+      evaluation = react.error || 'No answer produced.';
+      outcome = evaluation;
+    } else {
+      try {
+        const evalResult = await callLLM(
+          [{ role: 'user', content: buildEvaluatePrompt(question, react.trajectory, react.answer) }],
+          { ...llm, temperature: 0, maxTokens: 400 }
+        );
+        usages.push(evalResult.usage);
+        llmCalls++;
+        evaluation = evalResult.content.trim();
+        confidence = parseConfidence(evaluation);
+        if ((confidence ?? 0) < confidenceThreshold) {
+          outcome = `Self-evaluation rated the answer "${react.answer}" as likely wrong:\n${evaluation}`;
+        }
+      } catch (err) {
+        if (!isBudgetExceeded(err)) throw err;
+        budgetError = err.message;
+        evaluation = `Not evaluated: ${err.message}`;
+        outcome = evaluation;
+      }
+    }
+    const passed = outcome === null;
+    if (onStep) onStep({ type: 'evaluation', trial, passed, confidence, content: evaluation });
+
+    // ── REFLECT ──
+    let reflection = null;
+    if (!passed && trial < maxTrials && !budgetError) {
+      try {
+        const reflectResult = await callLLM(
+          [{ role: 'user', content: buildReflectPrompt(question, react.trajectory, outcome) }],
+          { ...llm, temperature: 0, maxTokens: 300 }
+        );
+        usages.push(reflectResult.usage);
+        llmCalls++;
+        reflection = reflectResult.content.trim();
+        reflections.push(reflection);
+        if (onStep) onStep({ type: 'reflection', trial, content: reflection });
+      } catch (err) {
+        if (!isBudgetExceeded(err)) throw err;
+        budgetError = err.message;
+      }
+    }
+
+    const usage = sumUsage(usages);
+    trials.push({
+      trial,
+      answer: react.answer,
+      trajectory: react.trajectory,
+      turns: react.turns,
+      error: react.error,
+      truncated: react.truncated,
+      confidence,
+      passed,
+      evaluation,
+      reflection,
+      usage,
+      llmCalls,
+      costUsd: targetCost(usage, { model, provider }),
+      timeMs: Date.now() - trialStart,
+    });
+
+    if (passed || budgetError) break;
+  }
+
+  // Accepted trial, else the most confident one that produced an answer
+  const accepted = trials.find((t) => t.passed);
+  const best = accepted || trials
+    .filter((t) => t.answer)
+    .reduce((a, b) => ((b.confidence ?? 0) > (a?.confidence ?? -1) ? b : a), null);
+
+  const result = {
+    framework: 'Reflexion',
+    ...(toolMode !== 'native' && { prompts: promptVersions(prompts, ['react.system']) }),
+    answer: best?.answer ?? null,
+    trials,
+    reflections,
+    bestTrial: best?.trial ?? null,
+    model,
+    usage: sumUsage(trials.map((t) => t.usage)),
+    llmCalls: trials.reduce((n, t) => n + t.llmCalls, 0),
+    timeMs: Date.now() - startTime,
+  };
+  if (budgetError) {
+    result.error = budgetError;
+    result.budgetExceeded = true;
+  } else if (!best) {
+    result.error = `No trial produced an answer after ${trials.length} attempt${trials.length !== 1 ? 's' : ''}.`;
+  }
+  return result;
+}
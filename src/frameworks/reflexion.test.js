@@ -0,0 +1,24 @@
+import { runReflexion } from './reflexion';
+import { createBudget } from './budget';
+
+/** Transport that answers every trial with 42 and grades it as likely wrong. */
+const transport = {
+  llm: async (messages) => {
+    const prompt = messages[messages.length - 1].content;
+    const content = prompt.startsWith('You are grading')
+      ? 'The answer looks off. Confidence: 3'
+      : prompt.startsWith('You are an advanced reasoning agent')
+        ? 'Check the multiplication before answering.'
+        : 'Answer: 42';
+    return { content, usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 } };
+  },
+};
+
+test('a budget stop keeps the best answer of the earlier trials', async () => {
+  // Trial 1 acts, is graded and reflects on; trial 2 is refused
+  const result = await runReflexion('What is 6 times 7?', { apiKey: 'k', transport, budget: createBudget({ maxCalls: 3 }) });
+  expect(result.trials).toHaveLength(2);
+  expect(result.answer).toBe('42');
+  expect(result.bestTrial).toBe(1);
+  expect(result.budgetExceeded).toBe(true);
+});
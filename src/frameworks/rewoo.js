@@ -3,7 +3,8 @@
  *
  * 3-phase pipeline with minimal LLM calls:
  * 1. **Planner** — 1 LLM call → full plan with #E variables
- * 2. **Worker**  — execute all tools mechanically (no LLM needed)
+ * 2. **Worker**  — execute all tools mechanically (no LLM needed). Steps form
+ *    a DAG via their `#En` references; independent steps run concurrently
  * 3. **Solver**  — 1 LLM call with all evidence → final answer
  *
  * Total: exactly 2 LLM calls (+ any LLM tool calls in the plan).
@@ -17,65 +18,129 @@
  * @property {string}  planText  - Raw planner output
  * @property {Array<{description: string, variable: string, tool: string, toolInput: string}>} steps
  * @property {object}  evidence  - { '#E1': result, '#E2': result, ... }
+ * @property {WorkerNode[]} graph - Worker DAG with per-node timing
+ * @property {string[]} graphErrors - Cycles / undefined-variable references found in the plan
+ * @property {number}  workerTimeMs - Wall-clock time of the worker phase
+ * @property {number}  sequentialTimeMs - Sum of node durations (worker time if run one at a time)
  * @property {string}  answer    - Final answer from solver
  * @property {object}  usage     - Aggregated token usage
  * @property {number}  llmCalls  - Total LLM API calls (2 + LLM tool calls)
  * @property {number}  timeMs    - Wall-clock time in milliseconds
+ * @property {string}  [error]   - Set if a budget refused the solver call (see budget.js)
+ * @property {boolean} [budgetExceeded] - True if a budget stopped the run before solving
+ * @property {object}  prompts   - Prompt template versions used (see prompts.js)
  */
 
 import { callLLM } from './llm';
+import { isBudgetExceeded } from './budget';
 import { executeTool } from './tools';
 import { parseReWOOPlan } from '../utils/parser';
 import { sumUsage } from '../utils/tokenCounter';
+import { renderPrompt, promptVersions } from './prompts';
 
-function buildPlannerPrompt(task) {
-  return `For the following task, make plans that can solve the problem step by step. For each plan, indicate which external tool together with tool input to retrieve evidence. You can store the evidence into a variable #E that can be called by later tools. (Plan, #E1, Plan, #E2, Plan, ...)
-
-Tools can be one of the following:
-(1) wikipedia[input]: Search Wikipedia for information. Useful for finding facts about people, places, events, etc.
-(2) search[input]: Search the web for information. Useful for finding current or specific information.
-(3) calculate[input]: Evaluate a math expression. Input should be a numeric expression like "2 * 3 + 4".
-(4) current_datetime[] or datetime[]: Get the current date and time (UTC and local). No input required.
-(5) LLM[input]: A language model like yourself. Useful when you need to reason with general knowledge. Input can be any instruction.
-
-For example,
-Task: What is the population of the capital of France?
-Plan: Search for the capital of France. #E1 = wikipedia[capital of France]
-Plan: Find the population of the capital found. #E2 = search[population of #E1]
-Plan: State the final answer. #E3 = LLM[Based on #E1 and #E2, what is the population of the capital of France?]
+/**
+ * @typedef {object} WorkerNode
+ * @property {string}   variable - '#E1', '#E2', …
+ * @property {string}   tool
+ * @property {string[]} deps     - Variables referenced in the tool input
+ * @property {number}   level    - Longest dependency chain above this node (0 = no deps)
+ * @property {'pending'|'running'|'done'|'failed'|'invalid'} status
+ * @property {string}   [error]  - Why an invalid node was not executed
+ * @property {number}   [startMs] - Start offset from the worker phase start
+ * @property {number}   [endMs]   - End offset from the worker phase start
+ */
 
-Begin! Describe your plans with rich details. Each Plan should be followed by only one #E.
+const VAR_PATTERN = /#E\d+/g;
 
-Task: ${task}`;
+/** Replace every #En reference with its evidence (whole tokens only, so #E1 never matches #E10). */
+function substituteEvidence(text, evidence) {
+  return text.replace(VAR_PATTERN, (name) => (name in evidence ? String(evidence[name]) : name));
 }
 
-function buildSolverPrompt(task, planWithEvidence) {
-  return `Solve the following task or problem. To solve the problem, we have made step-by-step Plan and retrieved corresponding Evidence to each Plan. Use them with caution since long evidence might contain irrelevant information.
+/**
+ * Build the worker dependency graph from `#En` references in each step's
+ * tool input. Steps that reference an undefined variable, or sit on a
+ * dependency cycle, are marked `invalid` with an explanation.
+ *
+ * @param {Array<{variable: string, tool: string, toolInput: string}>} steps
+ * @returns {{ nodes: WorkerNode[], errors: string[] }}
+ */
+export function buildWorkerGraph(steps) {
+  const errors = [];
+  const nodes = [];
+  const byVar = {};
+  for (const step of steps) {
+    if (byVar[step.variable]) {
+      errors.push(`${step.variable} is defined more than once; only the first definition is used`);
+      continue;
+    }
+    const deps = [...new Set(step.toolInput.match(VAR_PATTERN) || [])];
+    const node = { variable: step.variable, tool: step.tool, deps, level: 0, status: 'pending' };
+    byVar[step.variable] = node;
+    nodes.push(node);
+  }
 
-${planWithEvidence}
+  for (const node of nodes) {
+    const missing = node.deps.filter((d) => !byVar[d]);
+    if (missing.length > 0) {
+      node.status = 'invalid';
+      node.error = `references undefined variable${missing.length > 1 ? 's' : ''} ${missing.join(', ')}`;
+      errors.push(`${node.variable} ${node.error}`);
+    }
+  }
 
-Now solve the question or task according to provided Evidence above. Respond with the answer directly with no extra words.
+  // Depth-first search for cycles; also assigns levels on the way back up
+  const state = {}; // undefined → unvisited, 1 → on stack, 2 → finished
+  const visit = (node, stack) => {
+    if (state[node.variable] === 2) return;
+    if (state[node.variable] === 1) {
+      const cycle = [...stack.slice(stack.indexOf(node.variable)), node.variable];
+      errors.push(`dependency cycle ${cycle.join(' → ')}`);
+      for (const v of cycle) {
+        byVar[v].status = 'invalid';
+        byVar[v].error = byVar[v].error || `is part of the cycle ${cycle.join(' → ')}`;
+      }
+      return;
+    }
+    state[node.variable] = 1;
+    for (const dep of node.deps) {
+      if (byVar[dep]) visit(byVar[dep], [...stack, node.variable]);
+    }
+    state[node.variable] = 2;
+    node.level = node.deps.reduce((lvl, d) => (byVar[d] && state[d] === 2 ? Math.max(lvl, byVar[d].level + 1) : lvl), 0);
+  };
+  for (const node of nodes) visit(node, []);
 
-Task: ${task}
-Response:`;
+  return { nodes, errors };
 }
 
 /**
  * Run ReWOO agent.
  * @param {string} question
  * @param {object} options
- * @param {function} onStep - callback({ phase, data })
+ * @param {number} [options.maxConcurrency] - Worker steps run at once (default: 4; 1 = sequential)
+ * @param {boolean} [options.stream] - Stream tokens; plan and solve events are then also sent with `partial: true`
+ * @param {object} [options.prompts] - Prompt template versions to use instead of the defaults (see prompts.js)
+ * @param {function} onStep - callback({ phase, data, partial? }); phase is 'plan' | 'graph' | 'evidence' | 'solve'
  * @returns {Promise<object>}
  */
-export async function runReWOO(question, { apiKey, model = 'gpt-4o-mini', signal } = {}, onStep) {
+export async function runReWOO(question, { apiKey, model = 'gpt-4o-mini', provider, baseUrl, maxConcurrency = 4, stream = false, prompts, signal, transport, budget } = {}, onStep) {
   const startTime = Date.now();
+  const llm = { apiKey, model, provider, baseUrl, signal, transport, budget };
   const usages = [];
 
   // ── PHASE 1: PLANNER ─────────────────────────────────
-  const plannerPrompt = buildPlannerPrompt(question);
+  const plannerPrompt = renderPrompt(prompts, 'rewoo.planner', { question });
   const planResult = await callLLM(
     [{ role: 'user', content: plannerPrompt }],
-    { apiKey, model, temperature: 0, maxTokens: 1024, signal }
+    {
+      ...llm,
+      temperature: 0,
+      maxTokens: 1024,
+      onToken: stream && onStep
+        ? (_delta, text) => onStep({ phase: 'plan', data: { planText: text, steps: parseReWOOPlan(text) }, partial: true })
+        : undefined,
+    }
   );
   usages.push(planResult.usage);
 
@@ -84,65 +149,127 @@ export async function runReWOO(question, { apiKey, model = 'gpt-4o-mini', signal
 
   if (onStep) onStep({ phase: 'plan', data: { planText, steps } });
 
-  // ── PHASE 2: WORKER ──────────────────────────────────
+  // ── PHASE 2: WORKER (DAG) ────────────────────────────
   const evidence = {};
+  const { nodes: graph, errors: graphErrors } = buildWorkerGraph(steps);
+  const stepByVar = Object.fromEntries(steps.map((step) => [step.variable, step]).reverse());
+  const workerStart = Date.now();
+  const emitGraph = () => {
+    if (onStep) onStep({ phase: 'graph', data: { nodes: graph.map((n) => ({ ...n })), errors: graphErrors } });
+  };
 
-  for (const step of steps) {
-    // Substitute #E variables in tool input (use replaceAll for safety)
-    let input = step.toolInput;
-    for (const [varName, value] of Object.entries(evidence)) {
-      input = input.replaceAll(varName, String(value));
-    }
+  // Invalid nodes never run; they contribute failure evidence to dependents
+  for (const node of graph.filter((n) => n.status === 'invalid')) {
+    evidence[node.variable] = `[FAILED: ${node.variable} ${node.error}]`;
+  }
+  emitGraph();
+
+  const runNode = async (node) => {
+    const step = stepByVar[node.variable];
+    const input = substituteEvidence(step.toolInput, evidence);
+    node.status = 'running';
+    node.startMs = Date.now() - workerStart;
+    emitGraph();
 
     let result;
     let isError = false;
+    try {
+      if (step.tool.toLowerCase() === 'llm') {
+        const llmResult = await callLLM(
+          [{ role: 'user', content: input }],
+          { ...llm, temperature: 0, maxTokens: 512 }
+        );
+        usages.push(llmResult.usage);
+        result = llmResult.content;
+      } else {
+        result = await executeTool(step.tool, input, apiKey, { provider, signal, transport });
+        isError = typeof result === 'string' && result.startsWith('Error:');
+      }
+    } catch (err) {
+      if (err.name === 'AbortError') throw err;
+      result = `Error: ${err.message}`;
+      isError = true;
+    }
 
-    if (step.tool.toLowerCase() === 'llm') {
-      const llmResult = await callLLM(
-        [{ role: 'user', content: input }],
-        { apiKey, model, temperature: 0, maxTokens: 512, signal }
-      );
-      usages.push(llmResult.usage);
-      result = llmResult.content;
-    } else {
-      result = await executeTool(step.tool, input, apiKey);
-      isError = typeof result === 'string' && result.startsWith('Error:');
+    node.endMs = Date.now() - workerStart;
+    node.status = isError ? 'failed' : 'done';
+    evidence[node.variable] = isError ? `[FAILED: ${result}]` : result;
+    if (onStep) {
+      onStep({
+        phase: 'evidence',
+        data: { variable: node.variable, input, result, isError, deps: node.deps, startMs: node.startMs, endMs: node.endMs },
+      });
     }
+    emitGraph();
+  };
 
-    evidence[step.variable] = isError ? `[FAILED: ${result}]` : result;
-    if (onStep) onStep({ phase: 'evidence', data: { variable: step.variable, input, result, isError } });
+  // Start every node whose dependencies have settled, up to maxConcurrency at once
+  const settled = (v) => ['done', 'failed', 'invalid'].includes(graph.find((n) => n.variable === v)?.status);
+  const running = new Map();
+  for (;;) {
+    for (const node of graph) {
+      if (running.size >= Math.max(1, maxConcurrency)) break;
+      if (node.status !== 'pending' || !node.deps.every(settled)) continue;
+      running.set(node.variable, runNode(node).finally(() => running.delete(node.variable)));
+    }
+    if (running.size === 0) break;
+    try {
+      await Promise.race(running.values());
+    } catch (err) {
+      // Let in-flight steps settle before propagating (e.g. an abort)
+      await Promise.allSettled(running.values());
+      throw err;
+    }
   }
+  const workerTimeMs = Date.now() - workerStart;
+  const sequentialTimeMs = graph.reduce((sum, n) => sum + (n.endMs != null ? n.endMs - n.startMs : 0), 0);
 
   // ── PHASE 3: SOLVER ──────────────────────────────────
   let planWithEvidence = '';
   for (const step of steps) {
-    let input = step.toolInput;
-    for (const [varName, value] of Object.entries(evidence)) {
-      input = input.replaceAll(varName, String(value));
-    }
+    const input = substituteEvidence(step.toolInput, evidence);
     planWithEvidence += `Plan: ${step.description}\n${step.variable} = ${step.tool}[${input}]\nEvidence: ${evidence[step.variable] || 'N/A'}\n\n`;
   }
 
-  const solverPrompt = buildSolverPrompt(question, planWithEvidence);
-  const solverResult = await callLLM(
-    [{ role: 'user', content: solverPrompt }],
-    { apiKey, model, temperature: 0, maxTokens: 512, signal }
-  );
-  usages.push(solverResult.usage);
-
-  const answer = solverResult.content.trim();
-  if (onStep) onStep({ phase: 'solve', data: { answer } });
-
-  const llmToolCalls = steps.filter((s) => s.tool.toLowerCase() === 'llm').length;
+  const solverPrompt = renderPrompt(prompts, 'rewoo.solver', { question, evidence: planWithEvidence });
+  let answer = null;
+  let budgetError = null;
+  try {
+    const solverResult = await callLLM(
+      [{ role: 'user', content: solverPrompt }],
+      {
+        ...llm,
+        temperature: 0,
+        maxTokens: 512,
+        onToken: stream && onStep
+          ? (_delta, text) => onStep({ phase: 'solve', data: { answer: text }, partial: true })
+          : undefined,
+      }
+    );
+    usages.push(solverResult.usage);
+    answer = solverResult.content.trim();
+    if (onStep) onStep({ phase: 'solve', data: { answer } });
+  } catch (err) {
+    if (!isBudgetExceeded(err)) throw err;
+    // Out of budget: keep the plan and evidence gathered so far
+    budgetError = err.message;
+  }
 
   return {
     framework: 'ReWOO',
+    prompts: promptVersions(prompts, ['rewoo.planner', 'rewoo.solver']),
+    ...(budgetError && { error: budgetError, budgetExceeded: true }),
     planText,
     steps,
-    evidence,
+    // In plan order, regardless of completion order
+    evidence: Object.fromEntries(graph.map((n) => [n.variable, evidence[n.variable]])),
+    graph,
+    graphErrors,
+    workerTimeMs,
+    sequentialTimeMs,
     answer,
     usage: sumUsage(usages),
-    llmCalls: 2 + llmToolCalls,
+    llmCalls: usages.length,
     timeMs: Date.now() - startTime,
   };
 }
@@ -0,0 +1,151 @@
+/**
+ * Question-type router.
+ *
+ * Recommends frameworks for a question from its type (see
+ * utils/questionClassifier): arithmetic goes to Program-of-Thought,
+ * multi-hop facts to Self-Ask, current events to ReAct, planning to
+ * Plan-Execute, creative writing and single facts to CoT.
+ *
+ * Used two ways:
+ * - the question bar suggests frameworks from the heuristic type (free)
+ * - the **Auto** framework classifies the question (heuristics, then an
+ *   optional LLM call), then runs the best recommended framework and
+ *   returns its result
+ *
+ * @module router
+ */
+
+/**
+ * @typedef {object} Route
+ * @property {string}   type       - Question type ID (see QUESTION_TYPES)
+ * @property {string}   reason     - Why the question got that type
+ * @property {'heuristic'|'llm'|'default'} source - What classified it
+ * @property {string[]} frameworks - Recommended framework IDs, best first
+ * @property {string}   why        - Why these frameworks suit the type
+ * @property {string}   [pick]     - Framework the Auto framework ran
+ */
+
+/**
+ * @typedef {object} AutoResult
+ * @property {string}  framework      - Always 'Auto'
+ * @property {Route}   route
+ * @property {string}  delegate       - Framework ID that answered
+ * @property {object}  delegateResult - That framework's own result
+ * @property {string|null} answer     - The delegate's answer
+ * @property {object}  usage          - Classification plus delegate token usage
+ * @property {number}  llmCalls
+ * @property {number}  timeMs
+ * @property {string}  [error]        - The delegate's error, if any
+ * @property {boolean} [budgetExceeded]
+ */
+
+import { classifyQuestionType, classifyQuestionTypeHeuristic } from '../utils/questionClassifier';
+import { resultAnswer } from './judge';
+import { sumUsage } from '../utils/tokenCounter';
+
+/** Recommended frameworks per question type, best first. */
+export const ROUTES = {
+  arithmetic: {
+    frameworks: ['pot', 'cot', 'plan-execute'],
+    why: 'Program-of-Thought computes the numbers in code instead of in its head; CoT self-consistency is a cheaper check.',
+  },
+  'multi-hop': {
+    frameworks: ['self-ask', 'rewoo', 'react'],
+    why: 'Self-Ask splits the question into follow-up questions and looks up each hop; ReWOO plans the lookups up front.',
+  },
+  'current-events': {
+    frameworks: ['react', 'self-ask', 'react-fc'],
+    why: 'ReAct searches for up-to-date facts the model cannot know from training.',
+  },
+  planning: {
+    frameworks: ['plan-execute', 'tot', 'plan-execute-fc'],
+    why: 'Plan-Execute drafts a plan and revises it as steps complete; ToT explores alternative plans.',
+  },
+  creative: {
+    frameworks: ['cot', 'tot', 'debate'],
+    why: 'CoT samples several drafts and synthesizes the best of them; ToT explores alternatives.',
+  },
+  factual: {
+    frameworks: ['cot', 'react', 'self-ask'],
+    why: 'A single fact: CoT self-consistency answers it cheaply, and ReAct can check it against search.',
+  },
+};
+
+/** Frameworks the Auto framework can dispatch to. */
+export const ROUTABLE_FRAMEWORKS = [...new Set(Object.values(ROUTES).flatMap((r) => r.frameworks))];
+
+function toRoute(classification) {
+  const { type, reason, source } = classification;
+  const route = ROUTES[type] || ROUTES.factual;
+  return { type, reason, source, frameworks: route.frameworks, why: route.why };
+}
+
+/**
+ * Route a question with heuristics only (no LLM call).
+ * @param {string} question
+ * @returns {Route}
+ */
+export function suggestRoute(question) {
+  const heuristic = classifyQuestionTypeHeuristic(question);
+  return toRoute(heuristic ? { ...heuristic, source: 'heuristic' } : { type: 'factual', reason: 'no rule matched', source: 'default' });
+}
+
+/**
+ * Route a question: heuristics first, then (with `llm`) an LLM call for
+ * questions no rule matched.
+ * @param {string} question
+ * @param {object} [llm] - callLLM connection options; omit for heuristics only
+ * @returns {Promise<Route & { usage: object|null }>}
+ */
+export async function routeQuestion(question, llm) {
+  const classification = await classifyQuestionType(question, llm);
+  return { ...toRoute(classification), usage: classification.usage };
+}
+
+/**
+ * The route's best framework among the available ones.
+ * @param {Route} route
+ * @param {Iterable<string>} available - Framework IDs
+ * @returns {string|null} Null if none of the recommended frameworks is available
+ */
+export function pickFramework(route, available) {
+  const ids = new Set(available);
+  return route.frameworks.find((id) => ids.has(id)) || null;
+}
+
+/**
+ * Run the Auto framework: route the question, then run the picked framework.
+ * @param {string} question
+ * @param {object} options - LLM options, passed on to the picked framework
+ * @param {Object<string, function>} options.runners - Framework ID → (question, options, onProgress) => Promise<result>
+ * @param {boolean} [options.useLLM] - Classify questions no heuristic matches with an LLM call (default: true)
+ * @param {function} [onProgress] - callback({ type: 'route', route }) once routed, then the picked
+ *   framework's own progress events
+ * @returns {Promise<AutoResult>}
+ */
+export async function runAuto(question, { runners, useLLM = true, ...options } = {}, onProgress) {
+  const startTime = Date.now();
+  const { apiKey, model = 'gpt-4o-mini', provider, baseUrl, signal, transport, budget } = options;
+  const { usage: routeUsage, ...classified } = await routeQuestion(
+    question,
+    useLLM ? { apiKey, model, provider, baseUrl, signal, transport, budget } : null
+  );
+  const pick = pickFramework(classified, Object.keys(runners));
+  if (!pick) throw new Error(`No framework is available for ${classified.type} questions.`);
+  const route = { ...classified, pick };
+  if (onProgress) onProgress({ type: 'route', route });
+
+  const delegateResult = await runners[pick](question, options, onProgress);
+  return {
+    framework: 'Auto',
+    route,
+    delegate: pick,
+    delegateResult,
+    answer: resultAnswer(delegateResult),
+    ...(delegateResult.error && { error: delegateResult.error }),
+    ...(delegateResult.budgetExceeded && { budgetExceeded: true }),
+    usage: sumUsage([routeUsage || {}, delegateResult.usage || {}]),
+    llmCalls: (routeUsage ? 1 : 0) + (delegateResult.llmCalls || 0),
+    timeMs: Date.now() - startTime,
+  };
+}
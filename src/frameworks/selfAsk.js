@@ -0,0 +1,163 @@
+/**
+ * Self-Ask Framework.
+ *
+ * The model decomposes a multi-hop question into follow-up questions:
+ * 1. **Ask**    — continuing a few-shot transcript, the model decides whether
+ *    follow-ups are needed and writes the next `Follow up:` (1 LLM call)
+ * 2. **Search** — the follow-up is looked up with the search tool (Wikipedia
+ *    for non-OpenAI providers) and the results are condensed into its
+ *    `Intermediate answer:` (1 LLM call), which is appended to the transcript
+ * 3. **Answer** — once no more follow-ups are needed the model writes
+ *    `So the final answer is:`; after `maxFollowUps` it is asked for it directly
+ *
+ * Based on Press et al., "Measuring and Narrowing the Compositionality Gap
+ * in Language Models" (2022).
+ *
+ * @module selfAsk
+ */
+
+/**
+ * @typedef {object} SelfAskFollowUp
+ * @property {string}  question - Follow-up question written by the model
+ * @property {string}  tool     - Tool that answered it
+ * @property {string}  results  - Tool output
+ * @property {boolean} isError  - True if the tool failed
+ * @property {string}  answer   - Intermediate answer added to the transcript
+ */
+
+/**
+ * @typedef {object} SelfAskResult
+ * @property {string}  framework  - Always 'Self-Ask'
+ * @property {SelfAskFollowUp[]} followUps - The follow-up chain, in order
+ * @property {boolean} needsFollowUps - Whether the model asked any follow-up
+ * @property {string}  transcript - Model's continuation of the few-shot prompt
+ * @property {string}  answer     - Final answer (null if a budget stopped the run first)
+ * @property {object}  usage      - Aggregated token usage
+ * @property {number}  llmCalls   - Total LLM API calls
+ * @property {number}  timeMs     - Wall-clock time in milliseconds
+ * @property {string}  [error]    - Set if a budget stopped the run (see budget.js)
+ * @property {boolean} [budgetExceeded] - True if a budget stopped the run early
+ * @property {object}  prompts    - Prompt template versions used (see prompts.js)
+ */
+
+import { callLLM } from './llm';
+import { isBudgetExceeded } from './budget';
+import { executeTool } from './tools';
+import { parseSelfAskTurn } from '../utils/parser';
+import { sumUsage } from '../utils/tokenCounter';
+import { renderPrompt, promptVersions } from './prompts';
+
+const SYSTEM_PROMPT = `Continue the last example in the user's message, following the format of the examples exactly.
+Write one "Follow up:" question at a time and stop after it; its intermediate answer will be looked up for you.
+When no more follow-up questions are needed, write "So the final answer is:" followed by a short answer.`;
+
+const FINAL_MARKER = 'So the final answer is:';
+
+/**
+ * Run Self-Ask.
+ * @param {string} question
+ * @param {object} options
+ * @param {number} [options.maxFollowUps] - Follow-up questions before the final answer is forced (default: 5)
+ * @param {string} [options.searchTool] - Tool that answers follow-ups, 'search' or 'wikipedia' (default: 'search')
+ * @param {boolean} [options.stream] - Stream tokens; 'reason' events are then also sent with `partial: true`
+ * @param {object} [options.prompts] - Prompt template versions to use instead of the defaults (see prompts.js)
+ * @param {function} onStep - callback({ phase, data, partial? }); phase is 'reason' | 'follow-up' | 'intermediate' | 'answer'
+ * @returns {Promise<SelfAskResult>}
+ */
+export async function runSelfAsk(question, { apiKey, model = 'gpt-4o-mini', provider, baseUrl, maxFollowUps = 5, searchTool = 'search', stream = false, prompts, signal, transport, budget } = {}, onStep) {
+  const startTime = Date.now();
+  const llm = { apiKey, model, provider, baseUrl, signal, transport, budget };
+  const usages = [];
+  const followUps = [];
+  const prompt = renderPrompt(prompts, 'self-ask.few-shot', { question });
+
+  // The model's side of the transcript; it continues right after the prompt
+  let transcript = '';
+  let answer = null;
+  let needsFollowUps = null;
+  let budgetError = null;
+  let forceAnswer = false;
+
+  const append = (text) => {
+    transcript += `${transcript ? '' : ' '}${text}\n`;
+  };
+
+  try {
+    for (let turn = 0; answer == null; turn++) {
+      // ── ASK ──
+      const forced = forceAnswer || followUps.length >= maxFollowUps;
+      const continuation = forced ? `${transcript}${FINAL_MARKER}` : transcript;
+      const reply = await callLLM(
+        [
+          { role: 'system', content: SYSTEM_PROMPT },
+          { role: 'user', content: prompt + continuation },
+        ],
+        {
+          ...llm,
+          temperature: 0,
+          maxTokens: 256,
+          onToken: stream && onStep
+            ? (_delta, text) => onStep({ phase: 'reason', data: { turn, text }, partial: true })
+            : undefined,
+        }
+      );
+      usages.push(reply.usage);
+
+      if (forced) {
+        answer = parseSelfAskTurn(`${FINAL_MARKER} ${reply.content}`).finalAnswer ?? reply.content.trim();
+        append(`${FINAL_MARKER} ${answer}`);
+        if (onStep) onStep({ phase: 'reason', data: { turn, text: `${FINAL_MARKER} ${answer}` } });
+        break;
+      }
+
+      const { kept, followUp, finalAnswer } = parseSelfAskTurn(reply.content);
+      if (needsFollowUps == null) needsFollowUps = followUp != null;
+      if (onStep) onStep({ phase: 'reason', data: { turn, text: kept } });
+      if (kept) append(kept);
+
+      if (finalAnswer != null) {
+        answer = finalAnswer;
+        break;
+      }
+      // Neither a follow-up nor a final answer: ask for the answer next turn
+      if (followUp == null) {
+        forceAnswer = true;
+        continue;
+      }
+
+      // ── SEARCH ──
+      const index = followUps.length;
+      if (onStep) onStep({ phase: 'follow-up', data: { index, question: followUp } });
+      const results = await executeTool(searchTool, followUp, apiKey, { provider, signal, transport });
+      const isError = results.startsWith('Error:');
+      const intermediate = await callLLM(
+        [{ role: 'user', content: renderPrompt(prompts, 'self-ask.intermediate', { question: followUp, results }) }],
+        { ...llm, temperature: 0, maxTokens: 128 }
+      );
+      usages.push(intermediate.usage);
+      const step = { question: followUp, tool: searchTool, results, isError, answer: intermediate.content.trim() };
+      followUps.push(step);
+      append(`Intermediate answer: ${step.answer}`);
+      if (onStep) onStep({ phase: 'intermediate', data: { index, ...step } });
+    }
+  } catch (err) {
+    // Out of budget mid-chain: keep the follow-ups answered so far
+    if (!isBudgetExceeded(err) || usages.length === 0) throw err;
+    budgetError = err.message;
+  }
+
+  if (answer != null && onStep) onStep({ phase: 'answer', data: { answer } });
+
+  return {
+    framework: 'Self-Ask',
+    prompts: promptVersions(prompts, ['self-ask.few-shot', 'self-ask.intermediate']),
+    ...(budgetError && { error: budgetError, budgetExceeded: true }),
+    followUps,
+    needsFollowUps: !!needsFollowUps,
+    transcript: transcript.trim(),
+    answer,
+    usage: sumUsage(usages),
+    llmCalls: usages.length,
+    timeMs: Date.now() - startTime,
+  };
+}
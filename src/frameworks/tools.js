@@ -1,7 +1,7 @@
 /**
  * Tool registry — shared tool definitions for all reasoning frameworks.
  *
- * Each tool exposes `{ name, description, execute(input, apiKey?) → Promise<string> }`.
+ * Each tool exposes `{ name, description, execute(input, apiKey?, context?) → Promise<string> }`.
  * Tools are stateless and always return a string result (errors are
  * returned as "Error: …" strings, not thrown).
  *
@@ -9,11 +9,17 @@
  * - **wikipedia** — Entity search + article summary (free, no API key)
  * - **search / websearch** — OpenAI web search via gpt-4o-mini-search-preview
  * - **calculate** — Safe math expression evaluation
+ * - **code** — JavaScript in a sandboxed Web Worker (Math, loops, dates; no network/DOM)
+ * - **docs** — BM25 search over documents uploaded to the local knowledge base
  * - **current_datetime / datetime** — Current date/time in UTC and local
  *
  * @module tools
  */
 
+import { extractCodeBlock } from '../utils/parser';
+import { runSandboxedCode } from '../utils/codeSandbox';
+import { searchDocuments } from '../utils/knowledgeBase';
+
 // ── Wikipedia (free, good for factual entity lookups) ───────────
 
 /**
@@ -54,16 +60,21 @@ async function wikipedia(query) {
 
 /**
  * Search the web using OpenAI's search-preview model.
- * Falls back to Wikipedia if apiKey is missing or the API call fails.
+ * Falls back to Wikipedia if apiKey is missing, the run uses a non-OpenAI
+ * provider (the key would not be valid for OpenAI), or the API call fails.
  * @param {string} query  - Search query
  * @param {string} apiKey - OpenAI API key
+ * @param {string} [provider] - Provider the apiKey belongs to (default: 'openai')
  * @returns {Promise<string>} Search results or Wikipedia fallback
  */
-async function openaiWebSearch(query, apiKey) {
+async function openaiWebSearch(query, apiKey, provider = 'openai') {
   if (!apiKey) {
     console.warn('openaiWebSearch called without apiKey, falling back to Wikipedia');
     return wikipedia(query);
   }
+  if (provider !== 'openai') {
+    return wikipedia(query);
+  }
 
   try {
     const response = await fetch('/api/chat', {
@@ -121,6 +132,49 @@ function calculate(expression) {
   }
 }
 
+// ── Code execution ──────────────────────────────────────────────
+
+/**
+ * Run model-written JavaScript in the sandbox and format the outcome as a
+ * tool observation. Accepts raw code or a fenced code block.
+ * @param {string} input - JavaScript source
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<string>} "Output: …" / "Result: …" lines, or "Error: …"
+ */
+async function runCode(input, signal) {
+  const code = extractCodeBlock(input) ?? input;
+  const run = await runSandboxedCode(code, { signal });
+  const output = run.stdout.trimEnd();
+  if (!run.ok) {
+    return `Error: ${run.error}${output ? `\nOutput before error:\n${output}` : ''}`;
+  }
+  const lines = [];
+  if (output) lines.push(`Output:\n${output}`);
+  if (run.result !== undefined) lines.push(`Result: ${run.result}`);
+  return lines.length > 0 ? lines.join('\n') : 'Program finished with no output. Use console.log or return a value.';
+}
+
+// ── Local documents (BM25 over IndexedDB) ───────────────────────
+
+/**
+ * Search the uploaded documents.
+ * @param {string} query - Search query
+ * @returns {Promise<string>} Ranked passages, each headed by its [source] citation
+ */
+async function docs(query) {
+  let hits;
+  try {
+    hits = await searchDocuments(query);
+  } catch (err) {
+    return `Error: Could not read the document knowledge base: ${err.message}`;
+  }
+  if (hits === null) return 'The document knowledge base is empty. Ask the user to upload documents under "Docs".';
+  if (hits.length === 0) return `No passages in the uploaded documents match "${query}". Try different keywords.`;
+  return hits
+    .map((h) => `[${h.citation}]\n${h.text}`)
+    .join('\n\n');
+}
+
 // ── Date/Time ───────────────────────────────────────────────────
 
 /** Get the current date and time in both UTC and local formats. */
@@ -143,18 +197,28 @@ export const toolRegistry = {
   search: {
     name: 'search',
     description: 'Search the web for current, real-world information. Returns comprehensive results from across the internet. Input: a search query string.',
-    execute: async (input, apiKey) => openaiWebSearch(input, apiKey),
+    execute: async (input, apiKey, context) => openaiWebSearch(input, apiKey, context?.provider),
   },
   websearch: {
     name: 'websearch',
     description: 'Search the web for current, real-world information. Returns comprehensive results from across the internet. Input: a search query string.',
-    execute: async (input, apiKey) => openaiWebSearch(input, apiKey),
+    execute: async (input, apiKey, context) => openaiWebSearch(input, apiKey, context?.provider),
   },
   calculate: {
     name: 'calculate',
     description: 'Evaluate a math expression. Input: a math expression like "4 * 7 / 3". Only numbers and basic operators allowed.',
     execute: async (input) => calculate(input),
   },
+  code: {
+    name: 'code',
+    description: 'Run JavaScript in a sandbox (no network or DOM; 5s limit). Use it for math beyond basic arithmetic (Math.sqrt, **, loops, dates). Print with console.log or end with `return <value>`. Input: JavaScript source code; wrap multi-line programs in a ```js fenced block.',
+    execute: async (input, _apiKey, context) => runCode(input, context?.signal),
+  },
+  docs: {
+    name: 'docs',
+    description: "Search the user's uploaded documents (local knowledge base) by keywords. Returns the best-matching passages, each with its source. Cite the [source] of facts you use. Input: a keyword search query.",
+    execute: async (input) => docs(input),
+  },
   current_datetime: {
     name: 'current_datetime',
     description: 'Get the current date and time (UTC and local). Input: ignored (no input required).',
@@ -167,35 +231,89 @@ export const toolRegistry = {
   },
 };
 
+/** Registry entries without aliases (e.g. search/websearch share the same description). */
+function uniqueTools() {
+  const seen = new Set();
+  return Object.values(toolRegistry).filter((t) => {
+    if (seen.has(t.description)) return false;
+    seen.add(t.description);
+    return true;
+  });
+}
+
 /**
  * Get formatted tool descriptions for inclusion in system prompts.
  * Deduplicates aliases (e.g. search/websearch share the same description).
  * @returns {string} Newline-separated "name: description" list
  */
 export function getToolDescriptions() {
-  // Only show unique tools (skip aliases)
-  const seen = new Set();
-  return Object.values(toolRegistry)
-    .filter((t) => {
-      if (seen.has(t.description)) return false;
-      seen.add(t.description);
-      return true;
-    })
+  return uniqueTools()
     .map((t) => `${t.name}: ${t.description}`)
     .join('\n');
 }
 
+/**
+ * Get the tool registry as OpenAI function-calling `tools` definitions.
+ * Every tool takes a single string argument, `input`, mirroring the
+ * text protocol's `Action: tool: input`.
+ * @returns {Array<{type: 'function', function: {name: string, description: string, parameters: object}}>}
+ */
+export function getToolSchemas() {
+  return uniqueTools().map((t) => ({
+    type: 'function',
+    function: {
+      name: t.name,
+      description: t.description,
+      parameters: {
+        type: 'object',
+        properties: {
+          input: { type: 'string', description: 'Tool input' },
+        },
+        required: ['input'],
+      },
+    },
+  }));
+}
+
+/**
+ * Extract the string input from a native tool call's JSON arguments.
+ * Falls back to the raw argument string if it isn't valid JSON.
+ * @param {string} args - `tool_calls[].function.arguments`
+ * @returns {string}
+ */
+export function parseToolArguments(args) {
+  if (!args) return '';
+  try {
+    const parsed = JSON.parse(args);
+    if (typeof parsed === 'string') return parsed;
+    if (parsed && typeof parsed.input === 'string') return parsed.input;
+    return JSON.stringify(parsed);
+  } catch {
+    return args;
+  }
+}
+
 /**
  * Execute a tool by name with the given input.
  * @param {string} name   - Tool name (case-insensitive)
  * @param {string} input  - Tool input string
  * @param {string} [apiKey] - OpenAI API key (required for web search)
+ * @param {object} [context] - Run context passed through to the tool
+ * @param {string} [context.provider] - LLM provider the apiKey belongs to
+ * @param {AbortSignal} [context.signal] - Cancels long-running tools (code)
+ * @param {object} [context.transport] - Record/replay transport (see transport.js)
  * @returns {Promise<string>} Tool output or error message
  */
-export function executeTool(name, input, apiKey) {
+export function executeTool(name, input, apiKey, context = {}) {
+  const { transport } = context;
+  if (transport) return transport.tool(name, input, () => runTool(name, input, apiKey, context));
+  return runTool(name, input, apiKey, context);
+}
+
+function runTool(name, input, apiKey, context) {
   const tool = toolRegistry[name.toLowerCase()];
   if (!tool) {
     return Promise.resolve(`Error: Unknown tool "${name}". Available tools: ${Object.keys(toolRegistry).join(', ')}`);
   }
-  return tool.execute(input, apiKey);
+  return tool.execute(input, apiKey, context);
 }
@@ -0,0 +1,266 @@
+/**
+ * Tree-of-Thoughts (ToT) Framework.
+ *
+ * Deliberate search over partial reasoning paths:
+ * 1. **Generate** — from a node, propose k candidate next thoughts (1 LLM call)
+ * 2. **Evaluate** — score the candidates with an LLM value prompt (1 LLM call)
+ * 3. **Prune**    — keep the best `beamWidth` candidates, drop the rest
+ * 4. **Search**   — breadth-first (level by level) or depth-first (best child
+ *    first, backtracking) until `maxDepth` or a confident answer
+ * 5. **Solve**    — turn the best path into a final answer (1 LLM call)
+ *
+ * @module tot
+ */
+
+/**
+ * @typedef {object} ThoughtNode
+ * @property {string}  id       - Node ID ('root' for the question)
+ * @property {string|null} parentId
+ * @property {number}  depth    - 0 for root
+ * @property {string}  thought  - Reasoning step (the question for root)
+ * @property {number|null} score - Value estimate in [0, 1] (null for root)
+ * @property {boolean} pruned   - True if cut by the beam / value threshold
+ * @property {boolean} terminal - True if the thought states a final answer
+ */
+
+/**
+ * @typedef {object} ToTResult
+ * @property {string}  framework - Always 'ToT'
+ * @property {string}  search    - 'bfs' | 'dfs'
+ * @property {ThoughtNode[]} nodes - Every explored node (flat; link via parentId)
+ * @property {string[]} bestPath - Node IDs from root to the chosen leaf
+ * @property {string}  answer    - Final answer; if a budget refused the solve call, the
+ *   best-scoring thought that states an answer (null if none did)
+ * @property {object}  usage     - Aggregated token usage
+ * @property {number}  llmCalls  - Total LLM API calls
+ * @property {number}  timeMs    - Wall-clock time in milliseconds
+ * @property {string}  [error]   - Set if a budget stopped the search or the solve call (see budget.js)
+ * @property {boolean} [budgetExceeded] - True if a budget stopped the run
+ */
+
+import { callLLM } from './llm';
+import { isBudgetExceeded } from './budget';
+import { parsePlanSteps, parseReActAnswer } from '../utils/parser';
+import { sumUsage } from '../utils/tokenCounter';
+
+/** DFS only descends into children scoring at least this (0–1). */
+const VALUE_THRESHOLD = 0.5;
+
+function formatSteps(path) {
+  if (path.length === 0) return '(none yet)';
+  return path.map((n, i) => `${i + 1}. ${n.thought}`).join('\n');
+}
+
+function buildGeneratePrompt(question, path, k) {
+  return `You are solving a problem one reasoning step at a time.
+
+Problem: ${question}
+
+Steps so far:
+${formatSteps(path)}
+
+Propose ${k} different possible next steps. Each must be a single, concrete reasoning step that moves toward the answer, and each should take a genuinely different approach. If a step reaches the final answer, write it as "Answer: <final answer>".
+
+Output a numbered list with exactly ${k} items, one per line.`;
+}
+
+function buildValuePrompt(question, path, candidates) {
+  return `Problem: ${question}
+
+Steps so far:
+${formatSteps(path)}
+
+Candidate next steps:
+${candidates.map((c, i) => `${i + 1}. ${c}`).join('\n')}
+
+Evaluate how likely each candidate is to lead to a correct answer. Rate each from 1 to 10 (10 = correct and on track, 1 = wrong or a dead end).
+
+Output one line per candidate in exactly this format:
+1: <score>
+2: <score>`;
+}
+
+function buildSolvePrompt(question, path) {
+  return `Problem: ${question}
+
+Reasoning:
+${formatSteps(path)}
+
+Based on this reasoning, give the final answer. Respond with:
+Answer: <final answer>`;
+}
+
+/** Parse "N: score" lines into values in [0, 1]; unscored candidates get 0. */
+function parseScores(text, count) {
+  const scores = new Array(count).fill(0);
+  for (const line of text.split('\n')) {
+    const m = line.match(/^\s*(\d+)\s*[:.)-]\s*(\d+(?:\.\d+)?)/);
+    if (!m) continue;
+    const idx = parseInt(m[1], 10) - 1;
+    if (idx >= 0 && idx < count) {
+      scores[idx] = Math.max(0, Math.min(1, parseFloat(m[2]) / 10));
+    }
+  }
+  return scores;
+}
+
+/**
+ * Run Tree-of-Thoughts search.
+ * @param {string} question
+ * @param {object} options
+ * @param {'bfs'|'dfs'} [options.search] - Search strategy (default: 'bfs')
+ * @param {number} [options.breadth]   - Candidate thoughts generated per node (default: 3)
+ * @param {number} [options.beamWidth] - Nodes kept per level (BFS) / children explored per node (DFS) (default: 2)
+ * @param {number} [options.maxDepth]  - Maximum reasoning steps (default: 3)
+ * @param {function} onStep - callback({ phase: 'tree' | 'solve', data })
+ * @returns {Promise<ToTResult>}
+ */
+export async function runToT(question, { apiKey, model = 'gpt-4o-mini', provider, baseUrl, search = 'bfs', breadth = 3, beamWidth = 2, maxDepth = 3, signal, transport, budget } = {}, onStep) {
+  const startTime = Date.now();
+  const llm = { apiKey, model, provider, baseUrl, signal, transport, budget };
+  const usages = [];
+  let llmCalls = 0;
+  let nextId = 1;
+
+  const root = { id: 'root', parentId: null, depth: 0, thought: question, score: null, pruned: false, terminal: false };
+  const nodes = [root];
+  const byId = { root };
+
+  const emitTree = () => {
+    if (onStep) onStep({ phase: 'tree', data: { nodes: nodes.map((n) => ({ ...n })) } });
+  };
+
+  /** Thoughts from root (exclusive) down to `node` (inclusive). */
+  const pathTo = (node) => {
+    const path = [];
+    for (let n = node; n && n.id !== 'root'; n = byId[n.parentId]) path.unshift(n);
+    return path;
+  };
+
+  /** Generate and score the children of `node`. */
+  const expand = async (node) => {
+    const path = pathTo(node);
+
+    const genResult = await callLLM(
+      [{ role: 'user', content: buildGeneratePrompt(question, path, breadth) }],
+      { ...llm, temperature: 0.7, maxTokens: 600 }
+    );
+    usages.push(genResult.usage);
+    llmCalls++;
+
+    const candidates = parsePlanSteps(genResult.content).slice(0, breadth);
+    if (candidates.length === 0) return [];
+
+    const valueResult = await callLLM(
+      [{ role: 'user', content: buildValuePrompt(question, path, candidates) }],
+      { ...llm, temperature: 0, maxTokens: 100 }
+    );
+    usages.push(valueResult.usage);
+    llmCalls++;
+
+    const scores = parseScores(valueResult.content, candidates.length);
+    const children = candidates.map((thought, i) => {
+      const child = {
+        id: `n${nextId++}`,
+        parentId: node.id,
+        depth: node.depth + 1,
+        thought,
+        score: scores[i],
+        pruned: false,
+        terminal: /^answer:/i.test(thought),
+      };
+      nodes.push(child);
+      byId[child.id] = child;
+      return child;
+    });
+    return children.sort((a, b) => b.score - a.score);
+  };
+
+  // Unexpanded survivors — candidates for the final answer
+  const leaves = [];
+  let budgetError = null;
+
+  try {
+    if (search === 'dfs') {
+      let solved = false;
+      const dfs = async (node) => {
+        if (node.terminal || node.depth >= maxDepth) {
+          leaves.push(node);
+          if (node.score >= VALUE_THRESHOLD) solved = true;
+          return;
+        }
+        const children = await expand(node);
+        children.forEach((c, i) => {
+          if (i >= beamWidth || c.score < VALUE_THRESHOLD) c.pruned = true;
+        });
+        emitTree();
+        const kept = children.filter((c) => !c.pruned);
+        if (kept.length === 0 && node.id !== 'root') leaves.push(node);
+        for (const child of kept) {
+          await dfs(child);
+          if (solved) return;
+        }
+      };
+      await dfs(root);
+    } else {
+      let frontier = [root];
+      for (let depth = 0; depth < maxDepth && frontier.length > 0; depth++) {
+        const expandable = frontier.filter((n) => !n.terminal);
+        leaves.push(...frontier.filter((n) => n.terminal));
+
+        const levelChildren = [];
+        for (const node of expandable) {
+          levelChildren.push(...await expand(node));
+        }
+        levelChildren.sort((a, b) => b.score - a.score);
+        levelChildren.forEach((c, i) => { if (i >= beamWidth) c.pruned = true; });
+        emitTree();
+
+        frontier = levelChildren.filter((c) => !c.pruned);
+        if (frontier.every((n) => n.terminal)) break;
+      }
+      leaves.push(...frontier);
+    }
+  } catch (err) {
+    if (!isBudgetExceeded(err)) throw err;
+    // Out of budget: answer from the best node explored so far
+    budgetError = err.message;
+    emitTree();
+  }
+
+  // ── SOLVE: answer from the best-scoring surviving leaf ──
+  const candidates = leaves.length > 0 ? leaves : nodes.filter((n) => n.id !== 'root');
+  const best = candidates.reduce((a, b) => ((b.score ?? 0) > (a?.score ?? -1) ? b : a), null);
+  const bestPath = best ? pathTo(best) : [];
+
+  let answer = null;
+  try {
+    const solveResult = await callLLM(
+      [{ role: 'user', content: buildSolvePrompt(question, bestPath) }],
+      { ...llm, temperature: 0, maxTokens: 512 }
+    );
+    usages.push(solveResult.usage);
+    llmCalls++;
+    answer = parseReActAnswer(solveResult.content) || solveResult.content.trim();
+    if (onStep) onStep({ phase: 'solve', data: { answer } });
+  } catch (err) {
+    if (!isBudgetExceeded(err)) throw err;
+    budgetError = budgetError || err.message;
+    // Fall back to the best answer the search already found
+    const answered = nodes.filter((n) => n.terminal);
+    const bestAnswered = answered.reduce((a, b) => ((b.score ?? 0) > (a?.score ?? -1) ? b : a), null);
+    if (bestAnswered) answer = bestAnswered.thought.replace(/^answer:\s*/i, '');
+  }
+
+  return {
+    framework: 'ToT',
+    ...(budgetError && { error: budgetError, budgetExceeded: true }),
+    search,
+    nodes,
+    bestPath: ['root', ...bestPath.map((n) => n.id)],
+    answer,
+    usage: sumUsage(usages),
+    llmCalls,
+    timeMs: Date.now() - startTime,
+  };
+}
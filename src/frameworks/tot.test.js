@@ -0,0 +1,22 @@
+import { runToT } from './tot';
+import { createBudget } from './budget';
+
+const transport = {
+  llm: async (messages) => {
+    const prompt = messages[messages.length - 1].content;
+    const content = prompt.startsWith('You are solving')
+      ? '1. Multiply 6 by 7.\n2. Answer: 42'
+      : prompt.includes('Candidate next steps')
+        ? '1: 5\n2: 9'
+        : 'Answer: 42';
+    return { content, usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 } };
+  },
+};
+
+test('a refused solve call answers from the best thought that states an answer', async () => {
+  // The root is expanded and scored; the next expansion and the solve call are refused
+  const result = await runToT('What is 6 times 7?', { apiKey: 'k', transport, budget: createBudget({ maxCalls: 2 }) });
+  expect(result.llmCalls).toBe(2);
+  expect(result.answer).toBe('42');
+  expect(result.budgetExceeded).toBe(true);
+});
@@ -0,0 +1,158 @@
+/**
+ * Record/replay transport for LLM calls and tool executions.
+ *
+ * Pass a transport as `transport` to `callLLM` (frameworks forward it via
+ * their `llm` bundle) and in `executeTool`'s context:
+ * - **record** — performs the live call and appends the request/response
+ *   pair to a cassette
+ * - **replay** — answers from a cassette without touching the network;
+ *   a request with no recorded response throws a `Replay mismatch` error
+ *
+ * Requests are matched by content (model, messages, sampling options, tools
+ * for LLM calls; tool name and input for tools), not by call order, so
+ * frameworks that run steps in parallel replay deterministically. Identical
+ * requests (e.g. repeated CoT samples) are answered in recorded order.
+ * API keys, base URLs and streaming flags are never part of a request key.
+ *
+ * @module transport
+ */
+
+/**
+ * @typedef {object} CassetteInteraction
+ * @property {'llm'|'tool'} kind
+ * @property {string} key        - Content hash of the request
+ * @property {object} request    - Recorded request (for debugging mismatches)
+ * @property {object} [response] - LLMResult (llm) or { output } (tool)
+ * @property {string} [error]    - Error message if the live call failed
+ */
+
+/**
+ * @typedef {object} Cassette
+ * @property {number} version    - CASSETTE_VERSION
+ * @property {string} createdAt  - ISO timestamp
+ * @property {object} meta       - Run configuration (question, frameworks, options; never the API key)
+ * @property {CassetteInteraction[]} interactions
+ */
+
+export const CASSETTE_VERSION = 1;
+
+/** JSON with sorted object keys, so equal requests serialize identically. */
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter((k) => value[k] !== undefined)
+      .sort()
+      .map((k) => `${JSON.stringify(k)}:${stableStringify(value[k])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/** 32-bit FNV-1a hash as hex. */
+function hash(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0).toString(16).padStart(8, '0');
+}
+
+function llmRequest(messages, { model, temperature, maxTokens, tools, logprobs }) {
+  return { model, messages, temperature, maxTokens, tools, logprobs: logprobs || undefined };
+}
+
+function requestKey(kind, request) {
+  const body = stableStringify(request);
+  return `${kind}:${hash(body)}:${body.length}`;
+}
+
+function describe(kind, request) {
+  if (kind === 'tool') return `tool "${request.name}" with input "${String(request.input).slice(0, 80)}"`;
+  const last = request.messages?.[request.messages.length - 1];
+  const content = typeof last?.content === 'string' ? last.content : '';
+  return `LLM call to ${request.model} ending in "${content.slice(-80)}"`;
+}
+
+/**
+ * Create a transport that performs live calls and records them.
+ * @returns {{ mode: 'record', llm: function, tool: function, toCassette: function }}
+ */
+export function createRecordTransport() {
+  const interactions = [];
+
+  async function record(kind, request, live) {
+    const key = requestKey(kind, request);
+    try {
+      const response = await live();
+      interactions.push({ kind, key, request, response: kind === 'tool' ? { output: response } : response });
+      return response;
+    } catch (err) {
+      // Aborts are not part of the run's behaviour, so they are not replayed
+      if (err.name !== 'AbortError') interactions.push({ kind, key, request, error: err.message });
+      throw err;
+    }
+  }
+
+  return {
+    mode: 'record',
+    llm: (messages, options, live) => record('llm', llmRequest(messages, options), live),
+    tool: (name, input, live) => record('tool', { name: name.toLowerCase(), input }, live),
+    /**
+     * @param {object} meta - Run configuration to store alongside the interactions
+     * @returns {Cassette}
+     */
+    toCassette: (meta) => ({
+      version: CASSETTE_VERSION,
+      createdAt: new Date().toISOString(),
+      meta,
+      interactions: [...interactions],
+    }),
+  };
+}
+
+/**
+ * Create a transport that answers from a cassette and never calls the network.
+ * @param {Cassette} cassette
+ * @returns {{ mode: 'replay', llm: function, tool: function, unused: function }}
+ * @throws {Error} If the cassette is malformed or from an unsupported version
+ */
+export function createReplayTransport(cassette) {
+  if (!cassette || !Array.isArray(cassette.interactions)) {
+    throw new Error('Invalid cassette: missing interactions');
+  }
+  if (cassette.version !== CASSETTE_VERSION) {
+    throw new Error(`Unsupported cassette version ${cassette.version} (expected ${CASSETTE_VERSION})`);
+  }
+
+  // Queue of recorded responses per request key, consumed in recorded order
+  const queues = new Map();
+  for (const interaction of cassette.interactions) {
+    if (!queues.has(interaction.key)) queues.set(interaction.key, []);
+    queues.get(interaction.key).push(interaction);
+  }
+
+  function take(kind, request, signal) {
+    if (signal?.aborted) throw new DOMException('The operation was aborted.', 'AbortError');
+    const queue = queues.get(requestKey(kind, request));
+    const interaction = queue?.shift();
+    if (!interaction) {
+      throw new Error(`Replay mismatch: no recorded response for ${describe(kind, request)}`);
+    }
+    if (interaction.error) throw new Error(interaction.error);
+    return interaction.response;
+  }
+
+  return {
+    mode: 'replay',
+    llm: async (messages, options) => {
+      const response = take('llm', llmRequest(messages, options), options.signal);
+      if (options.onToken && response.content) options.onToken(response.content, response.content);
+      return response;
+    },
+    tool: async (name, input) => take('tool', { name: name.toLowerCase(), input }).output,
+    /** Number of recorded interactions that were never requested. */
+    unused: () => [...queues.values()].reduce((n, q) => n + q.length, 0),
+  };
+}
@@ -0,0 +1,36 @@
+import { createRecordTransport, createReplayTransport } from './transport';
+import { runCoT } from './cot';
+
+const question = 'What is 17 + 25?';
+const options = { apiKey: 'k', mode: 'zero-shot', aggregation: 'vote', nSamples: 3 };
+
+/** Record a CoT run whose "live" calls answer from `replies` in turn. */
+async function recordRun(replies) {
+  const recorder = createRecordTransport();
+  let next = 0;
+  const transport = {
+    mode: 'record',
+    llm: (messages, opts) => recorder.llm(messages, opts, async () => ({
+      content: replies[next++],
+      usage: { prompt_tokens: 40, completion_tokens: 10, total_tokens: 50 },
+    })),
+  };
+  const result = await runCoT(question, { ...options, transport });
+  return { result, cassette: recorder.toCassette({ question, frameworks: ['cot'] }) };
+}
+
+test('a replayed CoT run reproduces the recorded one without live calls', async () => {
+  const { result, cassette } = await recordRun(['17 + 25 = 42. The answer is 42.', 'The answer is 42.', 'The answer is 43.', '1 -> 42\n2 -> 43']);
+  const replay = createReplayTransport(JSON.parse(JSON.stringify(cassette)));
+
+  const replayed = await runCoT(question, { ...options, apiKey: 'other-key', transport: replay });
+  expect({ ...replayed, timeMs: 0 }).toEqual({ ...result, timeMs: 0 });
+  expect(replayed.paths).toEqual(['17 + 25 = 42. The answer is 42.', 'The answer is 42.', 'The answer is 43.']);
+  expect(replay.unused()).toBe(0);
+});
+
+test('replaying a different run reports the unrecorded call', async () => {
+  const { cassette } = await recordRun(['The answer is 42.', 'The answer is 42.', 'The answer is 42.']);
+  const replay = createReplayTransport(cassette);
+  await expect(runCoT('What is 17 + 26?', { ...options, transport: replay })).rejects.toThrow('Replay mismatch');
+});
@@ -0,0 +1,236 @@
+/**
+ * Chain-of-Verification (CoVe) post-processing.
+ *
+ * Runs after a framework returns, for the frameworks it is enabled for:
+ * 1. **Plan**    — verification questions are drafted, each checking one
+ *    claim the framework's answer relies on (1 LLM call)
+ * 2. **Execute** — every question is answered on its own, without the draft
+ *    answer in context so its mistakes are not repeated; with a tool set, the
+ *    answer is drawn from `wikipedia` / `search` results (1 LLM call each)
+ * 3. **Revise**  — the draft is checked against the answers: each claim is
+ *    confirmed or corrected, and a revised answer is written (1 LLM call)
+ *
+ * The verified result keeps the framework's trace, takes the revised answer,
+ * and counts the verification calls in its usage. If verification fails the
+ * framework's own answer stands.
+ *
+ * Based on Dhuliawala et al., "Chain-of-Verification Reduces Hallucination
+ * in Large Language Models" (2023).
+ *
+ * @module verification
+ */
+
+/**
+ * @typedef {object} VerificationQuestion
+ * @property {string}  question - Verification question
+ * @property {string}  [tool]   - Tool that looked it up, if any
+ * @property {string}  [results] - Tool output
+ * @property {boolean} [isError] - True if the tool failed
+ * @property {string}  answer   - Independent answer
+ */
+
+/**
+ * @typedef {object} VerificationClaim
+ * @property {string} claim      - Claim from the draft answer
+ * @property {'confirmed'|'corrected'} status
+ * @property {string} [correction] - What the verification found instead
+ */
+
+/**
+ * @typedef {object} Verification
+ * @property {string}  draftAnswer   - The framework's answer
+ * @property {VerificationQuestion[]} questions
+ * @property {VerificationClaim[]} claims
+ * @property {string}  revisedAnswer - Answer after verification (the draft if nothing changed)
+ * @property {boolean} changed       - True if the revised answer differs from the draft
+ * @property {object}  usage         - Verification token usage
+ * @property {number}  llmCalls      - Verification LLM calls
+ * @property {number}  timeMs        - Wall-clock time in milliseconds
+ * @property {string}  [error]       - Why verification stopped; the draft answer stands
+ * @property {boolean} [budgetExceeded] - True if a budget stopped verification
+ */
+
+import { callLLM } from './llm';
+import { isBudgetExceeded } from './budget';
+import { executeTool } from './tools';
+import { resultAnswer } from './judge';
+import { basicNormalize } from '../utils/answerScoring';
+import { sumUsage } from '../utils/tokenCounter';
+import { runWithConcurrency } from '../utils/concurrency';
+
+/** Frameworks whose answers can be verified (native function-calling variants included). */
+export const VERIFIABLE_FRAMEWORKS = ['cot', 'react', 'rewoo', 'plan-execute', 'react-fc', 'plan-execute-fc'];
+
+/** Tools verification questions can be looked up with ('' answers them from the model's knowledge). */
+export const VERIFICATION_TOOLS = [
+  { id: '', label: 'Answer from the model (no tools)' },
+  { id: 'wikipedia', label: 'Look up with Wikipedia' },
+  { id: 'search', label: 'Look up with web search' },
+];
+
+const MAX_QUESTIONS = 5;
+const ANSWER_CONCURRENCY = 3;
+const MAX_RESULTS_CHARS = 3000;
+
+/** Whether a run's config enables verification for a framework. */
+export function shouldVerify(config, frameworkId) {
+  return VERIFIABLE_FRAMEWORKS.includes(frameworkId) && !!config.verify?.includes(frameworkId);
+}
+
+function planPrompt(question, draft, maxQuestions) {
+  return `An answer to a question needs to be fact-checked.
+
+Question: ${question}
+Draft answer: ${draft}
+
+Write up to ${maxQuestions} verification questions. Each one checks a single fact, figure or step the draft answer relies on, and must make sense on its own to someone who has not seen the draft. Write one question per line, numbered "1.", "2.", and so on, with nothing else.`;
+}
+
+function answerPrompt(question, results) {
+  if (results == null) return `Answer this question concisely and factually. If you are not sure, say so.
+
+Question: ${question}
+Answer:`;
+  return `Answer the question using the search results below. Reply in one or two sentences; if the results do not contain the answer, say what is known instead.
+
+Search results:
+${results.length > MAX_RESULTS_CHARS ? `${results.slice(0, MAX_RESULTS_CHARS)}\n…(truncated)` : results}
+
+Question: ${question}
+Answer:`;
+}
+
+function revisePrompt(question, draft, questions) {
+  const checks = questions.map((q, i) => `${i + 1}. ${q.question}\n   ${q.answer}`).join('\n');
+  return `A draft answer was fact-checked with independent verification questions.
+
+Question: ${question}
+Draft answer: ${draft}
+
+Verification questions and their answers:
+${checks}
+
+List each claim of the draft answer that the verification bears on, one per line, as either
+CONFIRMED: <claim>
+CORRECTED: <claim> => <what is correct instead>
+Then write the answer to the question, corrected where the verification showed a mistake, as a final line:
+Final answer: <answer>`;
+}
+
+/** Numbered lines of the plan reply. */
+export function parseVerificationQuestions(text, maxQuestions = MAX_QUESTIONS) {
+  return [...text.matchAll(/^[^\S\n]*\d+[.)][^\S\n]*(.+)$/gm)]
+    .map((m) => m[1].trim())
+    .filter(Boolean)
+    .slice(0, maxQuestions);
+}
+
+/** CONFIRMED / CORRECTED lines and the final answer of the revise reply. */
+export function parseRevision(text) {
+  const claims = [];
+  for (const [, status, body] of text.matchAll(/^[^\S\n]*[-*]?[^\S\n]*\**(CONFIRMED|CORRECTED)\**:\**[^\S\n]*(.+)$/gim)) {
+    if (status.toUpperCase() === 'CONFIRMED') {
+      claims.push({ claim: body.trim(), status: 'confirmed' });
+    } else {
+      const [claim, correction] = body.split(/\s*=>\s*/);
+      claims.push({ claim: claim.trim(), status: 'corrected', ...(correction && { correction: correction.trim() }) });
+    }
+  }
+  const finals = [...text.matchAll(/^[^\S\n]*\**Final answer\**:\**[^\S\n]*(.+)$/gim)];
+  const answer = finals.length > 0 ? finals[finals.length - 1][1].trim() : null;
+  return { claims, answer };
+}
+
+/**
+ * Fact-check an answer with Chain-of-Verification.
+ * @param {string} question
+ * @param {string} draftAnswer
+ * @param {object} options
+ * @param {string} [options.tool] - Tool to look verification questions up with, 'wikipedia' or 'search' (default: none)
+ * @param {number} [options.maxQuestions] - Verification questions to draft (default: 5)
+ * @param {function} [onStep] - callback({ phase: 'verify', data: Verification so far }); every event is a full snapshot
+ * @returns {Promise<Verification>} Never rejects except on abort
+ */
+export async function runVerification(question, draftAnswer, { apiKey, model = 'gpt-4o-mini', provider, baseUrl, tool = '', maxQuestions = MAX_QUESTIONS, signal, transport, budget } = {}, onStep) {
+  const startTime = Date.now();
+  const llm = { apiKey, model, provider, baseUrl, signal, transport, budget };
+  const usages = [];
+  const state = { draftAnswer, questions: [], claims: [], revisedAnswer: draftAnswer, changed: false };
+  const snapshot = (extra) => ({
+    ...state,
+    questions: [...state.questions],
+    usage: sumUsage(usages),
+    llmCalls: usages.length,
+    timeMs: Date.now() - startTime,
+    ...extra,
+  });
+  const emit = () => { if (onStep) onStep({ phase: 'verify', data: snapshot({ running: true }) }); };
+
+  const call = async (content, maxTokens) => {
+    const reply = await callLLM([{ role: 'user', content }], { ...llm, temperature: 0, maxTokens });
+    usages.push(reply.usage);
+    return reply.content;
+  };
+
+  try {
+    // ── PLAN ──
+    const planned = parseVerificationQuestions(await call(planPrompt(question, draftAnswer, maxQuestions), 400), maxQuestions);
+    if (planned.length === 0) throw new Error('No verification questions were drafted.');
+    state.questions = planned.map((q) => ({ question: q }));
+    emit();
+
+    // ── EXECUTE ── independently of the draft answer
+    await runWithConcurrency(planned, ANSWER_CONCURRENCY, async (q, i) => {
+      let lookup = {};
+      if (tool) {
+        const results = await executeTool(tool, q, apiKey, { provider, signal, transport });
+        lookup = { tool, results, isError: results.startsWith('Error:') };
+      }
+      const answer = await call(answerPrompt(q, lookup.isError ? null : lookup.results ?? null), 200);
+      state.questions[i] = { question: q, ...lookup, answer: answer.trim() };
+      emit();
+    }, signal);
+    if (signal?.aborted) throw new DOMException('The operation was aborted.', 'AbortError');
+
+    // ── REVISE ──
+    const { claims, answer } = parseRevision(await call(revisePrompt(question, draftAnswer, state.questions), 600));
+    state.claims = claims;
+    if (answer) {
+      state.revisedAnswer = answer;
+      state.changed = basicNormalize(answer) !== basicNormalize(draftAnswer);
+    }
+  } catch (err) {
+    if (err.name === 'AbortError') throw err;
+    return snapshot({ error: err.message, ...(isBudgetExceeded(err) && { budgetExceeded: true }) });
+  }
+
+  return snapshot();
+}
+
+/**
+ * Verify a framework result and fold the verification into it: the revised
+ * answer replaces `answer` (and `finalAnswer`), and verification calls count
+ * towards the result's usage, LLM calls and time.
+ * Results without an answer, or that stopped with an error, are returned
+ * unchanged.
+ * @param {string} question
+ * @param {object} result - Framework result
+ * @param {object} options - Same LLM options as the framework ran with, plus `tool`
+ * @param {function} [onStep] - See runVerification
+ * @returns {Promise<object>} Result with `verification`
+ */
+export async function verifyResult(question, result, options, onStep) {
+  const draft = resultAnswer(result);
+  if (!draft || result.error) return result;
+  const verification = await runVerification(question, draft, options, onStep);
+  const revised = verification.revisedAnswer;
+  return {
+    ...result,
+    answer: revised,
+    ...('finalAnswer' in result && { finalAnswer: revised }),
+    verification,
+    usage: sumUsage([result.usage || {}, verification.usage]),
+    llmCalls: (result.llmCalls || 0) + verification.llmCalls,
+    timeMs: (result.timeMs || 0) + verification.timeMs,
+  };
+}
@@ -0,0 +1,154 @@
+/**
+ * Answer normalization and scoring against a gold answer.
+ *
+ * `basicNormalize` / `areSimilar` are also used by CoT majority voting to
+ * group equivalent answers; the scoring functions build on them for
+ * benchmark evaluation:
+ * - **exact**      — trimmed, case-insensitive string equality
+ * - **normalized** — equality after normalization (articles, punctuation,
+ *   thousands separators, "the answer is …" tails) or numeric equality, of
+ *   the whole prediction or of its final answer ("… The answer is 12.");
+ *   merely containing the gold answer is not enough ("not 12", "18 or 20")
+ * - **f1**         — SQuAD-style token-overlap F1 on normalized tokens
+ *
+ * @module answerScoring
+ */
+
+import { extractAnswer } from './parser';
+
+/**
+ * Light normalization: lowercase, drop "the answer is …" tails, a leading
+ * article, surrounding punctuation, and repeated whitespace.
+ *
+ * @param {string} raw
+ * @returns {string}
+ */
+export function basicNormalize(raw) {
+  let s = String(raw).trim().toLowerCase();
+  s = s.replace(/\.?\s*the answer is\b.*$/gi, '');
+  s = s.replace(/^(the|a|an)\s+/i, '');
+  s = s.replace(/^[\s.,;:!?"'()]+|[\s.,;:!?"'()]+$/g, '');
+  s = s.replace(/\s+/g, ' ');
+  return s.trim();
+}
+
+function escapeRegex(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * True if two normalized answers are equal, or the shorter one appears as a
+ * whole word/phrase inside the longer one.
+ *
+ * @param {string} a - Normalized answer
+ * @param {string} b - Normalized answer
+ * @returns {boolean}
+ */
+export function areSimilar(a, b) {
+  if (a === b) return true;
+  if (a.length < 2 || b.length < 2) return false;
+  const shorter = a.length <= b.length ? a : b;
+  const longer = a.length <= b.length ? b : a;
+  return new RegExp(`(?:^|\\b)${escapeRegex(shorter)}(?:\\b|$)`).test(longer);
+}
+
+/**
+ * Normalization for scoring: drop a leading "Answer:" / "The answer is",
+ * `basicNormalize`, then strip thousands separators and currency symbols,
+ * canonicalize decimals ("18.00" → "18"), and drop articles and punctuation
+ * (decimal points inside numbers are kept).
+ *
+ * @param {string} raw
+ * @returns {string}
+ */
+export function normalizeAnswer(raw) {
+  if (raw == null) return '';
+  let s = basicNormalize(String(raw).replace(/^\s*(?:the\s+)?(?:final\s+)?answer\s*(?::|is\b)\s*/i, ''));
+  s = s.replace(/(\d),(?=\d{3}\b)/g, '$1');
+  s = s.replace(/[$€£]/g, '');
+  s = s.replace(/\b\d+\.\d+\b/g, (n) => String(parseFloat(n)));
+  s = s.replace(/(?<!\d)\.|\.(?!\d)/g, ' ');
+  s = s.replace(/[^\w\s.-]/g, ' ');
+  s = s.replace(/\b(a|an|the)\b/g, ' ');
+  return s.replace(/\s+/g, ' ').trim();
+}
+
+/** Parse a normalized answer that is just a number; null otherwise. */
+function asNumber(normalized) {
+  return /^-?\d+(?:\.\d+)?$/.test(normalized) ? parseFloat(normalized) : null;
+}
+
+/**
+ * @param {string|null} prediction
+ * @param {string} gold
+ * @returns {boolean}
+ */
+export function exactMatch(prediction, gold) {
+  if (prediction == null) return false;
+  return String(prediction).trim().toLowerCase() === String(gold).trim().toLowerCase();
+}
+
+/**
+ * @param {string|null} prediction
+ * @param {string} gold
+ * @returns {boolean}
+ */
+export function normalizedMatch(prediction, gold) {
+  if (exactMatch(prediction, gold)) return true;
+  const g = normalizeAnswer(gold);
+  if (prediction == null || !g) return false;
+  const gn = asNumber(g);
+  const final = extractAnswer(String(prediction));
+  return [prediction, final].filter((c) => c != null).some((candidate) => {
+    const p = normalizeAnswer(candidate);
+    if (p === g) return true;
+    const pn = asNumber(p);
+    return pn != null && gn != null && Math.abs(pn - gn) < 1e-6;
+  });
+}
+
+/**
+ * SQuAD-style token F1 between prediction and gold.
+ *
+ * @param {string|null} prediction
+ * @param {string} gold
+ * @returns {number} F1 in [0, 1]
+ */
+export function tokenF1(prediction, gold) {
+  const pTokens = normalizeAnswer(prediction).split(' ').filter(Boolean);
+  const gTokens = normalizeAnswer(gold).split(' ').filter(Boolean);
+  if (pTokens.length === 0 || gTokens.length === 0) {
+    return pTokens.length === gTokens.length ? 1 : 0;
+  }
+
+  // No prototype, so tokens like "constructor" count from zero
+  const goldCounts = Object.create(null);
+  for (const t of gTokens) goldCounts[t] = (goldCounts[t] || 0) + 1;
+  let common = 0;
+  for (const t of pTokens) {
+    if (goldCounts[t] > 0) {
+      common++;
+      goldCounts[t]--;
+    }
+  }
+  if (common === 0) return 0;
+
+  const precision = common / pTokens.length;
+  const recall = common / gTokens.length;
+  return (2 * precision * recall) / (precision + recall);
+}
+
+/**
+ * Score one prediction against a gold answer with every metric.
+ *
+ * @param {string|null} prediction
+ * @param {string} gold
+ * @returns {{ exact: boolean, normalized: boolean, f1: number }}
+ */
+export function scoreAnswer(prediction, gold) {
+  return {
+    exact: exactMatch(prediction, gold),
+    normalized: normalizedMatch(prediction, gold),
+    f1: tokenF1(prediction, gold),
+  };
+}
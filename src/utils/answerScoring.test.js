@@ -0,0 +1,29 @@
+import { areSimilar, normalizeAnswer, normalizedMatch, scoreAnswer, tokenF1 } from './answerScoring';
+
+test('normalization drops answer prefixes, currency, separators and trailing zeros', () => {
+  expect(normalizeAnswer('The answer is $1,234.50.')).toBe('1234.5');
+  expect(normalizeAnswer('Answer: The Eiffel Tower')).toBe('eiffel tower');
+});
+
+test('a normalized match needs equality, of the whole prediction or its final answer', () => {
+  expect(normalizedMatch('1,234.00', '1234')).toBe(true);
+  expect(normalizedMatch('Adding the two gives 12. The answer is 12.', '12')).toBe(true);
+  expect(normalizedMatch('not 12', '12')).toBe(false);
+  expect(normalizedMatch('18 or 20', '18')).toBe(false);
+  expect(normalizedMatch(null, '12')).toBe(false);
+});
+
+test('token F1 counts overlapping tokens, including prototype names', () => {
+  expect(tokenF1('big red cat', 'big cat')).toBeCloseTo(0.8);
+  expect(tokenF1('constructor of toString', 'constructor')).toBeCloseTo(0.5);
+  expect(tokenF1('', '')).toBe(1);
+});
+
+test('areSimilar matches whole words only', () => {
+  expect(areSimilar('paris', 'paris france')).toBe(true);
+  expect(areSimilar('12', '120')).toBe(false);
+});
+
+test('scoreAnswer reports every metric', () => {
+  expect(scoreAnswer('Paris', 'paris')).toEqual({ exact: true, normalized: true, f1: 1 });
+});
@@ -0,0 +1,163 @@
+/**
+ * Benchmark dataset parsing and leaderboard aggregation.
+ *
+ * Datasets are JSONL (one `{"question", "gold_answer"}` object per line) or
+ * CSV with a header row containing `question` and `gold_answer` columns.
+ * `answer` is accepted as an alias for `gold_answer`.
+ *
+ * @module benchmark
+ */
+
+import { targetCost } from './modelMatrix';
+
+/**
+ * @typedef {object} BenchmarkItem
+ * @property {number} id       - 1-based row number within the dataset
+ * @property {string} question
+ * @property {string} gold     - Gold (reference) answer
+ */
+
+function toItem(record, id, where) {
+  const question = record.question;
+  const gold = record.gold_answer ?? record.answer;
+  if (question == null || String(question).trim() === '') {
+    throw new Error(`${where}: missing "question"`);
+  }
+  if (gold == null || String(gold).trim() === '') {
+    throw new Error(`${where}: missing "gold_answer"`);
+  }
+  return { id, question: String(question).trim(), gold: String(gold).trim() };
+}
+
+function parseJSONL(text) {
+  const items = [];
+  text.split(/\r?\n/).forEach((line, i) => {
+    if (!line.trim()) return;
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch {
+      throw new Error(`Line ${i + 1}: invalid JSON`);
+    }
+    if (!record || typeof record !== 'object') throw new Error(`Line ${i + 1}: expected an object`);
+    items.push(toItem(record, items.length + 1, `Line ${i + 1}`));
+  });
+  return items;
+}
+
+/** Split CSV text into rows of fields (RFC 4180 quoting). */
+function parseCSVRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((f) => f.trim() !== ''));
+}
+
+function parseCSV(text) {
+  const [header, ...rows] = parseCSVRows(text);
+  if (!header) return [];
+  const columns = header.map((h) => h.trim().toLowerCase());
+  if (!columns.includes('question')) throw new Error('CSV header must include a "question" column');
+  if (!columns.includes('gold_answer') && !columns.includes('answer')) {
+    throw new Error('CSV header must include a "gold_answer" column');
+  }
+  return rows.map((fields, i) => {
+    const record = Object.fromEntries(columns.map((c, j) => [c, fields[j]]));
+    return toItem(record, i + 1, `Row ${i + 2}`);
+  });
+}
+
+/**
+ * Parse an uploaded benchmark dataset.
+ * The format is picked from the file extension, falling back to sniffing
+ * the first character (`{` → JSONL, otherwise CSV).
+ *
+ * @param {string} text     - File contents
+ * @param {string} fileName - Original file name
+ * @returns {BenchmarkItem[]}
+ * @throws {Error} With the offending line/row on malformed input
+ */
+export function parseDataset(text, fileName = '') {
+  const ext = fileName.toLowerCase().split('.').pop();
+  const isJSONL = ext === 'jsonl' || ext === 'ndjson' || (ext !== 'csv' && text.trimStart().startsWith('{'));
+  const items = isJSONL ? parseJSONL(text) : parseCSV(text);
+  if (items.length === 0) throw new Error('Dataset is empty');
+  return items;
+}
+
+/**
+ * @typedef {object} LeaderboardRow
+ * @property {string} fw          - Framework ID
+ * @property {string} framework   - Display name
+ * @property {number} completed   - Items with a result (answered or errored)
+ * @property {number} errors      - Items that errored
+ * @property {number} accuracy    - Normalized-match accuracy in [0, 1]
+ * @property {number} exact       - Exact-match accuracy in [0, 1]
+ * @property {number} f1          - Mean token F1
+ * @property {number} avgTokens   - Mean total tokens per item
+ * @property {number} costUsd     - Estimated total cost
+ * @property {number} avgTimeMs   - Mean latency per item
+ */
+
+/**
+ * Aggregate per-item results into a leaderboard, best accuracy first
+ * (ties broken by lower cost). Errored items count as wrong.
+ *
+ * @param {Array<object>} rows - Per item: { [fwId]: { framework, scores, usage, timeMs, error } }
+ * @param {string[]} frameworkIds
+ * @param {{ provider: string, model: string }} target - For cost estimation (local providers cost nothing)
+ * @returns {LeaderboardRow[]}
+ */
+export function summarizeBenchmark(rows, frameworkIds, target) {
+  return frameworkIds
+    .map((fw) => {
+      const done = rows.map((r) => r?.[fw]).filter(Boolean);
+      const n = done.length || 1;
+      const sum = (fn) => done.reduce((acc, r) => acc + fn(r), 0);
+      return {
+        fw,
+        framework: done[0]?.framework || fw,
+        completed: done.length,
+        errors: done.filter((r) => r.error).length,
+        accuracy: sum((r) => (r.scores?.normalized ? 1 : 0)) / n,
+        exact: sum((r) => (r.scores?.exact ? 1 : 0)) / n,
+        f1: sum((r) => r.scores?.f1 || 0) / n,
+        avgTokens: sum((r) => r.usage?.total_tokens || 0) / n,
+        costUsd: sum((r) => targetCost(r.usage, target)),
+        avgTimeMs: sum((r) => r.timeMs || 0) / n,
+      };
+    })
+    .sort((a, b) => b.accuracy - a.accuracy || a.costUsd - b.costUsd);
+}
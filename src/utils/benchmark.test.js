@@ -0,0 +1,46 @@
+import { parseDataset, summarizeBenchmark } from './benchmark';
+
+test('JSONL datasets accept "answer" as an alias and skip blank lines', () => {
+  const text = '{"question": "2+2?", "gold_answer": "4"}\n\n{"question": "Capital of France?", "answer": "Paris"}\n';
+  expect(parseDataset(text, 'qa.jsonl')).toEqual([
+    { id: 1, question: '2+2?', gold: '4' },
+    { id: 2, question: 'Capital of France?', gold: 'Paris' },
+  ]);
+});
+
+test('CSV datasets follow RFC 4180 quoting', () => {
+  const text = 'question,gold_answer\r\n"Pick one: a, b or c","b"\r\n"Say ""hi""",hi\r\n';
+  expect(parseDataset(text, 'qa.csv')).toEqual([
+    { id: 1, question: 'Pick one: a, b or c', gold: 'b' },
+    { id: 2, question: 'Say "hi"', gold: 'hi' },
+  ]);
+});
+
+test('malformed datasets name the offending line or row', () => {
+  expect(() => parseDataset('{"question": "2+2?", "gold_answer": "4"}\n{oops', 'qa.jsonl')).toThrow('Line 2: invalid JSON');
+  expect(() => parseDataset('question,gold_answer\n2+2?,\n', 'qa.csv')).toThrow('Row 2: missing "gold_answer"');
+  expect(() => parseDataset('\n', 'qa.jsonl')).toThrow('Dataset is empty');
+});
+
+const rows = [
+  {
+    cot: { framework: 'CoT', scores: { exact: true, normalized: true, f1: 1 }, usage: { prompt_tokens: 1000, completion_tokens: 200, total_tokens: 1200 }, timeMs: 1000 },
+    react: { framework: 'ReAct', scores: { exact: false, normalized: false, f1: 0 }, usage: { prompt_tokens: 3000, completion_tokens: 600, total_tokens: 3600 }, timeMs: 3000 },
+  },
+  {
+    cot: { framework: 'CoT', scores: { exact: false, normalized: true, f1: 0.5 }, usage: { prompt_tokens: 1000, completion_tokens: 200, total_tokens: 1200 }, timeMs: 2000 },
+    react: { framework: 'ReAct', error: 'Budget exceeded', usage: { total_tokens: 0 }, timeMs: 500 },
+  },
+];
+
+test('the leaderboard averages scores per framework, best accuracy first', () => {
+  const [first, second] = summarizeBenchmark(rows, ['react', 'cot'], { provider: 'openai', model: 'gpt-4o-mini' });
+  expect(first).toMatchObject({ fw: 'cot', completed: 2, errors: 0, accuracy: 1, exact: 0.5, f1: 0.75, avgTokens: 1200, avgTimeMs: 1500 });
+  expect(first.costUsd).toBeGreaterThan(0);
+  expect(second).toMatchObject({ fw: 'react', completed: 2, errors: 1, accuracy: 0 });
+});
+
+test('runs against a local server cost nothing', () => {
+  const board = summarizeBenchmark(rows, ['cot', 'react'], { provider: 'ollama', model: 'llama3' });
+  expect(board.map((row) => row.costUsd)).toEqual([0, 0]);
+});
@@ -0,0 +1,93 @@
+/**
+ * BM25 ranking over text chunks.
+ *
+ * Chunks store their term frequencies (`tf`) and token count (`length`)
+ * at index time, so searching only needs document frequencies, which are
+ * computed once per corpus by `createBm25Index`.
+ *
+ * @module bm25
+ */
+
+/** Term-frequency saturation. */
+const K1 = 1.2;
+/** Length normalization (0 = none, 1 = full). */
+const B = 0.75;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'do', 'does', 'for', 'from', 'has', 'have',
+  'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'of', 'on', 'or', 'our', 'so', 'than', 'that',
+  'the', 'their', 'then', 'there', 'these', 'this', 'to', 'was', 'we', 'were', 'what', 'when', 'where',
+  'which', 'who', 'why', 'will', 'with', 'you', 'your',
+]);
+
+/**
+ * Lowercase word tokens without stopwords; a light plural stem makes
+ * "policies" / "policy" and "docs" / "doc" match.
+ *
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+  return (String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+    .filter((t) => !STOPWORDS.has(t))
+    .map((t) => {
+      if (t.length > 4 && t.endsWith('ies')) return `${t.slice(0, -3)}y`;
+      if (t.length > 3 && t.endsWith('s') && !t.endsWith('ss')) return t.slice(0, -1);
+      return t;
+    });
+}
+
+/**
+ * Count term occurrences.
+ * @param {string[]} tokens
+ * @returns {Object<string, number>} Without a prototype, so terms like "constructor" count from zero
+ */
+export function termFrequencies(tokens) {
+  const tf = Object.create(null);
+  for (const t of tokens) tf[t] = (tf[t] || 0) + 1;
+  return tf;
+}
+
+/**
+ * Build a BM25 index over chunks that carry `tf` and `length`.
+ *
+ * @template {{ tf: Object<string, number>, length: number }} T
+ * @param {T[]} chunks
+ * @returns {{ size: number, search: (query: string, k?: number) => Array<{ chunk: T, score: number }> }}
+ */
+export function createBm25Index(chunks) {
+  const df = new Map();
+  let totalLength = 0;
+  for (const chunk of chunks) {
+    totalLength += chunk.length;
+    for (const term of Object.keys(chunk.tf)) df.set(term, (df.get(term) || 0) + 1);
+  }
+  const n = chunks.length;
+  const avgLength = n > 0 ? totalLength / n : 0;
+  const idf = (term) => {
+    const f = df.get(term) || 0;
+    return Math.log(1 + (n - f + 0.5) / (f + 0.5));
+  };
+
+  return {
+    size: n,
+    search(query, k = 5) {
+      const terms = [...new Set(tokenize(query))].filter((t) => df.has(t));
+      if (terms.length === 0) return [];
+      return chunks
+        .map((chunk) => {
+          let score = 0;
+          for (const term of terms) {
+            // Stored chunks come back from IndexedDB as plain objects, so only own counts are terms
+            const f = Object.hasOwn(chunk.tf, term) ? chunk.tf[term] : 0;
+            if (typeof f !== 'number' || !f) continue;
+            score += idf(term) * ((f * (K1 + 1)) / (f + K1 * (1 - B + (B * chunk.length) / (avgLength || 1))));
+          }
+          return { chunk, score };
+        })
+        .filter((hit) => hit.score > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, k);
+    },
+  };
+}
@@ -0,0 +1,32 @@
+import { createBm25Index, termFrequencies, tokenize } from './bm25';
+
+const chunk = (text) => {
+  const tokens = tokenize(text);
+  return { text, tf: termFrequencies(tokens), length: tokens.length };
+};
+
+test('tokenize lowercases, drops stopwords and stems plurals', () => {
+  expect(tokenize('The refund policies of our Stores')).toEqual(['refund', 'policy', 'store']);
+});
+
+test('search ranks chunks by BM25 and skips chunks without query terms', () => {
+  const index = createBm25Index([
+    chunk('Shipping takes three to five days.'),
+    chunk('Refunds are issued within 30 days. Refund requests need a receipt.'),
+    chunk('A refund for digital goods is not possible.'),
+  ]);
+  const hits = index.search('refund receipt');
+  expect(hits.map((hit) => hit.chunk.text)).toEqual([
+    'Refunds are issued within 30 days. Refund requests need a receipt.',
+    'A refund for digital goods is not possible.',
+  ]);
+  expect(index.search('warranty')).toEqual([]);
+});
+
+test('prototype names are ordinary terms, also in chunks read back from storage', () => {
+  // IndexedDB returns plain objects, so `tf` has a prototype again
+  const stored = { text: 'toString and valueOf', tf: { tostring: 1, valueof: 1 }, length: 2 };
+  const index = createBm25Index([chunk('The constructor of a class'), stored]);
+  expect(index.search('constructor').map((hit) => hit.chunk.text)).toEqual(['The constructor of a class']);
+  expect(index.search('hasOwnProperty')).toEqual([]);
+});
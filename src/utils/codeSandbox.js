@@ -0,0 +1,303 @@
+/**
+ * Sandboxed JavaScript execution in a throwaway Web Worker.
+ *
+ * Guards:
+ * - **Isolation** — code runs in a dedicated worker (no DOM); network and
+ *   storage globals (fetch, XMLHttpRequest, WebSocket, importScripts,
+ *   indexedDB, …) are deleted before any user code runs
+ * - **No imports** — code that mentions `import` (dynamic `import()` would
+ *   still load modules over the network) is refused before it runs; `eval`,
+ *   the Function constructors and string timers are disabled, so the keyword
+ *   cannot be assembled at run time either
+ * - **Timeout** — the worker is terminated after `timeoutMs`, which also
+ *   stops runaway allocation
+ * - **Iteration guard** — braced `for` / `while` / `do` loops are
+ *   instrumented to throw after `maxIterations` total iterations (loop
+ *   keywords inside strings, templates, comments and regexes are left alone)
+ * - **Output cap** — captured console output is truncated at MAX_OUTPUT_CHARS
+ *
+ * A fresh worker is created per run, so no state leaks between programs.
+ *
+ * @module codeSandbox
+ */
+
+/**
+ * @typedef {object} SandboxResult
+ * @property {boolean} ok       - False on error, timeout, or guard violation
+ * @property {string}  stdout   - Captured console output
+ * @property {string}  [result] - The program's return value, stringified (undefined if none)
+ * @property {string}  [error]  - Error message when !ok
+ * @property {boolean} [truncated] - True if stdout hit MAX_OUTPUT_CHARS
+ * @property {number}  timeMs   - Wall-clock execution time
+ */
+
+export const DEFAULT_TIMEOUT_MS = 5000;
+export const DEFAULT_MAX_ITERATIONS = 1000000;
+const MAX_OUTPUT_CHARS = 10000;
+
+// Runs inside the worker. Kept as plain source (not a bundled function) so
+// the transpiler cannot inject helpers that would be undefined in the worker.
+const WORKER_SOURCE = `
+'use strict';
+var BLOCKED = ['fetch', 'XMLHttpRequest', 'WebSocket', 'WebSocketStream', 'WebTransport', 'EventSource',
+  'importScripts', 'indexedDB', 'caches', 'Worker', 'SharedWorker', 'BroadcastChannel',
+  'RTCPeerConnection', 'Request', 'Response', 'Headers', 'navigator', 'location', 'postMessage', 'close',
+  'eval', 'Function'];
+var post = self.postMessage.bind(self);
+var AsyncFunction = Object.getPrototypeOf(async function () {}).constructor;
+
+// No code from strings: every function constructor, and string timers
+[function () {}, async function () {}, function* () {}, async function* () {}].forEach(function (f) {
+  Object.defineProperty(Object.getPrototypeOf(f), 'constructor', { value: undefined, writable: false, configurable: false });
+});
+['setTimeout', 'setInterval'].forEach(function (name) {
+  var timer = self[name].bind(self);
+  self[name] = function (handler) {
+    if (typeof handler !== 'function') throw new TypeError(name + ' needs a function');
+    return timer.apply(null, arguments);
+  };
+});
+BLOCKED.forEach(function (name) {
+  for (var o = self; o; o = Object.getPrototypeOf(o)) {
+    try { if (Object.prototype.hasOwnProperty.call(o, name)) delete o[name]; } catch (e) { /* non-configurable */ }
+  }
+  try { Object.defineProperty(self, name, { value: undefined, writable: false, configurable: false }); } catch (e) { /* ignore */ }
+});
+
+function format(value) {
+  if (typeof value === 'string') return value;
+  if (value instanceof Error) return value.name + ': ' + value.message;
+  try {
+    var json = JSON.stringify(value);
+    return json === undefined ? String(value) : json;
+  } catch (e) {
+    return String(value);
+  }
+}
+
+self.onmessage = async function (event) {
+  var data = event.data;
+  var out = '';
+  var truncated = false;
+  var write = function () {
+    if (truncated) return;
+    out += Array.prototype.map.call(arguments, format).join(' ') + '\\n';
+    if (out.length > data.maxOutput) {
+      out = out.slice(0, data.maxOutput) + '\\n[output truncated]';
+      truncated = true;
+    }
+  };
+  var sandboxConsole = { log: write, info: write, warn: write, error: write, debug: write };
+  var iterations = 0;
+  var tick = function () {
+    if (++iterations > data.maxIterations) {
+      throw new Error('Iteration limit exceeded (' + data.maxIterations + ' loop iterations)');
+    }
+  };
+  try {
+    var fn = new AsyncFunction('console', '__tick', 'self', 'globalThis', '"use strict";\\n' + data.code);
+    var value = await fn(sandboxConsole, tick, undefined, undefined);
+    post({ ok: true, stdout: out, result: value === undefined ? undefined : format(value), truncated: truncated });
+  } catch (err) {
+    var message = err && err.message ? (err.name ? err.name + ': ' : '') + err.message : String(err);
+    post({ ok: false, stdout: out, error: message, truncated: truncated });
+  }
+};
+`;
+
+let workerUrl = null;
+
+function getWorkerUrl() {
+  if (!workerUrl) {
+    workerUrl = URL.createObjectURL(new Blob([WORKER_SOURCE], { type: 'text/javascript' }));
+  }
+  return workerUrl;
+}
+
+/**
+ * Why the code may not run, or null. Any `import` is refused, even in a
+ * string: a false positive costs a rewrite, a missed `import()` a network call.
+ *
+ * @param {string} code
+ * @returns {string|null}
+ */
+export function checkCode(code) {
+  if (/\bimport(?:Scripts)?\b/.test(code)) {
+    return 'import() and importScripts are not available: the sandbox has no network access';
+  }
+  return null;
+}
+
+/** A `/` after these starts a regex literal rather than a division. */
+const REGEX_PRECEDERS = /^(?:|[(,=:[!&|?{};+\-*%<>~^]|return|typeof|instanceof|in|of|new|delete|void|throw|case|do|else|yield|await)$/;
+
+/**
+ * The code with the text of strings, template literals (not their `${…}`
+ * expressions), comments and regex literals replaced by spaces, so keyword
+ * searches only see code. Positions and line breaks are unchanged.
+ *
+ * @param {string} code
+ * @returns {string}
+ */
+export function maskLiterals(code) {
+  const n = code.length;
+  const masked = code.split('');
+  const blank = (from, to) => {
+    for (let k = from; k < Math.min(to, n); k++) if (masked[k] !== '\n') masked[k] = ' ';
+  };
+  // Open braces inside each `${…}` being scanned, innermost last
+  const braces = [];
+  let prev = '';
+  let i = 0;
+
+  // Scan template text from i up to the closing backtick or the next `${`
+  const templateText = (start) => {
+    while (i < n) {
+      if (code[i] === '\\') {
+        i += 2;
+      } else if (code[i] === '`') {
+        i++;
+        break;
+      } else if (code[i] === '$' && code[i + 1] === '{') {
+        i += 2;
+        braces.push(0);
+        break;
+      } else {
+        i++;
+      }
+    }
+    blank(start, i);
+    prev = braces.length > 0 && code[i - 1] === '{' ? '{' : 'a';
+  };
+
+  while (i < n) {
+    const c = code[i];
+    const next = code[i + 1];
+    if (c === '/' && next === '/') {
+      const end = code.indexOf('\n', i);
+      const stop = end === -1 ? n : end;
+      blank(i, stop);
+      i = stop;
+    } else if (c === '/' && next === '*') {
+      const end = code.indexOf('*/', i + 2);
+      const stop = end === -1 ? n : end + 2;
+      blank(i, stop);
+      i = stop;
+    } else if (c === '"' || c === "'") {
+      let j = i + 1;
+      while (j < n && code[j] !== c && code[j] !== '\n') j += code[j] === '\\' ? 2 : 1;
+      blank(i, j + 1);
+      i = j + 1;
+      prev = 'a';
+    } else if (c === '`') {
+      const start = i;
+      i++;
+      templateText(start);
+    } else if (c === '/' && REGEX_PRECEDERS.test(prev)) {
+      let j = i + 1;
+      let inClass = false;
+      while (j < n && code[j] !== '\n') {
+        if (code[j] === '\\') { j += 2; continue; }
+        if (code[j] === '[') inClass = true;
+        else if (code[j] === ']') inClass = false;
+        else if (code[j] === '/' && !inClass) break;
+        j++;
+      }
+      j++;
+      while (j < n && /\w/.test(code[j])) j++;
+      blank(i, j);
+      i = j;
+      prev = 'a';
+    } else if (c === '}' && braces.length > 0 && braces[braces.length - 1] === 0) {
+      // End of a `${…}` expression: back to its template's text
+      braces.pop();
+      const start = i;
+      i++;
+      templateText(start);
+    } else {
+      if (braces.length > 0 && c === '{') braces[braces.length - 1]++;
+      if (braces.length > 0 && c === '}') braces[braces.length - 1]--;
+      if (/[\w$]/.test(c)) {
+        // Whole identifier or keyword, so `return /re/` is seen as a regex
+        let j = i;
+        while (j < n && /[\w$]/.test(code[j])) j++;
+        prev = code.slice(i, j);
+        i = j;
+        continue;
+      }
+      if (!/\s/.test(c)) prev = c;
+      i++;
+    }
+  }
+  return masked.join('');
+}
+
+/**
+ * Insert an iteration check at the top of every braced loop body.
+ * Unbraced loops are not instrumented; the timeout still bounds them.
+ *
+ * @param {string} code
+ * @returns {string}
+ */
+export function instrumentLoops(code) {
+  let out = '';
+  let last = 0;
+  for (const m of maskLiterals(code).matchAll(/\b(?:for|while)\s*\([^{}]*?\)\s*\{|\bdo\s*\{/g)) {
+    const end = m.index + m[0].length;
+    out += `${code.slice(last, end)} __tick();`;
+    last = end;
+  }
+  return out + code.slice(last);
+}
+
+/**
+ * Run JavaScript in a sandboxed worker. The code is an async function body:
+ * `console.log` output is captured and `return <value>` sets the result.
+ *
+ * @param {string} code - JavaScript source
+ * @param {object} [options]
+ * @param {number} [options.timeoutMs]     - Hard time limit (default: DEFAULT_TIMEOUT_MS)
+ * @param {number} [options.maxIterations] - Loop iteration limit (default: DEFAULT_MAX_ITERATIONS)
+ * @param {AbortSignal} [options.signal]   - Terminates the worker when aborted
+ * @returns {Promise<SandboxResult>} Never rejects except with AbortError
+ */
+export function runSandboxedCode(code, { timeoutMs = DEFAULT_TIMEOUT_MS, maxIterations = DEFAULT_MAX_ITERATIONS, signal } = {}) {
+  if (typeof Worker === 'undefined') {
+    return Promise.resolve({ ok: false, stdout: '', error: 'Code execution requires Web Worker support', timeMs: 0 });
+  }
+  if (signal?.aborted) {
+    return Promise.reject(new DOMException('The operation was aborted.', 'AbortError'));
+  }
+  const refused = checkCode(code);
+  if (refused) return Promise.resolve({ ok: false, stdout: '', error: refused, timeMs: 0 });
+
+  return new Promise((resolve, reject) => {
+    const startTime = Date.now();
+    const worker = new Worker(getWorkerUrl());
+    let timer = null;
+
+    const cleanup = () => {
+      clearTimeout(timer);
+      worker.terminate();
+      if (signal) signal.removeEventListener('abort', onAbort);
+    };
+    const finish = (result) => {
+      cleanup();
+      resolve({ ...result, timeMs: Date.now() - startTime });
+    };
+    function onAbort() {
+      cleanup();
+      reject(new DOMException('The operation was aborted.', 'AbortError'));
+    }
+
+    timer = setTimeout(() => finish({ ok: false, stdout: '', error: `Timed out after ${timeoutMs}ms` }), timeoutMs);
+    worker.onmessage = (event) => finish(event.data);
+    worker.onerror = (event) => {
+      event.preventDefault();
+      finish({ ok: false, stdout: '', error: event.message || 'Worker error' });
+    };
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+    worker.postMessage({ code: instrumentLoops(code), maxIterations, maxOutput: MAX_OUTPUT_CHARS });
+  });
+}
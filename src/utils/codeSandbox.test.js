@@ -0,0 +1,35 @@
+/* eslint-disable no-template-curly-in-string -- the inputs are JavaScript source text */
+import { checkCode, instrumentLoops, maskLiterals } from './codeSandbox';
+
+test('loops are instrumented', () => {
+  expect(instrumentLoops('for (let i = 0; i < 3; i++) { x(); } do { y(); } while (z);'))
+    .toBe('for (let i = 0; i < 3; i++) { __tick(); x(); } do { __tick(); y(); } while (z);');
+});
+
+test('loop keywords in strings, templates, comments and regexes are left alone', () => {
+  const code = [
+    "console.log('for (x) {', \"while (y) {\");",
+    'const t = `do { ${[1].map((v) => { return v; })} while (1) {`;',
+    '// for (;;) {',
+    '/* while (1) { */',
+    'const re = /for (a) {/g;',
+  ].join('\n');
+  expect(instrumentLoops(code)).toBe(code);
+});
+
+test('template expressions are code', () => {
+  expect(instrumentLoops('`${(() => { while (a) { b(); } })()}`')).toBe('`${(() => { while (a) { __tick(); b(); } })()}`');
+});
+
+test('masking keeps positions and line breaks', () => {
+  const code = "a = 'x\\'y';\nb = `c${d}e`; // f\nn = 10 / 2 / 5;";
+  const masked = maskLiterals(code);
+  expect(masked).toHaveLength(code.length);
+  expect(masked.split('\n')).toEqual(['a =       ;', 'b =     d   ;     ', 'n = 10 / 2 / 5;']);
+});
+
+test('imports are refused', () => {
+  expect(checkCode("return await import('https://example.com/x.js');")).toMatch(/no network access/);
+  expect(checkCode("importScripts('https://example.com/x.js');")).toMatch(/no network access/);
+  expect(checkCode('const important = 1; return important;')).toBeNull();
+});
@@ -0,0 +1,34 @@
+/**
+ * Bounded-concurrency task execution.
+ * @module concurrency
+ */
+
+/**
+ * Run `worker` over every item with at most `limit` calls in flight.
+ * Results keep the input order. Once `signal` aborts, no new items start;
+ * items already running are left to settle (they receive the same signal).
+ * A worker that throws rejects the whole pool — catch inside `worker` to
+ * record per-item failures instead.
+ *
+ * @template T, R
+ * @param {T[]} items
+ * @param {number} limit - Maximum concurrent workers (at least 1)
+ * @param {(item: T, index: number) => Promise<R>} worker
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<R[]>} Results by input index (unstarted items are undefined)
+ */
+export async function runWithConcurrency(items, limit, worker, signal) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function lane() {
+    while (next < items.length && !signal?.aborted) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  }
+
+  const lanes = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, lane);
+  await Promise.all(lanes);
+  return results;
+}
@@ -5,7 +5,10 @@
  */
 
 /** Valid framework identifiers — used for selection persistence and routing. */
-export const FRAMEWORK_IDS = ['cot', 'react', 'rewoo', 'plan-execute'];
+export const FRAMEWORK_IDS = ['cot', 'react', 'rewoo', 'plan-execute', 'react-fc', 'plan-execute-fc', 'tot', 'reflexion', 'pot', 'self-ask', 'debate', 'auto'];
+
+/** Frameworks selected when nothing has been saved yet. */
+export const DEFAULT_FRAMEWORK_IDS = ['cot', 'react', 'rewoo', 'plan-execute'];
 
 /** Framework display metadata for UI pills and headers. */
 export const FRAMEWORKS = [
@@ -13,17 +16,104 @@ export const FRAMEWORKS = [
   { id: 'react', label: 'ReAct', fullName: 'ReAct', badge: 'Reason + Act' },
   { id: 'rewoo', label: 'ReWOO', fullName: 'ReWOO', badge: 'No Observation' },
   { id: 'plan-execute', label: 'Plan-Exec', fullName: 'Plan-Execute', badge: 'Plan + Replan' },
+  { id: 'react-fc', label: 'ReAct (FC)', fullName: 'ReAct (FC)', badge: 'Native Tools' },
+  { id: 'plan-execute-fc', label: 'Plan-Exec (FC)', fullName: 'Plan-Execute (FC)', badge: 'Native Tools' },
+  { id: 'tot', label: 'ToT', fullName: 'Tree-of-Thoughts', badge: 'Search + Evaluate' },
+  { id: 'reflexion', label: 'Reflexion', fullName: 'Reflexion', badge: 'Act + Self-Reflect' },
+  { id: 'pot', label: 'PoT', fullName: 'Program-of-Thought', badge: 'Code + Execute' },
+  { id: 'self-ask', label: 'Self-Ask', fullName: 'Self-Ask', badge: 'Follow-ups + Search' },
+  { id: 'debate', label: 'Debate', fullName: 'Multi-agent Debate', badge: 'Agents + Rounds' },
+  { id: 'auto', label: 'Auto', fullName: 'Auto (router)', badge: 'Routed' },
+];
+
+/**
+ * LLM providers selectable in settings. Requests are adapted to each
+ * provider's API by the `/api/chat` proxy (see api/_providers.js).
+ * `models` lists suggestions; providers with `freeformModel` accept any ID.
+ * `local` providers are self-hosted and cost nothing in estimates.
+ */
+export const PROVIDERS = [
+  {
+    id: 'openai',
+    label: 'OpenAI',
+    keyLabel: 'OpenAI API Key',
+    keyPlaceholder: 'sk-...',
+    requiresKey: true,
+    models: ['gpt-4o-mini', 'gpt-4o', 'gpt-4-turbo', 'gpt-3.5-turbo'],
+  },
+  {
+    id: 'anthropic',
+    label: 'Anthropic',
+    keyLabel: 'Anthropic API Key',
+    keyPlaceholder: 'sk-ant-...',
+    requiresKey: true,
+    models: ['claude-3-5-haiku-latest', 'claude-3-5-sonnet-latest', 'claude-3-7-sonnet-latest'],
+  },
+  {
+    id: 'azure',
+    label: 'Azure OpenAI',
+    keyLabel: 'Azure API Key',
+    keyPlaceholder: 'Azure resource key',
+    requiresKey: true,
+    baseUrlPlaceholder: 'https://<resource>.openai.azure.com',
+    requiresBaseUrl: true,
+    freeformModel: true,
+    modelLabel: 'Deployment name',
+    models: ['gpt-4o-mini', 'gpt-4o'],
+  },
+  {
+    id: 'ollama',
+    label: 'Ollama (local)',
+    keyLabel: 'API Key (optional)',
+    keyPlaceholder: 'not required',
+    requiresKey: false,
+    local: true,
+    baseUrlPlaceholder: 'http://localhost:11434/v1',
+    freeformModel: true,
+    models: ['llama3.1', 'qwen2.5', 'mistral'],
+  },
+  {
+    id: 'openai-compatible',
+    label: 'OpenAI-compatible (vLLM, LM Studio, …)',
+    keyLabel: 'API Key (optional)',
+    keyPlaceholder: 'not required',
+    requiresKey: false,
+    local: true,
+    baseUrlPlaceholder: 'http://localhost:8000/v1',
+    requiresBaseUrl: true,
+    freeformModel: true,
+    models: [],
+  },
 ];
 
 /** localStorage / sessionStorage keys. */
 export const STORAGE_KEYS = {
   frameworks: 'tf-frameworks',
   apiKey: 'tf-api-key',
-  runHistory: 'tf-run-history',
+  runHistory: 'tf-run-history', // legacy; migrated to IndexedDB by utils/runHistory
+  provider: 'tf-provider',
+  budgets: 'tf-budgets',
+  modelTargets: 'tf-model-targets',
+  prompts: 'tf-prompts',
+  cotExemplars: 'tf-cot-exemplars',
+  routerStats: 'tf-router-stats',
 };
 
-/** Maximum number of runs persisted in history. */
-export const RUN_HISTORY_MAX = 5;
+/**
+ * sessionStorage key for a provider's API key. OpenAI keeps the original
+ * key name so keys saved before provider support are still restored.
+ */
+export function apiKeyStorageKey(provider) {
+  return provider && provider !== 'openai' ? `${STORAGE_KEYS.apiKey}-${provider}` : STORAGE_KEYS.apiKey;
+}
+
+/** Whether settings hold everything the selected provider needs to run. */
+export function isConnectionReady({ provider = 'openai', apiKey = '', baseUrl = '', model = '' }) {
+  const meta = PROVIDERS.find((p) => p.id === provider) || PROVIDERS[0];
+  if (meta.requiresKey && !apiKey.trim()) return false;
+  if (meta.requiresBaseUrl && !baseUrl.trim()) return false;
+  return !!model.trim();
+}
 
 /** Sample questions shown in the empty state. */
 export const SAMPLE_QUESTIONS = [
@@ -42,4 +132,7 @@ export const MODEL_PRICING = {
   'gpt-4o': { input: 2.5, output: 10 },
   'gpt-4-turbo': { input: 10, output: 30 },
   'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+  'claude-3-5-haiku-latest': { input: 0.8, output: 4 },
+  'claude-3-5-sonnet-latest': { input: 3, output: 15 },
+  'claude-3-7-sonnet-latest': { input: 3, output: 15 },
 };
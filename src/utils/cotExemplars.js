@@ -0,0 +1,37 @@
+/**
+ * Custom CoT exemplars saved in Settings, used by CoT's 'custom' prompting
+ * mode in place of the few-shot template's worked examples.
+ *
+ * Stored in localStorage as an array of `{ id, question, rationale }`; the
+ * rationale is the worked answer and should end with "The answer is …", as
+ * CoT extracts answers from that line.
+ *
+ * @module cotExemplars
+ */
+
+import { STORAGE_KEYS } from './constants';
+
+/**
+ * @typedef {object} CotExemplar
+ * @property {string} id
+ * @property {string} question
+ * @property {string} rationale
+ */
+
+/** @returns {CotExemplar[]} */
+export function loadCotExemplars() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEYS.cotExemplars) || '[]');
+    if (!Array.isArray(saved)) return [];
+    return saved
+      .filter((e) => e && typeof e.question === 'string' && typeof e.rationale === 'string')
+      .map((e) => ({ id: String(e.id), question: e.question, rationale: e.rationale }));
+  } catch {
+    return [];
+  }
+}
+
+/** @param {CotExemplar[]} exemplars */
+export function saveCotExemplars(exemplars) {
+  localStorage.setItem(STORAGE_KEYS.cotExemplars, JSON.stringify(exemplars));
+}
@@ -0,0 +1,132 @@
+/**
+ * Document loading and chunking for the local knowledge base.
+ *
+ * - `readDocumentFile` turns an uploaded PDF / Markdown / text file into
+ *   sections (one per PDF page, one for text files)
+ * - `chunkDocument` splits sections into ~CHUNK_WORDS-word passages at
+ *   paragraph (PDF: line) boundaries, tracking the page (PDF) or heading (Markdown)
+ *   each passage came from for citations
+ *
+ * @module documents
+ */
+
+import { extractPdfText } from './pdfText';
+
+/** Target passage size in words. */
+export const CHUNK_WORDS = 180;
+/** Words repeated between consecutive windows of an oversized paragraph. */
+const CHUNK_OVERLAP = 30;
+
+export const DOCUMENT_ACCEPT = '.pdf,.md,.markdown,.txt,.text';
+
+/**
+ * @typedef {object} DocumentSection
+ * @property {string} text
+ * @property {number} [page] - 1-based PDF page number
+ */
+
+/**
+ * @typedef {object} DocumentChunk
+ * @property {number} index     - 0-based position within the document
+ * @property {string} text
+ * @property {number} [page]    - PDF page the passage starts on
+ * @property {string} [heading] - Nearest Markdown heading above the passage
+ */
+
+/**
+ * Read an uploaded file into text sections.
+ *
+ * @param {File} file
+ * @returns {Promise<{ type: 'pdf'|'markdown'|'text', sections: DocumentSection[] }>}
+ * @throws {Error} For unsupported file types or files with no extractable text
+ */
+export async function readDocumentFile(file) {
+  const ext = (file.name.match(/\.([^.]+)$/)?.[1] || '').toLowerCase();
+  let type;
+  let sections;
+  if (ext === 'pdf' || file.type === 'application/pdf') {
+    type = 'pdf';
+    const pages = await extractPdfText(await file.arrayBuffer());
+    sections = pages.map((text, i) => ({ text, page: i + 1 }));
+  } else if (['md', 'markdown', 'txt', 'text'].includes(ext) || file.type.startsWith('text/')) {
+    type = ext === 'md' || ext === 'markdown' ? 'markdown' : 'text';
+    sections = [{ text: await file.text() }];
+  } else {
+    throw new Error('unsupported file type (use PDF, Markdown or plain text)');
+  }
+
+  if (!sections.some((s) => s.text.trim())) {
+    throw new Error(type === 'pdf' ? 'no extractable text (scanned or image-only PDF?)' : 'file is empty');
+  }
+  return { type, sections };
+}
+
+function wordCount(text) {
+  return text.split(/\s+/).filter(Boolean).length;
+}
+
+/** Split one paragraph into overlapping windows of at most CHUNK_WORDS words. */
+function splitLong(paragraph) {
+  const words = paragraph.split(/\s+/).filter(Boolean);
+  const windows = [];
+  for (let start = 0; start < words.length; start += CHUNK_WORDS - CHUNK_OVERLAP) {
+    windows.push(words.slice(start, start + CHUNK_WORDS).join(' '));
+    if (start + CHUNK_WORDS >= words.length) break;
+  }
+  return windows;
+}
+
+/**
+ * Split sections into passages. Passages never span PDF pages, and a
+ * Markdown heading always starts a new passage.
+ *
+ * @param {DocumentSection[]} sections
+ * @param {'pdf'|'markdown'|'text'} type
+ * @returns {DocumentChunk[]}
+ */
+export function chunkDocument(sections, type) {
+  const chunks = [];
+  let heading;
+  let buffer = [];
+  let bufferWords = 0;
+  let page;
+  // PDF text has no paragraph markup, so lines are the unit there
+  const separator = type === 'pdf' ? '\n' : '\n\n';
+
+  const flush = () => {
+    if (buffer.length > 0) {
+      chunks.push({ index: chunks.length, text: buffer.join(separator), page, heading });
+    }
+    buffer = [];
+    bufferWords = 0;
+  };
+
+  for (const section of sections) {
+    page = section.page;
+    for (const raw of section.text.split(type === 'pdf' ? /\n/ : /\n\s*\n/)) {
+      const paragraph = raw.trim();
+      if (!paragraph) continue;
+
+      const headingMatch = type === 'markdown' && paragraph.match(/^#{1,6}\s+(.+)/);
+      if (headingMatch) {
+        flush();
+        heading = headingMatch[1].replace(/#+\s*$/, '').trim();
+      }
+
+      const words = wordCount(paragraph);
+      if (words > CHUNK_WORDS) {
+        flush();
+        for (const window of splitLong(paragraph)) {
+          buffer = [window];
+          flush();
+        }
+        continue;
+      }
+      if (bufferWords + words > CHUNK_WORDS) flush();
+      buffer.push(paragraph);
+      bufferWords += words;
+    }
+    flush();
+  }
+  return chunks;
+}
@@ -0,0 +1,270 @@
+/**
+ * A/B experiments — repeated trials of several configurations, with
+ * bootstrap confidence intervals and a significance verdict.
+ *
+ * An experiment has two or more arms, each a configuration (framework,
+ * prompt versions, model, CoT samples). Every arm runs every question
+ * `repeats` times; each trial records whether its answer matched the
+ * reference answer (when there is one), its tokens and its latency.
+ *
+ * For each arm and metric the report gives the mean, the sample variance and
+ * a percentile bootstrap interval of the mean. Every other arm is compared
+ * with the first arm (the baseline) by bootstrapping the difference of
+ * means; the difference is significant when its interval excludes zero.
+ * With several questions the bootstrap resamples questions — the same ones
+ * for both arms — so the intervals include question-to-question variation;
+ * with one question it resamples the trials. The generator is seeded, so
+ * the same trials always give the same report.
+ *
+ * @module experiment
+ */
+
+export const EXPERIMENT_REPORT_VERSION = 1;
+
+/**
+ * @typedef {object} ExperimentTrial
+ * @property {string} arm      - Arm ID
+ * @property {number} item     - Question ID (see BenchmarkItem)
+ * @property {number} repeat   - 0-based repetition
+ * @property {string|null} answer
+ * @property {boolean|null} correct - Normalized match with the reference; null without one
+ * @property {number} tokens
+ * @property {number} timeMs
+ * @property {number} costUsd
+ * @property {string} [error]
+ */
+
+/**
+ * @typedef {object} MetricSummary
+ * @property {number} n
+ * @property {number} mean
+ * @property {number} variance - Sample variance of the trials (0 below two trials)
+ * @property {number} sd
+ * @property {[number, number]|null} ci - Bootstrap interval of the mean; null below two trials
+ */
+
+/** Compared metrics; `value` reads a trial. */
+export const METRICS = {
+  accuracy: { label: 'Accuracy', higherIsBetter: true, value: (t) => (t.correct ? 1 : 0) },
+  tokens: { label: 'Tokens', higherIsBetter: false, value: (t) => t.tokens },
+  latency: { label: 'Latency', higherIsBetter: false, value: (t) => t.timeMs },
+};
+
+const DEFAULTS = { resamples: 2000, confidence: 0.95, seed: 1 };
+
+// ── Statistics ───────────────────────────────────────────────────
+
+/** Seeded uniform generator in [0, 1) (mulberry32). */
+export function createRng(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function mean(values) {
+  return values.length ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+}
+
+function variance(values) {
+  if (values.length < 2) return 0;
+  const m = mean(values);
+  return values.reduce((acc, v) => acc + (v - m) ** 2, 0) / (values.length - 1);
+}
+
+/** Linear-interpolated quantile of sorted values. */
+function quantile(sorted, q) {
+  const pos = (sorted.length - 1) * q;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+function interval(estimates, confidence) {
+  const sorted = [...estimates].sort((a, b) => a - b);
+  const tail = (1 - confidence) / 2;
+  return [quantile(sorted, tail), quantile(sorted, 1 - tail)];
+}
+
+/** Values of one metric grouped by question, in `itemIds` order. */
+function clusters(trials, metric, itemIds) {
+  return itemIds.map((id) => trials.filter((t) => t.item === id).map(METRICS[metric].value));
+}
+
+/** Mean of the values of the picked clusters (NaN if they hold none). */
+function pooledMean(groups, picks) {
+  let sum = 0;
+  let n = 0;
+  for (const i of picks) {
+    for (const v of groups[i]) { sum += v; n++; }
+  }
+  return n ? sum / n : NaN;
+}
+
+function resampleIndices(n, rng) {
+  return Array.from({ length: n }, () => Math.floor(rng() * n));
+}
+
+/** Bootstrap means of one arm: resample questions, or trials with one question. */
+function bootstrapMeans(groups, { resamples, rng }) {
+  const single = groups.length === 1;
+  const values = single ? groups[0].map((v) => [v]) : groups;
+  const estimates = [];
+  for (let b = 0; b < resamples; b++) {
+    const m = pooledMean(values, resampleIndices(values.length, rng));
+    if (!Number.isNaN(m)) estimates.push(m);
+  }
+  return estimates;
+}
+
+/**
+ * Bootstrap differences of means (arm − baseline). With several questions
+ * the same resampled questions are used for both arms (paired); with one,
+ * each arm's trials are resampled independently.
+ */
+function bootstrapDifferences(baseGroups, armGroups, { resamples, rng }) {
+  const estimates = [];
+  const single = baseGroups.length === 1;
+  const base = single ? baseGroups[0].map((v) => [v]) : baseGroups;
+  const arm = single ? armGroups[0].map((v) => [v]) : armGroups;
+  for (let b = 0; b < resamples; b++) {
+    const armPicks = resampleIndices(arm.length, rng);
+    const basePicks = single ? resampleIndices(base.length, rng) : armPicks;
+    const d = pooledMean(arm, armPicks) - pooledMean(base, basePicks);
+    if (!Number.isNaN(d)) estimates.push(d);
+  }
+  return estimates;
+}
+
+// ── Analysis ─────────────────────────────────────────────────────
+
+/**
+ * Summarize one metric of one arm.
+ * @returns {MetricSummary}
+ */
+function summarizeMetric(trials, metric, itemIds, options) {
+  const values = trials.map(METRICS[metric].value);
+  const v = variance(values);
+  const estimates = values.length > 1 ? bootstrapMeans(clusters(trials, metric, itemIds), options) : [];
+  return {
+    n: values.length,
+    mean: mean(values),
+    variance: v,
+    sd: Math.sqrt(v),
+    ci: estimates.length > 0 ? interval(estimates, options.confidence) : null,
+  };
+}
+
+/**
+ * Compare one metric of an arm with the baseline.
+ * @returns {{ diff: number, ci: [number, number]|null, pValue: number|null,
+ *   verdict: 'better'|'worse'|'no-difference'|'insufficient' }} `pValue` is
+ *   the two-sided bootstrap p-value
+ */
+function compareMetric(baseTrials, armTrials, metric, itemIds, options) {
+  const diff = mean(armTrials.map(METRICS[metric].value)) - mean(baseTrials.map(METRICS[metric].value));
+  if (baseTrials.length < 2 || armTrials.length < 2) return { diff, ci: null, pValue: null, verdict: 'insufficient' };
+
+  const estimates = bootstrapDifferences(
+    clusters(baseTrials, metric, itemIds),
+    clusters(armTrials, metric, itemIds),
+    options
+  );
+  if (estimates.length === 0) return { diff, ci: null, pValue: null, verdict: 'insufficient' };
+  const ci = interval(estimates, options.confidence);
+  const below = estimates.filter((d) => d <= 0).length / estimates.length;
+  const above = estimates.filter((d) => d >= 0).length / estimates.length;
+  const pValue = Math.min(1, 2 * Math.min(below, above));
+
+  let verdict = 'no-difference';
+  if (ci[0] > 0 || ci[1] < 0) {
+    verdict = (diff > 0) === METRICS[metric].higherIsBetter ? 'better' : 'worse';
+  }
+  return { diff, ci, pValue, verdict };
+}
+
+/**
+ * Per-arm summaries and comparisons with the baseline (the first arm).
+ * Accuracy is only analyzed when the trials have reference answers.
+ *
+ * @param {Array<{id: string, label: string}>} arms
+ * @param {ExperimentTrial[]} trials
+ * @param {object} [options]
+ * @param {number} [options.resamples=2000]
+ * @param {number} [options.confidence=0.95]
+ * @param {number} [options.seed=1]
+ * @returns {{
+ *   metrics: string[],
+ *   confidence: number, resamples: number, seed: number,
+ *   arms: Array<{id: string, label: string, trials: number, errors: number, costUsd: number, metrics: Object<string, MetricSummary>}>,
+ *   comparisons: Array<{arm: string, baseline: string, metric: string, diff: number, ci: [number, number]|null, pValue: number|null, verdict: string}>
+ * }}
+ */
+export function analyzeExperiment(arms, trials, options = {}) {
+  const settings = { ...DEFAULTS, ...options };
+  const rng = createRng(settings.seed);
+  const bootstrap = { resamples: settings.resamples, confidence: settings.confidence, rng };
+
+  const itemIds = [...new Set(trials.map((t) => t.item))];
+  const metrics = Object.keys(METRICS).filter((m) => m !== 'accuracy' || trials.some((t) => t.correct != null));
+  const byArm = Object.fromEntries(arms.map((arm) => [arm.id, trials.filter((t) => t.arm === arm.id)]));
+
+  const summaries = arms.map((arm) => {
+    const own = byArm[arm.id];
+    return {
+      id: arm.id,
+      label: arm.label,
+      trials: own.length,
+      errors: own.filter((t) => t.error).length,
+      costUsd: own.reduce((acc, t) => acc + (t.costUsd || 0), 0),
+      metrics: Object.fromEntries(metrics.map((m) => [m, summarizeMetric(own, m, itemIds, bootstrap)])),
+    };
+  });
+
+  const [baseline, ...others] = arms;
+  const comparisons = others.flatMap((arm) => metrics.map((m) => ({
+    arm: arm.id,
+    baseline: baseline.id,
+    metric: m,
+    ...compareMetric(byArm[baseline.id], byArm[arm.id], m, itemIds, bootstrap),
+  })));
+
+  return {
+    metrics,
+    confidence: settings.confidence,
+    resamples: settings.resamples,
+    seed: settings.seed,
+    arms: summaries,
+    comparisons,
+  };
+}
+
+/**
+ * Exportable experiment report.
+ *
+ * @param {object} setup
+ * @param {object[]} setup.arms      - Arm descriptions (framework, model, prompt versions, nSamples; no API keys)
+ * @param {Array<{id: number, question: string, gold: string|null}>} setup.items
+ * @param {number} setup.repeats
+ * @param {string} [setup.dataset]   - Dataset file name, if any
+ * @param {ExperimentTrial[]} trials
+ * @param {ReturnType<typeof analyzeExperiment>} analysis
+ * @param {string} [timestamp]
+ * @returns {object}
+ */
+export function buildExperimentReport({ arms, items, repeats, dataset }, trials, analysis, timestamp = new Date().toISOString()) {
+  return {
+    version: EXPERIMENT_REPORT_VERSION,
+    timestamp,
+    dataset: dataset || null,
+    repeats,
+    arms,
+    items,
+    analysis,
+    trials,
+  };
+}
@@ -0,0 +1,51 @@
+import { analyzeExperiment, createRng } from './experiment';
+
+const arms = [{ id: 'a', label: 'CoT' }, { id: 'b', label: 'ReAct' }];
+
+/** `repeats` trials of each arm on each question. */
+function makeTrials(items, repeats, trialOf) {
+  return arms.flatMap(({ id }) => items.flatMap((item) => Array.from({ length: repeats }, (_, repeat) => ({
+    arm: id, item, repeat, answer: 'x', costUsd: 0.001, ...trialOf(id, item, repeat),
+  }))));
+}
+
+test('the generator is seeded', () => {
+  const draw = (seed) => { const rng = createRng(seed); return [rng(), rng(), rng()]; };
+  expect(draw(7)).toEqual(draw(7));
+  expect(draw(7)).not.toEqual(draw(8));
+});
+
+test('a clear difference is significant in the right direction', () => {
+  const trials = makeTrials([1], 10, (arm, item, repeat) => ({
+    correct: arm === 'b',
+    tokens: arm === 'b' ? 200 + repeat : 100 + repeat,
+    timeMs: 1000 + (repeat % 3) * 100,
+  }));
+  const analysis = analyzeExperiment(arms, trials, { resamples: 500 });
+  const verdicts = Object.fromEntries(analysis.comparisons.map((c) => [c.metric, c]));
+
+  expect(analysis.metrics).toEqual(['accuracy', 'tokens', 'latency']);
+  expect(verdicts.accuracy).toMatchObject({ diff: 1, verdict: 'better', pValue: 0 });
+  expect(verdicts.tokens).toMatchObject({ diff: 100, verdict: 'worse' });
+  expect(verdicts.latency.verdict).toBe('no-difference');
+
+  const [a] = analysis.arms;
+  expect(a).toMatchObject({ trials: 10, errors: 0 });
+  expect(a.costUsd).toBeCloseTo(0.01);
+  expect(a.metrics.tokens.mean).toBe(104.5);
+  expect(a.metrics.tokens.ci[0]).toBeLessThan(104.5);
+  expect(a.metrics.tokens.ci[1]).toBeGreaterThan(104.5);
+});
+
+test('the same trials always give the same report', () => {
+  const trials = makeTrials([1, 2, 3], 2, (arm, item, repeat) => ({ correct: (item + repeat) % 2 === 0, tokens: 100 * item, timeMs: 500 }));
+  expect(analyzeExperiment(arms, trials, { resamples: 200 })).toEqual(analyzeExperiment(arms, trials, { resamples: 200 }));
+});
+
+test('accuracy is skipped without reference answers, and one trial is insufficient', () => {
+  const trials = makeTrials([1], 1, () => ({ correct: null, tokens: 100, timeMs: 500 }));
+  const analysis = analyzeExperiment(arms, trials);
+  expect(analysis.metrics).toEqual(['tokens', 'latency']);
+  expect(analysis.comparisons.every((c) => c.verdict === 'insufficient')).toBe(true);
+  expect(analysis.arms[0].metrics.tokens.ci).toBeNull();
+});
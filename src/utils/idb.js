@@ -0,0 +1,104 @@
+/**
+ * Minimal promise wrapper around the app's IndexedDB database.
+ *
+ * All client-side stores live in one database; `upgrade` creates any store
+ * that is missing, so bump DB_VERSION whenever a store is added.
+ *
+ * @module idb
+ */
+
+const DB_NAME = 'thinking-frameworks';
+const DB_VERSION = 2;
+
+let dbPromise = null;
+
+function upgrade(db) {
+  // Knowledge base: uploaded documents and their indexed passages
+  if (!db.objectStoreNames.contains('documents')) {
+    db.createObjectStore('documents', { keyPath: 'id' });
+  }
+  if (!db.objectStoreNames.contains('chunks')) {
+    db.createObjectStore('chunks', { keyPath: 'id' }).createIndex('docId', 'docId');
+  }
+  // Run history: list summaries, and full results loaded only when a run is opened
+  if (!db.objectStoreNames.contains('runs')) {
+    db.createObjectStore('runs', { keyPath: 'id' });
+  }
+  if (!db.objectStoreNames.contains('runTraces')) {
+    db.createObjectStore('runTraces', { keyPath: 'id' });
+  }
+}
+
+/**
+ * Open (once) and return the app database.
+ * @returns {Promise<IDBDatabase>}
+ * @throws {Error} If IndexedDB is unavailable (e.g. some private browsing modes)
+ */
+export function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available in this browser'));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => upgrade(request.result);
+      request.onsuccess = () => {
+        const db = request.result;
+        // Let a newer version in another tab upgrade instead of blocking it
+        db.onversionchange = () => {
+          db.close();
+          dbPromise = null;
+        };
+        resolve(db);
+      };
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => reject(new Error('Database upgrade blocked by another open tab'));
+    });
+    // Allow a retry after a failed open
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+}
+
+/**
+ * Resolve with an IDBRequest's result.
+ * @param {IDBRequest} request
+ * @returns {Promise<*>}
+ */
+export function requestResult(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Run `work(tx)` in a transaction and resolve with its return value once the
+ * transaction commits.
+ *
+ * @template T
+ * @param {string|string[]} storeNames
+ * @param {'readonly'|'readwrite'} mode
+ * @param {(tx: IDBTransaction) => T | Promise<T>} work
+ * @returns {Promise<T>}
+ */
+export async function withTransaction(storeNames, mode, work) {
+  const db = await openDatabase();
+  const tx = db.transaction(storeNames, mode);
+  const done = new Promise((resolve, reject) => {
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+  });
+  let result;
+  try {
+    result = await work(tx);
+  } catch (err) {
+    done.catch(() => {});
+    try { tx.abort(); } catch { /* already finished */ }
+    throw err;
+  }
+  await done;
+  return result;
+}
@@ -0,0 +1,153 @@
+/**
+ * Local document knowledge base — uploaded files, chunked and BM25-indexed
+ * entirely in the browser and persisted in IndexedDB.
+ *
+ * Each passage is stored with its term frequencies, so the in-memory BM25
+ * index is rebuilt from IndexedDB without re-tokenizing; it is cached until
+ * the next add/remove.
+ *
+ * @module knowledgeBase
+ */
+
+/**
+ * @typedef {object} KnowledgeDocument
+ * @property {string} id
+ * @property {string} name       - Original file name (used in citations)
+ * @property {'pdf'|'markdown'|'text'} type
+ * @property {number} size       - File size in bytes
+ * @property {number} chunkCount - Indexed passages
+ * @property {number} pages      - PDF page count (0 for text files)
+ * @property {string} addedAt    - ISO timestamp
+ */
+
+/**
+ * @typedef {object} KnowledgeHit
+ * @property {string} citation - e.g. "handbook.pdf, p. 3" or "guide.md § Setup"
+ * @property {string} source   - Document name
+ * @property {string} text     - Passage text
+ * @property {number} score    - BM25 score
+ */
+
+import { withTransaction, requestResult } from './idb';
+import { readDocumentFile, chunkDocument } from './documents';
+import { tokenize, termFrequencies, createBm25Index } from './bm25';
+
+let indexPromise = null;
+
+function invalidateIndex() {
+  indexPromise = null;
+}
+
+/** Chunks joined with their document names, indexed for BM25. */
+function loadIndex() {
+  if (!indexPromise) {
+    indexPromise = withTransaction(['documents', 'chunks'], 'readonly', async (tx) => {
+      const [docs, chunks] = await Promise.all([
+        requestResult(tx.objectStore('documents').getAll()),
+        requestResult(tx.objectStore('chunks').getAll()),
+      ]);
+      const names = Object.fromEntries(docs.map((d) => [d.id, d.name]));
+      return createBm25Index(chunks.map((c) => ({ ...c, source: names[c.docId] || 'unknown' })));
+    });
+    indexPromise.catch(invalidateIndex);
+  }
+  return indexPromise;
+}
+
+/**
+ * Human-readable source of a passage.
+ * @param {{ source: string, page?: number, heading?: string }} chunk
+ * @returns {string}
+ */
+export function formatCitation({ source, page, heading }) {
+  if (page) return `${source}, p. ${page}`;
+  if (heading) return `${source} § ${heading}`;
+  return source;
+}
+
+/**
+ * List indexed documents, oldest first.
+ * @returns {Promise<KnowledgeDocument[]>}
+ */
+export async function listDocuments() {
+  const docs = await withTransaction('documents', 'readonly', (tx) => requestResult(tx.objectStore('documents').getAll()));
+  return docs.sort((a, b) => a.addedAt.localeCompare(b.addedAt));
+}
+
+/**
+ * Read, chunk and index an uploaded file. A document with the same file
+ * name is replaced.
+ *
+ * @param {File} file
+ * @returns {Promise<KnowledgeDocument>}
+ * @throws {Error} If the file can't be read (see readDocumentFile)
+ */
+export async function addDocument(file) {
+  const { type, sections } = await readDocumentFile(file);
+  const chunks = chunkDocument(sections, type);
+  const existing = (await listDocuments()).find((d) => d.name === file.name);
+  const doc = {
+    id: `doc-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    name: file.name,
+    type,
+    size: file.size,
+    chunkCount: chunks.length,
+    pages: type === 'pdf' ? sections.length : 0,
+    addedAt: new Date().toISOString(),
+  };
+
+  await withTransaction(['documents', 'chunks'], 'readwrite', async (tx) => {
+    if (existing) await deleteInTransaction(tx, existing.id);
+    tx.objectStore('documents').put(doc);
+    const store = tx.objectStore('chunks');
+    for (const chunk of chunks) {
+      const tokens = tokenize(chunk.heading ? `${chunk.heading}\n${chunk.text}` : chunk.text);
+      store.put({ ...chunk, id: `${doc.id}:${chunk.index}`, docId: doc.id, tf: termFrequencies(tokens), length: tokens.length });
+    }
+  });
+  invalidateIndex();
+  return doc;
+}
+
+async function deleteInTransaction(tx, docId) {
+  const chunks = tx.objectStore('chunks');
+  const keys = await requestResult(chunks.index('docId').getAllKeys(docId));
+  for (const key of keys) chunks.delete(key);
+  tx.objectStore('documents').delete(docId);
+}
+
+/**
+ * Remove a document and its passages.
+ * @param {string} docId
+ */
+export async function removeDocument(docId) {
+  await withTransaction(['documents', 'chunks'], 'readwrite', (tx) => deleteInTransaction(tx, docId));
+  invalidateIndex();
+}
+
+/** Remove every document. */
+export async function clearDocuments() {
+  await withTransaction(['documents', 'chunks'], 'readwrite', (tx) => {
+    tx.objectStore('documents').clear();
+    tx.objectStore('chunks').clear();
+  });
+  invalidateIndex();
+}
+
+/**
+ * Rank passages for a query.
+ *
+ * @param {string} query
+ * @param {number} [k] - Maximum passages (default: 4)
+ * @returns {Promise<KnowledgeHit[]|null>} Ranked hits, or null if the knowledge base is empty
+ */
+export async function searchDocuments(query, k = 4) {
+  const index = await loadIndex();
+  if (index.size === 0) return null;
+  return index.search(query, k).map(({ chunk, score }) => ({
+    citation: formatCitation(chunk),
+    source: chunk.source,
+    text: chunk.text,
+    score,
+  }));
+}
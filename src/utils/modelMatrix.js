@@ -0,0 +1,193 @@
+/**
+ * Multi-model matrix runs — the same frameworks run on several models.
+ *
+ * A matrix config carries `models`: the primary connection first, then each
+ * extra model target, as `{ provider, baseUrl, model, apiKey }` (the API key
+ * is stripped before a run is saved or exported). Results are keyed by cell,
+ * `cellKey(frameworkId, modelIndex)`, e.g. `'react@1'`.
+ *
+ * The extra targets are chosen in Settings and switched on or off per run
+ * from the question bar.
+ *
+ * @module modelMatrix
+ */
+
+import { basicNormalize, areSimilar } from './answerScoring';
+import { estimateCost } from './tokenCounter';
+import { PROVIDERS, STORAGE_KEYS } from './constants';
+
+/**
+ * @typedef {object} ModelTarget
+ * @property {string} provider - Provider ID, see PROVIDERS
+ * @property {string} baseUrl
+ * @property {string} model
+ * @property {string} [apiKey] - Present only while running
+ */
+
+/**
+ * @typedef {object} SavedModelTarget
+ * @property {string} id       - Stable row ID in Settings
+ * @property {string} provider
+ * @property {string} baseUrl
+ * @property {string} model
+ * @property {boolean} enabled - Included in the next run (toggled in the question bar)
+ */
+
+// ── Saved model targets ──────────────────────────────────────────
+
+/**
+ * Extra models saved in Settings, without API keys (those stay in
+ * sessionStorage per provider, like the primary connection's).
+ * @returns {SavedModelTarget[]}
+ */
+export function loadModelTargets() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEYS.modelTargets) || '[]');
+    if (!Array.isArray(saved)) return [];
+    return saved
+      .filter((t) => t && typeof t.model === 'string' && PROVIDERS.some((p) => p.id === t.provider))
+      .map((t) => ({ id: String(t.id), provider: t.provider, baseUrl: t.baseUrl || '', model: t.model, enabled: t.enabled !== false }));
+  } catch {
+    return [];
+  }
+}
+
+/** @param {SavedModelTarget[]} targets */
+export function saveModelTargets(targets) {
+  localStorage.setItem(STORAGE_KEYS.modelTargets, JSON.stringify(targets));
+}
+
+// ── Matrix cells ─────────────────────────────────────────────────
+
+/** True if the config runs more than one model. */
+export function isMatrixConfig(config) {
+  return Array.isArray(config?.models) && config.models.length > 1;
+}
+
+/** Result key of one framework × model cell. */
+export function cellKey(frameworkId, modelIndex) {
+  return `${frameworkId}@${modelIndex}`;
+}
+
+/**
+ * Every cell of a run, frameworks outermost. Single-model runs have one cell
+ * per framework, keyed by the plain framework ID.
+ *
+ * @param {object} config - Run config with `frameworks` and optional `models`
+ * @returns {Array<{key: string, frameworkId: string, modelIndex: number, target: ModelTarget}>}
+ */
+export function runCells(config) {
+  if (!isMatrixConfig(config)) {
+    const target = { provider: config.provider, baseUrl: config.baseUrl, model: config.model, apiKey: config.apiKey };
+    return config.frameworks.map((fw) => ({ key: fw, frameworkId: fw, modelIndex: 0, target }));
+  }
+  return config.frameworks.flatMap((fw) =>
+    config.models.map((target, i) => ({ key: cellKey(fw, i), frameworkId: fw, modelIndex: i, target }))
+  );
+}
+
+/**
+ * Short column label for a model; the provider is added when two targets
+ * share a model ID.
+ *
+ * @param {ModelTarget} target
+ * @param {ModelTarget[]} [all] - Every target in the run
+ * @returns {string}
+ */
+export function modelLabel(target, all = []) {
+  const duplicate = all.filter((t) => t.model === target.model).length > 1;
+  if (!duplicate) return target.model;
+  const provider = PROVIDERS.find((p) => p.id === target.provider);
+  return `${target.model} (${provider?.label || target.provider})`;
+}
+
+/**
+ * Estimated cost of a cell. Local providers (Ollama, self-hosted
+ * OpenAI-compatible servers) cost nothing; other unknown models are priced
+ * as gpt-4o-mini (see estimateCost).
+ *
+ * @param {object} usage
+ * @param {ModelTarget} target
+ * @returns {number} USD
+ */
+export function targetCost(usage, target) {
+  const provider = PROVIDERS.find((p) => p.id === target.provider);
+  if (!usage || provider?.local) return 0;
+  return estimateCost(usage, target.model);
+}
+
+// ── Comparison ───────────────────────────────────────────────────
+
+function answerOf(result) {
+  if (!result || result.error) return null;
+  const answer = result.answer ?? result.finalAnswer;
+  return answer != null && String(answer).trim() ? String(answer) : null;
+}
+
+/**
+ * Group the models' answers for one framework and find the majority.
+ * @returns {{ majority: string|null, agrees: boolean[] }} `agrees[i]` is
+ *   true if model i's answer is in the majority group; `majority` is null
+ *   unless one group of at least two models is strictly largest
+ */
+function frameworkMajority(answers) {
+  const groups = [];
+  answers.forEach((answer, i) => {
+    if (answer == null) return;
+    const norm = basicNormalize(answer);
+    const group = groups.find((g) => areSimilar(g.norm, norm));
+    if (group) group.members.push(i);
+    else groups.push({ norm, answer, members: [i] });
+  });
+  groups.sort((a, b) => b.members.length - a.members.length);
+  const top = groups[0];
+  const none = { majority: null, agrees: answers.map(() => false) };
+  if (!top || top.members.length < 2) return none;
+  if (groups.length > 1 && groups[1].members.length === top.members.length) return none;
+  return { majority: top.answer, agrees: answers.map((_, i) => top.members.includes(i)) };
+}
+
+/**
+ * Per-model totals and cross-model agreement for a matrix run.
+ *
+ * @param {Object<string, object>} results - Cell key → result
+ * @param {object} config - Matrix run config
+ * @returns {{
+ *   majorities: Object<string, {majority: string|null, agrees: boolean[], answers: Array<string|null>}>,
+ *   models: Array<{label: string, tokens: number, cost: number, timeMs: number, answered: number, agreed: number, compared: number}>
+ * }} `majorities` is keyed by framework ID with one answer per model (null if
+ *   it gave none); `compared` counts frameworks with a majority where the
+ *   model answered
+ */
+export function analyzeMatrix(results, config) {
+  const targets = config.models;
+  const models = targets.map((target) => ({
+    label: modelLabel(target, targets),
+    tokens: 0,
+    cost: 0,
+    timeMs: 0,
+    answered: 0,
+    agreed: 0,
+    compared: 0,
+  }));
+  const majorities = {};
+
+  for (const fw of config.frameworks) {
+    const cells = targets.map((_, i) => results[cellKey(fw, i)]);
+    const answers = cells.map(answerOf);
+    majorities[fw] = { ...frameworkMajority(answers), answers };
+    cells.forEach((r, i) => {
+      const m = models[i];
+      m.tokens += r?.usage?.total_tokens || 0;
+      m.cost += targetCost(r?.usage, targets[i]);
+      m.timeMs += r?.timeMs || 0;
+      if (answers[i] == null) return;
+      m.answered++;
+      if (majorities[fw].majority != null) {
+        m.compared++;
+        if (majorities[fw].agrees[i]) m.agreed++;
+      }
+    });
+  }
+  return { majorities, models };
+}
@@ -54,10 +54,16 @@ export function extractAnswer(text) {
 
 /**
  * Parse a ReAct action line: "Action: tool_name: input ... PAUSE".
+ * A fenced input (e.g. a program for the `code` tool) may span several lines.
  * @param {string} text - LLM response text
  * @returns {{ actionName: string, actionInput: string } | null}
  */
 export function parseReActAction(text) {
+  const fencedMatch = text.match(/^Action:\s*(\w+):\s*(```[\s\S]*?```)/m);
+  if (fencedMatch) {
+    return { actionName: fencedMatch[1].trim(), actionInput: fencedMatch[2].trim() };
+  }
+
   // Capture everything after "Action: tool:" until PAUSE or end of text
   const actionMatch = text.match(/^Action:\s*(\w+):\s*([\s\S]*?)(?=\nPAUSE|\n*$)/m);
   if (actionMatch) {
@@ -158,3 +164,46 @@ export function parsePlanSteps(text) {
   // No dangerous fallback — return empty array, caller handles it
   return steps;
 }
+
+/**
+ * Extract source code from a fenced Markdown code block (```js … ```).
+ * Uses the last fenced block if there are several.
+ *
+ * @param {string} text - LLM response text
+ * @returns {string|null} Code inside the fence, or null if there is no fence
+ */
+export function extractCodeBlock(text) {
+  if (!text) return null;
+  const blocks = [...text.matchAll(/```[\w-]*[^\S\n]*\n([\s\S]*?)```/g)];
+  return blocks.length > 0 ? blocks[blocks.length - 1][1].trim() : null;
+}
+
+/**
+ * Parse one Self-Ask continuation: the next "Follow up:" question, or the
+ * text after "So the final answer is:". Anything from the first
+ * "Intermediate answer:" on is dropped, since the model would be guessing
+ * an answer that the search tool supplies.
+ *
+ * @param {string} text - LLM response text
+ * @returns {{ kept: string, followUp: string|null, finalAnswer: string|null }}
+ *   `kept` is the text up to the end of the follow-up (or the whole usable
+ *   text), to be appended to the transcript
+ */
+export function parseSelfAskTurn(text) {
+  const cut = text.search(/Intermediate answer:/i);
+  const usable = cut >= 0 ? text.slice(0, cut) : text;
+
+  const followUp = usable.match(/^[^\S\n]*Follow up:[^\S\n]*(.+)$/im);
+  const final = usable.match(/So the final answer is:\s*([\s\S]*?)(?=\n\s*(?:Question|Follow up):|$)/i);
+  if (followUp && (!final || followUp.index < final.index)) {
+    return {
+      kept: usable.slice(0, followUp.index + followUp[0].length).trim(),
+      followUp: followUp[1].trim(),
+      finalAnswer: null,
+    };
+  }
+  if (final && final[1].trim()) {
+    return { kept: usable.slice(0, final.index + final[0].length).trim(), followUp: null, finalAnswer: final[1].trim() };
+  }
+  return { kept: usable.trim(), followUp: null, finalAnswer: null };
+}
@@ -0,0 +1,441 @@
+/**
+ * Minimal client-side PDF text extraction (no dependencies).
+ *
+ * Handles what most text PDFs use:
+ * - Uncompressed and FlateDecode streams (via DecompressionStream)
+ * - Object streams (PDF 1.5+ compressed objects)
+ * - Page tree order, so text comes back page by page
+ * - ToUnicode CMaps per font, for subset / CID fonts
+ *
+ * Not supported: encrypted PDFs, other stream filters (LZW, ASCII85, …),
+ * CID fonts without a ToUnicode map, and image-only (scanned) pages — those
+ * yield an error or empty pages.
+ *
+ * @module pdfText
+ */
+
+// ── Byte helpers ────────────────────────────────────────────────
+
+/** Decode bytes 1:1 to a "binary string" (each char code is one byte). */
+function toBinaryString(bytes) {
+  let out = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    out += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return out;
+}
+
+function toBytes(binary) {
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i) & 0xff;
+  return bytes;
+}
+
+async function inflate(binary) {
+  const stream = new Blob([toBytes(binary)]).stream().pipeThrough(new DecompressionStream('deflate'));
+  return toBinaryString(new Uint8Array(await new Response(stream).arrayBuffer()));
+}
+
+// ── Object parsing ──────────────────────────────────────────────
+
+/** Index of the end of a balanced `<< … >>` or `[ … ]` starting at `start`. */
+function matchDelimited(src, start) {
+  let depth = 0;
+  for (let i = start; i < src.length; i++) {
+    const c = src[i];
+    if (c === '(') {
+      i = skipLiteralString(src, i);
+    } else if (src.startsWith('<<', i) || c === '[') {
+      depth++;
+      if (c === '<') i++;
+    } else if (src.startsWith('>>', i) || c === ']') {
+      depth--;
+      if (c === '>') i++;
+      if (depth === 0) return i + 1;
+    }
+  }
+  return src.length;
+}
+
+function skipLiteralString(src, start) {
+  let depth = 0;
+  for (let i = start; i < src.length; i++) {
+    if (src[i] === '\\') i++;
+    else if (src[i] === '(') depth++;
+    else if (src[i] === ')' && --depth === 0) return i;
+  }
+  return src.length;
+}
+
+/**
+ * Raw value of `/Key` in a dictionary string: a reference ("12 0 R"),
+ * nested dictionary or array source, name, or number. Null if absent.
+ */
+function dictGet(dict, key) {
+  const m = new RegExp(`/${key}(?![\\w.#-])\\s*`).exec(dict);
+  if (!m) return null;
+  const rest = dict.slice(m.index + m[0].length);
+  const ref = rest.match(/^(\d+)\s+\d+\s+R\b/);
+  if (ref) return { ref: Number(ref[1]) };
+  if (rest.startsWith('<<') || rest.startsWith('[')) return rest.slice(0, matchDelimited(rest, 0));
+  const atom = rest.match(/^\/?[^\s/<>[\]()]+/);
+  return atom ? atom[0] : null;
+}
+
+/** All indirect references ("12 0 R") in an array or dictionary source. */
+function refsIn(src) {
+  return [...String(src).matchAll(/(\d+)\s+\d+\s+R\b/g)].map((m) => Number(m[1]));
+}
+
+/**
+ * Parse every top-level `N G obj … endobj` into { dict, stream? }, keyed by
+ * object number, then unpack object streams into the same map.
+ */
+async function parseObjects(pdf) {
+  const objects = new Map();
+  const objPattern = /(\d+)\s+\d+\s+obj\b/g;
+  let m;
+  while ((m = objPattern.exec(pdf))) {
+    const bodyStart = m.index + m[0].length;
+    const end = pdf.indexOf('endobj', bodyStart);
+    if (end === -1) break;
+    let body = pdf.slice(bodyStart, end);
+    const entry = {};
+    const streamAt = body.search(/\bstream\r?\n/);
+    if (streamAt !== -1 && body.trimStart().startsWith('<<')) {
+      entry.dict = body.slice(0, streamAt);
+      const dataStart = bodyStart + body.indexOf('\n', streamAt) + 1;
+      // Trust a direct /Length only if it lands on "endstream"
+      const length = Number(dictGet(entry.dict, 'Length'));
+      let dataEnd = length > 0 && /^\s*endstream/.test(pdf.slice(dataStart + length, dataStart + length + 16))
+        ? dataStart + length
+        : pdf.indexOf('endstream', dataStart);
+      if (dataEnd === -1) dataEnd = end;
+      entry.stream = pdf.slice(dataStart, dataEnd);
+      // Stream data may itself contain "endobj"; resume after the real end
+      const realEnd = pdf.indexOf('endobj', dataEnd);
+      objPattern.lastIndex = realEnd === -1 ? pdf.length : realEnd;
+    } else {
+      body = body.trim();
+      entry.dict = body;
+      objPattern.lastIndex = end;
+    }
+    objects.set(Number(m[1]), entry);
+  }
+
+  for (const entry of [...objects.values()]) {
+    if (!/\/Type\s*\/ObjStm\b/.test(entry.dict)) continue;
+    const data = await decodeStream(entry);
+    if (data == null) continue;
+    const n = Number(dictGet(entry.dict, 'N'));
+    const first = Number(dictGet(entry.dict, 'First'));
+    const header = data.slice(0, first).trim().split(/\s+/).map(Number);
+    for (let i = 0; i < n; i++) {
+      const num = header[2 * i];
+      const start = first + header[2 * i + 1];
+      const stop = i + 1 < n ? first + header[2 * i + 3] : data.length;
+      if (!objects.has(num)) objects.set(num, { dict: data.slice(start, stop).trim() });
+    }
+  }
+  return objects;
+}
+
+/** Decoded stream data, or null for unsupported filters / corrupt data. */
+async function decodeStream(entry) {
+  if (entry.stream == null) return null;
+  const filter = dictGet(entry.dict, 'Filter');
+  if (!filter) return entry.stream;
+  const filters = String(filter).match(/\/\w+/g) || [];
+  if (filters.length !== 1 || filters[0] !== '/FlateDecode') return null;
+  try {
+    return await inflate(entry.stream);
+  } catch {
+    return null;
+  }
+}
+
+// ── Fonts (ToUnicode CMaps) ─────────────────────────────────────
+
+function utf16Hex(hex) {
+  let out = '';
+  for (let i = 0; i + 4 <= hex.length; i += 4) out += String.fromCharCode(parseInt(hex.slice(i, i + 4), 16));
+  if (hex.length % 4 === 2) out += String.fromCharCode(parseInt(hex.slice(-2), 16));
+  return out;
+}
+
+/** Parse a ToUnicode CMap into { width (bytes per code), map: Map<code, string> }. */
+function parseCMap(src) {
+  const map = new Map();
+  const range = src.match(/begincodespacerange\s*<([0-9a-fA-F]+)>/);
+  const width = range ? Math.max(1, range[1].length / 2) : 2;
+
+  for (const block of src.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+    for (const pair of block[1].matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]*)>/g)) {
+      map.set(parseInt(pair[1], 16), utf16Hex(pair[2]));
+    }
+  }
+  for (const block of src.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+    for (const r of block[1].matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>\s*(<[0-9a-fA-F]*>|\[[^\]]*\])/g)) {
+      const lo = parseInt(r[1], 16);
+      const hi = Math.min(parseInt(r[2], 16), lo + 0xffff);
+      if (r[3].startsWith('[')) {
+        const dsts = [...r[3].matchAll(/<([0-9a-fA-F]*)>/g)];
+        dsts.forEach((d, i) => map.set(lo + i, utf16Hex(d[1])));
+      } else {
+        const base = r[3].slice(1, -1);
+        const head = base.slice(0, -4);
+        const last = parseInt(base.slice(-4), 16);
+        for (let code = lo; code <= hi; code++) {
+          map.set(code, utf16Hex(head + (last + code - lo).toString(16).padStart(4, '0')));
+        }
+      }
+    }
+  }
+  return { width, map };
+}
+
+function resolve(objects, value) {
+  if (value && typeof value === 'object' && 'ref' in value) return objects.get(value.ref)?.dict ?? null;
+  return value;
+}
+
+/** Map of font resource name (e.g. "F1") → CMap for one page's resources. */
+async function loadFonts(objects, resources, cache) {
+  const fonts = {};
+  const fontDict = resolve(objects, dictGet(resources || '', 'Font'));
+  if (!fontDict) return fonts;
+  for (const m of String(fontDict).matchAll(/\/([^\s/<>[\]()]+)\s+(\d+)\s+\d+\s+R\b/g)) {
+    const fontNum = Number(m[2]);
+    if (!cache.has(fontNum)) {
+      const fontSrc = objects.get(fontNum)?.dict || '';
+      const toUnicode = dictGet(fontSrc, 'ToUnicode');
+      const cmapEntry = toUnicode?.ref != null ? objects.get(toUnicode.ref) : null;
+      const cmapSrc = cmapEntry ? await decodeStream(cmapEntry) : null;
+      // Composite (CID) fonts without a ToUnicode map can't be decoded; emit nothing rather than mojibake
+      const unmapped = /\/Subtype\s*\/Type0\b/.test(fontSrc) ? { width: 2, map: new Map() } : null;
+      cache.set(fontNum, cmapSrc ? parseCMap(cmapSrc) : unmapped);
+    }
+    fonts[m[1]] = cache.get(fontNum);
+  }
+  return fonts;
+}
+
+function decodeText(bytes, cmap) {
+  if (!cmap) return bytes;
+  let out = '';
+  for (let i = 0; i < bytes.length; i += cmap.width) {
+    let code = 0;
+    for (let j = 0; j < cmap.width; j++) code = code * 256 + (bytes.charCodeAt(i + j) || 0);
+    out += cmap.map.get(code) ?? (cmap.width === 1 ? bytes[i] : '');
+  }
+  return out;
+}
+
+// ── Content streams ─────────────────────────────────────────────
+
+const ESCAPES = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+
+/** Tokenize a content stream into strings, numbers, arrays, names and operators. */
+function* tokenize(src) {
+  let i = 0;
+  const stack = [];
+  const emit = function* (token) {
+    if (stack.length > 0) stack[stack.length - 1].push(token);
+    else yield token;
+  };
+  while (i < src.length) {
+    const c = src[i];
+    if (/\s/.test(c)) { i++; continue; }
+    if (c === '%') { while (i < src.length && src[i] !== '\n' && src[i] !== '\r') i++; continue; }
+    if (c === '(') {
+      let depth = 1;
+      let s = '';
+      for (i++; i < src.length && depth > 0; i++) {
+        const ch = src[i];
+        if (ch === '\\') {
+          const next = src[++i];
+          if (/[0-7]/.test(next)) {
+            const oct = src.slice(i, i + 3).match(/^[0-7]{1,3}/)[0];
+            s += String.fromCharCode(parseInt(oct, 8) & 0xff);
+            i += oct.length - 1;
+          } else if (next !== '\n' && next !== '\r') {
+            s += ESCAPES[next] ?? next;
+          }
+        } else {
+          if (ch === '(') depth++;
+          if (ch === ')' && --depth === 0) break;
+          s += ch;
+        }
+      }
+      i++;
+      yield* emit({ str: s });
+      continue;
+    }
+    if (c === '<' && src[i + 1] !== '<') {
+      const end = src.indexOf('>', i);
+      const hex = src.slice(i + 1, end === -1 ? src.length : end).replace(/\s+/g, '');
+      let s = '';
+      for (let j = 0; j < hex.length; j += 2) s += String.fromCharCode(parseInt(hex.slice(j, j + 2).padEnd(2, '0'), 16));
+      i = end === -1 ? src.length : end + 1;
+      yield* emit({ str: s });
+      continue;
+    }
+    if (c === '[') { stack.push([]); i++; continue; }
+    if (c === ']') {
+      const arr = stack.pop() || [];
+      i++;
+      yield* emit({ arr });
+      continue;
+    }
+    const m = src.slice(i, i + 64).match(/^(<<|>>|[{}]|\/[^\s/<>[\]()%{}]*|[^\s/<>[\]()%{}]+)/);
+    const word = m ? m[0] : c;
+    i += word.length;
+    if (word === 'ID') {
+      // Inline image data: skip to the EI operator
+      const ei = src.slice(i).search(/\sEI(?:\s|$)/);
+      i = ei === -1 ? src.length : i + ei + 3;
+      continue;
+    }
+    if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(word)) yield* emit({ num: Number(word) });
+    else if (word[0] === '/') yield* emit({ name: word.slice(1) });
+    else if (stack.length === 0) yield { op: word };
+  }
+}
+
+/** Extract the text of one page's content stream(s). */
+function contentText(src, fonts) {
+  let out = '';
+  let operands = [];
+  let font = null;
+  let lineY = null;
+
+  const write = (s) => { out += s; };
+  const breakLine = () => { if (out && !out.endsWith('\n')) out += '\n'; };
+  const space = () => { if (out && !/\s$/.test(out)) out += ' '; };
+  const moveTo = (y, dx) => {
+    if (lineY != null && Math.abs(y - lineY) > 0.5) breakLine();
+    else if (dx) space();
+    lineY = y;
+  };
+
+  for (const token of tokenize(src)) {
+    if (!token.op) {
+      operands.push(token);
+      continue;
+    }
+    const nums = operands.filter((t) => 'num' in t).map((t) => t.num);
+    const strs = operands.filter((t) => 'str' in t);
+    switch (token.op) {
+      case 'Tf': {
+        const name = operands.find((t) => 'name' in t)?.name;
+        font = fonts[name] || null;
+        break;
+      }
+      case 'Tm':
+        if (nums.length >= 6) moveTo(nums[5], true);
+        break;
+      case 'Td':
+      case 'TD':
+        if (nums.length >= 2) moveTo((lineY ?? 0) + nums[1], nums[0] !== 0);
+        break;
+      case 'T*':
+        breakLine();
+        break;
+      case "'":
+      case '"':
+        breakLine();
+      // falls through
+      case 'Tj':
+        for (const t of strs) write(decodeText(t.str, font));
+        break;
+      case 'TJ':
+        for (const part of operands.find((t) => t.arr)?.arr || []) {
+          if ('str' in part) write(decodeText(part.str, font));
+          else if ('num' in part && part.num < -120) space(); // word gap, not kerning
+        }
+        break;
+      case 'ET':
+        space();
+        break;
+      default:
+        break;
+    }
+    operands = [];
+  }
+  return out
+    .replace(/[^\S\n]+/g, ' ')
+    .replace(/ ?\n ?/g, '\n')
+    .trim();
+}
+
+// ── Page tree ───────────────────────────────────────────────────
+
+/** Page object numbers in document order (falls back to object order). */
+function pageOrder(objects, pdf) {
+  const pages = [];
+  const visit = (num, seen) => {
+    if (seen.has(num)) return;
+    seen.add(num);
+    const dict = objects.get(num)?.dict || '';
+    if (/\/Type\s*\/Page(?![\w])/.test(dict)) {
+      pages.push(num);
+      return;
+    }
+    for (const kid of refsIn(resolve(objects, dictGet(dict, 'Kids')) || '')) visit(kid, seen);
+  };
+
+  const rootRef = [...pdf.matchAll(/\/Root\s+(\d+)\s+\d+\s+R\b/g)].pop();
+  const catalog = rootRef ? objects.get(Number(rootRef[1]))?.dict : null;
+  const pagesRef = catalog ? dictGet(catalog, 'Pages') : null;
+  if (pagesRef?.ref != null) visit(pagesRef.ref, new Set());
+  if (pages.length > 0) return pages;
+
+  return [...objects.entries()]
+    .filter(([, o]) => /\/Type\s*\/Page(?![\w])/.test(o.dict || ''))
+    .map(([num]) => num);
+}
+
+/** Resources of a page, inherited from ancestors when not set on the page. */
+function pageResources(objects, dict) {
+  for (let d = dict, depth = 0; d && depth < 32; depth++) {
+    const res = resolve(objects, dictGet(d, 'Resources'));
+    if (res) return res;
+    const parent = dictGet(d, 'Parent');
+    d = parent?.ref != null ? objects.get(parent.ref)?.dict : null;
+  }
+  return '';
+}
+
+// ── Public API ──────────────────────────────────────────────────
+
+/**
+ * Extract plain text from a PDF, one string per page.
+ *
+ * @param {ArrayBuffer} buffer - PDF file contents
+ * @returns {Promise<string[]>} Page texts in document order
+ * @throws {Error} If the file is not a PDF or is encrypted
+ */
+export async function extractPdfText(buffer) {
+  const pdf = toBinaryString(new Uint8Array(buffer));
+  if (!pdf.startsWith('%PDF')) throw new Error('Not a PDF file');
+  if (/\/Encrypt\s+\d+\s+\d+\s+R\b/.test(pdf)) throw new Error('Encrypted PDFs are not supported');
+
+  const objects = await parseObjects(pdf);
+  const fontCache = new Map();
+  const texts = [];
+  for (const num of pageOrder(objects, pdf)) {
+    const dict = objects.get(num).dict;
+    const fonts = await loadFonts(objects, pageResources(objects, dict), fontCache);
+    const contents = dictGet(dict, 'Contents');
+    const refs = contents?.ref != null
+      ? (objects.get(contents.ref)?.stream != null ? [contents.ref] : refsIn(objects.get(contents.ref)?.dict))
+      : refsIn(contents || '');
+    let src = '';
+    for (const ref of refs) {
+      const data = objects.get(ref) ? await decodeStream(objects.get(ref)) : null;
+      if (data) src += `${data}\n`;
+    }
+    texts.push(contentText(src, fonts));
+  }
+  return texts;
+}
@@ -0,0 +1,149 @@
+/**
+ * Saved prompt template versions and the version selected for runs.
+ *
+ * Stored in localStorage as:
+ * ```
+ * {
+ *   versions: { [templateId]: [{ version: 'v1', name, text, createdAt }] },
+ *   selected: { [templateId]: 'v1' },  // absent = built-in default
+ *   lastVersion: { [templateId]: 1 }   // highest number ever issued
+ * }
+ * ```
+ * Versions are numbered per template and never renumbered or reused, even
+ * after the newest is deleted, so a version recorded in a run result keeps
+ * pointing at the same text.
+ *
+ * @module promptLibrary
+ */
+
+import { STORAGE_KEYS } from './constants';
+import { PROMPT_TEMPLATES, validateTemplate } from '../frameworks/prompts';
+
+/**
+ * @typedef {object} SavedPromptVersion
+ * @property {string} version   - 'v1', 'v2', …
+ * @property {string} name
+ * @property {string} text
+ * @property {string} createdAt - ISO timestamp
+ */
+
+/**
+ * @typedef {object} PromptLibrary
+ * @property {Object<string, SavedPromptVersion[]>} versions
+ * @property {Object<string, string>} selected - Template ID → version used for runs
+ * @property {Object<string, number>} lastVersion - Template ID → highest version number issued
+ */
+
+const EMPTY_LIBRARY = { versions: {}, selected: {}, lastVersion: {} };
+
+function versionNumber(entry) {
+  return parseInt(entry.version.slice(1), 10) || 0;
+}
+
+/** @returns {PromptLibrary} */
+export function loadPromptLibrary() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEYS.prompts) || 'null');
+    if (!saved || typeof saved !== 'object') return EMPTY_LIBRARY;
+    const versions = {};
+    const lastVersion = {};
+    for (const id of Object.keys(PROMPT_TEMPLATES)) {
+      if (Array.isArray(saved.versions?.[id])) versions[id] = saved.versions[id];
+      // Libraries saved before the counter start from their newest remaining version
+      const last = Math.max(Number(saved.lastVersion?.[id]) || 0, ...(versions[id] || []).map(versionNumber));
+      if (last > 0) lastVersion[id] = last;
+    }
+    return { versions, selected: { ...saved.selected }, lastVersion };
+  } catch {
+    return EMPTY_LIBRARY;
+  }
+}
+
+/** @param {PromptLibrary} library */
+export function savePromptLibrary(library) {
+  localStorage.setItem(STORAGE_KEYS.prompts, JSON.stringify(library));
+}
+
+/**
+ * Add a named version of a template.
+ * @param {PromptLibrary} library
+ * @param {string} templateId
+ * @param {string} name
+ * @param {string} text
+ * @returns {{ library: PromptLibrary, version: string }}
+ * @throws {Error} If the name is blank or taken, or the text fails validation
+ */
+export function addPromptVersion(library, templateId, name, text) {
+  const existing = library.versions[templateId] || [];
+  const trimmed = name.trim();
+  if (!trimmed) throw new Error('Name the version.');
+  if (trimmed.toLowerCase() === 'default' || existing.some((v) => v.name.toLowerCase() === trimmed.toLowerCase())) {
+    throw new Error(`A version named "${trimmed}" already exists.`);
+  }
+  const { errors } = validateTemplate(templateId, text);
+  if (errors.length > 0) throw new Error(errors[0]);
+
+  const next = Math.max(library.lastVersion?.[templateId] || 0, ...existing.map(versionNumber)) + 1;
+  const version = `v${next}`;
+  const entry = { version, name: trimmed, text, createdAt: new Date().toISOString() };
+  return {
+    library: {
+      ...library,
+      versions: { ...library.versions, [templateId]: [...existing, entry] },
+      lastVersion: { ...library.lastVersion, [templateId]: next },
+    },
+    version,
+  };
+}
+
+/**
+ * Delete a saved version; runs go back to the default if it was selected.
+ * Its number is not issued again.
+ * @returns {PromptLibrary}
+ */
+export function deletePromptVersion(library, templateId, version) {
+  const existing = library.versions[templateId] || [];
+  const versions = { ...library.versions, [templateId]: existing.filter((v) => v.version !== version) };
+  const selected = { ...library.selected };
+  if (selected[templateId] === version) delete selected[templateId];
+  const last = Math.max(library.lastVersion?.[templateId] || 0, ...existing.map(versionNumber));
+  return { ...library, versions, selected, lastVersion: { ...library.lastVersion, [templateId]: last } };
+}
+
+/**
+ * Choose the version used for runs ('default' for the built-in prompt).
+ * @returns {PromptLibrary}
+ */
+export function selectPromptVersion(library, templateId, version) {
+  const selected = { ...library.selected };
+  if (version === 'default') delete selected[templateId];
+  else selected[templateId] = version;
+  return { ...library, selected };
+}
+
+/**
+ * The given versions as the `prompts` option of a run. Versions that no
+ * longer validate (or were deleted) fall back to the default.
+ * @param {PromptLibrary} library
+ * @param {Object<string, string>} selection - Template ID → version
+ * @returns {Object<string, import('../frameworks/prompts').PromptVersion>}
+ */
+export function resolvePrompts(library, selection) {
+  const prompts = {};
+  for (const [id, version] of Object.entries(selection)) {
+    const entry = library.versions[id]?.find((v) => v.version === version);
+    if (entry && validateTemplate(id, entry.text).errors.length === 0) {
+      prompts[id] = { version: entry.version, name: entry.name, text: entry.text };
+    }
+  }
+  return prompts;
+}
+
+/**
+ * The versions selected for runs, as the `prompts` option of a run.
+ * @param {PromptLibrary} library
+ * @returns {Object<string, import('../frameworks/prompts').PromptVersion>}
+ */
+export function selectedPrompts(library) {
+  return resolvePrompts(library, library.selected);
+}
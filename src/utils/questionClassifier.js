@@ -1,11 +1,15 @@
 /**
- * Question classifier — determines whether a question is factual or open-ended.
+ * Question classifier — determines whether a question is factual or open-ended,
+ * and, in more detail, which kind of question it is.
  *
  * Two-tier approach:
  * 1. **Heuristic** — instant regex-based classification for obvious cases (free)
  * 2. **LLM fallback** — one tiny API call for ambiguous cases
  *
- * Used by CoT to decide between majority-vote (factual) and synthesis (open-ended).
+ * Used by CoT to decide between majority-vote (factual) and synthesis
+ * (open-ended). The detailed types (arithmetic, multi-hop factual, current
+ * events, planning, creative, factual) are used by the framework router
+ * (see frameworks/router).
  *
  * @module questionClassifier
  */
@@ -71,13 +75,15 @@ export function classifyQuestionHeuristic(question) {
  * Classify a question using a tiny LLM call (10 max tokens).
  *
  * @param {string} question - The user's question
- * @param {object} options
- * @param {string} options.apiKey  - OpenAI API key
- * @param {string} options.model   - Model ID
- * @param {AbortSignal} [options.signal] - Abort signal
+ * @param {object} llm - callLLM connection options
+ * @param {string} llm.apiKey  - API key for the selected provider
+ * @param {string} llm.model   - Model ID
+ * @param {string} [llm.provider] - Provider ID
+ * @param {string} [llm.baseUrl]  - Provider base URL override
+ * @param {AbortSignal} [llm.signal] - Abort signal
  * @returns {Promise<{type: 'factual'|'open-ended', usage: object}>}
  */
-export async function classifyQuestionWithLLM(question, { apiKey, model, signal }) {
+export async function classifyQuestionWithLLM(question, llm) {
   // Dynamic import to avoid circular dependency
   const { callLLM } = await import('../frameworks/llm');
 
@@ -93,7 +99,7 @@ Question: "${question}"
 
 Reply with ONLY one word: factual or open-ended`,
     }],
-    { apiKey, model, temperature: 0, maxTokens: 10, signal }
+    { ...llm, temperature: 0, maxTokens: 10 }
   );
 
   const answer = result.content.trim().toLowerCase();
@@ -107,16 +113,17 @@ Reply with ONLY one word: factual or open-ended`,
 
 /**
  * Async classifier with LLM fallback. Use this for best accuracy.
- * Tries heuristic first (instant, free), falls back to LLM for ambiguous cases.
+ * Tries heuristic first (instant, free), falls back to LLM for ambiguous cases
+ * when `llm` connection options are given.
  */
-export async function classifyQuestionSmart(question, { apiKey, model, signal } = {}) {
+export async function classifyQuestionSmart(question, llm) {
   const heuristic = classifyQuestionHeuristic(question);
   if (heuristic) return { type: heuristic, usage: null };
 
   // Ambiguous — ask the LLM
-  if (apiKey) {
+  if (llm) {
     try {
-      return await classifyQuestionWithLLM(question, { apiKey, model, signal });
+      return await classifyQuestionWithLLM(question, llm);
     } catch (err) {
       console.warn('LLM classification failed, defaulting to factual:', err.message);
       return { type: 'factual', usage: null };
@@ -125,3 +132,120 @@ export async function classifyQuestionSmart(question, { apiKey, model, signal }
 
   return { type: 'factual', usage: null };
 }
+
+// ── Question types ──────────────────────────────────────────────
+
+/** Detailed question types, for routing questions to frameworks. */
+export const QUESTION_TYPES = [
+  { id: 'arithmetic', label: 'Arithmetic', description: 'needs a calculation (word problems, percentages, unit conversions)' },
+  { id: 'multi-hop', label: 'Multi-hop factual', description: 'needs one fact to find another (the X of the Y that Z)' },
+  { id: 'current-events', label: 'Current events', description: 'depends on recent or changing facts (latest, current, this year)' },
+  { id: 'planning', label: 'Planning', description: 'asks for a plan, schedule, strategy or steps to reach a goal' },
+  { id: 'creative', label: 'Creative', description: 'asks for original writing or ideas (stories, poems, names, slogans)' },
+  { id: 'factual', label: 'Factual', description: 'a single fact with one correct answer' },
+];
+
+/** Heuristic rules, checked in order; the first match decides. */
+const TYPE_RULES = [
+  {
+    type: 'creative',
+    reason: 'asks for original writing or ideas',
+    test: (q) => /^(write|compose|draft|imagine|invent|brainstorm)\b/.test(q)
+      || /\b(poem|haiku|limerick|story|short story|lyrics|song|slogan|tagline|joke|riddle|fairy tale|names? for|name ideas)\b/.test(q),
+  },
+  {
+    type: 'planning',
+    reason: 'asks for a plan or steps to reach a goal',
+    test: (q) => /^(plan|organi[sz]e|prepare|arrange|schedule|outline|design)\b/.test(q)
+      || /\b(plan|itinerary|schedule|roadmap|strategy|checklist|agenda|steps to|how (?:can|do|should) (?:i|we)|under a budget|on a budget)\b/.test(q),
+  },
+  {
+    type: 'arithmetic',
+    reason: 'needs a calculation',
+    test: (q) => /\d\s*[+\-*/^×÷]\s*\d/.test(q)
+      || /^(calculate|compute|solve|evaluate|convert)\b/.test(q)
+      || (/\b(how (?:many|much)|total|sum|average|percent|percentage|difference|times|remain|left|each|per)\b|\d\s*%/.test(q)
+        && (q.match(/\d+(?:\.\d+)?/g) || []).length >= 2),
+  },
+  {
+    type: 'current-events',
+    reason: 'depends on recent or changing facts',
+    test: (q) => /\b(latest|current(?:ly)?|today|tonight|yesterday|right now|this (?:year|month|week|season)|recent(?:ly)?|reigning|incumbent|as of|upcoming|so far|stock price|weather|news)\b/.test(q)
+      || /\b20[2-9]\d\b/.test(q),
+  },
+  {
+    type: 'multi-hop',
+    reason: 'needs one fact to find another',
+    test: (q) => (q.match(/\b(?:of|by|in|from) (?:the|a|an) /g) || []).length >= 2
+      || (q.match(/\b(?:the|a|an) \w+ of\b/g) || []).length >= 2
+      || /\b(?:of|by|in|from) the \w+(?: \w+)? (?:who|that|which|whose|where)\b/.test(q)
+      || /^(?:who|what|when|where|which)\b.*\b(?:who|that|which|whose)\b.*\b(?:born|founded|wrote|directed|won|invented|discovered|located)\b/.test(q),
+  },
+  {
+    type: 'factual',
+    reason: 'asks for a single fact',
+    test: (q) => /^(what|what's|who|who's|when|where|which|how (?:old|tall|long|far|big|fast|heavy|deep|wide)|is|are|was|were|did|does|do|can|name)\b/.test(q),
+  },
+];
+
+/**
+ * Classify a question into a detailed type using regex heuristics only.
+ * @param {string} question
+ * @returns {{ type: string, reason: string } | null} Null if no rule matched
+ */
+export function classifyQuestionTypeHeuristic(question) {
+  const q = question.toLowerCase().trim();
+  const rule = TYPE_RULES.find((r) => r.test(q));
+  return rule ? { type: rule.type, reason: rule.reason } : null;
+}
+
+/**
+ * Classify a question into a detailed type with a tiny LLM call.
+ * @param {string} question
+ * @param {object} llm - callLLM connection options
+ * @returns {Promise<{ type: string, usage: object }>} 'factual' if the reply names no type
+ */
+export async function classifyQuestionTypeWithLLM(question, llm) {
+  const { callLLM } = await import('../frameworks/llm');
+
+  const result = await callLLM(
+    [{
+      role: 'user',
+      content: `Classify this question as exactly one of these types:
+${QUESTION_TYPES.map((t) => `- ${t.id}: ${t.description}`).join('\n')}
+
+Question: "${question}"
+
+Reply with ONLY the type id.`,
+    }],
+    { ...llm, temperature: 0, maxTokens: 10 }
+  );
+
+  const reply = result.content.trim().toLowerCase();
+  const match = QUESTION_TYPES.find((t) => reply.includes(t.id));
+  return { type: match ? match.id : 'factual', usage: result.usage };
+}
+
+/**
+ * Detailed question type: heuristics first, then (with `llm`) one LLM call
+ * for questions no rule matched; otherwise 'factual'.
+ * @param {string} question
+ * @param {object} [llm] - callLLM connection options; omit for heuristics only
+ * @returns {Promise<{ type: string, reason: string, source: 'heuristic'|'llm'|'default', usage: object|null }>}
+ */
+export async function classifyQuestionType(question, llm) {
+  const heuristic = classifyQuestionTypeHeuristic(question);
+  if (heuristic) return { ...heuristic, source: 'heuristic', usage: null };
+
+  if (llm) {
+    try {
+      const { type, usage } = await classifyQuestionTypeWithLLM(question, llm);
+      return { type, reason: 'classified by the model', source: 'llm', usage };
+    } catch (err) {
+      if (err.name === 'AbortError') throw err;
+      console.warn('LLM question-type classification failed, defaulting to factual:', err.message);
+    }
+  }
+
+  return { type: 'factual', reason: 'no rule matched', source: 'default', usage: null };
+}
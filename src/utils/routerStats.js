@@ -0,0 +1,92 @@
+/**
+ * How often the router's pick (see frameworks/router) matched the
+ * best-scoring framework.
+ *
+ * An outcome compares the router's pick among the frameworks that ran with
+ * their scores: benchmark correctness against the gold answer, or the LLM
+ * judge's overall grade. Questions where every framework scored the same say
+ * nothing about the pick and are skipped.
+ *
+ * Outcomes are tallied in localStorage, overall and per question type:
+ * ```
+ * { total, matched, byType: { [type]: { total, matched } } }
+ * ```
+ *
+ * @module routerStats
+ */
+
+import { STORAGE_KEYS } from './constants';
+import { pickFramework } from '../frameworks/router';
+
+/**
+ * @typedef {object} RouterOutcome
+ * @property {string}   type    - Question type
+ * @property {string}   pick    - Router's pick among the frameworks that ran
+ * @property {string[]} best    - Best-scoring framework IDs (ties included)
+ * @property {boolean}  matched - True if the pick is among the best
+ */
+
+/**
+ * @typedef {object} RouterStats
+ * @property {number} total
+ * @property {number} matched
+ * @property {Object<string, { total: number, matched: number }>} byType
+ */
+
+const EMPTY_STATS = { total: 0, matched: 0, byType: {} };
+
+/**
+ * Compare the router's pick with the best-scoring frameworks.
+ * @param {import('../frameworks/router').Route} route
+ * @param {Object<string, number>} scores - Framework ID → score (higher is better); the Auto framework is ignored
+ * @returns {RouterOutcome|null} Null if the router could not pick or all scores are equal
+ */
+export function routerOutcome(route, scores) {
+  const candidates = Object.entries(scores).filter(([id, score]) => id !== 'auto' && Number.isFinite(score));
+  const pick = pickFramework(route, candidates.map(([id]) => id));
+  if (!pick) return null;
+  const top = Math.max(...candidates.map(([, s]) => s));
+  if (candidates.every(([, s]) => s === top)) return null;
+  const best = candidates.filter(([, s]) => s === top).map(([id]) => id);
+  return { type: route.type, pick, best, matched: best.includes(pick) };
+}
+
+/**
+ * Tally outcomes.
+ * @param {RouterOutcome[]} outcomes
+ * @param {RouterStats} [base] - Tally to add to
+ * @returns {RouterStats}
+ */
+export function summarizeRouterOutcomes(outcomes, base = EMPTY_STATS) {
+  const byType = { ...base.byType };
+  let { total, matched } = base;
+  for (const o of outcomes) {
+    const t = byType[o.type] || { total: 0, matched: 0 };
+    byType[o.type] = { total: t.total + 1, matched: t.matched + (o.matched ? 1 : 0) };
+    total += 1;
+    matched += o.matched ? 1 : 0;
+  }
+  return { total, matched, byType };
+}
+
+/** @returns {RouterStats} */
+export function loadRouterStats() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEYS.routerStats) || 'null');
+    if (!saved || !Number.isFinite(saved.total) || !Number.isFinite(saved.matched)) return EMPTY_STATS;
+    return { total: saved.total, matched: saved.matched, byType: { ...saved.byType } };
+  } catch {
+    return EMPTY_STATS;
+  }
+}
+
+/**
+ * Add outcomes to the saved tally.
+ * @param {RouterOutcome[]} outcomes
+ * @returns {RouterStats} The updated tally
+ */
+export function recordRouterOutcomes(outcomes) {
+  const stats = summarizeRouterOutcomes(outcomes, loadRouterStats());
+  if (outcomes.length > 0) localStorage.setItem(STORAGE_KEYS.routerStats, JSON.stringify(stats));
+  return stats;
+}
@@ -0,0 +1,151 @@
+/**
+ * Exported run files — the "Export run (JSON)" format and its validation.
+ *
+ * Schema (version 1):
+ * ```
+ * {
+ *   version: 1,
+ *   question: string, provider: string, baseUrl: string, model: string,
+ *   nSamples: number, frameworks: string[], timestamp: ISO string,
+ *   config: { ...run options, never the API key },
+ *   results: { [frameworkId]: FrameworkResult | { error: string } }
+ * }
+ * ```
+ * Multi-model matrix runs list their models in `config.models` and key
+ * `results` by cell, `'<frameworkId>@<modelIndex>'` (see modelMatrix).
+ * Files exported before `version` and `config` were added are read as
+ * version 1; their options default to the current settings when re-run.
+ *
+ * @module runExport
+ */
+
+import { FRAMEWORK_IDS } from './constants';
+import { persistableConfig } from './runHistory';
+import { runCells } from './modelMatrix';
+
+export const RUN_EXPORT_VERSION = 1;
+
+/**
+ * The trace field every successful result of a framework must carry
+ * (the same field its panel renders from). The Auto framework has none of
+ * its own: its `delegateResult` is checked as the routed framework's result.
+ */
+const TRACE_FIELDS = {
+  cot: 'paths',
+  react: 'trajectory',
+  'react-fc': 'trajectory',
+  rewoo: 'steps',
+  'plan-execute': 'pastSteps',
+  'plan-execute-fc': 'pastSteps',
+  tot: 'nodes',
+  reflexion: 'trials',
+  pot: 'attempts',
+  'self-ask': 'followUps',
+  debate: 'rounds',
+};
+
+/**
+ * Build the export payload for a run.
+ *
+ * @param {object} config  - FrameworkRunner config
+ * @param {Object<string, object>} results - Framework ID (or matrix cell key) → result
+ * @param {string} [timestamp] - When the run happened (default: now)
+ * @returns {object}
+ */
+export function buildRunExport(config, results, timestamp = new Date().toISOString()) {
+  const { question, provider, baseUrl, model, nSamples, frameworks } = config;
+  return {
+    version: RUN_EXPORT_VERSION,
+    question,
+    provider,
+    baseUrl,
+    model,
+    nSamples,
+    frameworks: [...frameworks],
+    timestamp,
+    config: persistableConfig(config),
+    results,
+  };
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function validateResult(where, fw, result) {
+  if (!isObject(result)) throw new Error(`${where} must be an object`);
+  if (result.error != null) {
+    if (typeof result.error !== 'string') throw new Error(`${where}.error must be a string`);
+    return;
+  }
+  if (fw === 'auto') {
+    if (!TRACE_FIELDS[result.delegate]) throw new Error(`${where}.delegate must be a framework ID`);
+    validateResult(`${where}.delegateResult`, result.delegate, result.delegateResult);
+  } else {
+    const field = TRACE_FIELDS[fw];
+    if (!Array.isArray(result[field])) throw new Error(`${where}.${field} must be an array`);
+  }
+  if (result.usage != null && !isObject(result.usage)) throw new Error(`${where}.usage must be an object`);
+  for (const key of ['timeMs', 'llmCalls']) {
+    if (result[key] != null && typeof result[key] !== 'number') throw new Error(`${where}.${key} must be a number`);
+  }
+}
+
+/**
+ * Parse and validate an exported run file.
+ *
+ * @param {string} text - File contents
+ * @returns {{ config: object, results: Object<string, object>, timestamp: string }}
+ *   `config` holds question, frameworks and the recorded options (no API key)
+ * @throws {Error} Describing the first schema violation
+ */
+export function parseRunExport(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('not valid JSON');
+  }
+  if (!isObject(data)) throw new Error('expected a JSON object');
+
+  const version = data.version ?? 1;
+  if (version !== RUN_EXPORT_VERSION) {
+    throw new Error(`unsupported export version ${version} (expected ${RUN_EXPORT_VERSION})`);
+  }
+  if (data.interactions) throw new Error('this is a cassette; use Replay instead');
+  if (typeof data.question !== 'string' || !data.question.trim()) throw new Error('"question" must be a non-empty string');
+  if (typeof data.model !== 'string') throw new Error('"model" must be a string');
+  if (!Array.isArray(data.frameworks) || data.frameworks.length === 0) {
+    throw new Error('"frameworks" must be a non-empty array');
+  }
+  const unknown = data.frameworks.filter((fw) => !FRAMEWORK_IDS.includes(fw));
+  if (unknown.length > 0) throw new Error(`unknown framework${unknown.length > 1 ? 's' : ''}: ${unknown.join(', ')}`);
+  if (data.config != null && !isObject(data.config)) throw new Error('"config" must be an object');
+  const models = data.config?.models;
+  if (models != null) {
+    if (!Array.isArray(models) || models.some((m) => !isObject(m) || typeof m.model !== 'string')) {
+      throw new Error('"config.models" must be an array of { provider, baseUrl, model }');
+    }
+  }
+  if (!isObject(data.results)) throw new Error('"results" must be an object');
+  const cells = runCells({ frameworks: data.frameworks, models });
+  for (const { key, frameworkId } of cells) {
+    if (!(key in data.results)) throw new Error(`missing results for "${key}"`);
+    validateResult(`results["${key}"]`, frameworkId, data.results[key]);
+  }
+
+  const { question, provider, baseUrl, model, nSamples, frameworks } = data;
+  return {
+    config: {
+      ...persistableConfig(data.config || {}),
+      question,
+      provider: provider || 'openai',
+      baseUrl: baseUrl || '',
+      model,
+      ...(nSamples != null && { nSamples }),
+      frameworks,
+    },
+    results: Object.fromEntries(cells.map(({ key }) => [key, data.results[key]])),
+    timestamp: typeof data.timestamp === 'string' ? data.timestamp : null,
+  };
+}
@@ -0,0 +1,30 @@
+import { buildRunExport, parseRunExport } from './runExport';
+
+const config = { question: 'What is 15% of 240?', provider: 'openai', baseUrl: '', model: 'gpt-4o-mini', nSamples: 5, frameworks: ['auto'] };
+
+function autoResult(delegateResult) {
+  return {
+    framework: 'Auto',
+    route: { type: 'arithmetic', reason: 'needs a calculation', source: 'heuristic', frameworks: ['pot', 'cot'], why: '', pick: 'pot' },
+    delegate: 'pot',
+    delegateResult,
+    answer: '36',
+    usage: { total_tokens: 120 },
+    llmCalls: 1,
+    timeMs: 900,
+  };
+}
+
+const potResult = { framework: 'PoT', attempts: [{ code: 'return 240 * 0.15;', output: '36' }], answer: '36', usage: { total_tokens: 120 }, llmCalls: 1, timeMs: 900 };
+
+test('an exported Auto run imports again', () => {
+  const results = { auto: autoResult(potResult) };
+  const parsed = parseRunExport(JSON.stringify(buildRunExport(config, results)));
+  expect(parsed.results).toEqual(results);
+});
+
+test("an Auto result is checked against the routed framework's trace field", () => {
+  const broken = { auto: autoResult({ ...potResult, attempts: undefined }) };
+  expect(() => parseRunExport(JSON.stringify(buildRunExport(config, broken))))
+    .toThrow('results["auto"].delegateResult.attempts must be an array');
+});
@@ -0,0 +1,198 @@
+/**
+ * Run history persisted in IndexedDB.
+ *
+ * Each run is stored twice:
+ * - `runs` — a small summary (question, model, frameworks, answers) used
+ *   by the History list, search and filters
+ * - `runTraces` — the full run configuration (minus credentials) and every
+ *   framework result (trajectories, CoT paths, ReWOO evidence, Plan-Execute
+ *   steps, …), loaded only when a run is reopened
+ *
+ * Runs saved by older versions to localStorage are migrated as
+ * summary-only entries (they can be re-run but not reopened).
+ *
+ * @module runHistory
+ */
+
+/**
+ * @typedef {object} RunSummary
+ * @property {number}  id         - Creation time in ms (unique per run)
+ * @property {string}  question
+ * @property {string}  provider
+ * @property {string}  model
+ * @property {string[]} [models]  - Every model of a multi-model matrix run
+ * @property {string}  timestamp  - ISO timestamp
+ * @property {string[]} frameworks - Framework IDs
+ * @property {Object<string, {framework: string, model?: string, answer?: string, error?: string, total_tokens?: number, timeMs?: number}>} results
+ *   Keyed by framework ID, or by cell key (`'react@1'`) in matrix runs, whose
+ *   entries also name their model
+ * @property {boolean} [summaryOnly] - Migrated entry without a stored trace
+ */
+
+/**
+ * @typedef {object} RunTrace
+ * @property {number} id
+ * @property {object} config  - FrameworkRunner config without apiKey / record / cassette
+ * @property {Object<string, object>} results - Full framework results
+ */
+
+import { withTransaction, requestResult } from './idb';
+import { STORAGE_KEYS } from './constants';
+import { isMatrixConfig, runCells } from './modelMatrix';
+
+/**
+ * Config fields that must never be persisted: API keys (including each
+ * matrix model's and debate agent model's), record / replay state that only applies to the
+ * original run, and the Auto-CoT question pool (up to 100 past questions; the
+ * CoT result records the demonstrations it chose).
+ */
+export function persistableConfig(config) {
+  const { apiKey: _apiKey, record: _record, cassette: _cassette, cotAutoPool: _pool, ...rest } = config;
+  if (Array.isArray(rest.models)) rest.models = rest.models.map(({ apiKey: _key, ...target }) => target);
+  if (Array.isArray(rest.debateModels)) rest.debateModels = rest.debateModels.map(({ apiKey: _key, ...target }) => target);
+  return rest;
+}
+
+function summarize(results, config) {
+  const models = isMatrixConfig(config)
+    ? Object.fromEntries(runCells(config).map((cell) => [cell.key, cell.target.model]))
+    : {};
+  return Object.fromEntries(
+    Object.entries(results).map(([key, r]) => [
+      key,
+      {
+        ...(r && !r.error
+          ? { framework: r.framework, answer: r.answer ?? r.finalAnswer, total_tokens: r.usage?.total_tokens, timeMs: r.timeMs }
+          : { framework: r?.framework, error: r?.error }),
+        ...(models[key] && { model: models[key] }),
+      },
+    ])
+  );
+}
+
+/** Move runs saved to localStorage by older versions into IndexedDB (once). */
+async function migrateLegacyRuns() {
+  let legacy;
+  try {
+    legacy = JSON.parse(localStorage.getItem(STORAGE_KEYS.runHistory) || '[]');
+  } catch {
+    legacy = [];
+  }
+  if (!Array.isArray(legacy) || legacy.length === 0) return;
+  await withTransaction('runs', 'readwrite', (tx) => {
+    const store = tx.objectStore('runs');
+    for (const run of legacy) {
+      if (run && run.id && run.question) store.put({ ...run, summaryOnly: true });
+    }
+  });
+  localStorage.removeItem(STORAGE_KEYS.runHistory);
+}
+
+/**
+ * Save a finished run.
+ *
+ * @param {object} config  - The FrameworkRunner config (credentials are stripped)
+ * @param {Object<string, object>} results - Framework ID (or matrix cell key) → result
+ * @returns {Promise<RunSummary>}
+ */
+export async function saveRun(config, results) {
+  const id = Date.now();
+  const stored = persistableConfig(config);
+  const summary = {
+    id,
+    question: config.question,
+    provider: config.provider,
+    model: config.model,
+    ...(isMatrixConfig(config) && { models: config.models.map((m) => m.model) }),
+    timestamp: new Date(id).toISOString(),
+    frameworks: [...config.frameworks],
+    results: summarize(results, config),
+  };
+  await withTransaction(['runs', 'runTraces'], 'readwrite', (tx) => {
+    tx.objectStore('runs').put(summary);
+    tx.objectStore('runTraces').put({ id, config: stored, results });
+  });
+  return summary;
+}
+
+/**
+ * All run summaries, newest first.
+ * @returns {Promise<RunSummary[]>}
+ */
+export async function listRuns() {
+  await migrateLegacyRuns();
+  const runs = await withTransaction('runs', 'readonly', (tx) => requestResult(tx.objectStore('runs').getAll()));
+  return runs.sort((a, b) => b.id - a.id);
+}
+
+/**
+ * Distinct questions of past runs, newest first (the pool Auto-CoT builds
+ * demonstrations from).
+ * @param {number} [limit]
+ * @returns {Promise<string[]>}
+ */
+export async function listPastQuestions(limit = 100) {
+  const seen = new Set();
+  const questions = [];
+  for (const { question } of await listRuns()) {
+    const key = question?.trim().toLowerCase();
+    if (!key || seen.has(key)) continue;
+    seen.add(key);
+    questions.push(question.trim());
+    if (questions.length === limit) break;
+  }
+  return questions;
+}
+
+/**
+ * Load a run's full trace.
+ * @param {number} id
+ * @returns {Promise<RunTrace|null>} Null for summary-only (migrated) runs
+ */
+export async function getRunTrace(id) {
+  const trace = await withTransaction('runTraces', 'readonly', (tx) => requestResult(tx.objectStore('runTraces').get(id)));
+  return trace || null;
+}
+
+/** Delete one run. */
+export async function deleteRun(id) {
+  await withTransaction(['runs', 'runTraces'], 'readwrite', (tx) => {
+    tx.objectStore('runs').delete(id);
+    tx.objectStore('runTraces').delete(id);
+  });
+}
+
+/** Delete every run. */
+export async function clearRuns() {
+  await withTransaction(['runs', 'runTraces'], 'readwrite', (tx) => {
+    tx.objectStore('runs').clear();
+    tx.objectStore('runTraces').clear();
+  });
+}
+
+/**
+ * Filter run summaries by text and facets.
+ *
+ * @param {RunSummary[]} runs
+ * @param {object} filters
+ * @param {string} [filters.text]      - Case-insensitive match on question and answers
+ * @param {string} [filters.model]     - Exact model ID (any model of a matrix run)
+ * @param {string} [filters.framework] - Framework ID the run included
+ * @param {string} [filters.from]      - Earliest date, "YYYY-MM-DD" (inclusive, local time)
+ * @param {string} [filters.to]        - Latest date, "YYYY-MM-DD" (inclusive, local time)
+ * @returns {RunSummary[]}
+ */
+export function filterRuns(runs, { text = '', model = '', framework = '', from = '', to = '' } = {}) {
+  const needle = text.trim().toLowerCase();
+  const fromMs = from ? new Date(`${from}T00:00:00`).getTime() : -Infinity;
+  const toMs = to ? new Date(`${to}T23:59:59.999`).getTime() : Infinity;
+  return runs.filter((run) => {
+    if (model && run.model !== model && !run.models?.includes(model)) return false;
+    if (framework && !run.frameworks?.includes(framework)) return false;
+    const time = new Date(run.timestamp).getTime();
+    if (time < fromMs || time > toMs) return false;
+    if (!needle) return true;
+    const answers = Object.values(run.results || {}).map((r) => r?.answer ?? '').join(' ');
+    return `${run.question} ${answers}`.toLowerCase().includes(needle);
+  });
+}
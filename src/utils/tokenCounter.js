@@ -3,6 +3,8 @@
  * @module tokenCounter
  */
 
+import { MODEL_PRICING } from './constants';
+
 /**
  * Rough token estimate based on character count (~4 chars per token for English).
  * Used only for UI display — actual billing uses API-reported usage.
@@ -31,3 +33,18 @@ export function sumUsage(usageArray) {
     { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 }
   );
 }
+
+/**
+ * Estimate cost in USD based on token usage and model pricing.
+ * Unknown models are priced as gpt-4o-mini.
+ *
+ * @param {{prompt_tokens?: number, completion_tokens?: number}} usage
+ * @param {string} model - Model ID (key of MODEL_PRICING)
+ * @returns {number} Estimated cost in USD
+ */
+export function estimateCost(usage, model) {
+  const pricing = MODEL_PRICING[model] || MODEL_PRICING['gpt-4o-mini'];
+  const inTokens = usage?.prompt_tokens ?? 0;
+  const outTokens = usage?.completion_tokens ?? 0;
+  return (inTokens * pricing.input + outTokens * pricing.output) / 1e6;
+}